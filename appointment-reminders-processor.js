@@ -9,6 +9,49 @@
  */
 
 const axios = require('axios');
+const { reclaimExpiredLeases, claimQueueItems, renewLease, leaseReleaseFields } = require('./queue-lease');
+const {
+  loadCompanyWeights,
+  getQueueDepthByCompany,
+  allocateFairShares,
+  selectFairBatch,
+  recordQueueMetrics
+} = require('./fair-scheduler');
+const { buildRetryUpdate, clearCircuitDeferral } = require('./retry-policy');
+const {
+  FAILURE_CODES,
+  classifyError,
+  classifySupabaseError,
+  classifiedError,
+  isAiFallbackEligible
+} = require('./error-classifier');
+const { sendWithOutbox, markOutboxFinalized } = require('./outbox');
+const {
+  normalizeMediaAttachments,
+  buildLocationPin,
+  describePayload,
+  shouldHumanizeSend
+} = require('./message-payload');
+const {
+  resolveChannel,
+  getChannelAdapter,
+  channelSenderKey,
+  findLastInstanceForRecipient
+} = require('./channel-adapters');
+const { reserveSendCapacity, chargeSendParts, refundSendCapacity, rateLimitError } = require('./rate-limiter');
+const { assertBreakersClosed } = require('./circuit-breaker');
+const { getSendWindowPolicy, checkSendWindow, outsideBusinessHoursError } = require('./business-hours');
+const { buildCalendarInviteAttachment } = require('./calendar-invite');
+const { phoneDigits, resolveSenderCompanyId } = require('./inbound-messages');
+const { normalizePhoneNumber } = require('./phone-number');
+const { findSuppression } = require('./suppression-list');
+const {
+  computeSessionWindow,
+  getSessionPolicy,
+  templateNeedsMessage,
+  buildTemplateMessage,
+  describeTemplateMessage
+} = require('./session-window');
 
 // ===============================================
 // UTILITÁRIOS DE LOG
@@ -35,33 +78,69 @@ function logReminder(level, message, data = {}) {
 // CORE: BUSCAR LEMBRETES PENDENTES
 // ===============================================
 
+/**
+ * Busca lembretes pendentes e vencidos de uma empresa (mais antigos primeiro)
+ */
+async function fetchPendingRemindersForCompany(supabase, companyId, limit) {
+  return await supabase.rpc('get_pending_appointment_reminders_for_company', {
+    p_company_id: companyId,
+    p_limit: limit
+  });
+}
+
 /**
  * Busca lembretes de appointments prontos para execução
+ * ✅ Distribui as vagas do ciclo entre empresas (round-robin ponderado pelo plano)
+ * e busca a cota de cada empresa separadamente
  */
 async function getPendingAppointmentReminders(supabase, config) {
   try {
     logReminder('info', 'Buscando lembretes de appointments pendentes...');
     
-    const { data: reminders, error } = await supabase.rpc('get_pending_appointment_reminders', {
-      p_limit: config.maxFollowUpsPerExecution
-    });
+    // ✅ Devolver para a fila itens de workers que caíram no meio do processamento
+    await reclaimExpiredLeases(supabase, 'appointment_reminder_queue');
     
-    if (error) {
-      logReminder('error', 'Erro ao buscar lembretes pendentes', { error: error.message });
-      return [];
+    // ✅ Profundidade da fila por empresa e cota justa de cada uma neste ciclo
+    const depths = await getQueueDepthByCompany(supabase, 'appointment_reminder_queue');
+    const weights = await loadCompanyWeights(supabase, depths.map(d => d.company_id), config);
+    const quotas = allocateFairShares(depths, config.maxFollowUpsPerExecution, weights);
+    
+    const reminders = [];
+    for (const [companyId, quota] of quotas) {
+      const { data: companyReminders, error } = await fetchPendingRemindersForCompany(supabase, companyId, quota);
+      
+      if (error) {
+        logReminder('error', 'Erro ao buscar lembretes pendentes da empresa', {
+          companyId,
+          error: error.message
+        });
+        continue;
+      }
+      
+      reminders.push(...(companyReminders || []));
     }
     
-    const totalPending = reminders?.length || 0;
-    const overdueCount = reminders?.filter(r => r.minutes_overdue > 0).length || 0;
+    // ✅ Intercalar empresas na ordem de processamento
+    const fairReminders = selectFairBatch(reminders, config.maxFollowUpsPerExecution, weights);
+    
+    // ✅ Claim atômico: só processa o que este worker conseguiu reservar
+    const claimedReminders = await claimQueueItems(supabase, 'appointment_reminder_queue', fairReminders, config);
+    recordQueueMetrics('appointment_reminder_queue', depths, claimedReminders);
+    
+    const totalPending = claimedReminders.length;
+    const overdueCount = claimedReminders.filter(r => r.minutes_overdue > 0).length;
     
     logReminder('success', `${totalPending} lembretes de appointments prontos para execução`, {
       total: totalPending,
       overdue: overdueCount,
       onTime: totalPending - overdueCount,
-      method: 'sql_function'
+      claimedByOtherWorkers: fairReminders.length - totalPending,
+      companies: quotas.size,
+      workerId: config.workerId,
+      method: 'sql_function_fair_share'
     });
     
-    return reminders || [];
+    return claimedReminders;
     
   } catch (error) {
     logReminder('error', 'Erro ao buscar lembretes de appointments', { error: error.message });
@@ -69,6 +148,54 @@ async function getPendingAppointmentReminders(supabase, config) {
   }
 }
 
+/**
+ * Janela de 24h do contato do lembrete: última mensagem recebida dele em qualquer
+ * conversa da empresa (null = janela desconhecida, erro na consulta)
+ */
+async function loadReminderSessionWindow(supabase, reminder) {
+  if (!reminder.contact_id) {
+    return computeSessionWindow(null);
+  }
+
+  const { data: lastInbound, error } = await supabase
+    .from('messages')
+    .select('sent_at, conversations!inner(contact_id, company_id)')
+    .eq('conversations.contact_id', reminder.contact_id)
+    .eq('conversations.company_id', reminder.company_id)
+    .eq('direction', 'inbound')
+    .order('sent_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    logReminder('warning', 'Erro ao buscar última mensagem do contato', {
+      reminderId: reminder.id,
+      contactId: reminder.contact_id,
+      error: error.message
+    });
+    return null;
+  }
+
+  return computeSessionWindow(lastInbound?.[0]?.sent_at);
+}
+
+/**
+ * Metadata gravada no lembrete (undefined se não foi possível ler)
+ */
+async function loadReminderMetadata(supabase, reminderId) {
+  const { data: rows, error } = await supabase
+    .from('appointment_reminder_queue')
+    .select('metadata')
+    .eq('id', reminderId)
+    .limit(1);
+
+  if (error || !rows?.[0]) {
+    logReminder('warning', 'Erro ao ler metadata do lembrete', { reminderId, error: error?.message });
+    return undefined;
+  }
+
+  return rows[0].metadata || {};
+}
+
 /**
  * Cria lembretes automáticos para appointments futuros
  */
@@ -127,6 +254,77 @@ async function createAppointmentReminders(supabase) {
   }
 }
 
+// ===============================================
+// FINALIZAÇÃO DO ENVIO
+// ===============================================
+
+/**
+ * Registra o log de execução do lembrete
+ */
+async function recordReminderLog(supabase, executionLog) {
+  try {
+    const { error: insertError } = await supabase.from('appointment_reminder_logs').insert(executionLog);
+    if (insertError) {
+      throw insertError;
+    }
+  } catch (logError) {
+    logReminder('warning', 'Erro ao registrar log de lembrete', { 
+      error: logError.message,
+      reminderId: executionLog.reminder_queue_id,
+      ruleName: executionLog.rule_name
+    });
+  }
+}
+
+/**
+ * Efeitos de um lembrete já enviado: com botões, passa a aguardar a resposta do
+ * contato. Usado logo após o envio e pela reconciliação do outbox.
+ * sent: { channel, contactPhone, interactive }
+ */
+async function finalizeReminderSend(supabase, reminder, sent) {
+  if (sent.interactive) {
+    await recordReminderInteraction(supabase, reminder, sent.channel, sent.contactPhone);
+  }
+}
+
+/**
+ * Finaliza um envio encontrado pela reconciliação do outbox (processo caiu entre
+ * o envio e a finalização): mesma interação e log do envio normal
+ */
+async function finalizeOutboxReminder(supabase, outboxRow) {
+  const { data: reminder, error } = await supabase
+    .from('appointment_reminder_queue')
+    .select('id, appointment_id, agent_id, company_id, rule_name, ai_generated_message, appointment:appointments(start_time)')
+    .eq('id', outboxRow.queue_item_id)
+    .single();
+
+  if (error) {
+    throw new Error(`Erro ao buscar lembrete do outbox: ${error.message}`);
+  }
+
+  const payload = outboxRow.payload || {};
+
+  await finalizeReminderSend(supabase, { ...reminder, appointment_start_time: reminder.appointment?.start_time }, {
+    channel: { type: payload.channel, instanceName: outboxRow.instance_name },
+    contactPhone: outboxRow.recipient,
+    interactive: !!payload.interactive
+  });
+
+  await recordReminderLog(supabase, {
+    reminder_queue_id: reminder.id,
+    appointment_id: reminder.appointment_id,
+    agent_id: reminder.agent_id,
+    company_id: reminder.company_id,
+    rule_name: reminder.rule_name,
+    success: true,
+    error_message: null,
+    failure_code: null,
+    response_time_ms: 0,
+    message_sent: payload.text || reminder.ai_generated_message || '',
+    reminder_sent: payload.channel !== 'internal'
+  });
+}
+
 // ===============================================
 // CORE: PROCESSAR LEMBRETE
 // ===============================================
@@ -134,7 +332,7 @@ async function createAppointmentReminders(supabase) {
 /**
  * Processa um único lembrete de appointment com logs detalhados
  */
-async function processAppointmentReminder(supabase, config, reminder, generatePersonalizedMessage, sendWhatsAppMessage) {
+async function processAppointmentReminder(supabase, config, reminder, generatePersonalizedMessage, send) {
   const startTime = Date.now();
   let executionLog = {
     reminder_queue_id: reminder.id,
@@ -144,10 +342,16 @@ async function processAppointmentReminder(supabase, config, reminder, generatePe
     rule_name: reminder.rule_name,
     success: false,
     error_message: null,
+    failure_code: null,
     response_time_ms: 0,
     message_sent: '',
     reminder_sent: false
   };
+  let logRecorded = false;
+  let reservedSendKey = null;
+  
+  // Linha atual do item (renewLease): a RPC de pendentes não traz metadata
+  let currentStatus = null;
   
   try {
     logReminder('info', `📅 INICIANDO LEMBRETE DE APPOINTMENT`, { 
@@ -167,27 +371,19 @@ async function processAppointmentReminder(supabase, config, reminder, generatePe
       currentAttempts: reminder.attempts
     });
     
-    // ✅ Verificar se lembrete ainda está pendente
-    const { data: currentStatus, error: statusError } = await supabase
-      .from('appointment_reminder_queue')
-      .select('status, attempts')
-      .eq('id', reminder.id)
-      .single();
-    
-    if (statusError || !currentStatus) {
-      throw new Error('Lembrete não encontrado ou já foi removido');
-    }
+    // ✅ Renovar lease: garante que o lembrete ainda pertence a este worker
+    currentStatus = await renewLease(supabase, 'appointment_reminder_queue', reminder.id, config);
     
-    if (currentStatus.status !== 'pending') {
-      logReminder('warning', 'Lembrete não está mais pendente, pulando', { 
+    if (!currentStatus) {
+      logReminder('warning', 'Lembrete não está mais reservado para este worker, pulando', { 
         reminderId: reminder.id,
         ruleName: reminder.rule_name,
         contactName: reminder.contact_name,
         appointmentTitle: reminder.appointment_title,
-        currentStatus: currentStatus.status,
-        reason: 'status_changed_before_processing'
+        workerId: config.workerId,
+        reason: 'lease_lost_before_processing'
       });
-      return { success: true, skipped: true, reason: 'status_changed' };
+      return { success: true, skipped: true, reason: 'lease_lost' };
     }
     
     // ✅ Verificar se ainda pode tentar
@@ -205,13 +401,94 @@ async function processAppointmentReminder(supabase, config, reminder, generatePe
         .from('appointment_reminder_queue')
         .update({ 
           status: 'failed',
-          execution_error: `Máximo de ${reminder.max_attempts} tentativas atingido`
+          execution_error: `Máximo de ${reminder.max_attempts} tentativas atingido`,
+          failure_code: FAILURE_CODES.MAX_ATTEMPTS_EXCEEDED,
+          ...leaseReleaseFields()
         })
         .eq('id', reminder.id);
         
       return { success: false, error: 'Max attempts reached' };
     }
     
+    // ✅ Horário de envio de lembretes da empresa (política própria): fora da janela o
+    // lembrete é adiado, mas sai antes se o próximo horário permitido já for depois do appointment
+    const sendWindowPolicy = await getSendWindowPolicy(supabase, config, {
+      companyId: reminder.company_id,
+      kind: 'reminder',
+      ruleName: reminder.rule_name
+    });
+    const sendWindow = checkSendWindow(sendWindowPolicy);
+    if (!sendWindow.allowed) {
+      const deferBeforeAppointment = new Date(sendWindow.nextSlotAt).getTime() <
+        new Date(reminder.appointment_start_time).getTime();
+      
+      logReminder('info', deferBeforeAppointment
+        ? 'Fora do horário de envio da empresa - lembrete adiado'
+        : 'Fora do horário de envio, mas o próximo horário é depois do appointment - enviando agora', {
+        reminderId: reminder.id,
+        ruleName: reminder.rule_name,
+        policy: sendWindowPolicy.source,
+        timezone: sendWindowPolicy.timezone,
+        nextSlotAt: sendWindow.nextSlotAt,
+        appointmentDate: reminder.appointment_start_time
+      });
+      
+      if (deferBeforeAppointment) {
+        throw outsideBusinessHoursError(sendWindow, sendWindowPolicy);
+      }
+    }
+    
+    // ✅ Validar telefone antes de gastar com IA (E.164; e-mail ainda permite envio por outro canal)
+    const phoneCheck = normalizePhoneNumber(reminder.contact_phone);
+    if (!phoneCheck.valid && !reminder.contact_email) {
+      throw classifiedError(`Telefone do contato inválido: ${phoneCheck.reason}`, {
+        code: FAILURE_CODES.INVALID_RECIPIENT,
+        permanent: true
+      });
+    }
+    if (!phoneCheck.valid) {
+      logReminder('warning', 'Telefone do contato inválido - apenas canais por e-mail/internos', {
+        reminderId: reminder.id,
+        ruleName: reminder.rule_name,
+        phone: reminder.contact_phone,
+        reason: phoneCheck.reason
+      });
+    }
+    const contactPhone = phoneCheck.e164;
+    
+    // ✅ Lista de supressão (opt-out / LGPD): contato suprimido não recebe mais lembretes
+    const suppression = await findSuppression(supabase, {
+      companyId: reminder.company_id,
+      phoneDigits: phoneCheck.digits,
+      email: reminder.contact_email
+    });
+    if (suppression) {
+      logReminder('warning', 'Lembrete cancelado - contato na lista de supressão', {
+        reminderId: reminder.id,
+        ruleName: reminder.rule_name,
+        contactName: reminder.contact_name,
+        suppressionId: suppression.id,
+        reason: 'opted_out'
+      });
+      
+      await supabase
+        .from('appointment_reminder_queue')
+        .update({
+          status: 'cancelled',
+          execution_error: 'Contato na lista de supressão (opt-out)',
+          metadata: {
+            ...currentStatus.metadata,
+            cancelled_reason: 'opted_out',
+            cancelled_at: new Date().toISOString(),
+            suppression_id: suppression.id
+          },
+          ...leaseReleaseFields()
+        })
+        .eq('id', reminder.id);
+      
+      return { success: true, skipped: true, reason: 'opted_out' };
+    }
+    
     // ✅ Buscar dados do agente
     const { data: agent, error: agentError } = await supabase
       .from('ai_agents')
@@ -220,7 +497,12 @@ async function processAppointmentReminder(supabase, config, reminder, generatePe
       .single();
       
     if (agentError || !agent) {
-      throw new Error(`Agente não encontrado: ${agentError?.message}`);
+      throw classifiedError(
+        `Agente não encontrado: ${agentError?.message}`,
+        agentError && agentError.code !== 'PGRST116'
+          ? classifySupabaseError(agentError)
+          : { code: FAILURE_CODES.AGENT_NOT_FOUND, permanent: true }
+      );
     }
     
     logReminder('debug', 'Agente carregado para lembrete', {
@@ -234,10 +516,12 @@ async function processAppointmentReminder(supabase, config, reminder, generatePe
     
     // ✅ Preparar dados do appointment para substituição de variáveis
     const appointmentDate = new Date(reminder.appointment_start_time);
-    const dataFormatada = appointmentDate.toLocaleDateString('pt-BR');
+    // Data e horário no fuso da empresa (o servidor pode rodar em UTC)
+    const dataFormatada = appointmentDate.toLocaleDateString('pt-BR', { timeZone: sendWindowPolicy.timezone });
     const horarioFormatado = appointmentDate.toLocaleTimeString('pt-BR', { 
       hour: '2-digit', 
-      minute: '2-digit' 
+      minute: '2-digit',
+      timeZone: sendWindowPolicy.timezone
     });
     
     logReminder('debug', 'Dados do appointment processados', {
@@ -279,120 +563,287 @@ async function processAppointmentReminder(supabase, config, reminder, generatePe
       }
     });
     
-    // ✅ Personalizar com IA se possível
-    try {
-      logReminder('info', 'Personalizando lembrete com IA', {
+    // ✅ Escolher canal de envio (preferência do contato → padrão da empresa → WhatsApp → interno)
+    const recipient = {
+      phone: contactPhone,
+      email: reminder.contact_email,
+      name: reminder.contact_name
+    };
+    // Instância preferida: a última usada com sucesso para o contato
+    const preferredInstanceName = await findLastInstanceForRecipient(supabase, reminder.company_id, contactPhone);
+    const channel = await resolveChannel(supabase, config, {
+      companyId: reminder.company_id,
+      contact: { ...recipient, preferred_channel: reminder.contact_preferred_channel },
+      preferredInstanceName
+    });
+    const recipientAddress = getChannelAdapter(channel.type).recipientAddress(recipient);
+    
+    logReminder('debug', 'Canal para lembrete definido', {
+      reminderId: reminder.id,
+      ruleName: reminder.rule_name,
+      channel: channel.type,
+      channelSource: channel.source,
+      instanceName: channel.instanceName,
+      instanceRouting: channel.routing,
+      preferredInstanceName,
+      companyId: reminder.company_id,
+      appointmentTitle: reminder.appointment_title
+    });
+    
+    // ✅ Janela de 24h (WhatsApp Cloud API): fora dela só template aprovado do canal
+    const sessionPolicy = getSessionPolicy(channel, getChannelAdapter(channel.type));
+    const sessionWindow = sessionPolicy.enforce ? await loadReminderSessionWindow(supabase, reminder) : null;
+    const useTemplate = sessionPolicy.enforce && !sessionWindow?.open;
+    
+    if (useTemplate && !sessionWindow) {
+      throw classifiedError('Não foi possível verificar a janela de 24h do contato', {
+        code: FAILURE_CODES.DATABASE_UNAVAILABLE,
+        permanent: false
+      });
+    }
+    if (useTemplate && !sessionPolicy.template) {
+      throw classifiedError('Contato fora da janela de 24h e canal sem template aprovado configurado', {
+        code: FAILURE_CODES.SESSION_WINDOW_CLOSED,
+        permanent: true
+      });
+    }
+    if (useTemplate) {
+      logReminder('info', 'Contato fora da janela de 24h - lembrete será enviado por template', {
+        reminderId: reminder.id,
+        ruleName: reminder.rule_name,
+        template: sessionPolicy.template.name,
+        lastInboundAt: sessionWindow.lastInboundAt
+      });
+    }
+    
+    // ✅ Circuito do provedor ou do remetente aberto: adia o item antes de gastar com IA
+    assertBreakersClosed([getChannelAdapter(channel.type).upstream, channelSenderKey(channel, config)]);
+    
+    // ✅ Limite de envio por instância/empresa: adia o item antes de gastar com IA
+    const rateLimitKey = {
+      channel,
+      senderKey: channelSenderKey(channel, config),
+      companyId: reminder.company_id
+    };
+    const reservation = await reserveSendCapacity(supabase, config, rateLimitKey);
+    if (!reservation.allowed) {
+      throw rateLimitError(reservation);
+    }
+    // Token devolvido se o item sair antes de chegar ao provedor (IA, adiamento, deduplicação)
+    reservedSendKey = rateLimitKey;
+    
+    // ✅ Replay sem regeneração: reaproveitar mensagem gerada na execução original
+    if (currentStatus.metadata?.reuse_generated_message && currentStatus.ai_generated_message) {
+      finalMessage = currentStatus.ai_generated_message;
+      
+      logReminder('info', 'Replay sem regeneração - reaproveitando mensagem gerada anteriormente', {
         reminderId: reminder.id,
         ruleName: reminder.rule_name,
         contactName: reminder.contact_name,
-        agentName: agent.name,
         appointmentTitle: reminder.appointment_title,
-        templatePreview: finalMessage.substring(0, 50) + '...'
+        messageLength: finalMessage.length
       });
-      
-      const personalizedMessage = await generatePersonalizedMessage(
-        finalMessage,
-        {
-          appointmentId: reminder.appointment_id,
-          contactName: reminder.contact_name || 'Cliente',
-          contactPhone: reminder.contact_phone || '',
-          appointmentTitle: reminder.appointment_title,
-          appointmentDate: reminder.appointment_start_time,
-          appointmentLocation: reminder.appointment_location,
-          reminderType: reminder.reminder_type,
-          minutesBefore: reminder.minutes_before
-        },
-        agent,
-        reminder.company_id
-      );
-      
-      if (personalizedMessage && personalizedMessage !== finalMessage) {
-        finalMessage = personalizedMessage;
-        logReminder('success', 'Lembrete personalizado com IA', {
+    } else if (useTemplate && !templateNeedsMessage(sessionPolicy.template)) {
+      // Template sem o parâmetro "message": a IA não é necessária
+      logReminder('debug', 'Template da janela de 24h não usa a mensagem - IA dispensada', {
+        reminderId: reminder.id,
+        template: sessionPolicy.template.name
+      });
+    } else {
+      // ✅ Personalizar com IA se possível
+      try {
+        logReminder('info', 'Personalizando lembrete com IA', {
           reminderId: reminder.id,
           ruleName: reminder.rule_name,
           contactName: reminder.contact_name,
+          agentName: agent.name,
           appointmentTitle: reminder.appointment_title,
-          originalLength: reminder.message_template.length,
-          finalLength: finalMessage.length,
-          wasPersonalized: true
+          templatePreview: finalMessage.substring(0, 50) + '...'
         });
-      } else {
-        logReminder('debug', 'IA não personalizou o lembrete, usando template com substituições', {
+      
+        const personalizedMessage = await generatePersonalizedMessage(
+          finalMessage,
+          {
+            appointmentId: reminder.appointment_id,
+            contactName: reminder.contact_name || 'Cliente',
+            contactPhone: reminder.contact_phone || '',
+            appointmentTitle: reminder.appointment_title,
+            appointmentDate: reminder.appointment_start_time,
+            appointmentLocation: reminder.appointment_location,
+            reminderType: reminder.reminder_type,
+            minutesBefore: reminder.minutes_before
+          },
+          agent,
+          reminder.company_id
+        );
+      
+        if (personalizedMessage && personalizedMessage !== finalMessage) {
+          finalMessage = personalizedMessage;
+          logReminder('success', 'Lembrete personalizado com IA', {
+            reminderId: reminder.id,
+            ruleName: reminder.rule_name,
+            contactName: reminder.contact_name,
+            appointmentTitle: reminder.appointment_title,
+            originalLength: reminder.message_template.length,
+            finalLength: finalMessage.length,
+            wasPersonalized: true
+          });
+        } else {
+          logReminder('debug', 'IA não personalizou o lembrete, usando template com substituições', {
+            reminderId: reminder.id,
+            ruleName: reminder.rule_name,
+            contactName: reminder.contact_name,
+            appointmentTitle: reminder.appointment_title
+          });
+        }
+      } catch (aiError) {
+        // ✅ Só erros permanentes da IA caem no template; transitórios e circuito aberto vão para retry
+        if (!isAiFallbackEligible(aiError)) {
+          throw aiError;
+        }
+        
+        logReminder('warning', 'Erro ao personalizar lembrete com IA, usando template', { 
           reminderId: reminder.id,
           ruleName: reminder.rule_name,
           contactName: reminder.contact_name,
-          appointmentTitle: reminder.appointment_title
+          appointmentTitle: reminder.appointment_title,
+          error: aiError.message,
+          failureCode: classifyError(aiError).code
         });
       }
-    } catch (aiError) {
-      logReminder('warning', 'Erro ao personalizar lembrete com IA, usando template', { 
-        reminderId: reminder.id,
-        ruleName: reminder.rule_name,
-        contactName: reminder.contact_name,
-        appointmentTitle: reminder.appointment_title,
-        error: aiError.message 
-      });
     }
     
-    executionLog.message_sent = finalMessage;
+    const template = useTemplate
+      ? buildTemplateMessage(sessionPolicy.template, {
+        contact_name: reminder.contact_name,
+        agent_name: agent.name,
+        rule_name: reminder.rule_name,
+        message: finalMessage,
+        appointment_title: reminder.appointment_title,
+        appointment_date: dataFormatada,
+        appointment_time: horarioFormatado,
+        appointment_location: reminder.appointment_location
+      })
+      : null;
+    // Texto da IA guardado à parte: um replay reaproveita a mensagem, não o resumo do template
+    const generatedMessage = finalMessage;
+    if (template) {
+      finalMessage = describeTemplateMessage(template);
+    }
     
-    // ✅ Buscar instância WhatsApp (opcional - sistema interno como fallback)
-    const { data: instance, error: instanceError } = await supabase
-      .from('whatsapp_instances')
-      .select('name')
-      .eq('company_id', reminder.company_id)
-      .eq('status', 'connected')
-      .single();
+    executionLog.message_sent = finalMessage;
     
-    const instanceName = instance?.name || 'internal_system';
+    // ✅ Payload: texto + anexos da fila + pin do local (desligável com metadata.location_pin = false) + botões
+    // Template: mensagem única (sem anexos, pin ou botões) aceita fora da janela
+    const payload = {
+      subject: reminder.appointment_title,
+      text: finalMessage,
+      template,
+      media: template ? [] : normalizeMediaAttachments(currentStatus.media_attachments, { reminderId: reminder.id }),
+      location: template || currentStatus.metadata?.location_pin === false
+        ? null
+        : await buildLocationPin(reminder.appointment_location, config, reminder.appointment_title),
+      // Botões Confirmar / Remarcar / Cancelar (opções numeradas em canais sem botões)
+      interactive: !template && config.reminderInteractiveEnabled && currentStatus.metadata?.interactive !== false
+        ? buildReminderInteractive(reminder)
+        : null
+    };
     
-    if (instanceError || !instance?.name) {
-      logReminder('debug', 'WhatsApp instance não encontrada, usando sistema interno', {
-        reminderId: reminder.id,
-        ruleName: reminder.rule_name,
-        companyId: reminder.company_id,
-        appointmentTitle: reminder.appointment_title,
-        error: instanceError?.message
-      });
+    // ✅ Convite .ics no primeiro lembrete de cada horário (desligável com metadata.calendar_invite = false)
+    let calendarInvite = null;
+    if (!template && config.calendarInviteEnabled && currentStatus.metadata?.calendar_invite !== false) {
+      try {
+        const generated = await buildCalendarInviteAttachment(supabase, config, reminder);
+        if (generated) {
+          calendarInvite = generated.invite;
+          payload.media.push(generated.attachment);
+        }
+      } catch (inviteError) {
+        logReminder('warning', 'Erro ao gerar convite de calendário - lembrete segue sem .ics', {
+          reminderId: reminder.id,
+          appointmentId: reminder.appointment_id,
+          error: inviteError.message
+        });
+      }
     }
     
-    logReminder('debug', 'Instância para lembrete definida', {
-      reminderId: reminder.id,
-      ruleName: reminder.rule_name,
-      instanceName: instanceName,
-      companyId: reminder.company_id,
-      appointmentTitle: reminder.appointment_title,
-      type: instance?.name ? 'whatsapp' : 'internal'
-    });
-    
-    // ✅ Enviar mensagem via WhatsApp
-    logReminder('info', 'Enviando lembrete de appointment via WhatsApp', {
+    // ✅ Enviar mensagem pelo canal
+    logReminder('info', `Enviando lembrete de appointment via ${channel.type}`, {
       reminderId: reminder.id,
       ruleName: reminder.rule_name,
       reminderType: reminder.reminder_type,
       contactName: reminder.contact_name,
-      contactPhone: reminder.contact_phone?.substring(0, 8) + '...',
+      recipient: recipientAddress?.substring(0, 8) + '...',
       appointmentTitle: reminder.appointment_title,
       appointmentDate: dataFormatada,
       appointmentTime: horarioFormatado,
-      instanceName: instanceName,
+      channel: channel.type,
+      instanceName: channel.instanceName,
       messageLength: finalMessage.length,
+      mediaCount: payload.media.length,
+      hasLocationPin: !!payload.location,
       minutesBeforeAppointment: reminder.minutes_before
     });
     
-    const sendResult = await sendWhatsAppMessage(
-      instanceName,
-      reminder.contact_phone,
-      finalMessage
+    // ✅ Outbox: no máximo um envio por item (chave de idempotência = fila + id + tentativa)
+    const sendResult = await sendWithOutbox(
+      supabase,
+      {
+        queueTable: 'appointment_reminder_queue',
+        queueItemId: reminder.id,
+        attempt: currentStatus.attempts + 1,
+        metadata: currentStatus.metadata,
+        companyId: reminder.company_id,
+        instanceName: channel.instanceName || null,
+        recipient: recipientAddress,
+        payload: { channel: channel.type, ...describePayload(payload) },
+        workerId: config.workerId,
+        leaseConfig: config
+      },
+      (idempotencyKey, partProgress) => {
+        // Envio chegou ao provedor: o token reservado foi usado
+        reservedSendKey = null;
+        return send(
+          channel,
+          recipient,
+          payload,
+          {
+            idempotencyKey,
+            companyId: reminder.company_id,
+            source: { queueTable: 'appointment_reminder_queue', queueItemId: reminder.id },
+            humanized: shouldHumanizeSend(config, channel, currentStatus.metadata),
+            ...partProgress
+          }
+        );
+      }
     );
     
+    if (reservedSendKey) {
+      await refundSendCapacity(supabase, config, reservedSendKey);
+      reservedSendKey = null;
+    }
+    
     if (!sendResult.success) {
-      throw new Error(sendResult.error);
+      throw classifiedError(sendResult.error, sendResult.classification);
+    }
+    
+    // Uma mensagem por token: partes além da primeira são cobradas depois do envio
+    await chargeSendParts(supabase, config, rateLimitKey, sendResult.partsSent);
+    
+    if (sendResult.deduplicated) {
+      logReminder('warning', 'Mensagem já havia sido enviada - apenas finalizando o item', {
+        reminderId: reminder.id,
+        ruleName: reminder.rule_name,
+        contactName: reminder.contact_name,
+        appointmentTitle: reminder.appointment_title,
+        messageId: sendResult.messageId
+      });
     }
     
-    // ✅ Marcar como enviado
-    logReminder('debug', 'Marcando lembrete como enviado', { 
+    // ✅ Marcar como enviado (fila interna: aguardando confirmação do dispatcher)
+    const finalQueueStatus = sendResult.pendingDelivery ? 'awaiting_delivery' : 'sent';
+    
+    logReminder('debug', `Marcando lembrete como ${finalQueueStatus}`, { 
       reminderId: reminder.id,
       ruleName: reminder.rule_name,
       contactName: reminder.contact_name,
@@ -403,29 +854,58 @@ async function processAppointmentReminder(supabase, config, reminder, generatePe
     const { error: updateError } = await supabase
       .from('appointment_reminder_queue')
       .update({ 
-        status: 'sent',
+        status: finalQueueStatus,
+        ...leaseReleaseFields(),
         attempts: reminder.attempts + 1,
-        executed_at: new Date().toISOString(),
-        ai_generated_message: finalMessage
+        executed_at: sendResult.pendingDelivery ? null : new Date().toISOString(),
+        ai_generated_message: generatedMessage,
+        metadata: {
+          ...clearCircuitDeferral(currentStatus.metadata),
+          channel: channel.type,
+          session_window_open: sessionWindow?.open ?? null,
+          template_name: template?.name || null,
+          instance_name: channel.instanceName || null,
+          instance_routing: channel.routing || null,
+          location_pin_sent: !!payload.location,
+          // Objeto só no lembrete que levou o .ics (false = desligado pelo item)
+          calendar_invite: calendarInvite || currentStatus.metadata?.calendar_invite,
+          provider_message_ids: sendResult.messageIds || null
+        }
       })
       .eq('id', reminder.id);
     
     if (updateError) {
-      logReminder('error', 'ERRO CRÍTICO: Falha ao marcar lembrete como sent', { 
+      logReminder('error', `ERRO CRÍTICO: Falha ao marcar lembrete como ${finalQueueStatus}`, { 
         reminderId: reminder.id,
         ruleName: reminder.rule_name,
         contactName: reminder.contact_name,
         appointmentTitle: reminder.appointment_title,
         error: updateError.message
       });
-      throw new Error(`Erro ao marcar como sent: ${updateError.message}`);
+      throw classifiedError(`Erro ao marcar como ${finalQueueStatus}: ${updateError.message}`, classifySupabaseError(updateError));
     }
     
+    // ✅ Aguardar resposta do contato (confirmar / remarcar / cancelar)
+    await finalizeReminderSend(supabase, reminder, {
+      channel,
+      contactPhone,
+      interactive: !!payload.interactive
+    });
+    
     executionLog.success = true;
-    executionLog.reminder_sent = true;
+    executionLog.reminder_sent = !sendResult.pendingDelivery;
     executionLog.response_time_ms = Date.now() - startTime;
     
-    logReminder('success', `✅ LEMBRETE DE APPOINTMENT ENVIADO COM SUCESSO`, {
+    // Log antes de finalizar o outbox: queda daqui em diante é refeita pela reconciliação
+    await recordReminderLog(supabase, executionLog);
+    logRecorded = true;
+    
+    // Envio refletido na fila: reconciliação não precisa mais olhar este registro
+    await markOutboxFinalized(supabase, sendResult.outboxId);
+    
+    logReminder('success', sendResult.pendingDelivery
+      ? `✅ LEMBRETE ENFILEIRADO NO SISTEMA INTERNO (aguardando entrega)`
+      : `✅ LEMBRETE DE APPOINTMENT ENVIADO COM SUCESSO`, {
       reminderId: reminder.id,
       ruleName: reminder.rule_name,
       reminderType: reminder.reminder_type,
@@ -436,30 +916,54 @@ async function processAppointmentReminder(supabase, config, reminder, generatePe
       appointmentTime: horarioFormatado,
       appointmentLocation: reminder.appointment_location,
       agentName: agent.name,
-      instanceUsed: instanceName,
+      channelUsed: channel.type,
+      instanceUsed: channel.instanceName,
       responseTimeMs: executionLog.response_time_ms,
       messageLength: finalMessage.length,
-      whatsappMessageId: sendResult.messageId,
+      providerMessageId: sendResult.messageId,
       minutesBeforeAppointment: reminder.minutes_before
     });
     
-    return { success: true, messageId: sendResult.messageId };
+    return { success: true, messageId: sendResult.messageId, awaitingDelivery: !!sendResult.pendingDelivery };
     
   } catch (error) {
     executionLog.error_message = error.message;
     executionLog.response_time_ms = Date.now() - startTime;
     
-    // Atualizar tentativas
-    const newAttempts = reminder.attempts + 1;
-    const status = newAttempts >= reminder.max_attempts ? 'failed' : 'pending';
+    if (reservedSendKey) {
+      await refundSendCapacity(supabase, config, reservedSendKey);
+    }
+    
+    // Lease perdido no meio do envio: o item já é de outro worker, que continua das partes gravadas
+    if (error.failureCode === FAILURE_CODES.LEASE_LOST) {
+      executionLog.failure_code = FAILURE_CODES.LEASE_LOST;
+      logReminder('warning', 'Lease perdido durante o envio - lembrete fica com o outro worker', {
+        reminderId: reminder.id,
+        ruleName: reminder.rule_name,
+        error: error.message
+      });
+      return { success: false, skipped: true, reason: 'lease_lost' };
+    }
+    
+    // Atualizar tentativas e reagendar com backoff exponencial (nunca depois do appointment),
+    // preservando a metadata gravada no item
+    const storedMetadata = currentStatus
+      ? currentStatus.metadata
+      : await loadReminderMetadata(supabase, reminder.id);
+    const retry = buildRetryUpdate({ ...reminder, metadata: storedMetadata }, error, config, {
+      deadline: reminder.appointment_start_time
+    });
+    if (storedMetadata === undefined) {
+      // Metadata não pôde ser lida: melhor não gravar do que sobrescrever a existente
+      delete retry.update.metadata;
+    }
+    const newAttempts = retry.attempts;
+    const status = retry.finalStatus;
+    executionLog.failure_code = retry.classification.code;
     
     await supabase
       .from('appointment_reminder_queue')
-      .update({ 
-        attempts: newAttempts,
-        status: status,
-        execution_error: error.message
-      })
+      .update(retry.update)
       .eq('id', reminder.id);
     
     logReminder('error', `❌ ERRO NO LEMBRETE DE APPOINTMENT`, {
@@ -475,6 +979,9 @@ async function processAppointmentReminder(supabase, config, reminder, generatePe
       attempts: newAttempts,
       maxAttempts: reminder.max_attempts,
       finalStatus: status,
+      nextAttemptAt: retry.nextAttemptAt,
+      failureCode: retry.classification.code,
+      permanentFailure: retry.classification.permanent,
       responseTimeMs: executionLog.response_time_ms,
       minutesBeforeAppointment: reminder.minutes_before
     });
@@ -482,18 +989,341 @@ async function processAppointmentReminder(supabase, config, reminder, generatePe
     return { success: false, error: error.message };
     
   } finally {
-    // Registrar log de execução
-    try {
-      await supabase.from('appointment_reminder_logs').insert(executionLog);
-    } catch (logError) {
-      logReminder('warning', 'Erro ao registrar log de lembrete', { 
-        error: logError.message,
-        reminderId: reminder.id,
-        ruleName: reminder.rule_name,
-        appointmentTitle: reminder.appointment_title
+    if (!logRecorded) {
+      await recordReminderLog(supabase, executionLog);
+    }
+  }
+}
+
+// ===============================================
+// RESPOSTAS INTERATIVAS (CONFIRMAR / REMARCAR / CANCELAR)
+// ===============================================
+
+// Ações do lembrete: título do botão, respostas em texto aceitas e mensagem de retorno
+const REMINDER_ACTIONS = {
+  confirm: {
+    title: 'Confirmar',
+    keywords: ['1', 'confirmar', 'confirmo', 'confirmado', 'sim', 'ok'],
+    reply: 'Presença confirmada! ✅ Até lá.'
+  },
+  reschedule: {
+    title: 'Remarcar',
+    keywords: ['2', 'remarcar', 'reagendar', 'remarcacao', 'mudar horario'],
+    reply: 'Certo! Vamos entrar em contato para remarcar seu horário. 📅'
+  },
+  cancel: {
+    title: 'Cancelar',
+    keywords: ['3', 'cancelar', 'cancela', 'cancelado', 'nao vou'],
+    reply: 'Seu agendamento foi cancelado. Se quiser marcar novamente, é só nos chamar.'
+  }
+};
+
+/**
+ * Botões do lembrete (id = appt:<reminder_queue_id>:<ação>)
+ */
+function buildReminderInteractive(reminder) {
+  return {
+    prompt: 'Responda com o número da opção:',
+    buttons: Object.entries(REMINDER_ACTIONS).map(([action, definition]) => ({
+      id: `appt:${reminder.id}:${action}`,
+      title: definition.title
+    }))
+  };
+}
+
+/**
+ * Registra que o lembrete aguarda resposta do contato (até o início do appointment)
+ */
+async function recordReminderInteraction(supabase, reminder, channel, contactPhone) {
+  const { error } = await supabase
+    .from('appointment_reminder_interactions')
+    .upsert({
+      reminder_queue_id: reminder.id,
+      appointment_id: reminder.appointment_id,
+      company_id: reminder.company_id,
+      recipient_digits: phoneDigits(contactPhone),
+      channel_type: channel.type,
+      instance_name: channel.instanceName || null,
+      status: 'awaiting_reply',
+      expires_at: reminder.appointment_start_time
+    }, { onConflict: 'reminder_queue_id' });
+
+  if (error) {
+    logReminder('warning', 'Erro ao registrar interação do lembrete', {
+      reminderId: reminder.id,
+      appointmentId: reminder.appointment_id,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Interpreta a resposta: id do botão ou texto ("1", "confirmar", "cancelar"...)
+ */
+function parseReminderReply(event) {
+  const buttonMatch = String(event.buttonId || '').match(/^appt:([^:]+):(confirm|reschedule|cancel)$/);
+  if (buttonMatch) {
+    return { reminderQueueId: buttonMatch[1], action: buttonMatch[2] };
+  }
+
+  const normalized = String(event.text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9 ]/g, '')
+    .trim();
+
+  if (!normalized) {
+    return null;
+  }
+
+  const action = Object.keys(REMINDER_ACTIONS)
+    .find(key => REMINDER_ACTIONS[key].keywords.includes(normalized));
+
+  return action ? { reminderQueueId: null, action } : null;
+}
+
+/**
+ * Handler de mensagens recebidas: aplica a escolha do contato ao appointment.
+ * - confirm → appointment com status de confirmado
+ * - reschedule / cancel → status correspondente e lembretes pendentes cancelados
+ * A interação é buscada só na empresa da instância que recebeu a mensagem; resposta
+ * em texto vale apenas dentro de appointmentReplyWindowHours após o envio do lembrete.
+ * Retorna null se a mensagem não é resposta a um lembrete aguardando.
+ */
+async function handleReminderReply(supabase, config, event, send) {
+  const reply = parseReminderReply(event);
+  if (!reply) {
+    return null;
+  }
+
+  const companyId = await resolveSenderCompanyId(supabase, event);
+  if (!companyId) {
+    logReminder('warning', 'Resposta ao lembrete ignorada - empresa do remetente não identificada', {
+      provider: event.provider,
+      sender: event.sender,
+      action: reply.action
+    });
+    return null;
+  }
+
+  let query = supabase
+    .from('appointment_reminder_interactions')
+    .select('id, reminder_queue_id, appointment_id, company_id, recipient_digits, instance_name')
+    .eq('company_id', companyId)
+    .eq('status', 'awaiting_reply')
+    .gt('expires_at', new Date().toISOString());
+
+  if (reply.reminderQueueId) {
+    query = query.eq('reminder_queue_id', reply.reminderQueueId);
+  } else {
+    // "1", "sim"... só respondem a um lembrete recente, não a conversa de dias atrás
+    const windowStart = new Date(Date.now() - config.appointmentReplyWindowHours * 60 * 60 * 1000);
+    query = query
+      .eq('recipient_digits', event.from)
+      .gte('created_at', windowStart.toISOString());
+  }
+
+  const { data: interactions, error } = await query
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Erro ao buscar interação do lembrete: ${error.message}`);
+  }
+
+  const interaction = interactions?.[0];
+  if (!interaction) {
+    return null;
+  }
+
+  // UPDATE condicional: a mesma resposta entregue duas vezes pelo webhook é aplicada uma vez
+  const answeredAt = new Date().toISOString();
+  const { data: answered, error: answerError } = await supabase
+    .from('appointment_reminder_interactions')
+    .update({
+      status: 'answered',
+      answer: reply.action,
+      answered_at: answeredAt,
+      reply_external_id: event.externalId
+    })
+    .eq('id', interaction.id)
+    .eq('status', 'awaiting_reply')
+    .select('id');
+
+  if (answerError) {
+    throw new Error(`Erro ao registrar resposta do lembrete: ${answerError.message}`);
+  }
+  if (!answered?.length) {
+    return null;
+  }
+
+  const appointmentStatus = config.appointmentReplyStatuses[reply.action];
+  const { error: appointmentError } = await supabase
+    .from('appointments')
+    .update({ status: appointmentStatus, updated_at: answeredAt })
+    .eq('id', interaction.appointment_id);
+
+  if (appointmentError) {
+    throw new Error(`Erro ao atualizar appointment: ${appointmentError.message}`);
+  }
+
+  // Outras interações do mesmo appointment deixam de aguardar resposta
+  const { error: supersedeError } = await supabase
+    .from('appointment_reminder_interactions')
+    .update({ status: 'superseded' })
+    .eq('appointment_id', interaction.appointment_id)
+    .eq('status', 'awaiting_reply');
+
+  if (supersedeError) {
+    logReminder('warning', 'Erro ao encerrar outras interações do appointment', {
+      appointmentId: interaction.appointment_id,
+      error: supersedeError.message
+    });
+  }
+
+  let remindersCancelled = 0;
+  if (reply.action !== 'confirm') {
+    const { data: cancelled, error: cancelError } = await supabase
+      .from('appointment_reminder_queue')
+      .update({
+        status: 'cancelled',
+        execution_error: `Appointment ${appointmentStatus} pelo contato`,
+        ...leaseReleaseFields()
+      })
+      .eq('appointment_id', interaction.appointment_id)
+      .eq('company_id', interaction.company_id)
+      .eq('status', 'pending')
+      .select('id');
+
+    // A resposta já foi registrada (webhook repetido não reaplica): falha aqui não pode passar em silêncio
+    if (cancelError) {
+      logReminder('error', 'Erro ao cancelar lembretes pendentes do appointment', {
+        appointmentId: interaction.appointment_id,
+        appointmentStatus,
+        error: cancelError.message
       });
     }
+    remindersCancelled = cancelled?.length || 0;
+  }
+
+  const { error: logError } = await supabase.from('appointment_reminder_logs').insert({
+    reminder_queue_id: interaction.reminder_queue_id,
+    appointment_id: interaction.appointment_id,
+    company_id: interaction.company_id,
+    event_type: 'reply',
+    success: true,
+    details: {
+      action: reply.action,
+      appointment_status: appointmentStatus,
+      via: reply.reminderQueueId ? 'button' : 'text',
+      reply_external_id: event.externalId,
+      answered_at: answeredAt,
+      reminders_cancelled: remindersCancelled
+    }
+  });
+
+  if (logError) {
+    logReminder('warning', 'Erro ao registrar log da resposta ao lembrete', {
+      appointmentId: interaction.appointment_id,
+      error: logError.message
+    });
+  }
+
+  logReminder('success', 'Resposta ao lembrete aplicada ao appointment', {
+    appointmentId: interaction.appointment_id,
+    reminderQueueId: interaction.reminder_queue_id,
+    action: reply.action,
+    appointmentStatus
+  });
+
+  // Retorno ao contato pelo mesmo canal/instância
+  let ack;
+  try {
+    const channel = await resolveChannel(supabase, config, {
+      companyId: interaction.company_id,
+      contact: { phone: event.from },
+      preferredInstanceName: event.provider === 'evolution' ? event.sender : interaction.instance_name
+    });
+    ack = await send(channel, { phone: event.from }, { text: REMINDER_ACTIONS[reply.action].reply });
+  } catch (error) {
+    ack = { success: false, error: error.message };
   }
+
+  if (!ack.success) {
+    logReminder('warning', 'Erro ao enviar confirmação da resposta', {
+      appointmentId: interaction.appointment_id,
+      error: ack.error
+    });
+  }
+
+  return { action: reply.action, appointmentId: interaction.appointment_id, appointmentStatus };
+}
+
+// ===============================================
+// CANCELAMENTO POR CONTATO (OPT-OUT)
+// ===============================================
+
+/**
+ * Cancela os lembretes pendentes do contato (telefone comparado em E.164) na empresa.
+ * Itens já em processamento são cancelados pelo próprio processAppointmentReminder (lista de supressão).
+ * contact: { companyId, phoneDigits } - sem empresa nada é cancelado
+ */
+async function cancelContactReminders(supabase, { companyId, phoneDigits: digits }, reason) {
+  if (!digits || !companyId) {
+    return { cancelled: 0, ids: [] };
+  }
+
+  // Pré-filtro pelos últimos 8 dígitos (estáveis entre formatos); a comparação final é normalizada
+  const { data: pending, error } = await supabase
+    .from('appointment_reminder_queue')
+    .select('id, contact_phone, metadata')
+    .eq('status', 'pending')
+    .eq('company_id', companyId)
+    .ilike('contact_phone', `%${digits.slice(-8)}%`);
+
+  if (error) {
+    throw new Error(`Erro ao buscar lembretes do contato: ${error.message}`);
+  }
+
+  const cancelledIds = [];
+
+  for (const item of (pending || []).filter(row => normalizePhoneNumber(row.contact_phone).digits === digits)) {
+    // UPDATE condicional: item reservado por um worker nesse meio tempo fica com o worker
+    const { data: cancelled, error: cancelError } = await supabase
+      .from('appointment_reminder_queue')
+      .update({
+        status: 'cancelled',
+        execution_error: 'Contato pediu para não receber mais mensagens (opt-out)',
+        metadata: {
+          ...item.metadata,
+          cancelled_reason: reason,
+          cancelled_at: new Date().toISOString()
+        }
+      })
+      .eq('id', item.id)
+      .eq('status', 'pending')
+      .select('id');
+
+    if (cancelError) {
+      logReminder('warning', 'Erro ao cancelar lembrete do contato', { reminderId: item.id, error: cancelError.message });
+      continue;
+    }
+
+    if (cancelled?.length) {
+      cancelledIds.push(item.id);
+    }
+  }
+
+  if (cancelledIds.length > 0) {
+    logReminder('info', 'Lembretes pendentes cancelados a pedido do contato', {
+      companyId,
+      reason,
+      cancelled: cancelledIds.length
+    });
+  }
+
+  return { cancelled: cancelledIds.length, ids: cancelledIds };
 }
 
 // ===============================================
@@ -504,5 +1334,8 @@ module.exports = {
   getPendingAppointmentReminders,
   createAppointmentReminders,
   processAppointmentReminder,
+  finalizeOutboxReminder,
+  handleReminderReply,
+  cancelContactReminders,
   logReminder
 }; 
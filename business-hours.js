@@ -0,0 +1,255 @@
+/**
+ * ===============================================
+ * ZIONIC BUSINESS HOURS
+ * ===============================================
+ * Janelas de envio por empresa (horário comercial / horário de silêncio) no fuso
+ * da empresa. Item fora da janela é adiado para o próximo horário permitido,
+ * sem consumir tentativa.
+ *
+ * Configuração (company_business_hours):
+ * - timezone: 'America/Sao_Paulo'
+ * - follow_up_hours: { "mon": [["08:00", "18:00"]], ..., "sat": [["09:00", "13:00"]], "sun": [] }
+ * - reminder_hours: política separada para lembretes de appointment
+ * - rule_overrides: { "<rule_name>": { "hours": { ... } } } ("hours": null = sem restrição)
+ * Dia ausente ou lista vazia = sem envio no dia. Política null = sem restrição.
+ *
+ * @author Zionic Team
+ * @version 1.7.0
+ */
+
+const { FAILURE_CODES, classifySupabaseError, classifiedError } = require('./error-classifier');
+
+// ===============================================
+// UTILITÁRIOS DE LOG
+// ===============================================
+
+/**
+ * Log estruturado específico para horário comercial
+ */
+function logBusinessHours(level, message, data = {}) {
+  const timestamp = new Date().toISOString();
+  const emoji = {
+    info: 'ℹ️',
+    success: '✅',
+    warning: '⚠️',
+    error: '❌',
+    debug: '🔍'
+  };
+
+  console.log(`${emoji[level] || '📝'} [BUSINESS-HOURS] [${timestamp}] ${message}`,
+    Object.keys(data).length > 0 ? JSON.stringify(data, null, 2) : '');
+}
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Procura o próximo horário permitido em até uma semana à frente
+const SEARCH_DAYS = 8;
+
+// ===============================================
+// FUSO HORÁRIO
+// ===============================================
+
+/**
+ * Fuso válido para Intl? (nome IANA, ex.: America/Sao_Paulo)
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Data/hora local de um instante no fuso: { year, month, day, weekday, minutes }
+ */
+function getLocalParts(instant, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    weekday: 'short'
+  }).formatToParts(new Date(instant));
+
+  const value = type => parts.find(part => part.type === type)?.value;
+
+  return {
+    year: Number(value('year')),
+    month: Number(value('month')),
+    day: Number(value('day')),
+    weekday: WEEKDAYS.indexOf(value('weekday').toLowerCase().substring(0, 3)),
+    minutes: Number(value('hour')) * 60 + Number(value('minute'))
+  };
+}
+
+/**
+ * Diferença (ms) entre o horário local do fuso e UTC no instante informado
+ */
+function timezoneOffsetMs(instant, timezone) {
+  const local = getLocalParts(instant, timezone);
+  const asUtc = Date.UTC(local.year, local.month - 1, local.day, 0, local.minutes);
+  return asUtc - Math.floor(instant / 60000) * 60000;
+}
+
+/**
+ * Instante UTC de uma data/hora local no fuso (ajusta na troca de horário de verão)
+ */
+function zonedTimeToUtc(year, month, day, minutes, timezone) {
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+  const offset = timezoneOffsetMs(guess, timezone);
+  const candidate = guess - offset;
+  const correctedOffset = timezoneOffsetMs(candidate, timezone);
+
+  return correctedOffset === offset ? candidate : guess - correctedOffset;
+}
+
+// ===============================================
+// JANELAS
+// ===============================================
+
+/**
+ * "08:30" → 510 (minutos desde a meia-noite); "24:00" fecha o dia
+ */
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes <= 24 * 60 ? minutes : null;
+}
+
+/**
+ * Janelas do dia da semana em minutos, ordenadas: [{ start, end }]
+ */
+function windowsForWeekday(schedule, weekday) {
+  return (schedule[WEEKDAYS[weekday]] || [])
+    .map(([start, end]) => ({ start: parseClock(start), end: parseClock(end) }))
+    .filter(window => window.start !== null && window.end !== null && window.end > window.start)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * O instante está dentro da janela? Se não, qual o próximo horário permitido.
+ * Retorna { allowed, nextSlotAt, localWeekday, localMinutes }
+ */
+function checkSendWindow(policy, now = Date.now()) {
+  if (!policy.schedule) {
+    return { allowed: true, nextSlotAt: null };
+  }
+
+  const local = getLocalParts(now, policy.timezone);
+  const today = windowsForWeekday(policy.schedule, local.weekday);
+
+  if (today.some(window => local.minutes >= window.start && local.minutes < window.end)) {
+    return { allowed: true, nextSlotAt: null };
+  }
+
+  for (let offset = 0; offset < SEARCH_DAYS; offset++) {
+    const date = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+    const windows = windowsForWeekday(policy.schedule, date.getUTCDay())
+      .filter(window => offset > 0 || window.start > local.minutes);
+
+    if (windows.length > 0) {
+      const nextSlot = zonedTimeToUtc(
+        date.getUTCFullYear(),
+        date.getUTCMonth() + 1,
+        date.getUTCDate(),
+        windows[0].start,
+        policy.timezone
+      );
+
+      return {
+        allowed: false,
+        nextSlotAt: new Date(nextSlot).toISOString(),
+        localWeekday: WEEKDAYS[local.weekday],
+        localMinutes: local.minutes
+      };
+    }
+  }
+
+  // Nenhuma janela na semana: configuração inválida não bloqueia o envio
+  logBusinessHours('warning', 'Política sem nenhum horário permitido na semana - envio liberado', {
+    source: policy.source,
+    timezone: policy.timezone
+  });
+  return { allowed: true, nextSlotAt: null };
+}
+
+// ===============================================
+// POLÍTICA POR EMPRESA
+// ===============================================
+
+/**
+ * Política de envio da empresa para follow-ups ('follow_up') ou lembretes ('reminder'),
+ * com override por regra. Sem configuração: padrão do servidor (config).
+ * Retorna { timezone, schedule, source }
+ */
+async function getSendWindowPolicy(supabase, config, { companyId, kind, ruleName }) {
+  const { data: rows, error } = await supabase
+    .from('company_business_hours')
+    .select('timezone, follow_up_hours, reminder_hours, rule_overrides, enabled')
+    .eq('company_id', companyId)
+    .limit(1);
+
+  if (error) {
+    throw classifiedError(`Erro ao buscar horário comercial da empresa: ${error.message}`, classifySupabaseError(error));
+  }
+
+  const settings = rows?.[0]?.enabled === false ? null : rows?.[0];
+  const defaults = kind === 'reminder' ? config.defaultReminderHours : config.defaultBusinessHours;
+
+  let timezone = settings?.timezone || config.defaultTimezone;
+  if (!isValidTimezone(timezone)) {
+    logBusinessHours('warning', 'Fuso horário inválido - usando o padrão do servidor', {
+      companyId,
+      timezone,
+      fallback: config.defaultTimezone
+    });
+    timezone = config.defaultTimezone;
+  }
+
+  const override = ruleName ? settings?.rule_overrides?.[ruleName] : undefined;
+  if (override && 'hours' in override) {
+    return { timezone, schedule: override.hours, source: `rule:${ruleName}` };
+  }
+
+  if (settings) {
+    const schedule = kind === 'reminder' ? settings.reminder_hours : settings.follow_up_hours;
+    return { timezone, schedule: schedule || null, source: `company:${kind}` };
+  }
+
+  return { timezone, schedule: defaults || null, source: `default:${kind}` };
+}
+
+/**
+ * Erro de adiamento: o item volta para a fila no próximo horário permitido
+ */
+function outsideBusinessHoursError(check, policy) {
+  return classifiedError(`Fora do horário de envio (${policy.source}, ${policy.timezone})`, {
+    code: FAILURE_CODES.OUTSIDE_BUSINESS_HOURS,
+    permanent: false,
+    deferUntil: check.nextSlotAt,
+    deferReason: `business_hours:${policy.source}`
+  });
+}
+
+// ===============================================
+// EXPORTAÇÕES
+// ===============================================
+
+module.exports = {
+  isValidTimezone,
+  getLocalParts,
+  zonedTimeToUtc,
+  checkSendWindow,
+  getSendWindowPolicy,
+  outsideBusinessHoursError,
+  logBusinessHours
+};
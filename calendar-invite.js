@@ -0,0 +1,374 @@
+/**
+ * ===============================================
+ * ZIONIC CALENDAR INVITE
+ * ===============================================
+ * Convite de calendário (.ics, RFC 5545) anexado ao primeiro lembrete de cada
+ * horário de appointment. O UID é estável por appointment: remarcações geram
+ * um novo convite com SEQUENCE maior, que atualiza o mesmo evento.
+ *
+ * @author Zionic Team
+ * @version 1.7.0
+ */
+
+// ===============================================
+// UTILITÁRIOS DE LOG
+// ===============================================
+
+/**
+ * Log estruturado específico para convites de calendário
+ */
+function logCalendar(level, message, data = {}) {
+  const timestamp = new Date().toISOString();
+  const emoji = {
+    info: 'ℹ️',
+    success: '✅',
+    warning: '⚠️',
+    error: '❌',
+    debug: '🔍'
+  };
+
+  console.log(`${emoji[level] || '📝'} [CALENDAR] [${timestamp}] ${message}`,
+    Object.keys(data).length > 0 ? JSON.stringify(data, null, 2) : '');
+}
+
+// Validade do link assinado do arquivo (o contato abre o anexo logo após o envio)
+const SIGNED_URL_EXPIRES_SECONDS = 7 * 24 * 60 * 60;
+
+// ===============================================
+// GERAÇÃO DO .ics (RFC 5545)
+// ===============================================
+
+/**
+ * UID estável do evento: o mesmo para todas as versões do appointment
+ */
+function calendarInviteUid(appointmentId) {
+  return `appointment-${appointmentId}@zionic`;
+}
+
+/**
+ * Data em UTC no formato 20261018T183000Z
+ */
+function formatIcsDate(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escapa texto (\\ ; , e quebras de linha)
+ */
+function escapeIcsText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Dobra linhas com mais de 75 octetos (continuação começa com espaço)
+ */
+function foldIcsLine(line) {
+  const folded = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = folded.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      folded.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  folded.push(current);
+
+  return folded.join('\r\n ');
+}
+
+/**
+ * ORGANIZER;CN="Empresa":mailto:agenda@empresa.com
+ */
+function buildOrganizerLine(name, email) {
+  const commonName = name ? `;CN="${String(name).replace(/["\r\n]/g, '')}"` : '';
+  return `ORGANIZER${commonName}:mailto:${String(email).replace(/[\s"]/g, '')}`;
+}
+
+/**
+ * Monta o arquivo .ics de um appointment
+ * event: { uid, sequence, title, start, end, location, organizerName, organizerEmail, description }
+ * (sem organizerEmail o evento sai sem ORGANIZER)
+ */
+function buildIcsEvent(event) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Zionic//Appointment Reminders//PT-BR',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence}`,
+    `DTSTAMP:${formatIcsDate(Date.now())}`,
+    `DTSTART:${formatIcsDate(event.start)}`,
+    `DTEND:${formatIcsDate(event.end)}`,
+    `SUMMARY:${escapeIcsText(event.title)}`,
+    ...(event.location ? [`LOCATION:${escapeIcsText(event.location)}`] : []),
+    ...(event.description ? [`DESCRIPTION:${escapeIcsText(event.description)}`] : []),
+    ...(event.organizerEmail ? [buildOrganizerLine(event.organizerName, event.organizerEmail)] : []),
+    'STATUS:CONFIRMED',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// ===============================================
+// CORE: ANEXO DO LEMBRETE
+// ===============================================
+
+/**
+ * O convite já foi enviado para este horário do appointment?
+ * (remarcação muda o horário e libera um novo convite)
+ */
+async function wasInviteSentForStart(supabase, reminder) {
+  const { data: previous, error } = await supabase
+    .from('appointment_reminder_queue')
+    .select('id, metadata')
+    .eq('appointment_id', reminder.appointment_id)
+    .in('status', ['sent', 'awaiting_delivery'])
+    .neq('id', reminder.id);
+
+  if (error) {
+    throw new Error(`Erro ao buscar lembretes anteriores: ${error.message}`);
+  }
+
+  const start = new Date(reminder.appointment_start_time).getTime();
+  return (previous || []).some(row =>
+    row.metadata?.calendar_invite?.start &&
+    new Date(row.metadata.calendar_invite.start).getTime() === start
+  );
+}
+
+// Lembrete dono do claim nesses status não vai mais enviar o convite
+const RELEASED_CLAIM_STATUSES = new Set(['failed', 'cancelled']);
+
+/**
+ * Reserva o convite deste horário do appointment para o lembrete.
+ * true se o lembrete pode anexar o .ics (claim novo, já era dele numa retentativa,
+ * ou assumido de um lembrete que falhou/foi cancelado).
+ */
+async function claimInviteForStart(supabase, reminder) {
+  const claim = {
+    appointment_id: reminder.appointment_id,
+    start_time: new Date(reminder.appointment_start_time).toISOString(),
+    reminder_id: reminder.id
+  };
+
+  const { error } = await supabase
+    .from('appointment_calendar_invites')
+    .insert(claim);
+
+  if (!error) {
+    return true;
+  }
+  // 23505 = outro lembrete já reservou o convite deste horário
+  if (error.code !== '23505') {
+    throw new Error(`Erro ao reservar convite de calendário: ${error.message}`);
+  }
+
+  const { data: existing, error: readError } = await supabase
+    .from('appointment_calendar_invites')
+    .select('reminder_id')
+    .eq('appointment_id', claim.appointment_id)
+    .eq('start_time', claim.start_time)
+    .maybeSingle();
+
+  if (readError) {
+    throw new Error(`Erro ao ler convite de calendário reservado: ${readError.message}`);
+  }
+  if (!existing || existing.reminder_id === reminder.id) {
+    return !!existing;
+  }
+
+  const { data: owner, error: ownerError } = await supabase
+    .from('appointment_reminder_queue')
+    .select('status')
+    .eq('id', existing.reminder_id)
+    .maybeSingle();
+
+  if (ownerError) {
+    throw new Error(`Erro ao ler lembrete dono do convite: ${ownerError.message}`);
+  }
+  if (owner && !RELEASED_CLAIM_STATUSES.has(owner.status)) {
+    return false;
+  }
+
+  // Assume o claim só se ele ainda for do lembrete liberado (outro worker pode ter assumido antes)
+  const { data: taken, error: takeError } = await supabase
+    .from('appointment_calendar_invites')
+    .update({ reminder_id: reminder.id, claimed_at: new Date().toISOString() })
+    .eq('appointment_id', claim.appointment_id)
+    .eq('start_time', claim.start_time)
+    .eq('reminder_id', existing.reminder_id)
+    .select('id');
+
+  if (takeError) {
+    throw new Error(`Erro ao assumir convite de calendário: ${takeError.message}`);
+  }
+
+  return taken?.length > 0;
+}
+
+/**
+ * Desfaz o claim do lembrete quando o .ics não pôde ser publicado
+ * (o lembrete segue sem convite e o próximo pode levá-lo)
+ */
+async function releaseInviteClaim(supabase, reminder) {
+  const { error } = await supabase
+    .from('appointment_calendar_invites')
+    .delete()
+    .eq('appointment_id', reminder.appointment_id)
+    .eq('start_time', new Date(reminder.appointment_start_time).toISOString())
+    .eq('reminder_id', reminder.id);
+
+  if (error) {
+    logCalendar('warning', 'Erro ao liberar convite de calendário reservado', {
+      reminderId: reminder.id,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * E-mail do organizador: from_email do canal de e-mail ativo da empresa,
+ * senão config.calendarInviteOrganizerEmail (ou o remetente padrão de e-mail)
+ */
+async function getOrganizerEmail(supabase, config, reminder) {
+  const { data: channels, error } = await supabase
+    .from('company_channels')
+    .select('config')
+    .eq('company_id', reminder.company_id)
+    .eq('type', 'email')
+    .eq('status', 'active')
+    .order('is_default', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    logCalendar('warning', 'Erro ao buscar canal de e-mail da empresa - usando organizador padrão', {
+      companyId: reminder.company_id,
+      error: error.message
+    });
+  }
+
+  return channels?.[0]?.config?.from_email ||
+    config.calendarInviteOrganizerEmail ||
+    config.emailFromAddress ||
+    null;
+}
+
+/**
+ * Nome da empresa (organizador do evento)
+ */
+async function getCompanyName(supabase, reminder) {
+  if (reminder.company_name) {
+    return reminder.company_name;
+  }
+
+  const { data: company } = await supabase
+    .from('companies')
+    .select('name')
+    .eq('id', reminder.company_id)
+    .single();
+
+  return company?.name || null;
+}
+
+/**
+ * Gera o .ics, publica no storage (mesmo caminho por appointment) e retorna
+ * o anexo no formato de payload.media, ou null se o lembrete não deve levar convite.
+ * Retorna { attachment, invite } - invite vai para metadata.calendar_invite do lembrete
+ */
+async function buildCalendarInviteAttachment(supabase, config, reminder) {
+  if (await wasInviteSentForStart(supabase, reminder)) {
+    return null;
+  }
+  if (!await claimInviteForStart(supabase, reminder)) {
+    logCalendar('debug', 'Convite deste horário reservado por outro lembrete', {
+      reminderId: reminder.id,
+      appointmentId: reminder.appointment_id
+    });
+    return null;
+  }
+
+  const start = new Date(reminder.appointment_start_time);
+  const end = reminder.appointment_end_time
+    ? new Date(reminder.appointment_end_time)
+    : new Date(start.getTime() + config.calendarInviteDefaultMinutes * 60 * 1000);
+  const companyName = await getCompanyName(supabase, reminder);
+  const organizerEmail = await getOrganizerEmail(supabase, config, reminder);
+
+  const invite = {
+    uid: calendarInviteUid(reminder.appointment_id),
+    // Cresce a cada nova versão do convite (remarcações atualizam o mesmo evento)
+    sequence: Math.floor(Date.now() / 1000),
+    start: start.toISOString()
+  };
+
+  const ics = buildIcsEvent({
+    ...invite,
+    title: reminder.appointment_title || 'Agendamento',
+    end,
+    location: reminder.appointment_location,
+    organizerName: companyName,
+    organizerEmail,
+    description: companyName ? `Agendamento com ${companyName}` : null
+  });
+
+  const path = `${reminder.company_id}/${reminder.appointment_id}.ics`;
+  const { error: uploadError } = await supabase.storage
+    .from(config.calendarInviteBucket)
+    .upload(path, Buffer.from(ics, 'utf8'), { contentType: 'text/calendar; charset=utf-8', upsert: true });
+
+  if (uploadError) {
+    await releaseInviteClaim(supabase, reminder);
+    throw new Error(`Erro ao publicar convite de calendário: ${uploadError.message}`);
+  }
+
+  const { data: signed, error: signError } = await supabase.storage
+    .from(config.calendarInviteBucket)
+    .createSignedUrl(path, SIGNED_URL_EXPIRES_SECONDS);
+
+  if (signError || !signed?.signedUrl) {
+    await releaseInviteClaim(supabase, reminder);
+    throw new Error(`Erro ao gerar link do convite de calendário: ${signError?.message || 'sem URL'}`);
+  }
+
+  logCalendar('debug', 'Convite de calendário gerado', {
+    reminderId: reminder.id,
+    appointmentId: reminder.appointment_id,
+    uid: invite.uid,
+    sequence: invite.sequence
+  });
+
+  return {
+    invite,
+    attachment: {
+      type: 'document',
+      url: signed.signedUrl,
+      fileName: 'agendamento.ics',
+      mimeType: 'text/calendar',
+      caption: '📅 Adicione ao seu calendário'
+    }
+  };
+}
+
+// ===============================================
+// EXPORTAÇÕES
+// ===============================================
+
+module.exports = {
+  calendarInviteUid,
+  buildIcsEvent,
+  buildCalendarInviteAttachment,
+  logCalendar
+};
@@ -0,0 +1,711 @@
+/**
+ * ===============================================
+ * ZIONIC CHANNEL ADAPTERS
+ * ===============================================
+ * Adaptadores de canal de saída (Evolution API, WhatsApp Cloud API, SMS,
+ * e-mail e sistema interno) e seleção de canal por empresa/contato
+ *
+ * @author Zionic Team
+ * @version 1.7.0
+ */
+
+const axios = require('axios');
+const { enqueueInternalMessage } = require('./internal-queue');
+const { isBreakerOpen } = require('./circuit-breaker');
+const { FAILURE_CODES, classifiedError } = require('./error-classifier');
+const { mapsLink, splitMessageChunks, humanizedDelayMs, createDelayBudget } = require('./message-payload');
+
+// ===============================================
+// UTILITÁRIOS DE LOG
+// ===============================================
+
+/**
+ * Log estruturado específico para canais de envio
+ */
+function logChannel(level, message, data = {}) {
+  const timestamp = new Date().toISOString();
+  const emoji = {
+    info: 'ℹ️',
+    success: '✅',
+    warning: '⚠️',
+    error: '❌',
+    debug: '🔍'
+  };
+
+  console.log(`${emoji[level] || '📝'} [CHANNEL] [${timestamp}] ${message}`,
+    Object.keys(data).length > 0 ? JSON.stringify(data, null, 2) : '');
+}
+
+// ===============================================
+// ADAPTADORES
+// ===============================================
+// Interface de cada adaptador:
+// - upstream: nome do breaker global do provedor
+// - senderId(channel): identificador do remetente (instância, phone_number_id, número, e-mail)
+// - recipientAddress(recipient): endereço do destinatário nesse canal
+// - isConfigured(channel, config): credenciais disponíveis
+// - supportsInteractive(channel, config): botões nativos (sem ela → opções numeradas no texto)
+// - supportsTemplates: envio de templates aprovados (janela de 24h)
+// - send(channel, recipient, payload, options, config, supabase): envia e retorna { messageId }
+//   (envio em várias mensagens também retorna messageIds e partsSent)
+//   payload: { text, subject, media: [{ type, url, fileName, mimeType, caption }], location,
+//              interactive: { prompt, footer, buttons: [{ id, title }] },
+//              template: { name, language, parameters: [texto] } }
+//   options: { idempotencyKey, companyId, source, humanized, sentParts, onPartSent }
+//   (humanized: só canais WhatsApp; sentParts/onPartSent: retomada de envios em partes, ver sendParts)
+//   (erros HTTP são lançados e classificados pelo error-classifier;
+//   pendingDelivery = true quando a entrega só é confirmada depois, ex.: fila interna)
+
+/**
+ * Chave de idempotência de cada parte de um envio com várias mensagens
+ * (texto, mídias, localização): a primeira parte mantém a chave original
+ */
+function partIdempotencyKey(idempotencyKey, index) {
+  if (!idempotencyKey) {
+    return null;
+  }
+  return index === 0 ? idempotencyKey : `${idempotencyKey}:p${index}`;
+}
+
+/**
+ * Envia as partes em ordem, pulando as já entregues numa tentativa anterior
+ * (options.sentParts: { índice: id no provedor }). Cada parte entregue é avisada
+ * a options.onPartSent(índice, id) antes da próxima (outbox + renovação do lease).
+ * sendPart(part, index) envia uma parte e retorna o id no provedor.
+ * partsSent = partes enviadas nesta chamada (cada uma custa um token no rate limiter).
+ */
+async function sendParts(parts, options, sendPart) {
+  const sentParts = options.sentParts || {};
+  const messageIds = [];
+  let partsSent = 0;
+
+  for (const [index, part] of parts.entries()) {
+    if (sentParts[index]) {
+      messageIds.push(sentParts[index]);
+      continue;
+    }
+
+    const messageId = await sendPart(part, index);
+    messageIds.push(messageId);
+    partsSent++;
+
+    if (options.onPartSent) {
+      await options.onPartSent(index, messageId);
+    }
+  }
+
+  return { messageId: messageIds[0], messageIds, partsSent };
+}
+
+/**
+ * Texto com link do mapa para canais sem pin de localização
+ */
+function textWithLocationLink(payload) {
+  if (!payload.location) {
+    return payload.text;
+  }
+  const label = payload.location.name || payload.location.address || 'Localização';
+  return `${payload.text || ''}\n\n📍 ${label}: ${mapsLink(payload.location)}`.trim();
+}
+
+/**
+ * Número no formato aceito pela Evolution API (E.164 sem "+")
+ */
+function whatsappNumber(recipient) {
+  return recipient.phone.replace(/\D/g, '');
+}
+
+const evolutionAdapter = {
+  type: 'evolution',
+  upstream: 'evolution',
+  senderId: channel => channel.instanceName,
+  recipientAddress: recipient => recipient.phone,
+  isConfigured: (channel, config) =>
+    !!((channel.config?.api_url || config.evolutionApiUrl) && (channel.config?.api_key || config.evolutionApiKey)),
+  // Botões dependem da versão/conexão da instância (Baileys): opt-in por canal ou global
+  supportsInteractive: (channel, config) => channel.config?.buttons_enabled ?? config.evolutionButtonsEnabled,
+
+  /**
+   * Partes do envio: texto → mídias → pin de localização (uma mensagem cada).
+   * Envio humanizado: texto dividido em blocos e "digitando..." antes de cada parte
+   */
+  buildParts(recipient, payload, humanize) {
+    const parts = [];
+
+    if (payload.interactive) {
+      parts.push({
+        path: 'sendButtons',
+        body: {
+          number: whatsappNumber(recipient),
+          buttonMessage: {
+            title: payload.interactive.prompt || '',
+            description: payload.text,
+            footerText: payload.interactive.footer || '',
+            buttons: payload.interactive.buttons.map(button => ({
+              buttonId: button.id,
+              buttonText: { displayText: button.title }
+            }))
+          }
+        }
+      });
+    } else if (payload.text) {
+      const texts = humanize ? splitMessageChunks(payload.text, humanize.humanizedChunkMaxChars) : [payload.text];
+      for (const text of texts) {
+        parts.push({ path: 'sendText', body: { number: whatsappNumber(recipient), textMessage: { text } } });
+      }
+    }
+
+    for (const media of payload.media || []) {
+      parts.push(media.type === 'audio'
+        ? { path: 'sendWhatsAppAudio', body: { number: whatsappNumber(recipient), audioMessage: { audio: media.url } } }
+        : {
+          path: 'sendMedia',
+          body: {
+            number: whatsappNumber(recipient),
+            mediaMessage: {
+              mediatype: media.type,
+              fileName: media.fileName,
+              caption: media.caption || undefined,
+              media: media.url
+            }
+          }
+        });
+    }
+
+    if (payload.location) {
+      parts.push({
+        path: 'sendLocation',
+        body: {
+          number: whatsappNumber(recipient),
+          locationMessage: {
+            name: payload.location.name || undefined,
+            address: payload.location.address || undefined,
+            latitude: payload.location.latitude,
+            longitude: payload.location.longitude
+          }
+        }
+      });
+    }
+
+    if (humanize) {
+      // A Evolution mostra a presença pelo tempo de delay antes de entregar cada parte
+      // (a requisição só retorna depois do delay: soma limitada pelo lease)
+      const takeDelay = createDelayBudget(humanize);
+      for (const part of parts) {
+        const typedText = part.body.textMessage?.text ||
+          part.body.buttonMessage?.description ||
+          part.body.mediaMessage?.caption ||
+          '';
+        part.body.options = {
+          delay: takeDelay(humanizedDelayMs(typedText, humanize)),
+          presence: part.path === 'sendWhatsAppAudio' ? 'recording' : 'composing'
+        };
+      }
+    }
+
+    return parts;
+  },
+
+  async send(channel, recipient, payload, options, config) {
+    const apiUrl = channel.config?.api_url || config.evolutionApiUrl;
+    const parts = this.buildParts(recipient, payload, options.humanized ? config : null);
+
+    return sendParts(parts, options, async (part, index) => {
+      const idempotencyKey = partIdempotencyKey(options.idempotencyKey, index);
+      const response = await axios.post(
+        `${apiUrl}/message/${part.path}/${channel.instanceName}`,
+        part.body,
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'apikey': channel.config?.api_key || config.evolutionApiKey,
+            ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {})
+          }
+        }
+      );
+      return response.data?.key?.id || 'unknown';
+    });
+  }
+};
+
+const whatsappCloudAdapter = {
+  type: 'whatsapp_cloud',
+  upstream: 'whatsapp_cloud',
+  senderId: channel => channel.config?.phone_number_id,
+  recipientAddress: recipient => recipient.phone,
+  isConfigured: (channel, config) =>
+    !!(channel.config?.phone_number_id && (channel.config?.access_token || config.whatsappCloudAccessToken)),
+  supportsInteractive: () => true,
+  // Fora da janela de 24h só templates aprovados são aceitos (ver session-window)
+  supportsTemplates: true,
+
+  /**
+   * Partes do envio no formato da Cloud API: texto → mídias → localização
+   * (envio humanizado: texto dividido em blocos; template: uma única mensagem)
+   */
+  buildParts(payload, humanize) {
+    if (payload.template) {
+      return [{
+        type: 'template',
+        template: {
+          name: payload.template.name,
+          language: { code: payload.template.language },
+          components: payload.template.parameters.length > 0
+            ? [{ type: 'body', parameters: payload.template.parameters.map(text => ({ type: 'text', text })) }]
+            : []
+        }
+      }];
+    }
+
+    const parts = [];
+
+    if (payload.interactive) {
+      // Corpo de mensagem interativa aceita até 1024 caracteres: texto longo vai antes, separado
+      const longText = payload.text && payload.text.length > 1024;
+      if (longText) {
+        parts.push({ type: 'text', text: { preview_url: true, body: payload.text } });
+      }
+      parts.push({
+        type: 'interactive',
+        interactive: {
+          type: 'button',
+          body: { text: longText ? (payload.interactive.prompt || 'Escolha uma opção:') : payload.text },
+          ...(payload.interactive.footer ? { footer: { text: payload.interactive.footer } } : {}),
+          action: {
+            buttons: payload.interactive.buttons.slice(0, 3).map(button => ({
+              type: 'reply',
+              reply: { id: button.id, title: button.title.substring(0, 20) }
+            }))
+          }
+        }
+      });
+    } else if (payload.text) {
+      const texts = humanize ? splitMessageChunks(payload.text, humanize.humanizedChunkMaxChars) : [payload.text];
+      for (const body of texts) {
+        parts.push({ type: 'text', text: { preview_url: true, body } });
+      }
+    }
+
+    for (const media of payload.media || []) {
+      parts.push({
+        type: media.type,
+        [media.type]: {
+          link: media.url,
+          ...(media.caption && media.type !== 'audio' ? { caption: media.caption } : {}),
+          ...(media.type === 'document' ? { filename: media.fileName } : {})
+        }
+      });
+    }
+
+    if (payload.location) {
+      parts.push({
+        type: 'location',
+        location: {
+          latitude: payload.location.latitude,
+          longitude: payload.location.longitude,
+          name: payload.location.name || undefined,
+          address: payload.location.address || undefined
+        }
+      });
+    }
+
+    return parts;
+  },
+
+  async send(channel, recipient, payload, options, config) {
+    const parts = this.buildParts(payload, options.humanized ? config : null);
+    const takeDelay = createDelayBudget(config);
+
+    return sendParts(parts, options, async part => {
+      if (options.humanized) {
+        // Cloud API não tem presença "digitando" para mensagens iniciadas pela empresa: só a pausa
+        // (soma das pausas limitada pelo lease do item)
+        const typedText = part.text?.body || part.interactive?.body?.text || part[part.type]?.caption || '';
+        await new Promise(resolve => setTimeout(resolve, takeDelay(humanizedDelayMs(typedText, config))));
+      }
+
+      const response = await axios.post(
+        `https://graph.facebook.com/${config.whatsappCloudApiVersion}/${channel.config.phone_number_id}/messages`,
+        {
+          messaging_product: 'whatsapp',
+          recipient_type: 'individual',
+          to: whatsappNumber(recipient),
+          ...part
+        },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${channel.config.access_token || config.whatsappCloudAccessToken}`
+          }
+        }
+      );
+      return response.data?.messages?.[0]?.id || 'unknown';
+    });
+  }
+};
+
+const smsAdapter = {
+  type: 'sms',
+  upstream: 'sms',
+  senderId: (channel, config) => channel.config?.from_number || config.twilioFromNumber,
+  recipientAddress: recipient => recipient.phone,
+  isConfigured: (channel, config) =>
+    !!((channel.config?.account_sid || config.twilioAccountSid) &&
+      (channel.config?.auth_token || config.twilioAuthToken) &&
+      (channel.config?.from_number || config.twilioFromNumber)),
+
+  async send(channel, recipient, payload, options, config) {
+    const accountSid = channel.config?.account_sid || config.twilioAccountSid;
+    const form = new URLSearchParams({
+      To: recipient.phone,
+      From: channel.config?.from_number || config.twilioFromNumber,
+      Body: textWithLocationLink(payload)
+    });
+    // MMS: mídias vão como MediaUrl (localização vira link no texto)
+    for (const media of payload.media || []) {
+      form.append('MediaUrl', media.url);
+    }
+
+    const response = await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+      form.toString(),
+      {
+        auth: {
+          username: accountSid,
+          password: channel.config?.auth_token || config.twilioAuthToken
+        },
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          ...(options.idempotencyKey ? { 'I-Twilio-Idempotency-Token': options.idempotencyKey } : {})
+        }
+      }
+    );
+
+    return { messageId: response.data?.sid || 'unknown' };
+  }
+};
+
+const emailAdapter = {
+  type: 'email',
+  upstream: 'email',
+  senderId: (channel, config) => channel.config?.from_email || config.emailFromAddress,
+  recipientAddress: recipient => recipient.email,
+  isConfigured: (channel, config) =>
+    !!((channel.config?.api_key || config.sendgridApiKey) && (channel.config?.from_email || config.emailFromAddress)),
+
+  /**
+   * Baixa as mídias e monta os anexos (base64) no formato da SendGrid
+   */
+  async buildAttachments(payload, config) {
+    const attachments = [];
+
+    for (const media of payload.media || []) {
+      const response = await axios.get(media.url, {
+        responseType: 'arraybuffer',
+        maxContentLength: config.emailAttachmentMaxBytes,
+        timeout: 30000
+      });
+      attachments.push({
+        content: Buffer.from(response.data).toString('base64'),
+        filename: media.fileName,
+        type: media.mimeType || response.headers?.['content-type'] || undefined,
+        disposition: 'attachment'
+      });
+    }
+
+    return attachments;
+  },
+
+  async send(channel, recipient, payload, options, config) {
+    const attachments = await this.buildAttachments(payload, config);
+
+    const response = await axios.post(
+      'https://api.sendgrid.com/v3/mail/send',
+      {
+        personalizations: [{
+          to: [{ email: recipient.email, name: recipient.name || undefined }]
+        }],
+        from: {
+          email: channel.config?.from_email || config.emailFromAddress,
+          name: channel.config?.from_name || undefined
+        },
+        subject: payload.subject || channel.config?.default_subject || 'Nova mensagem',
+        content: [{ type: 'text/plain', value: textWithLocationLink(payload) }],
+        attachments: attachments.length > 0 ? attachments : undefined,
+        custom_args: options.idempotencyKey ? { idempotency_key: options.idempotencyKey } : undefined
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${channel.config?.api_key || config.sendgridApiKey}`
+        }
+      }
+    );
+
+    return { messageId: response.headers?.['x-message-id'] || 'unknown' };
+  }
+};
+
+const internalAdapter = {
+  type: 'internal',
+  upstream: null,
+  senderId: () => 'internal_system',
+  recipientAddress: recipient => recipient.phone || recipient.email,
+  isConfigured: () => true,
+
+  async send(channel, recipient, payload, options, config, supabase) {
+    // ✅ Sistema interno - mensagem fica na fila interna até o dispatcher confirmar a entrega
+    const queued = await enqueueInternalMessage(supabase, {
+      idempotencyKey: options.idempotencyKey,
+      companyId: options.companyId,
+      source: options.source,
+      recipient,
+      payload
+    });
+
+    logChannel('info', 'Mensagem enfileirada no sistema interno', {
+      internalMessageId: queued.id,
+      status: queued.status,
+      recipient: (recipient.phone || recipient.email)?.substring(0, 8) + '...',
+      messageLength: payload.text?.length || 0,
+      mediaCount: payload.media?.length || 0,
+      hasLocation: !!payload.location
+    });
+
+    return { messageId: queued.id, pendingDelivery: true };
+  }
+};
+
+const CHANNEL_ADAPTERS = {
+  evolution: evolutionAdapter,
+  whatsapp_cloud: whatsappCloudAdapter,
+  sms: smsAdapter,
+  email: emailAdapter,
+  internal: internalAdapter
+};
+
+// Preferência de canal do contato → tipos de adaptador aceitos
+const CHANNEL_PREFERENCES = {
+  whatsapp: ['whatsapp_cloud', 'evolution'],
+  sms: ['sms'],
+  email: ['email']
+};
+
+/**
+ * Adaptador do tipo informado (erro se desconhecido)
+ */
+function getChannelAdapter(type) {
+  const adapter = CHANNEL_ADAPTERS[type];
+  if (!adapter) {
+    throw new Error(`Canal desconhecido: ${type}`);
+  }
+  return adapter;
+}
+
+/**
+ * Chave do remetente (usada em limites de concorrência e breakers por remetente)
+ */
+function channelSenderKey(channel, config) {
+  const adapter = getChannelAdapter(channel.type);
+  return `${channel.type}:${adapter.senderId(channel, config) || 'default'}`;
+}
+
+// ===============================================
+// ROTEAMENTO DE INSTÂNCIAS WHATSAPP
+// ===============================================
+
+// Cursor do round-robin por empresa (instâncias conectadas sem padrão definido)
+const roundRobinCursors = new Map();
+
+/**
+ * Instância original da conversa: coluna/metadata da conversa ou a última
+ * mensagem enviada com instance_name registrado
+ */
+function getConversationInstanceName(conversation, recentMessages = []) {
+  const fromConversation = conversation?.instance_name || conversation?.metadata?.instance_name;
+  if (fromConversation) {
+    return fromConversation;
+  }
+
+  const withInstance = [...recentMessages].reverse().find(message => message.metadata?.instance_name);
+  return withInstance?.metadata?.instance_name || null;
+}
+
+/**
+ * Última instância usada com sucesso para o destinatário (registro do outbox)
+ */
+async function findLastInstanceForRecipient(supabase, companyId, recipient) {
+  if (!recipient) {
+    return null;
+  }
+
+  const { data: rows, error } = await supabase
+    .from('message_outbox')
+    .select('instance_name')
+    .eq('company_id', companyId)
+    .eq('recipient', recipient)
+    .eq('status', 'sent')
+    .not('instance_name', 'is', null)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    logChannel('warning', 'Erro ao buscar última instância do destinatário', { companyId, error: error.message });
+    return null;
+  }
+
+  return rows?.[0]?.instance_name || null;
+}
+
+/**
+ * Escolhe a instância Evolution entre as conectadas da empresa:
+ * 1. Instância preferida (a que a conversa usou), se conectada e com circuito fechado
+ * 2. Instância padrão da empresa (whatsapp_instances.is_default)
+ * 3. Round-robin entre as instâncias conectadas
+ * Retorna { name, routing, warmupStartedAt } ou null se a empresa não tem instância conectada.
+ * Erro na consulta é lançado como transitório: sem ele o envio cairia no sistema
+ * interno mesmo com instâncias conectadas.
+ */
+async function selectWhatsAppInstance(supabase, companyId, preferredInstanceName) {
+  const { data: instances, error } = await supabase
+    .from('whatsapp_instances')
+    .select('name, is_default, warmup_started_at')
+    .eq('company_id', companyId)
+    .eq('status', 'connected')
+    .order('name', { ascending: true });
+
+  if (error) {
+    logChannel('error', 'Erro ao buscar instâncias WhatsApp', { companyId, error: error.message });
+    throw classifiedError(`Erro ao buscar instâncias WhatsApp: ${error.message}`, {
+      code: FAILURE_CODES.DATABASE_UNAVAILABLE,
+      permanent: false
+    });
+  }
+
+  const connected = (instances || []).filter(instance => instance.name);
+  if (connected.length === 0) {
+    return null;
+  }
+
+  // Instâncias com circuito aberto só são usadas se não houver alternativa
+  const healthy = connected.filter(instance => !isBreakerOpen(`evolution:${instance.name}`));
+  const candidates = healthy.length > 0 ? healthy : connected;
+
+  const preferred = preferredInstanceName && candidates.find(instance => instance.name === preferredInstanceName);
+  if (preferred) {
+    return { name: preferred.name, routing: 'conversation', warmupStartedAt: preferred.warmup_started_at };
+  }
+
+  const companyDefault = candidates.find(instance => instance.is_default);
+  if (companyDefault) {
+    return { name: companyDefault.name, routing: 'company_default', warmupStartedAt: companyDefault.warmup_started_at };
+  }
+
+  const cursor = roundRobinCursors.get(companyId) || 0;
+  roundRobinCursors.set(companyId, cursor + 1);
+  const selected = candidates[cursor % candidates.length];
+  return { name: selected.name, routing: 'round_robin', warmupStartedAt: selected.warmup_started_at };
+}
+
+// ===============================================
+// CORE: SELEÇÃO DE CANAL
+// ===============================================
+
+/**
+ * Escolhe o canal de envio para um contato:
+ * 1. Preferência do contato (contacts.preferred_channel) entre os canais ativos da empresa
+ * 2. Canal padrão da empresa (company_channels.is_default)
+ * 3. Instância WhatsApp conectada (Evolution API) - ver selectWhatsAppInstance
+ * 4. Sistema interno
+ */
+async function resolveChannel(supabase, config, { companyId, contact, preferredInstanceName }) {
+  const { data: companyChannels, error: channelsError } = await supabase
+    .from('company_channels')
+    .select('id, type, name, is_default, config')
+    .eq('company_id', companyId)
+    .eq('status', 'active');
+
+  if (channelsError) {
+    logChannel('warning', 'Erro ao buscar canais da empresa - usando WhatsApp padrão', {
+      companyId,
+      error: channelsError.message
+    });
+  }
+
+  const usable = (companyChannels || []).filter(channel => {
+    const adapter = CHANNEL_ADAPTERS[channel.type];
+    return adapter && adapter.isConfigured(channel, config) && adapter.recipientAddress(contact || {});
+  });
+
+  // Canal Evolution sem instância fixa no config usa o roteamento de instâncias
+  const withInstance = async (channel, source) => {
+    if (channel.type !== 'evolution' || channel.config?.instance_name) {
+      return {
+        ...channel,
+        instanceName: channel.config?.instance_name,
+        warmupStartedAt: channel.config?.warmup_started_at,
+        source
+      };
+    }
+    const instance = await selectWhatsAppInstance(supabase, companyId, preferredInstanceName);
+    return instance
+      ? { ...channel, instanceName: instance.name, routing: instance.routing, warmupStartedAt: instance.warmupStartedAt, source }
+      : null;
+  };
+
+  const preferredTypes = CHANNEL_PREFERENCES[contact?.preferred_channel] || [];
+  const preferred = usable.find(channel => preferredTypes.includes(channel.type));
+  const preferredChannel = preferred && await withInstance(preferred, 'contact_preference');
+  if (preferredChannel) {
+    return preferredChannel;
+  }
+
+  const companyDefault = usable.find(channel => channel.is_default);
+  const defaultChannel = companyDefault && await withInstance(companyDefault, 'company_default');
+  if (defaultChannel) {
+    return defaultChannel;
+  }
+
+  // Sem telefone válido (ex.: contato só com e-mail) não há como usar o WhatsApp
+  if (contact?.phone && evolutionAdapter.isConfigured({}, config)) {
+    const instance = await selectWhatsAppInstance(supabase, companyId, preferredInstanceName);
+
+    if (instance) {
+      return {
+        type: 'evolution',
+        instanceName: instance.name,
+        config: {},
+        source: 'whatsapp_instance',
+        routing: instance.routing,
+        warmupStartedAt: instance.warmupStartedAt
+      };
+    }
+
+    logChannel('warning', 'Nenhuma instância WhatsApp conectada - usando sistema interno', {
+      companyId,
+      preferredInstanceName
+    });
+  }
+
+  return {
+    type: 'internal',
+    instanceName: 'internal_system',
+    config: {},
+    source: 'internal'
+  };
+}
+
+// ===============================================
+// EXPORTAÇÕES
+// ===============================================
+
+module.exports = {
+  CHANNEL_ADAPTERS,
+  getChannelAdapter,
+  channelSenderKey,
+  getConversationInstanceName,
+  findLastInstanceForRecipient,
+  selectWhatsAppInstance,
+  resolveChannel,
+  logChannel
+};
@@ -0,0 +1,272 @@
+/**
+ * ===============================================
+ * ZIONIC CIRCUIT BREAKERS
+ * ===============================================
+ * Circuit breakers por upstream (OpenAI, Evolution API) e por instância
+ * Evolution. Com o circuito aberto os itens são adiados sem consumir tentativas.
+ *
+ * @author Zionic Team
+ * @version 1.7.0
+ */
+
+const { FAILURE_CODES, classifyError, classifiedError } = require('./error-classifier');
+
+// ===============================================
+// UTILITÁRIOS DE LOG
+// ===============================================
+
+/**
+ * Log estruturado específico para circuit breakers
+ */
+function logBreaker(level, message, data = {}) {
+  const timestamp = new Date().toISOString();
+  const emoji = {
+    info: 'ℹ️',
+    success: '✅',
+    warning: '⚠️',
+    error: '❌',
+    debug: '🔍'
+  };
+
+  console.log(`${emoji[level] || '📝'} [CIRCUIT-BREAKER] [${timestamp}] ${message}`,
+    Object.keys(data).length > 0 ? JSON.stringify(data, null, 2) : '');
+}
+
+// Registro global de breakers (por nome: 'openai', provedor ('evolution', 'sms', ...) e remetente ('evolution:<instância>'))
+const breakers = new Map();
+
+// Falhas permanentes que ainda assim indicam upstream inutilizável para todos os itens
+const SYSTEMIC_FAILURE_CODES = new Set([
+  FAILURE_CODES.OPENAI_AUTH_FAILED,
+  FAILURE_CODES.OPENAI_QUOTA_EXCEEDED,
+  FAILURE_CODES.CHANNEL_AUTH_FAILED
+]);
+
+// ===============================================
+// CORE: BREAKER
+// ===============================================
+
+/**
+ * Obtém (ou cria) o breaker com o nome informado.
+ * options: { failureThreshold, openSeconds }
+ *
+ * Estados:
+ * - closed: requisições liberadas; falhas consecutivas >= threshold → open
+ * - open: requisições bloqueadas até openUntil
+ * - half_open: uma requisição de teste; sucesso → closed, falha → open
+ */
+function getCircuitBreaker(name, options = {}) {
+  if (breakers.has(name)) {
+    return breakers.get(name);
+  }
+
+  const breaker = {
+    name,
+    state: 'closed',
+    failureThreshold: options.failureThreshold || 5,
+    openSeconds: options.openSeconds || 60,
+    consecutiveFailures: 0,
+    openUntil: null,
+    probeInFlight: false,
+    lastFailure: null,
+    lastStateChange: new Date().toISOString(),
+    totalOpened: 0
+  };
+
+  breakers.set(name, breaker);
+  return breaker;
+}
+
+function transition(breaker, state) {
+  if (breaker.state === state) {
+    return;
+  }
+
+  const previous = breaker.state;
+  breaker.state = state;
+  breaker.lastStateChange = new Date().toISOString();
+
+  logBreaker(state === 'open' ? 'error' : state === 'closed' ? 'success' : 'warning',
+    `Circuito ${breaker.name}: ${previous} → ${state}`, {
+      consecutiveFailures: breaker.consecutiveFailures,
+      openUntil: breaker.openUntil ? new Date(breaker.openUntil).toISOString() : null,
+      lastFailure: breaker.lastFailure
+    });
+}
+
+/**
+ * Verifica se uma requisição pode passar pelo breaker
+ */
+function canRequest(breaker) {
+  if (breaker.state === 'closed') {
+    return true;
+  }
+
+  if (breaker.state === 'open') {
+    if (Date.now() < breaker.openUntil) {
+      return false;
+    }
+    transition(breaker, 'half_open');
+  }
+
+  // half_open: apenas uma requisição de teste por vez
+  if (breaker.probeInFlight) {
+    return false;
+  }
+  breaker.probeInFlight = true;
+  return true;
+}
+
+function recordSuccess(breaker) {
+  breaker.consecutiveFailures = 0;
+  breaker.probeInFlight = false;
+  breaker.openUntil = null;
+  transition(breaker, 'closed');
+}
+
+function recordFailure(breaker, reason) {
+  breaker.consecutiveFailures++;
+  breaker.probeInFlight = false;
+  breaker.lastFailure = {
+    at: new Date().toISOString(),
+    reason
+  };
+
+  if (breaker.state === 'half_open' || breaker.consecutiveFailures >= breaker.failureThreshold) {
+    breaker.openUntil = Date.now() + breaker.openSeconds * 1000;
+    breaker.totalOpened++;
+    transition(breaker, 'open');
+  }
+}
+
+/**
+ * Consulta sem efeito colateral: breaker existe e está aberto (ainda dentro de openUntil)
+ */
+function isBreakerOpen(name) {
+  const breaker = breakers.get(name);
+  return !!breaker && breaker.state === 'open' && Date.now() < breaker.openUntil;
+}
+
+/**
+ * Lança circuitOpenError se algum breaker (por nome) estiver aberto, sem reservar
+ * vaga de teste. Usada antes de gastar com IA um item que o canal não vai enviar.
+ */
+function assertBreakersClosed(names) {
+  for (const name of names) {
+    if (name && isBreakerOpen(name)) {
+      throw circuitOpenError(breakers.get(name));
+    }
+  }
+}
+
+/**
+ * Libera a vaga de teste sem contar sucesso/falha (ex.: erro permanente do item,
+ * que não diz nada sobre a saúde do upstream)
+ */
+function recordNeutral(breaker) {
+  breaker.probeInFlight = false;
+}
+
+/**
+ * Erro de circuito aberto: o item deve ser adiado até o circuito reabrir
+ */
+function circuitOpenError(breaker) {
+  return classifiedError(`Circuito ${breaker.name} aberto - upstream indisponível`, {
+    code: FAILURE_CODES.CIRCUIT_OPEN,
+    permanent: false,
+    deferUntil: new Date(breaker.openUntil || Date.now() + breaker.openSeconds * 1000).toISOString(),
+    deferReason: `circuit_open:${breaker.name}`
+  });
+}
+
+/**
+ * Primeiro breaker bloqueado da lista (ou null se todos liberam a requisição)
+ */
+function findOpenBreaker(breakerList) {
+  const allowed = [];
+
+  for (const breaker of breakerList) {
+    if (!canRequest(breaker)) {
+      // Devolve vagas de teste já reservadas nos breakers anteriores
+      allowed.forEach(recordNeutral);
+      return breaker;
+    }
+    allowed.push(breaker);
+  }
+
+  return null;
+}
+
+/**
+ * Executa fn protegida pelos breakers informados.
+ * - Algum breaker aberto → lança circuitOpenError (sem chamar o upstream)
+ * - Sucesso → fecha todos
+ * - Falha transitória (ou sistêmica) → conta nos breakers retornados por chargeFor(classification)
+ * - Falha permanente do item (ex.: número inválido) → não afeta os breakers
+ */
+async function runWithBreakers(breakerList, fn, chargeFor = () => breakerList) {
+  const openBreaker = findOpenBreaker(breakerList);
+  if (openBreaker) {
+    throw circuitOpenError(openBreaker);
+  }
+
+  try {
+    const result = await fn();
+    breakerList.forEach(recordSuccess);
+    return result;
+  } catch (error) {
+    const classification = classifyError(error);
+    const charged = classification.permanent && !SYSTEMIC_FAILURE_CODES.has(classification.code)
+      ? []
+      : chargeFor(classification);
+
+    breakerList.forEach(breaker => {
+      if (charged.includes(breaker)) {
+        recordFailure(breaker, `${classification.code}: ${error.message}`);
+      } else {
+        recordNeutral(breaker);
+      }
+    });
+
+    throw error;
+  }
+}
+
+// ===============================================
+// ESTADO (HTTP)
+// ===============================================
+
+/**
+ * Fotografia do estado de todos os breakers
+ */
+function getBreakerStates() {
+  return [...breakers.values()].map(breaker => ({
+    name: breaker.name,
+    state: breaker.state === 'open' && Date.now() >= breaker.openUntil ? 'half_open_pending' : breaker.state,
+    consecutiveFailures: breaker.consecutiveFailures,
+    failureThreshold: breaker.failureThreshold,
+    openUntil: breaker.openUntil ? new Date(breaker.openUntil).toISOString() : null,
+    lastFailure: breaker.lastFailure,
+    lastStateChange: breaker.lastStateChange,
+    totalOpened: breaker.totalOpened
+  }));
+}
+
+// ===============================================
+// EXPORTAÇÕES
+// ===============================================
+
+module.exports = {
+  getCircuitBreaker,
+  canRequest,
+  isBreakerOpen,
+  assertBreakersClosed,
+  findOpenBreaker,
+  recordSuccess,
+  recordFailure,
+  recordNeutral,
+  circuitOpenError,
+  runWithBreakers,
+  getBreakerStates,
+  logBreaker
+};
@@ -0,0 +1,271 @@
+/**
+ * ===============================================
+ * ZIONIC DEAD LETTER
+ * ===============================================
+ * Visão de itens com status 'failed' (follow-ups e lembretes) agrupados por
+ * erro/classe de falha, com requeue/replay em lote auditado
+ *
+ * @author Zionic Team
+ * @version 1.7.0
+ */
+
+const { leaseReleaseFields } = require('./queue-lease');
+
+// ===============================================
+// UTILITÁRIOS DE LOG
+// ===============================================
+
+/**
+ * Log estruturado específico para dead letters
+ */
+function logDeadLetter(level, message, data = {}) {
+  const timestamp = new Date().toISOString();
+  const emoji = {
+    info: 'ℹ️',
+    success: '✅',
+    warning: '⚠️',
+    error: '❌',
+    debug: '🔍'
+  };
+
+  console.log(`${emoji[level] || '📝'} [DEAD-LETTER] [${timestamp}] ${message}`,
+    Object.keys(data).length > 0 ? JSON.stringify(data, null, 2) : '');
+}
+
+// ===============================================
+// FILAS SUPORTADAS
+// ===============================================
+
+const DEAD_LETTER_QUEUES = {
+  'follow-ups': {
+    table: 'follow_up_queue',
+    logTable: 'follow_up_logs',
+    logQueueIdColumn: 'follow_up_queue_id'
+  },
+  'reminders': {
+    table: 'appointment_reminder_queue',
+    logTable: 'appointment_reminder_logs',
+    logQueueIdColumn: 'reminder_queue_id'
+  }
+};
+
+// Limite de itens por operação de requeue (evita updates gigantes por request)
+const MAX_REQUEUE_BATCH = 500;
+
+function resolveQueue(queueName) {
+  const queue = DEAD_LETTER_QUEUES[queueName];
+  if (!queue) {
+    throw new Error(`Fila desconhecida: ${queueName} (use ${Object.keys(DEAD_LETTER_QUEUES).join(', ')})`);
+  }
+  return queue;
+}
+
+/**
+ * Monta a consulta de itens failed com filtros opcionais
+ */
+function buildFailedQuery(supabase, queue, filters, limit) {
+  let query = supabase
+    .from(queue.table)
+    .select('id, company_id, agent_id, rule_name, attempts, max_attempts, scheduled_at, execution_error, failure_code, metadata, ai_generated_message')
+    .eq('status', 'failed')
+    .order('scheduled_at', { ascending: true })
+    .limit(limit);
+
+  if (filters.ids?.length > 0) {
+    query = query.in('id', filters.ids);
+  }
+  if (filters.companyId) {
+    query = query.eq('company_id', filters.companyId);
+  }
+  if (filters.failureCode) {
+    query = query.eq('failure_code', filters.failureCode);
+  }
+  if (filters.executionError) {
+    query = query.eq('execution_error', filters.executionError);
+  }
+
+  return query;
+}
+
+// ===============================================
+// CORE: LISTAGEM AGRUPADA
+// ===============================================
+
+/**
+ * Lista itens failed agrupados por (classe de falha, failure_code, execution_error)
+ */
+async function listDeadLetters(supabase, queueName, filters = {}) {
+  const queue = resolveQueue(queueName);
+  const limit = Math.min(filters.limit || 1000, 5000);
+
+  const { data: items, error } = await buildFailedQuery(supabase, queue, filters, limit);
+
+  if (error) {
+    throw new Error(`Erro ao buscar dead letters: ${error.message}`);
+  }
+
+  const groups = new Map();
+
+  for (const item of items || []) {
+    const failureClass = item.metadata?.failure_class || 'unknown';
+    const failureCode = item.failure_code || 'unknown_error';
+    const key = `${failureClass}|${failureCode}|${item.execution_error || ''}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        failureClass,
+        failureCode,
+        executionError: item.execution_error,
+        count: 0,
+        companies: new Set(),
+        rules: new Set(),
+        oldestScheduledAt: item.scheduled_at,
+        sampleIds: []
+      });
+    }
+
+    const group = groups.get(key);
+    group.count++;
+    group.companies.add(item.company_id);
+    if (item.rule_name) {
+      group.rules.add(item.rule_name);
+    }
+    if (group.sampleIds.length < 20) {
+      group.sampleIds.push(item.id);
+    }
+  }
+
+  const grouped = [...groups.values()]
+    .map(group => ({
+      ...group,
+      companies: [...group.companies],
+      rules: [...group.rules]
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    queue: queueName,
+    totalFailed: items?.length || 0,
+    truncated: (items?.length || 0) >= limit,
+    groups: grouped
+  };
+}
+
+// ===============================================
+// CORE: REQUEUE / REPLAY
+// ===============================================
+
+/**
+ * Devolve itens failed para 'pending' com novo scheduled_at.
+ * options.regenerateMessage = false reaproveita ai_generated_message já gerada.
+ * Cada replay é registrado em metadata.replays e na tabela de logs da fila.
+ */
+async function requeueDeadLetters(supabase, queueName, filters = {}, options = {}) {
+  const queue = resolveQueue(queueName);
+
+  if (!filters.ids?.length && !filters.failureCode && !filters.executionError && !filters.companyId) {
+    throw new Error('Informe ids, failure_code, execution_error ou company_id para o requeue');
+  }
+
+  const scheduledAt = options.scheduledAt ? new Date(options.scheduledAt) : new Date();
+  if (isNaN(scheduledAt.getTime())) {
+    throw new Error(`scheduled_at inválido: ${options.scheduledAt}`);
+  }
+
+  const { data: items, error } = await buildFailedQuery(supabase, queue, filters, MAX_REQUEUE_BATCH);
+
+  if (error) {
+    throw new Error(`Erro ao buscar itens para requeue: ${error.message}`);
+  }
+
+  const replayedAt = new Date().toISOString();
+  const requeued = [];
+  const failed = [];
+
+  for (const item of items || []) {
+    const replay = {
+      replayed_at: replayedAt,
+      requested_by: options.requestedBy || null,
+      reason: options.reason || null,
+      new_scheduled_at: scheduledAt.toISOString(),
+      regenerate_message: !!options.regenerateMessage,
+      previous_error: item.execution_error,
+      previous_failure_code: item.failure_code,
+      previous_attempts: item.attempts
+    };
+
+    const { data: updated, error: updateError } = await supabase
+      .from(queue.table)
+      .update({
+        status: 'pending',
+        attempts: 0,
+        scheduled_at: scheduledAt.toISOString(),
+        execution_error: null,
+        failure_code: null,
+        ...leaseReleaseFields(),
+        metadata: {
+          ...item.metadata,
+          next_attempt_at: null,
+          reuse_generated_message: !options.regenerateMessage && !!item.ai_generated_message,
+          replays: [...(item.metadata?.replays || []), replay]
+        }
+      })
+      .eq('id', item.id)
+      .eq('status', 'failed')
+      .select('id');
+
+    if (updateError || !updated?.length) {
+      failed.push({ id: item.id, error: updateError?.message || 'Item não está mais failed' });
+      continue;
+    }
+
+    requeued.push(item.id);
+
+    const { error: logError } = await supabase.from(queue.logTable).insert({
+      [queue.logQueueIdColumn]: item.id,
+      agent_id: item.agent_id,
+      company_id: item.company_id,
+      rule_name: item.rule_name,
+      event_type: 'replay',
+      success: true,
+      error_message: item.execution_error,
+      failure_code: item.failure_code,
+      details: replay
+    });
+
+    if (logError) {
+      logDeadLetter('warning', 'Erro ao registrar replay no log da fila', {
+        queue: queueName,
+        itemId: item.id,
+        error: logError.message
+      });
+    }
+  }
+
+  logDeadLetter('success', `${requeued.length} itens devolvidos para a fila`, {
+    queue: queueName,
+    requeued: requeued.length,
+    failed: failed.length,
+    scheduledAt: scheduledAt.toISOString(),
+    regenerateMessage: !!options.regenerateMessage,
+    requestedBy: options.requestedBy
+  });
+
+  return {
+    queue: queueName,
+    requeued,
+    failed,
+    truncated: (items?.length || 0) >= MAX_REQUEUE_BATCH
+  };
+}
+
+// ===============================================
+// EXPORTAÇÕES
+// ===============================================
+
+module.exports = {
+  DEAD_LETTER_QUEUES,
+  listDeadLetters,
+  requeueDeadLetters,
+  logDeadLetter
+};
@@ -0,0 +1,304 @@
+/**
+ * ===============================================
+ * ZIONIC DELIVERY RECEIPTS
+ * ===============================================
+ * Confirmações de entrega e leitura (webhook de status dos provedores):
+ * avança messages.status e follow_up_logs.delivery_status e calcula
+ * taxas de entrega/leitura por regra de follow-up
+ *
+ * Estados: pending → sent → delivered → read (ou failed antes da entrega)
+ * Confirmação que chega antes do log do follow-up é guardada e aplicada quando
+ * o log é gravado (reconcilePendingReceipts).
+ *
+ * @author Zionic Team
+ * @version 1.7.0
+ */
+
+// ===============================================
+// UTILITÁRIOS DE LOG
+// ===============================================
+
+/**
+ * Log estruturado específico para confirmações de entrega
+ */
+function logReceipts(level, message, data = {}) {
+  const timestamp = new Date().toISOString();
+  const emoji = {
+    info: 'ℹ️',
+    success: '✅',
+    warning: '⚠️',
+    error: '❌',
+    debug: '🔍'
+  };
+
+  console.log(`${emoji[level] || '📝'} [RECEIPTS] [${timestamp}] ${message}`,
+    Object.keys(data).length > 0 ? JSON.stringify(data, null, 2) : '');
+}
+
+// Status a partir dos quais cada novo status pode ser aplicado.
+// Webhooks chegam fora de ordem: um 'delivered' atrasado não desfaz um 'read'.
+const PREVIOUS_STATUSES = {
+  sent: ['pending'],
+  delivered: ['pending', 'sent'],
+  read: ['pending', 'sent', 'delivered'],
+  failed: ['pending', 'sent']
+};
+
+// Coluna de horário registrada em follow_up_logs para cada status
+const STATUS_TIMESTAMP_COLUMN = {
+  delivered: 'delivered_at',
+  read: 'read_at',
+  failed: 'failed_at'
+};
+
+// Ordem de aplicação das confirmações guardadas
+const STATUS_ORDER = ['sent', 'delivered', 'read', 'failed'];
+
+// ===============================================
+// CORE: APLICAR STATUS
+// ===============================================
+
+/**
+ * Handler de status recebido via webhook (event.kind = 'status').
+ * Id externo ainda sem mensagem nem log (envio em andamento) fica em
+ * pending_delivery_receipts; retorna null nesse caso.
+ * options.storeUnmatched = false não guarda (usado na própria reconciliação).
+ */
+async function applyDeliveryStatus(supabase, event, options = {}) {
+  const previousStatuses = PREVIOUS_STATUSES[event.status];
+  if (!previousStatuses || !event.externalId) {
+    return null;
+  }
+
+  // UPDATE condicional: só avança o status (nunca regride)
+  const { data: messages, error: messageError } = await supabase
+    .from('messages')
+    .update({ status: event.status })
+    .eq('external_id', event.externalId)
+    .eq('direction', 'outbound')
+    .in('status', previousStatuses)
+    .select('id');
+
+  if (messageError) {
+    throw new Error(`Erro ao atualizar status da mensagem: ${messageError.message}`);
+  }
+
+  const logUpdate = { delivery_status: event.status };
+  if (STATUS_TIMESTAMP_COLUMN[event.status]) {
+    logUpdate[STATUS_TIMESTAMP_COLUMN[event.status]] = event.timestamp;
+  }
+  if (event.status === 'failed') {
+    logUpdate.delivery_error = event.error;
+  }
+
+  const { data: logs, error: logError } = await supabase
+    .from('follow_up_logs')
+    .update(logUpdate)
+    .eq('external_message_id', event.externalId)
+    .in('delivery_status', previousStatuses)
+    .select('id, rule_name');
+
+  if (logError) {
+    throw new Error(`Erro ao atualizar status de entrega do log: ${logError.message}`);
+  }
+
+  // Leitura sem confirmação de entrega anterior: lida implica entregue
+  if (event.status === 'read' && logs?.length > 0) {
+    await supabase
+      .from('follow_up_logs')
+      .update({ delivered_at: event.timestamp })
+      .in('id', logs.map(row => row.id))
+      .is('delivered_at', null);
+  }
+
+  if (!messages?.length && !logs?.length) {
+    if (options.storeUnmatched !== false) {
+      await storePendingReceipt(supabase, event);
+    }
+    return null;
+  }
+
+  logReceipts(event.status === 'failed' ? 'warning' : 'debug', `Mensagem ${event.status}`, {
+    provider: event.provider,
+    externalId: event.externalId,
+    ruleName: logs?.[0]?.rule_name,
+    error: event.error || undefined
+  });
+
+  return {
+    status: event.status,
+    messagesUpdated: messages?.length || 0,
+    logsUpdated: logs?.length || 0
+  };
+}
+
+// ===============================================
+// CONFIRMAÇÕES ANTES DO LOG
+// ===============================================
+
+/**
+ * Guarda a confirmação de um id externo ainda desconhecido (mesmo status repetido é ignorado)
+ */
+async function storePendingReceipt(supabase, event) {
+  const { error } = await supabase
+    .from('pending_delivery_receipts')
+    .upsert({
+      external_id: event.externalId,
+      status: event.status,
+      provider: event.provider || null,
+      error: event.error || null,
+      status_at: event.timestamp || null
+    }, { onConflict: 'external_id,status', ignoreDuplicates: true });
+
+  if (error) {
+    throw new Error(`Erro ao guardar confirmação de entrega: ${error.message}`);
+  }
+}
+
+/**
+ * Aplica ao log recém-gravado as confirmações que chegaram antes dele:
+ * as guardadas em pending_delivery_receipts e a que já avançou messages.status
+ * entre o INSERT da mensagem e o do log.
+ */
+async function reconcilePendingReceipts(supabase, externalId) {
+  if (!externalId) {
+    return { applied: 0 };
+  }
+
+  const { data: pending, error } = await supabase
+    .from('pending_delivery_receipts')
+    .select('id, external_id, status, provider, error, status_at')
+    .eq('external_id', externalId);
+
+  if (error) {
+    throw new Error(`Erro ao buscar confirmações pendentes: ${error.message}`);
+  }
+
+  const { data: messages, error: messageError } = await supabase
+    .from('messages')
+    .select('status')
+    .eq('external_id', externalId)
+    .eq('direction', 'outbound')
+    .limit(1);
+
+  if (messageError) {
+    throw new Error(`Erro ao buscar status da mensagem: ${messageError.message}`);
+  }
+
+  const receipts = (pending || []).map(row => ({
+    kind: 'status',
+    provider: row.provider,
+    externalId,
+    status: row.status,
+    error: row.error,
+    timestamp: row.status_at
+  }));
+
+  const messageStatus = messages?.[0]?.status;
+  if (PREVIOUS_STATUSES[messageStatus] && !receipts.some(receipt => receipt.status === messageStatus)) {
+    receipts.push({ kind: 'status', provider: null, externalId, status: messageStatus, error: null, timestamp: new Date().toISOString() });
+  }
+
+  receipts.sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status));
+
+  let applied = 0;
+  for (const receipt of receipts) {
+    const result = await applyDeliveryStatus(supabase, receipt, { storeUnmatched: false });
+    if (result?.logsUpdated) {
+      applied++;
+    }
+  }
+
+  if (pending?.length) {
+    const { error: deleteError } = await supabase
+      .from('pending_delivery_receipts')
+      .delete()
+      .in('id', pending.map(row => row.id));
+
+    if (deleteError) {
+      logReceipts('warning', 'Erro ao remover confirmações já aplicadas', { externalId, error: deleteError.message });
+    }
+  }
+
+  if (applied > 0) {
+    logReceipts('debug', 'Confirmações recebidas antes do log aplicadas', { externalId, applied });
+  }
+
+  return { applied };
+}
+
+/**
+ * Descarta confirmações sem log depois de ttlHours (ids de mensagens de fora dos follow-ups)
+ */
+async function purgePendingReceipts(supabase, ttlHours) {
+  const cutoff = new Date(Date.now() - ttlHours * 60 * 60 * 1000).toISOString();
+
+  const { data: purged, error } = await supabase
+    .from('pending_delivery_receipts')
+    .delete()
+    .lt('received_at', cutoff)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Erro ao descartar confirmações pendentes: ${error.message}`);
+  }
+
+  return purged?.length || 0;
+}
+
+// ===============================================
+// RELATÓRIO: TAXAS POR REGRA
+// ===============================================
+
+function rate(part, total) {
+  return total > 0 ? Number((part / total * 100).toFixed(1)) : null;
+}
+
+/**
+ * Taxas de entrega e leitura por regra de follow-up (follow_up_logs com envio bem-sucedido),
+ * agregadas no banco pela RPC get_follow_up_delivery_rates
+ * filters: { companyId, since }
+ */
+async function getFollowUpDeliveryRates(supabase, filters = {}) {
+  const { data: rows, error } = await supabase.rpc('get_follow_up_delivery_rates', {
+    p_company_id: filters.companyId || null,
+    p_since: filters.since || null
+  });
+
+  if (error) {
+    throw new Error(`Erro ao calcular taxas de entrega: ${error.message}`);
+  }
+
+  const byRule = (rows || [])
+    .map(row => ({
+      ruleName: row.rule_name,
+      sent: row.sent,
+      pending: row.pending,
+      delivered: row.delivered,
+      read: row.read,
+      failed: row.failed,
+      deliveryRate: rate(row.delivered, row.sent),
+      readRate: rate(row.read, row.sent),
+      failureRate: rate(row.failed, row.sent)
+    }))
+    .sort((a, b) => b.sent - a.sent);
+
+  return {
+    companyId: filters.companyId || null,
+    since: filters.since || null,
+    totalSent: byRule.reduce((total, rule) => total + rule.sent, 0),
+    rules: byRule
+  };
+}
+
+// ===============================================
+// EXPORTAÇÕES
+// ===============================================
+
+module.exports = {
+  applyDeliveryStatus,
+  reconcilePendingReceipts,
+  purgePendingReceipts,
+  getFollowUpDeliveryRates,
+  logReceipts
+};
@@ -0,0 +1,336 @@
+/**
+ * ===============================================
+ * ZIONIC ERROR CLASSIFIER
+ * ===============================================
+ * Taxonomia de erros de envio/geração: transitórios (retry com backoff)
+ * ou permanentes (falha imediata com failure_code legível por máquina)
+ *
+ * @author Zionic Team
+ * @version 1.7.0
+ */
+
+// ===============================================
+// CÓDIGOS DE FALHA
+// ===============================================
+
+const FAILURE_CODES = {
+  // Canais de envio (Evolution, Cloud API, SMS, e-mail)
+  INVALID_RECIPIENT: 'invalid_recipient',
+  INSTANCE_NOT_FOUND: 'instance_not_found',
+  INSTANCE_DISCONNECTED: 'instance_disconnected',
+  CHANNEL_AUTH_FAILED: 'channel_auth_failed',
+  CHANNEL_RATE_LIMITED: 'channel_rate_limited',
+  CHANNEL_UNAVAILABLE: 'channel_unavailable',
+  CHANNEL_REJECTED: 'channel_rejected',
+  SESSION_WINDOW_CLOSED: 'session_window_closed',
+  // OpenAI
+  OPENAI_AUTH_FAILED: 'openai_auth_failed',
+  OPENAI_QUOTA_EXCEEDED: 'openai_quota_exceeded',
+  OPENAI_RATE_LIMITED: 'openai_rate_limited',
+  OPENAI_RESOURCE_NOT_FOUND: 'openai_resource_not_found',
+  OPENAI_INVALID_REQUEST: 'openai_invalid_request',
+  OPENAI_UNAVAILABLE: 'openai_unavailable',
+  OPENAI_RUN_FAILED: 'openai_run_failed',
+  OPENAI_RUN_TIMEOUT: 'openai_run_timeout',
+  // Supabase / PostgREST
+  RECORD_NOT_FOUND: 'record_not_found',
+  DATA_INTEGRITY: 'data_integrity',
+  SCHEMA_ERROR: 'schema_error',
+  DATABASE_UNAVAILABLE: 'database_unavailable',
+  // Domínio
+  AGENT_NOT_FOUND: 'agent_not_found',
+  MAX_ATTEMPTS_EXCEEDED: 'max_attempts_exceeded',
+  DELIVERY_UNKNOWN: 'delivery_unknown',
+  CIRCUIT_OPEN: 'circuit_open',
+  SEND_RATE_LIMITED: 'send_rate_limited',
+  OUTSIDE_BUSINESS_HOURS: 'outside_business_hours',
+  LEASE_LOST: 'lease_lost',
+  // Rede / genérico
+  NETWORK_ERROR: 'network_error',
+  UNKNOWN_ERROR: 'unknown_error'
+};
+
+// Códigos de erro de rede do Node (sempre transitórios)
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EPIPE',
+  'ERR_NETWORK'
+]);
+
+const transient = code => ({ code, permanent: false });
+const permanent = code => ({ code, permanent: true });
+
+// ===============================================
+// CLASSIFICADORES POR ORIGEM
+// ===============================================
+
+/**
+ * Respostas HTTP da Evolution API (sendText, sendMedia, etc.)
+ */
+function classifyEvolutionResponse(status, data) {
+  const body = JSON.stringify(data || {}).toLowerCase();
+
+  if (status === 401 || status === 403) {
+    return permanent(FAILURE_CODES.CHANNEL_AUTH_FAILED);
+  }
+  if (status === 404) {
+    return permanent(FAILURE_CODES.INSTANCE_NOT_FOUND);
+  }
+  if (status === 429) {
+    return transient(FAILURE_CODES.CHANNEL_RATE_LIMITED);
+  }
+  if (body.includes('"exists":false') || body.includes('not a whatsapp') || body.includes('invalid number')) {
+    return permanent(FAILURE_CODES.INVALID_RECIPIENT);
+  }
+  if (body.includes('connection closed') || body.includes('not connected') || body.includes('disconnected')) {
+    return transient(FAILURE_CODES.INSTANCE_DISCONNECTED);
+  }
+  if (status >= 500) {
+    return transient(FAILURE_CODES.CHANNEL_UNAVAILABLE);
+  }
+  if (status >= 400) {
+    return permanent(FAILURE_CODES.CHANNEL_REJECTED);
+  }
+
+  return transient(FAILURE_CODES.UNKNOWN_ERROR);
+}
+
+/**
+ * Respostas HTTP da WhatsApp Cloud API (graph.facebook.com)
+ */
+function classifyWhatsAppCloudResponse(status, data) {
+  const errorCode = data?.error?.code;
+
+  if (status === 401 || errorCode === 190) {
+    return permanent(FAILURE_CODES.CHANNEL_AUTH_FAILED);
+  }
+  if (status === 429 || [4, 80007, 130429, 131048, 131056].includes(errorCode)) {
+    return transient(FAILURE_CODES.CHANNEL_RATE_LIMITED);
+  }
+  if ([131026, 131030, 131045].includes(errorCode)) {
+    return permanent(FAILURE_CODES.INVALID_RECIPIENT);
+  }
+  // Texto livre fora da janela de 24h (exige template aprovado)
+  if (errorCode === 131047) {
+    return permanent(FAILURE_CODES.SESSION_WINDOW_CLOSED);
+  }
+  if (status >= 500 || [1, 2, 131000, 131016].includes(errorCode)) {
+    return transient(FAILURE_CODES.CHANNEL_UNAVAILABLE);
+  }
+  if (status >= 400) {
+    return permanent(FAILURE_CODES.CHANNEL_REJECTED);
+  }
+
+  return transient(FAILURE_CODES.UNKNOWN_ERROR);
+}
+
+/**
+ * Respostas HTTP da Twilio (SMS)
+ */
+function classifyTwilioResponse(status, data) {
+  const errorCode = data?.code;
+
+  if (status === 401 || errorCode === 20003) {
+    return permanent(FAILURE_CODES.CHANNEL_AUTH_FAILED);
+  }
+  if (status === 429 || errorCode === 20429) {
+    return transient(FAILURE_CODES.CHANNEL_RATE_LIMITED);
+  }
+  if ([21211, 21214, 21217, 21610, 21614].includes(errorCode)) {
+    return permanent(FAILURE_CODES.INVALID_RECIPIENT);
+  }
+  if (status >= 500) {
+    return transient(FAILURE_CODES.CHANNEL_UNAVAILABLE);
+  }
+  if (status >= 400) {
+    return permanent(FAILURE_CODES.CHANNEL_REJECTED);
+  }
+
+  return transient(FAILURE_CODES.UNKNOWN_ERROR);
+}
+
+/**
+ * Respostas HTTP da SendGrid (e-mail)
+ */
+function classifySendGridResponse(status, data) {
+  const body = JSON.stringify(data || {}).toLowerCase();
+
+  if (status === 401 || status === 403) {
+    return permanent(FAILURE_CODES.CHANNEL_AUTH_FAILED);
+  }
+  if (status === 429) {
+    return transient(FAILURE_CODES.CHANNEL_RATE_LIMITED);
+  }
+  if (status === 400 && body.includes('email')) {
+    return permanent(FAILURE_CODES.INVALID_RECIPIENT);
+  }
+  if (status >= 500) {
+    return transient(FAILURE_CODES.CHANNEL_UNAVAILABLE);
+  }
+  if (status >= 400) {
+    return permanent(FAILURE_CODES.CHANNEL_REJECTED);
+  }
+
+  return transient(FAILURE_CODES.UNKNOWN_ERROR);
+}
+
+/**
+ * Respostas HTTP da OpenAI (threads, runs, chat/completions)
+ */
+function classifyOpenAIResponse(status, data) {
+  const errorCode = data?.error?.code || data?.error?.type;
+
+  if (status === 401 || status === 403) {
+    return permanent(FAILURE_CODES.OPENAI_AUTH_FAILED);
+  }
+  if (status === 429) {
+    return errorCode === 'insufficient_quota'
+      ? permanent(FAILURE_CODES.OPENAI_QUOTA_EXCEEDED)
+      : transient(FAILURE_CODES.OPENAI_RATE_LIMITED);
+  }
+  if (status === 404) {
+    return permanent(FAILURE_CODES.OPENAI_RESOURCE_NOT_FOUND);
+  }
+  if (status >= 500) {
+    return transient(FAILURE_CODES.OPENAI_UNAVAILABLE);
+  }
+  if (status >= 400) {
+    return permanent(FAILURE_CODES.OPENAI_INVALID_REQUEST);
+  }
+
+  return transient(FAILURE_CODES.UNKNOWN_ERROR);
+}
+
+/**
+ * Erros do Supabase/PostgREST ({ code, message, details })
+ */
+function classifySupabaseError(error) {
+  const code = String(error?.code || '');
+  const message = String(error?.message || '').toLowerCase();
+
+  if (code === 'PGRST116') {
+    return permanent(FAILURE_CODES.RECORD_NOT_FOUND);
+  }
+  if (code.startsWith('23')) {
+    return permanent(FAILURE_CODES.DATA_INTEGRITY);
+  }
+  if (code.startsWith('42') || code === 'PGRST200' || code === 'PGRST204') {
+    return permanent(FAILURE_CODES.SCHEMA_ERROR);
+  }
+  if (code === '57014' || code === '40001' || code === '40P01' || code.startsWith('08') || code.startsWith('53')) {
+    return transient(FAILURE_CODES.DATABASE_UNAVAILABLE);
+  }
+  if (message.includes('fetch failed') || message.includes('network') || message.includes('timeout')) {
+    return transient(FAILURE_CODES.DATABASE_UNAVAILABLE);
+  }
+
+  return transient(FAILURE_CODES.UNKNOWN_ERROR);
+}
+
+// ===============================================
+// CORE: CLASSIFICAÇÃO
+// ===============================================
+
+/**
+ * Classifica qualquer erro lançado durante o processamento.
+ * Retorna { code, permanent }.
+ * - Erros já classificados (error.failureCode) são respeitados
+ * - Erros do axios são classificados pela URL (OpenAI, Cloud API, Twilio, SendGrid ou Evolution)
+ * - Erros de rede do Node são sempre transitórios
+ */
+function classifyError(error) {
+  if (!error) {
+    return transient(FAILURE_CODES.UNKNOWN_ERROR);
+  }
+
+  if (error.failureCode) {
+    return {
+      code: error.failureCode,
+      permanent: !!error.permanent,
+      ...(error.deferUntil ? { deferUntil: error.deferUntil, deferReason: error.deferReason } : {})
+    };
+  }
+
+  if (error.response) {
+    const url = error.config?.url || '';
+    const { status, data } = error.response;
+
+    if (url.includes('api.openai.com')) {
+      return classifyOpenAIResponse(status, data);
+    }
+    if (url.includes('graph.facebook.com')) {
+      return classifyWhatsAppCloudResponse(status, data);
+    }
+    if (url.includes('api.twilio.com')) {
+      return classifyTwilioResponse(status, data);
+    }
+    if (url.includes('api.sendgrid.com')) {
+      return classifySendGridResponse(status, data);
+    }
+    return classifyEvolutionResponse(status, data);
+  }
+
+  if (error.code && NETWORK_ERROR_CODES.has(error.code)) {
+    return transient(FAILURE_CODES.NETWORK_ERROR);
+  }
+
+  if (error.message === 'OpenAI run failed') {
+    return transient(FAILURE_CODES.OPENAI_RUN_FAILED);
+  }
+  if (error.message === 'OpenAI run timeout') {
+    return transient(FAILURE_CODES.OPENAI_RUN_TIMEOUT);
+  }
+
+  return transient(FAILURE_CODES.UNKNOWN_ERROR);
+}
+
+/**
+ * Falha da IA que permite enviar o template sem personalização: só erros
+ * permanentes da OpenAI (chave, cota, thread inexistente, requisição inválida).
+ * Transitórios (rate limit, indisponibilidade, rede, run com falha/timeout) e
+ * circuito aberto voltam para a fila com backoff em vez de enviar o template.
+ */
+function isAiFallbackEligible(error) {
+  if (error?.deferUntil) {
+    return false;
+  }
+
+  return classifyError(error).permanent;
+}
+
+/**
+ * Cria um Error já classificado (failureCode + permanent).
+ * classification.deferUntil marca o erro como adiamento (não consome tentativa).
+ */
+function classifiedError(message, classification) {
+  const error = new Error(message);
+  error.failureCode = classification.code;
+  error.permanent = !!classification.permanent;
+  if (classification.deferUntil) {
+    error.deferUntil = classification.deferUntil;
+    error.deferReason = classification.deferReason;
+  }
+  return error;
+}
+
+// ===============================================
+// EXPORTAÇÕES
+// ===============================================
+
+module.exports = {
+  FAILURE_CODES,
+  classifyError,
+  classifyEvolutionResponse,
+  classifyWhatsAppCloudResponse,
+  classifyTwilioResponse,
+  classifySendGridResponse,
+  classifyOpenAIResponse,
+  classifySupabaseError,
+  classifiedError,
+  isAiFallbackEligible
+};
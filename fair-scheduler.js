@@ -0,0 +1,215 @@
+/**
+ * ===============================================
+ * ZIONIC FAIR SCHEDULER
+ * ===============================================
+ * Distribuição justa dos itens de cada ciclo entre empresas (round-robin
+ * ponderado pelo plano) e métricas de fila por empresa
+ *
+ * @author Zionic Team
+ * @version 1.7.0
+ */
+
+// ===============================================
+// UTILITÁRIOS DE LOG
+// ===============================================
+
+/**
+ * Log estruturado específico para o agendador justo
+ */
+function logScheduler(level, message, data = {}) {
+  const timestamp = new Date().toISOString();
+  const emoji = {
+    info: 'ℹ️',
+    success: '✅',
+    warning: '⚠️',
+    error: '❌',
+    debug: '🔍'
+  };
+
+  console.log(`${emoji[level] || '📝'} [FAIR-SCHEDULER] [${timestamp}] ${message}`,
+    Object.keys(data).length > 0 ? JSON.stringify(data, null, 2) : '');
+}
+
+// Última fotografia das filas por empresa (exposta via HTTP)
+const queueMetrics = {};
+
+// ===============================================
+// PESOS POR PLANO
+// ===============================================
+
+/**
+ * Busca o peso de cada empresa a partir do plano (config.planWeights).
+ * Empresas sem plano mapeado (ou erro na consulta) recebem peso 1.
+ */
+async function loadCompanyWeights(supabase, companyIds, config) {
+  const weights = new Map(companyIds.map(id => [id, 1]));
+  const planWeights = config.planWeights || {};
+
+  if (companyIds.length === 0 || Object.keys(planWeights).length === 0) {
+    return weights;
+  }
+
+  const { data: companies, error } = await supabase
+    .from('companies')
+    .select('id, plan')
+    .in('id', companyIds);
+
+  if (error) {
+    logScheduler('warning', 'Erro ao buscar planos das empresas - usando peso 1', { error: error.message });
+    return weights;
+  }
+
+  for (const company of companies || []) {
+    weights.set(company.id, Math.max(1, planWeights[company.plan] || 1));
+  }
+
+  return weights;
+}
+
+// ===============================================
+// CORE: ALOCAÇÃO JUSTA
+// ===============================================
+
+/**
+ * Profundidade da fila pendente (e vencida) por empresa via RPC
+ * Retorna [{ company_id, pending_count, oldest_scheduled_at }]
+ */
+async function getQueueDepthByCompany(supabase, queue) {
+  const { data: depths, error } = await supabase.rpc('get_pending_queue_depth_by_company', {
+    p_queue: queue
+  });
+
+  if (error) {
+    throw new Error(`Erro ao buscar profundidade da fila por empresa: ${error.message}`);
+  }
+
+  return depths || [];
+}
+
+/**
+ * Divide `limit` vagas entre empresas em round-robin ponderado.
+ * Empresas com item mais antigo são atendidas primeiro em cada rodada;
+ * nenhuma empresa recebe mais vagas do que itens pendentes.
+ */
+function allocateFairShares(depths, limit, weights) {
+  const ordered = [...depths].sort((a, b) =>
+    new Date(a.oldest_scheduled_at).getTime() - new Date(b.oldest_scheduled_at).getTime()
+  );
+  const quotas = new Map();
+  let remaining = limit;
+  let progressed = true;
+
+  while (remaining > 0 && progressed) {
+    progressed = false;
+
+    for (const depth of ordered) {
+      const current = quotas.get(depth.company_id) || 0;
+      const room = depth.pending_count - current;
+      if (room <= 0) {
+        continue;
+      }
+
+      const take = Math.min(weights.get(depth.company_id) || 1, room, remaining);
+      quotas.set(depth.company_id, current + take);
+      remaining -= take;
+      progressed = true;
+
+      if (remaining === 0) {
+        break;
+      }
+    }
+  }
+
+  return quotas;
+}
+
+/**
+ * Intercala itens de várias empresas em round-robin ponderado, mantendo a ordem
+ * (mais antigo primeiro) dentro de cada empresa, e corta em `limit` itens.
+ */
+function selectFairBatch(items, limit, weights = new Map()) {
+  const byCompany = new Map();
+  for (const item of items) {
+    if (!byCompany.has(item.company_id)) {
+      byCompany.set(item.company_id, []);
+    }
+    byCompany.get(item.company_id).push(item);
+  }
+
+  const selected = [];
+  const queues = [...byCompany.entries()];
+
+  while (selected.length < limit && queues.some(([, queue]) => queue.length > 0)) {
+    for (const [companyId, queue] of queues) {
+      const take = Math.min(weights.get(companyId) || 1, queue.length, limit - selected.length);
+      selected.push(...queue.splice(0, take));
+
+      if (selected.length >= limit) {
+        break;
+      }
+    }
+  }
+
+  return selected;
+}
+
+// ===============================================
+// MÉTRICAS POR EMPRESA
+// ===============================================
+
+/**
+ * Registra profundidade e tempo de espera por empresa para a fila informada
+ */
+function recordQueueMetrics(queue, depths, selectedItems) {
+  const now = Date.now();
+  const selectedByCompany = new Map();
+
+  for (const item of selectedItems) {
+    const entry = selectedByCompany.get(item.company_id) || { count: 0, totalWaitMinutes: 0 };
+    entry.count++;
+    entry.totalWaitMinutes += item.minutes_overdue || 0;
+    selectedByCompany.set(item.company_id, entry);
+  }
+
+  const companies = {};
+  for (const depth of depths) {
+    const selected = selectedByCompany.get(depth.company_id) || { count: 0, totalWaitMinutes: 0 };
+    companies[depth.company_id] = {
+      queueDepth: depth.pending_count,
+      oldestWaitMinutes: depth.oldest_scheduled_at
+        ? Math.max(0, Math.floor((now - new Date(depth.oldest_scheduled_at).getTime()) / (1000 * 60)))
+        : 0,
+      selectedThisCycle: selected.count,
+      avgWaitMinutesSelected: selected.count > 0 ? Math.round(selected.totalWaitMinutes / selected.count) : null
+    };
+  }
+
+  queueMetrics[queue] = {
+    updatedAt: new Date().toISOString(),
+    totalDepth: depths.reduce((sum, depth) => sum + depth.pending_count, 0),
+    companies
+  };
+
+  return queueMetrics[queue];
+}
+
+/**
+ * Última fotografia das métricas de todas as filas
+ */
+function getQueueMetrics() {
+  return queueMetrics;
+}
+
+// ===============================================
+// EXPORTAÇÕES
+// ===============================================
+
+module.exports = {
+  loadCompanyWeights,
+  getQueueDepthByCompany,
+  allocateFairShares,
+  selectFairBatch,
+  recordQueueMetrics,
+  getQueueMetrics,
+  logScheduler
+};
@@ -0,0 +1,433 @@
+/**
+ * ===============================================
+ * ZIONIC FOLLOW-UP CADENCES
+ * ===============================================
+ * Cadências de follow-up em vários passos (ex.: D+1 lembrete leve, D+3 oferta,
+ * D+7 mensagem de encerramento). Cada conversa inscrita tem um registro em
+ * follow_up_cadence_enrollments com o passo atual; ao enviar um passo, o
+ * próximo é enfileirado em follow_up_queue com o próprio atraso e template.
+ * A cadência para quando o contato responde, há handoff ou opt-out.
+ *
+ * @author Zionic Team
+ * @version 1.7.0
+ */
+
+// ===============================================
+// UTILITÁRIOS DE LOG
+// ===============================================
+
+/**
+ * Log estruturado específico para cadências
+ */
+function logCadence(level, message, data = {}) {
+  const timestamp = new Date().toISOString();
+  const emoji = {
+    info: 'ℹ️',
+    success: '✅',
+    warning: '⚠️',
+    error: '❌',
+    debug: '🔍'
+  };
+
+  console.log(`${emoji[level] || '📝'} [CADENCE] [${timestamp}] ${message}`,
+    Object.keys(data).length > 0 ? JSON.stringify(data, null, 2) : '');
+}
+
+// Motivos de parada (follow_up_cadence_enrollments.stopped_reason)
+const CADENCE_STOP_REASONS = {
+  CONTACT_REPLIED: 'contact_replied',
+  HANDOFF: 'handoff',
+  OPTED_OUT: 'opted_out',
+  MANUAL: 'manual'
+};
+
+// Motivos de cancelamento do follow-up que encerram a cadência da conversa
+const CANCELLATION_STOP_REASONS = {
+  contact_replied: CADENCE_STOP_REASONS.CONTACT_REPLIED,
+  assigned_to_human: CADENCE_STOP_REASONS.HANDOFF,
+  agent_paused: CADENCE_STOP_REASONS.HANDOFF,
+  follow_ups_paused: CADENCE_STOP_REASONS.MANUAL,
+  opted_out: CADENCE_STOP_REASONS.OPTED_OUT
+};
+
+// ===============================================
+// PASSOS
+// ===============================================
+
+/**
+ * Passo da cadência seguinte ao informado (ou o primeiro, com afterStep = 0)
+ */
+async function getNextStep(supabase, cadenceId, afterStep) {
+  const { data: steps, error } = await supabase
+    .from('follow_up_cadence_steps')
+    .select('step_number, delay_minutes, message_template, rule_name, max_attempts')
+    .eq('cadence_id', cadenceId)
+    .gt('step_number', afterStep)
+    .order('step_number', { ascending: true })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Erro ao buscar passos da cadência: ${error.message}`);
+  }
+
+  return steps?.[0] || null;
+}
+
+/**
+ * Enfileira um passo. O índice único (cadence_enrollment_id, cadence_step) torna
+ * a operação idempotente: um replay do envio anterior não duplica o passo.
+ */
+async function enqueueStep(supabase, enrollment, step, base) {
+  const scheduledAt = new Date(Date.now() + step.delay_minutes * 60 * 1000).toISOString();
+
+  const { data: queued, error } = await supabase
+    .from('follow_up_queue')
+    .insert({
+      conversation_id: enrollment.conversation_id,
+      contact_id: enrollment.contact_id,
+      agent_id: enrollment.agent_id,
+      company_id: enrollment.company_id,
+      rule_name: step.rule_name || `${enrollment.cadence_name || 'Cadência'} - passo ${step.step_number}`,
+      message_template: step.message_template,
+      scheduled_at: scheduledAt,
+      status: 'pending',
+      attempts: 0,
+      max_attempts: step.max_attempts || base.maxAttempts || 3,
+      cadence_id: enrollment.cadence_id,
+      cadence_step: step.step_number,
+      cadence_enrollment_id: enrollment.id,
+      metadata: {}
+    })
+    .select('id')
+    .single();
+
+  if (error?.code === '23505') {
+    logCadence('debug', 'Passo da cadência já enfileirado', {
+      enrollmentId: enrollment.id,
+      step: step.step_number
+    });
+    return null;
+  }
+  if (error) {
+    throw new Error(`Erro ao enfileirar passo da cadência: ${error.message}`);
+  }
+
+  return { id: queued.id, step: step.step_number, scheduledAt };
+}
+
+// ===============================================
+// INSCRIÇÃO
+// ===============================================
+
+/**
+ * Inscreve uma conversa na cadência e enfileira o primeiro passo.
+ * Uma conversa tem no máximo uma inscrição ativa por cadência.
+ */
+async function enrollConversation(supabase, { cadenceId, conversationId, contactId, agentId, companyId }) {
+  const { data: cadence, error: cadenceError } = await supabase
+    .from('follow_up_cadences')
+    .select('id, name, company_id, is_active')
+    .eq('id', cadenceId)
+    .single();
+
+  if (cadenceError || !cadence) {
+    throw new Error(`Cadência não encontrada: ${cadenceError?.message || cadenceId}`);
+  }
+  if (!cadence.is_active) {
+    throw new Error(`Cadência ${cadence.name} está inativa`);
+  }
+  if (companyId && cadence.company_id !== companyId) {
+    throw new Error('Cadência pertence a outra empresa');
+  }
+
+  const firstStep = await getNextStep(supabase, cadenceId, 0);
+  if (!firstStep) {
+    throw new Error(`Cadência ${cadence.name} não tem passos configurados`);
+  }
+
+  const { data: enrollment, error } = await supabase
+    .from('follow_up_cadence_enrollments')
+    .insert({
+      cadence_id: cadenceId,
+      conversation_id: conversationId,
+      contact_id: contactId,
+      agent_id: agentId,
+      company_id: cadence.company_id,
+      status: 'active',
+      current_step: 0
+    })
+    .select('*')
+    .single();
+
+  if (error?.code === '23505') {
+    throw new Error('Conversa já está inscrita nesta cadência');
+  }
+  if (error) {
+    throw new Error(`Erro ao inscrever conversa na cadência: ${error.message}`);
+  }
+
+  const queued = await enqueueStep(supabase, { ...enrollment, cadence_name: cadence.name }, firstStep, {});
+
+  logCadence('success', 'Conversa inscrita na cadência', {
+    cadenceId,
+    cadenceName: cadence.name,
+    conversationId,
+    enrollmentId: enrollment.id,
+    firstStepAt: queued?.scheduledAt
+  });
+
+  return { enrollmentId: enrollment.id, nextStep: queued };
+}
+
+// ===============================================
+// AVANÇO
+// ===============================================
+
+/**
+ * Após o envio de um passo: registra o passo atual da conversa e enfileira o
+ * próximo (ou conclui a cadência no último passo). Follow-ups fora de cadência
+ * são ignorados.
+ * options.sent = false: passo que não será enviado (falha permanente, tentativas
+ * esgotadas) - a sequência segue sem registrar envio.
+ */
+async function advanceCadence(supabase, followUp, { sent = true } = {}) {
+  if (!followUp.cadence_enrollment_id) {
+    return null;
+  }
+
+  const sentAt = new Date().toISOString();
+  const update = { current_step: followUp.cadence_step, updated_at: sentAt };
+  if (sent) {
+    update.last_step_sent_at = sentAt;
+  }
+
+  // UPDATE condicional: inscrição parada (resposta, handoff, opt-out) não avança
+  const { data: advanced, error } = await supabase
+    .from('follow_up_cadence_enrollments')
+    .update(update)
+    .eq('id', followUp.cadence_enrollment_id)
+    .eq('status', 'active')
+    .select('*, cadence:follow_up_cadences(name, is_active)');
+
+  if (error) {
+    throw new Error(`Erro ao atualizar inscrição da cadência: ${error.message}`);
+  }
+
+  const enrollment = advanced?.[0];
+  if (!enrollment) {
+    return { advanced: false, reason: 'enrollment_not_active' };
+  }
+
+  const nextStep = enrollment.cadence?.is_active === false
+    ? null
+    : await getNextStep(supabase, enrollment.cadence_id, followUp.cadence_step);
+
+  if (!nextStep) {
+    await supabase
+      .from('follow_up_cadence_enrollments')
+      .update({ status: 'completed', completed_at: sentAt, updated_at: sentAt })
+      .eq('id', enrollment.id)
+      .eq('status', 'active');
+
+    logCadence('info', 'Cadência concluída para a conversa', {
+      enrollmentId: enrollment.id,
+      conversationId: enrollment.conversation_id,
+      lastStep: followUp.cadence_step
+    });
+
+    return { advanced: true, completed: true };
+  }
+
+  const queued = await enqueueStep(
+    supabase,
+    { ...enrollment, cadence_name: enrollment.cadence?.name },
+    nextStep,
+    { maxAttempts: followUp.max_attempts }
+  );
+
+  logCadence('info', 'Próximo passo da cadência agendado', {
+    enrollmentId: enrollment.id,
+    conversationId: enrollment.conversation_id,
+    sentStep: followUp.cadence_step,
+    stepSent: sent,
+    nextStep: nextStep.step_number,
+    scheduledAt: queued?.scheduledAt
+  });
+
+  return { advanced: true, completed: false, nextStep: queued };
+}
+
+// ===============================================
+// PARADA
+// ===============================================
+
+/**
+ * Para as cadências ativas da conversa e cancela os passos pendentes
+ */
+async function stopConversationCadences(supabase, conversationId, reason) {
+  const stoppedAt = new Date().toISOString();
+
+  const { data: stopped, error } = await supabase
+    .from('follow_up_cadence_enrollments')
+    .update({ status: 'stopped', stopped_reason: reason, stopped_at: stoppedAt, updated_at: stoppedAt })
+    .eq('conversation_id', conversationId)
+    .eq('status', 'active')
+    .select('id, cadence_id, current_step');
+
+  if (error) {
+    throw new Error(`Erro ao parar cadências da conversa: ${error.message}`);
+  }
+
+  // Resposta depois do último passo também conta como conversão do passo
+  if (reason === CADENCE_STOP_REASONS.CONTACT_REPLIED) {
+    await supabase
+      .from('follow_up_cadence_enrollments')
+      .update({ stopped_reason: reason, stopped_at: stoppedAt, updated_at: stoppedAt })
+      .eq('conversation_id', conversationId)
+      .eq('status', 'completed')
+      .is('stopped_reason', null);
+  }
+
+  if (!stopped?.length) {
+    return { conversationId, stopped: 0 };
+  }
+
+  const { error: cancelError } = await supabase
+    .from('follow_up_queue')
+    .update({
+      status: 'cancelled',
+      execution_error: `Cadência encerrada: ${reason}`
+    })
+    .in('cadence_enrollment_id', stopped.map(enrollment => enrollment.id))
+    .eq('status', 'pending');
+
+  if (cancelError) {
+    logCadence('warning', 'Erro ao cancelar passos pendentes da cadência', {
+      conversationId,
+      error: cancelError.message
+    });
+  }
+
+  logCadence('info', 'Cadências da conversa encerradas', {
+    conversationId,
+    reason,
+    enrollments: stopped.map(enrollment => ({ id: enrollment.id, step: enrollment.current_step }))
+  });
+
+  return { conversationId, stopped: stopped.length };
+}
+
+/**
+ * Cancelamento de um follow-up de cadência: resposta e handoff encerram a cadência.
+ * O item já foi cancelado: falha aqui só é registrada (não volta o item para retry).
+ */
+async function stopCadenceOnCancellation(supabase, followUp, cancelledReason) {
+  const reason = CANCELLATION_STOP_REASONS[cancelledReason];
+  if (!followUp.cadence_enrollment_id || !reason) {
+    return null;
+  }
+
+  try {
+    return await stopConversationCadences(supabase, followUp.conversation_id, reason);
+  } catch (error) {
+    logCadence('warning', 'Erro ao encerrar cadência após cancelamento', {
+      followUpId: followUp.id,
+      reason,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+// ===============================================
+// CONSULTAS
+// ===============================================
+
+/**
+ * Cadências da conversa com o passo atual de cada uma
+ */
+async function getConversationCadences(supabase, conversationId) {
+  const { data: enrollments, error } = await supabase
+    .from('follow_up_cadence_enrollments')
+    .select(`
+      id, cadence_id, status, current_step, last_step_sent_at, stopped_reason, stopped_at, completed_at, created_at,
+      cadence:follow_up_cadences(name, steps:follow_up_cadence_steps(step_number))
+    `)
+    .eq('conversation_id', conversationId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Erro ao buscar cadências da conversa: ${error.message}`);
+  }
+
+  return (enrollments || []).map(enrollment => ({
+    enrollmentId: enrollment.id,
+    cadenceId: enrollment.cadence_id,
+    cadenceName: enrollment.cadence?.name || null,
+    status: enrollment.status,
+    currentStep: enrollment.current_step,
+    totalSteps: enrollment.cadence?.steps?.length || 0,
+    lastStepSentAt: enrollment.last_step_sent_at,
+    stoppedReason: enrollment.stopped_reason,
+    stoppedAt: enrollment.stopped_at,
+    completedAt: enrollment.completed_at
+  }));
+}
+
+/**
+ * Conversão por passo: envios do passo e respostas que chegaram com a
+ * conversa parada nele (resposta ao passo N antes do passo N+1).
+ * Contagens agregadas no banco (get_cadence_step_stats / get_cadence_enrollment_counts).
+ */
+async function getCadenceStepStats(supabase, cadenceId) {
+  const [stepsResult, enrollmentsResult] = await Promise.all([
+    supabase.rpc('get_cadence_step_stats', { p_cadence_id: cadenceId }),
+    supabase.rpc('get_cadence_enrollment_counts', { p_cadence_id: cadenceId })
+  ]);
+
+  const failed = [stepsResult, enrollmentsResult].find(result => result.error);
+  if (failed) {
+    throw new Error(`Erro ao calcular estatísticas da cadência: ${failed.error.message}`);
+  }
+
+  const rate = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 10 : null);
+
+  const steps = (stepsResult.data || []).map(step => ({
+    step: step.step_number,
+    ruleName: step.rule_name,
+    delayMinutes: step.delay_minutes,
+    sent: step.sent,
+    failed: step.failed,
+    replied: step.replied,
+    optedOut: step.opted_out,
+    conversionRate: rate(step.replied, step.sent)
+  }));
+
+  const counts = Object.fromEntries((enrollmentsResult.data || []).map(row => [row.status, row.total]));
+
+  return {
+    cadenceId,
+    enrollments: {
+      total: Object.values(counts).reduce((total, count) => total + count, 0),
+      active: counts.active || 0,
+      completed: counts.completed || 0,
+      stopped: counts.stopped || 0
+    },
+    steps
+  };
+}
+
+// ===============================================
+// EXPORTAÇÕES
+// ===============================================
+
+module.exports = {
+  CADENCE_STOP_REASONS,
+  enrollConversation,
+  advanceCadence,
+  stopConversationCadences,
+  stopCadenceOnCancellation,
+  getConversationCadences,
+  getCadenceStepStats,
+  logCadence
+};
@@ -9,6 +9,51 @@
  */
 
 const axios = require('axios');
+const { reclaimExpiredLeases, claimQueueItems, renewLease, leaseReleaseFields } = require('./queue-lease');
+const {
+  loadCompanyWeights,
+  getQueueDepthByCompany,
+  allocateFairShares,
+  selectFairBatch,
+  recordQueueMetrics
+} = require('./fair-scheduler');
+const { buildRetryUpdate, buildDeferUpdate, clearCircuitDeferral } = require('./retry-policy');
+const { FAILURE_CODES, classifySupabaseError, classifiedError } = require('./error-classifier');
+const { sendWithOutbox, markOutboxFinalized } = require('./outbox');
+const {
+  normalizeMediaAttachments,
+  primaryMessageType,
+  describePayload,
+  shouldHumanizeSend
+} = require('./message-payload');
+const { normalizePhoneNumber } = require('./phone-number');
+const { resolveSenderCompanyId } = require('./inbound-messages');
+const { findSuppression } = require('./suppression-list');
+const { reconcilePendingReceipts } = require('./delivery-receipts');
+const {
+  resolveChannel,
+  getChannelAdapter,
+  channelSenderKey,
+  getConversationInstanceName,
+  findLastInstanceForRecipient
+} = require('./channel-adapters');
+const { reserveSendCapacity, chargeSendParts, refundSendCapacity, rateLimitError } = require('./rate-limiter');
+const { assertBreakersClosed } = require('./circuit-breaker');
+const { getSendWindowPolicy, checkSendWindow, outsideBusinessHoursError } = require('./business-hours');
+const { loadHolidayCalendars, findHoliday, holidayActionFor, nextBusinessSlot } = require('./holidays');
+const {
+  CADENCE_STOP_REASONS,
+  advanceCadence,
+  stopConversationCadences,
+  stopCadenceOnCancellation
+} = require('./follow-up-cadences');
+const {
+  computeSessionWindow,
+  getSessionPolicy,
+  templateNeedsMessage,
+  buildTemplateMessage,
+  describeTemplateMessage
+} = require('./session-window');
 
 // ===============================================
 // UTILITÁRIOS DE LOG
@@ -35,79 +80,121 @@ function logFollowUp(level, message, data = {}) {
 // CORE: BUSCAR FOLLOW-UPS PENDENTES
 // ===============================================
 
+/**
+ * Busca follow-ups pendentes e vencidos de uma empresa (mais antigos primeiro)
+ */
+async function fetchPendingFollowUpsForCompany(supabase, companyId, limit) {
+  // ✅ NOVA CONSULTA: Buscar follow-ups com verificação de agente e status (SEM colunas inexistentes)
+  return await supabase
+    .from('follow_up_queue')
+    .select(`
+      id,
+      conversation_id,
+      contact_id,
+      agent_id,
+      company_id,
+      rule_name,
+      message_template,
+      scheduled_at,
+      created_at,
+      cadence_id,
+      cadence_step,
+      cadence_enrollment_id,
+      attempts,
+      max_attempts,
+      status,
+      metadata,
+      conversations!inner(
+        ai_agent_id,
+        ai_enabled,
+        assigned_to,
+        metadata
+      ),
+      contacts!inner(
+        first_name,
+        phone
+      )
+    `)
+    .eq('status', 'pending')
+    .eq('company_id', companyId)
+    .lte('scheduled_at', new Date().toISOString())
+    .not('conversations.ai_agent_id', 'is', null) // ✅ Só conversas com agente atribuído
+    .neq('conversations.ai_enabled', false) // ✅ Só conversas com agente ativo
+    .order('scheduled_at', { ascending: true })
+    .limit(limit);
+}
+
+/**
+ * Follow-up elegível para envio: follow-ups da conversa não pausados e
+ * conversa não atribuída a humano
+ */
+function isFollowUpEligible(followUp) {
+  const conversation = followUp.conversations;
+  
+  // Verificar se follow-ups estão pausados na metadata
+  if (conversation?.metadata?.follow_up_paused === true) {
+    logFollowUp('debug', 'Follow-up filtrado - follow-ups pausados', {
+      followUpId: followUp.id,
+      conversationId: followUp.conversation_id,
+      reason: 'follow_ups_paused_in_metadata'
+    });
+    return false;
+  }
+  
+  // Verificar se conversa está atribuída a humano
+  if (conversation?.assigned_to && conversation?.ai_enabled === false) {
+    logFollowUp('debug', 'Follow-up filtrado - conversa atribuída a humano', {
+      followUpId: followUp.id,
+      conversationId: followUp.conversation_id,
+      assignedTo: conversation.assigned_to,
+      reason: 'assigned_to_human'
+    });
+    return false;
+  }
+  
+  return true;
+}
+
 /**
  * Busca follow-ups prontos para execução (com filtros de agente e pausa)
+ * ✅ Distribui as vagas do ciclo entre empresas (round-robin ponderado pelo plano)
+ * para que uma empresa com milhares de itens atrasados não bloqueie as demais
  */
 async function getPendingFollowUps(supabase, config) {
   try {
     logFollowUp('info', 'Buscando follow-ups pendentes...');
     
-    // ✅ NOVA CONSULTA: Buscar follow-ups com verificação de agente e status (SEM colunas inexistentes)
-    const { data: followUps, error } = await supabase
-      .from('follow_up_queue')
-      .select(`
-        id,
-        conversation_id,
-        contact_id,
-        agent_id,
-        company_id,
-        rule_name,
-        message_template,
-        scheduled_at,
-        attempts,
-        max_attempts,
-        status,
-        metadata,
-        conversations!inner(
-          ai_agent_id,
-          ai_enabled,
-          assigned_to,
-          metadata
-        ),
-        contacts!inner(
-          first_name,
-          phone
-        )
-      `)
-      .eq('status', 'pending')
-      .lte('scheduled_at', new Date().toISOString())
-      .not('conversations.ai_agent_id', 'is', null) // ✅ Só conversas com agente atribuído
-      .neq('conversations.ai_enabled', false) // ✅ Só conversas com agente ativo
-      .order('scheduled_at', { ascending: true })
-      .limit(config.maxFollowUpsPerExecution);
+    // ✅ Devolver para a fila itens de workers que caíram no meio do processamento
+    await reclaimExpiredLeases(supabase, 'follow_up_queue');
     
-    if (error) {
-      logFollowUp('error', 'Erro ao buscar follow-ups pendentes', { error: error.message });
-      return [];
-    }
+    // ✅ Profundidade da fila por empresa e cota justa de cada uma neste ciclo
+    const depths = await getQueueDepthByCompany(supabase, 'follow_up_queue');
+    const weights = await loadCompanyWeights(supabase, depths.map(d => d.company_id), config);
+    const quotas = allocateFairShares(depths, config.maxFollowUpsPerExecution, weights);
     
-    // ✅ FILTRO ADICIONAL: Remover conversas com follow-ups pausados
-    const validFollowUps = (followUps || []).filter(followUp => {
-      const conversation = followUp.conversations;
-      
-      // Verificar se follow-ups estão pausados na metadata
-      if (conversation?.metadata?.follow_up_paused === true) {
-        logFollowUp('debug', 'Follow-up filtrado - follow-ups pausados', {
-          followUpId: followUp.id,
-          conversationId: followUp.conversation_id,
-          reason: 'follow_ups_paused_in_metadata'
-        });
-        return false;
-      }
+    // ✅ Cota aplicada depois dos filtros de agente/pausa: cada empresa busca uma janela
+    // maior de candidatos para que itens filtrados não consumam as vagas do ciclo
+    const validFollowUps = [];
+    let filteredOut = 0;
+    for (const [companyId, quota] of quotas) {
+      const { data: companyFollowUps, error } = await fetchPendingFollowUpsForCompany(
+        supabase,
+        companyId,
+        quota * config.fairCandidateMultiplier
+      );
       
-      // Verificar se conversa está atribuída a humano
-      if (conversation?.assigned_to && conversation?.ai_enabled === false) {
-        logFollowUp('debug', 'Follow-up filtrado - conversa atribuída a humano', {
-          followUpId: followUp.id,
-          conversationId: followUp.conversation_id,
-          assignedTo: conversation.assigned_to,
-          reason: 'assigned_to_human'
+      if (error) {
+        logFollowUp('error', 'Erro ao buscar follow-ups pendentes da empresa', { 
+          companyId,
+          error: error.message 
         });
-        return false;
+        continue;
       }
       
-      return true;
-    });
+      const eligible = (companyFollowUps || []).filter(isFollowUpEligible);
+      filteredOut += (companyFollowUps?.length || 0) - eligible.length;
+      validFollowUps.push(...eligible.slice(0, quota));
+    }
     
     // ✅ OTIMIZAÇÃO: Calcular minutos de atraso para cada follow-up
     const enrichedFollowUps = validFollowUps.map(followUp => {
@@ -121,23 +208,36 @@ async function getPendingFollowUps(supabase, config) {
       };
     });
     
-    const totalPending = enrichedFollowUps.length;
-    const overdueCount = enrichedFollowUps.filter(f => f.minutes_overdue > 0).length;
-    const filteredOut = (followUps?.length || 0) - totalPending;
+    // ✅ Intercalar empresas na ordem de processamento
+    const fairFollowUps = selectFairBatch(enrichedFollowUps, config.maxFollowUpsPerExecution, weights);
+    
+    // ✅ Claim atômico: só processa o que este worker conseguiu reservar
+    const claimedFollowUps = await claimQueueItems(supabase, 'follow_up_queue', fairFollowUps, config);
+    recordQueueMetrics('follow_up_queue', depths, claimedFollowUps);
+    
+    // ✅ Feriados da empresa: itens do dia são deslocados para o próximo dia útil ou descartados
+    const readyFollowUps = await holdFollowUpsOnHolidays(supabase, config, claimedFollowUps);
+    
+    const totalPending = readyFollowUps.length;
+    const overdueCount = readyFollowUps.filter(f => f.minutes_overdue > 0).length;
     
     logFollowUp('success', `${totalPending} follow-ups válidos prontos para execução`, {
       total: totalPending,
       overdue: overdueCount,
       onTime: totalPending - overdueCount,
       filteredOut: filteredOut,
-      method: 'enhanced_filtering'
+      claimedByOtherWorkers: fairFollowUps.length - claimedFollowUps.length,
+      heldOnHolidays: claimedFollowUps.length - totalPending,
+      companies: quotas.size,
+      workerId: config.workerId,
+      method: 'fair_share'
     });
     
     if (filteredOut > 0) {
       logFollowUp('info', `${filteredOut} follow-ups filtrados por regras de agente/pausa`);
     }
     
-    return enrichedFollowUps;
+    return readyFollowUps;
     
   } catch (error) {
     logFollowUp('error', 'Erro ao buscar follow-ups', { error: error.message });
@@ -145,6 +245,148 @@ async function getPendingFollowUps(supabase, config) {
   }
 }
 
+// ===============================================
+// CORE: FERIADOS
+// ===============================================
+
+// Nenhum dia útil dentro do limite de deslocamento: nova verificação um dia depois
+const HOLIDAY_RETRY_DELAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Separa os follow-ups reservados que cairiam em feriado da empresa (fuso local):
+ * 'shift' devolve o item para a fila no próximo dia útil (sem consumir tentativa),
+ * 'skip' cancela o item. Retorna os itens liberados para envio.
+ * Na dúvida o item não sai: erro ao aplicar o feriado ou nenhum dia útil dentro do
+ * limite de deslocamento adiam o item (feriado é reavaliado na nova data).
+ */
+async function holdFollowUpsOnHolidays(supabase, config, followUps) {
+  if (followUps.length === 0) {
+    return followUps;
+  }
+
+  const calendars = await loadHolidayCalendars(supabase, config, [...new Set(followUps.map(f => f.company_id))]);
+  const ready = [];
+
+  for (const followUp of followUps) {
+    const calendar = calendars.get(followUp.company_id);
+    const holiday = calendar ? findHoliday(calendar) : null;
+
+    if (!holiday) {
+      ready.push(followUp);
+      continue;
+    }
+
+    try {
+      const action = holidayActionFor(calendar, followUp.rule_name);
+      const nextSlotAt = action === 'shift'
+        ? nextBusinessSlot(
+          calendar,
+          await getSendWindowPolicy(supabase, config, { companyId: followUp.company_id, kind: 'follow_up', ruleName: followUp.rule_name }),
+          config
+        )
+        : null;
+
+      let update;
+      let outcome;
+
+      if (action !== 'shift') {
+        outcome = 'cancelled';
+        update = {
+          status: 'cancelled',
+          ...leaseReleaseFields(),
+          execution_error: `Follow-up descartado por feriado: ${holiday.name}`,
+          metadata: {
+            ...followUp.metadata,
+            cancelled_reason: 'holiday',
+            cancelled_at: new Date().toISOString(),
+            holiday: holiday.name
+          }
+        };
+      } else if (nextSlotAt) {
+        outcome = 'shifted';
+        update = buildDeferUpdate(followUp, { deferUntil: nextSlotAt, deferReason: `holiday:${holiday.name}` }).update;
+      } else {
+        // Sem dia útil nos próximos dias (feriados seguidos, janela de envio vazia): tenta de novo amanhã
+        outcome = 'no_business_slot';
+        update = buildDeferUpdate(followUp, {
+          deferUntil: new Date(Date.now() + HOLIDAY_RETRY_DELAY_MS).toISOString(),
+          deferReason: `holiday_no_business_slot:${holiday.name}`
+        }).update;
+      }
+
+      // Só o worker que reservou o item o devolve/cancela
+      const { data: updated, error: updateError } = await supabase
+        .from('follow_up_queue')
+        .update(update)
+        .eq('id', followUp.id)
+        .eq('locked_by', config.workerId)
+        .select('id');
+
+      if (updateError) {
+        throw new Error(`Erro ao atualizar follow-up em feriado: ${updateError.message}`);
+      }
+      if (!updated?.length) {
+        logFollowUp('warning', 'Follow-up em feriado não pertence mais a este worker - ignorado', {
+          followUpId: followUp.id,
+          holiday: holiday.name
+        });
+        continue;
+      }
+
+      logFollowUp(outcome === 'no_business_slot' ? 'warning' : 'info', {
+        cancelled: 'Follow-up descartado - feriado',
+        shifted: 'Follow-up deslocado para o próximo dia útil - feriado',
+        no_business_slot: 'Nenhum dia útil encontrado para o follow-up - adiado para nova verificação'
+      }[outcome], {
+        followUpId: followUp.id,
+        ruleName: followUp.rule_name,
+        companyId: followUp.company_id,
+        holiday: holiday.name,
+        action,
+        nextSlotAt: outcome === 'no_business_slot' ? update.scheduled_at : nextSlotAt
+      });
+
+      // Passo de cadência descartado: a sequência segue para o próximo passo
+      if (outcome === 'cancelled') {
+        await advanceCadence(supabase, followUp, { sent: false }).catch(cadenceError => {
+          logFollowUp('warning', 'Erro ao agendar próximo passo da cadência após feriado', {
+            followUpId: followUp.id,
+            error: cadenceError.message
+          });
+        });
+      }
+    } catch (error) {
+      // Falha fechada: o item não é enviado no feriado; adiado (ou devolvido pelo lease)
+      await deferAfterHolidayError(supabase, config, followUp, holiday, error);
+    }
+  }
+
+  return ready;
+}
+
+/**
+ * Erro ao aplicar o feriado: adia o item pelo atraso base de retry (sem consumir
+ * tentativa). Se nem isso for possível, o item fica reservado e volta pela
+ * expiração do lease.
+ */
+async function deferAfterHolidayError(supabase, config, followUp, holiday, error) {
+  const deferUntil = new Date(Date.now() + config.retryBaseDelaySeconds * 1000).toISOString();
+
+  const { error: deferError } = await supabase
+    .from('follow_up_queue')
+    .update(buildDeferUpdate(followUp, { deferUntil, deferReason: 'holiday_check_failed' }).update)
+    .eq('id', followUp.id)
+    .eq('locked_by', config.workerId);
+
+  logFollowUp('error', 'Erro ao aplicar feriado ao follow-up - item adiado', {
+    followUpId: followUp.id,
+    holiday: holiday.name,
+    error: error.message,
+    deferUntil: deferError ? null : deferUntil,
+    deferError: deferError?.message
+  });
+}
+
 // ===============================================
 // CORE: CONTEXTO DA CONVERSA
 // ===============================================
@@ -183,13 +425,28 @@ async function getConversationContext(supabase, conversationId) {
       logFollowUp('warning', 'Erro ao buscar mensagens', { error: msgError.message });
     }
     
+    // Janela de atendimento de 24h: a partir da última mensagem recebida do contato
+    const { data: lastInbound, error: inboundError } = await supabase
+      .from('messages')
+      .select('sent_at')
+      .eq('conversation_id', conversationId)
+      .eq('direction', 'inbound')
+      .order('sent_at', { ascending: false })
+      .limit(1);
+    
+    if (inboundError) {
+      logFollowUp('warning', 'Erro ao buscar última mensagem do contato', { error: inboundError.message });
+    }
+    
     const context = {
       conversation,
       contact: conversation.contact,
       recentMessages: (messages || []).reverse(), // Ordem cronológica
       lastMessage: messages?.[0] || null,
       messageCount: messages?.length || 0,
-      hasContactMessages: messages?.some(m => !m.sent_by_ai) || false
+      hasContactMessages: messages?.some(m => !m.sent_by_ai) || false,
+      // null = janela desconhecida (erro na consulta)
+      sessionWindow: inboundError ? null : computeSessionWindow(lastInbound?.[0]?.sent_at)
     };
     
     logFollowUp('debug', 'Contexto de follow-up carregado', {
@@ -199,6 +456,8 @@ async function getConversationContext(supabase, conversationId) {
       messageCount: context.messageCount,
       hasContactMessages: context.hasContactMessages,
       lastMessageTime: context.lastMessage?.sent_at,
+      sessionWindowOpen: context.sessionWindow?.open,
+      lastInboundAt: context.sessionWindow?.lastInboundAt,
       companyId: conversation.company_id
     });
     
@@ -210,6 +469,188 @@ async function getConversationContext(supabase, conversationId) {
   }
 }
 
+// ===============================================
+// FINALIZAÇÃO DO ENVIO
+// ===============================================
+
+/**
+ * Registra o log de execução e aplica confirmações de entrega que chegaram antes dele
+ */
+async function recordFollowUpLog(supabase, executionLog) {
+  try {
+    const { error: insertError } = await supabase.from('follow_up_logs').insert(executionLog);
+    if (insertError) {
+      throw insertError;
+    }
+    if (executionLog.external_message_id) {
+      await reconcilePendingReceipts(supabase, executionLog.external_message_id);
+    }
+  } catch (logError) {
+    logFollowUp('warning', 'Erro ao registrar log de follow-up', { 
+      error: logError.message,
+      followUpId: executionLog.follow_up_queue_id,
+      ruleName: executionLog.rule_name
+    });
+  }
+}
+
+/**
+ * Mensagem já registrada para o envio do outbox (envio deduplicado/reconciliado)
+ */
+async function findOutboxMessage(supabase, outboxId) {
+  if (!outboxId) {
+    return null;
+  }
+
+  const { data: rows, error } = await supabase
+    .from('messages')
+    .select('id')
+    .eq('metadata->>outbox_id', outboxId)
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Erro ao buscar mensagem do outbox: ${error.message}`);
+  }
+
+  return rows?.[0] || null;
+}
+
+/**
+ * Efeitos de um follow-up já enviado: mensagem na conversa (external_id liga as
+ * confirmações de entrega) e próximo passo da cadência. Usado logo após o envio
+ * e pela reconciliação do outbox; envio repetido não registra a mensagem de novo.
+ * sent: { outboxId, messageId, messageIds, pendingDelivery, deduplicated,
+ *         content, messageType, fromNumber, fromName, metadata }
+ * Retorna o external_id registrado (ou null)
+ */
+async function finalizeFollowUpSend(supabase, followUp, sent) {
+  const externalMessageId = sent.messageId && sent.messageId !== 'unknown' ? sent.messageId : null;
+  const existingMessage = sent.deduplicated ? await findOutboxMessage(supabase, sent.outboxId) : null;
+
+  if (existingMessage) {
+    logFollowUp('info', 'Mensagem do follow-up já registrada para este envio', {
+      followUpId: followUp.id,
+      outboxId: sent.outboxId,
+      messageId: existingMessage.id
+    });
+  } else {
+    const messageData = {
+      conversation_id: followUp.conversation_id,
+      direction: 'outbound',
+      message_type: sent.messageType,
+      content: sent.content,
+      from_number: sent.fromNumber,
+      from_name: sent.fromName,
+      sent_at: new Date().toISOString(),
+      status: sent.pendingDelivery ? 'pending' : 'sent',
+      sent_by_ai: true,
+      // Id do provedor: confirmações de entrega/leitura chegam pelo webhook de status
+      external_id: externalMessageId,
+      metadata: {
+        follow_up_id: followUp.id,
+        rule_name: followUp.rule_name,
+        is_follow_up: true,
+        sent_via: 'follow_up_server',
+        outbox_id: sent.outboxId || null,
+        internal_message_id: sent.pendingDelivery ? sent.messageId : null,
+        provider_message_ids: sent.messageIds || null,
+        ai_agent_id: followUp.agent_id,
+        ...sent.metadata
+      }
+    };
+
+    const { data: newMessage, error: messageError } = await supabase
+      .from('messages')
+      .insert(messageData)
+      .select('id')
+      .single();
+
+    if (messageError) {
+      logFollowUp('error', 'Erro ao registrar mensagem do follow-up no banco', { 
+        followUpId: followUp.id,
+        ruleName: followUp.rule_name,
+        error: messageError.message
+      });
+    } else {
+      logFollowUp('success', 'Mensagem de follow-up registrada no banco', { 
+        followUpId: followUp.id,
+        ruleName: followUp.rule_name,
+        messageId: newMessage.id
+      });
+    }
+  }
+  
+  // Cadência: registrar o passo enviado e agendar o próximo
+  // (o envio já foi feito: falha aqui não pode devolver o item para retry)
+  try {
+    await advanceCadence(supabase, followUp);
+  } catch (cadenceError) {
+    logFollowUp('error', 'Erro ao agendar próximo passo da cadência', {
+      followUpId: followUp.id,
+      ruleName: followUp.rule_name,
+      enrollmentId: followUp.cadence_enrollment_id,
+      error: cadenceError.message
+    });
+  }
+
+  return externalMessageId;
+}
+
+/**
+ * Finaliza um envio encontrado pela reconciliação do outbox (processo caiu entre
+ * o envio e a finalização): mesma mensagem, log e cadência do envio normal
+ */
+async function finalizeOutboxFollowUp(supabase, outboxRow) {
+  const { data: followUp, error } = await supabase
+    .from('follow_up_queue')
+    .select('id, agent_id, conversation_id, contact_id, company_id, rule_name, max_attempts, cadence_enrollment_id, cadence_step, ai_generated_message')
+    .eq('id', outboxRow.queue_item_id)
+    .single();
+
+  if (error) {
+    throw new Error(`Erro ao buscar follow-up do outbox: ${error.message}`);
+  }
+
+  const payload = outboxRow.payload || {};
+  const pendingDelivery = payload.channel === 'internal';
+  const content = payload.text || followUp.ai_generated_message || '';
+
+  const externalMessageId = await finalizeFollowUpSend(supabase, followUp, {
+    outboxId: outboxRow.id,
+    messageId: outboxRow.provider_message_id,
+    pendingDelivery,
+    deduplicated: true,
+    content,
+    messageType: primaryMessageType(payload),
+    fromNumber: outboxRow.recipient,
+    fromName: null,
+    metadata: {
+      channel: payload.channel || null,
+      instance_name: outboxRow.instance_name || null,
+      template_name: payload.template?.name || null,
+      attachments: payload.media || [],
+      reconciled: true
+    }
+  });
+
+  await recordFollowUpLog(supabase, {
+    follow_up_queue_id: followUp.id,
+    agent_id: followUp.agent_id,
+    conversation_id: followUp.conversation_id,
+    contact_id: followUp.contact_id,
+    company_id: followUp.company_id,
+    rule_name: followUp.rule_name,
+    success: true,
+    error_message: null,
+    failure_code: null,
+    response_time_ms: 0,
+    message_sent: content,
+    conversation_reactivated: false,
+    external_message_id: externalMessageId,
+    delivery_status: pendingDelivery ? 'pending' : 'sent'
+  });
+}
+
 // ===============================================
 // CORE: PROCESSAR FOLLOW-UP
 // ===============================================
@@ -217,7 +658,7 @@ async function getConversationContext(supabase, conversationId) {
 /**
  * Processa um único follow-up com logs detalhados
  */
-async function processFollowUp(supabase, config, followUp, generatePersonalizedMessage, sendWhatsAppMessage) {
+async function processFollowUp(supabase, config, followUp, generatePersonalizedMessage, send) {
   const startTime = Date.now();
   let executionLog = {
     follow_up_queue_id: followUp.id,
@@ -228,10 +669,13 @@ async function processFollowUp(supabase, config, followUp, generatePersonalizedM
     rule_name: followUp.rule_name,
     success: false,
     error_message: null,
+    failure_code: null,
     response_time_ms: 0,
     message_sent: '',
     conversation_reactivated: false
   };
+  let logRecorded = false;
+  let reservedSendKey = null;
   
   try {
          logFollowUp('info', `🚀 INICIANDO FOLLOW-UP`, { 
@@ -246,26 +690,18 @@ async function processFollowUp(supabase, config, followUp, generatePersonalizedM
        currentAttempts: followUp.attempts
      });
     
-    // ✅ Verificar se follow-up ainda está pendente
-    const { data: currentStatus, error: statusError } = await supabase
-      .from('follow_up_queue')
-      .select('status, attempts')
-      .eq('id', followUp.id)
-      .single();
-    
-    if (statusError || !currentStatus) {
-      throw new Error('Follow-up não encontrado ou já foi removido');
-    }
+    // ✅ Renovar lease: garante que o follow-up ainda pertence a este worker
+    const currentStatus = await renewLease(supabase, 'follow_up_queue', followUp.id, config);
     
-    if (currentStatus.status !== 'pending') {
-      logFollowUp('warning', 'Follow-up não está mais pendente, pulando', { 
+    if (!currentStatus) {
+      logFollowUp('warning', 'Follow-up não está mais reservado para este worker, pulando', { 
         followUpId: followUp.id,
         ruleName: followUp.rule_name,
-        contactName: followUp.contact_name,
-        currentStatus: currentStatus.status,
-        reason: 'status_changed_before_processing'
+        contactName: followUp.contacts?.first_name,
+        workerId: config.workerId,
+        reason: 'lease_lost_before_processing'
       });
-      return { success: true, skipped: true, reason: 'status_changed' };
+      return { success: true, skipped: true, reason: 'lease_lost' };
     }
     
     // ✅ NOVO: Verificar se conversa tem agente atribuído e se está pausado (igual whatsapp-webhook)
@@ -276,7 +712,7 @@ async function processFollowUp(supabase, config, followUp, generatePersonalizedM
       .single();
     
     if (convError) {
-      throw new Error(`Erro ao buscar dados da conversa: ${convError.message}`);
+      throw classifiedError(`Erro ao buscar dados da conversa: ${convError.message}`, classifySupabaseError(convError));
     }
 
     // ✅ 1. Verificar se conversa tem agente IA atribuído
@@ -294,6 +730,7 @@ async function processFollowUp(supabase, config, followUp, generatePersonalizedM
         .from('follow_up_queue')
         .update({ 
           status: 'cancelled',
+          ...leaseReleaseFields(),
           execution_error: 'Conversa não possui agente IA atribuído',
           metadata: {
             ...followUp.metadata,
@@ -322,6 +759,7 @@ async function processFollowUp(supabase, config, followUp, generatePersonalizedM
         .from('follow_up_queue')
         .update({ 
           status: 'cancelled',
+          ...leaseReleaseFields(),
           execution_error: 'Agente IA está pausado para esta conversa',
           metadata: {
             ...followUp.metadata,
@@ -332,6 +770,9 @@ async function processFollowUp(supabase, config, followUp, generatePersonalizedM
         })
         .eq('id', followUp.id);
         
+      // Cadência: resposta/handoff encerram os próximos passos
+      await stopCadenceOnCancellation(supabase, followUp, 'agent_paused');
+        
       return { success: true, skipped: true, reason: 'agent_paused' };
     }
 
@@ -351,6 +792,7 @@ async function processFollowUp(supabase, config, followUp, generatePersonalizedM
         .from('follow_up_queue')
         .update({ 
           status: 'cancelled',
+          ...leaseReleaseFields(),
           execution_error: 'Conversa atribuída a agente humano',
           metadata: {
             ...followUp.metadata,
@@ -361,6 +803,9 @@ async function processFollowUp(supabase, config, followUp, generatePersonalizedM
         })
         .eq('id', followUp.id);
         
+      // Cadência: resposta/handoff encerram os próximos passos
+      await stopCadenceOnCancellation(supabase, followUp, 'assigned_to_human');
+        
       return { success: true, skipped: true, reason: 'assigned_to_human' };
     }
 
@@ -381,6 +826,7 @@ async function processFollowUp(supabase, config, followUp, generatePersonalizedM
         .from('follow_up_queue')
         .update({ 
           status: 'cancelled',
+          ...leaseReleaseFields(),
           execution_error: 'Follow-ups pausados manualmente para esta conversa',
           metadata: {
             ...followUp.metadata,
@@ -392,9 +838,48 @@ async function processFollowUp(supabase, config, followUp, generatePersonalizedM
         })
         .eq('id', followUp.id);
         
+      // Cadência: resposta/handoff encerram os próximos passos
+      await stopCadenceOnCancellation(supabase, followUp, 'follow_ups_paused');
+        
       return { success: true, skipped: true, reason: 'follow_ups_paused' };
     }
     
+    // ✅ 5. Verificar se o contato respondeu depois que o follow-up foi agendado
+    const reply = await findContactReplySince(supabase, followUp.conversation_id, followUp.created_at);
+    if (reply) {
+             logFollowUp('warning', 'Follow-up cancelado - contato respondeu após o agendamento', { 
+         followUpId: followUp.id,
+         ruleName: followUp.rule_name,
+         contactName: followUp.contacts?.first_name || 'Nome não encontrado',
+         conversationId: followUp.conversation_id,
+         queuedAt: followUp.created_at,
+         repliedAt: reply.sent_at,
+         reason: 'contact_replied'
+       });
+      
+      // Marcar follow-up como cancelado
+      await supabase
+        .from('follow_up_queue')
+        .update({ 
+          status: 'cancelled',
+          ...leaseReleaseFields(),
+          execution_error: 'Contato respondeu após o agendamento do follow-up',
+          metadata: {
+            ...followUp.metadata,
+            cancelled_reason: 'contact_replied',
+            cancelled_at: new Date().toISOString(),
+            replied_at: reply.sent_at,
+            reply_message_id: reply.id
+          }
+        })
+        .eq('id', followUp.id);
+        
+      // Cadência: resposta/handoff encerram os próximos passos
+      await stopCadenceOnCancellation(supabase, followUp, 'contact_replied');
+        
+      return { success: true, skipped: true, reason: 'contact_replied' };
+    }
+    
     // ✅ Verificar se ainda pode tentar
     if (currentStatus.attempts >= followUp.max_attempts) {
              logFollowUp('warning', 'Follow-up já atingiu máximo de tentativas', { 
@@ -410,13 +895,33 @@ async function processFollowUp(supabase, config, followUp, generatePersonalizedM
         .from('follow_up_queue')
         .update({ 
           status: 'failed',
-          execution_error: `Máximo de ${followUp.max_attempts} tentativas atingido`
+          execution_error: `Máximo de ${followUp.max_attempts} tentativas atingido`,
+          failure_code: FAILURE_CODES.MAX_ATTEMPTS_EXCEEDED,
+          ...leaseReleaseFields()
         })
         .eq('id', followUp.id);
         
       return { success: false, error: 'Max attempts reached' };
     }
     
+    // ✅ Horário comercial da empresa (fuso e override por regra): fora da janela o item é adiado
+    const sendWindowPolicy = await getSendWindowPolicy(supabase, config, {
+      companyId: followUp.company_id,
+      kind: 'follow_up',
+      ruleName: followUp.rule_name
+    });
+    const sendWindow = checkSendWindow(sendWindowPolicy);
+    if (!sendWindow.allowed) {
+      logFollowUp('info', 'Fora do horário de envio da empresa - follow-up adiado', {
+        followUpId: followUp.id,
+        ruleName: followUp.rule_name,
+        policy: sendWindowPolicy.source,
+        timezone: sendWindowPolicy.timezone,
+        nextSlotAt: sendWindow.nextSlotAt
+      });
+      throw outsideBusinessHoursError(sendWindow, sendWindowPolicy);
+    }
+    
     // 1. Buscar contexto da conversa
     const context = await getConversationContext(supabase, followUp.conversation_id);
     if (!context) {
@@ -440,6 +945,7 @@ async function processFollowUp(supabase, config, followUp, generatePersonalizedM
         .from('follow_up_queue')
         .update({ 
           status: 'cancelled',
+          ...leaseReleaseFields(),
           execution_error: `Agente não pode responder: ${agentValidation.reason}`,
           metadata: {
             ...followUp.metadata,
@@ -453,6 +959,59 @@ async function processFollowUp(supabase, config, followUp, generatePersonalizedM
       return { success: true, skipped: true, reason: agentValidation.reason };
     }
     
+    // ✅ Validar telefone antes de gastar com IA (E.164; e-mail ainda permite envio por outro canal)
+    const phoneCheck = normalizePhoneNumber(context.contact?.phone);
+    if (!phoneCheck.valid && !context.contact?.email) {
+      throw classifiedError(`Telefone do contato inválido: ${phoneCheck.reason}`, {
+        code: FAILURE_CODES.INVALID_RECIPIENT,
+        permanent: true
+      });
+    }
+    if (!phoneCheck.valid) {
+      logFollowUp('warning', 'Telefone do contato inválido - apenas canais por e-mail/internos', {
+        followUpId: followUp.id,
+        ruleName: followUp.rule_name,
+        phone: context.contact?.phone,
+        reason: phoneCheck.reason
+      });
+    }
+    const contactPhone = phoneCheck.e164;
+
+    // ✅ Lista de supressão (opt-out / LGPD): contato suprimido não recebe mais follow-ups
+    const suppression = await findSuppression(supabase, {
+      companyId: followUp.company_id,
+      phoneDigits: phoneCheck.digits,
+      email: context.contact?.email
+    });
+    if (suppression) {
+             logFollowUp('warning', 'Follow-up cancelado - contato na lista de supressão', {
+         followUpId: followUp.id,
+         ruleName: followUp.rule_name,
+         contactName: context.contact?.first_name || 'Nome não encontrado',
+         suppressionId: suppression.id,
+         reason: 'opted_out'
+       });
+
+      await supabase
+        .from('follow_up_queue')
+        .update({
+          status: 'cancelled',
+          ...leaseReleaseFields(),
+          execution_error: 'Contato na lista de supressão (opt-out)',
+          metadata: {
+            ...followUp.metadata,
+            cancelled_reason: 'opted_out',
+            cancelled_at: new Date().toISOString(),
+            suppression_id: suppression.id
+          }
+        })
+        .eq('id', followUp.id);
+
+      await stopCadenceOnCancellation(supabase, followUp, 'opted_out');
+
+      return { success: true, skipped: true, reason: 'opted_out' };
+    }
+
     logFollowUp('debug', 'Contexto carregado para follow-up', {
       followUpId: followUp.id,
       ruleName: followUp.rule_name,
@@ -470,7 +1029,12 @@ async function processFollowUp(supabase, config, followUp, generatePersonalizedM
       .single();
       
     if (agentError || !agent) {
-      throw new Error(`Agente não encontrado: ${agentError?.message}`);
+      throw classifiedError(
+        `Agente não encontrado: ${agentError?.message}`,
+        agentError && agentError.code !== 'PGRST116'
+          ? classifySupabaseError(agentError)
+          : { code: FAILURE_CODES.AGENT_NOT_FOUND, permanent: true }
+      );
     }
     
     logFollowUp('debug', 'Agente carregado para follow-up', {
@@ -481,82 +1045,203 @@ async function processFollowUp(supabase, config, followUp, generatePersonalizedM
       hasAssistant: !!agent.openai_assistant_id
     });
     
-    // 3. Gerar mensagem personalizada
-    logFollowUp('info', 'Gerando mensagem personalizada para follow-up', {
-      followUpId: followUp.id,
-      ruleName: followUp.rule_name,
-      contactName: context.contact?.first_name,
-      agentName: agent.name,
-      templatePreview: followUp.message_template.substring(0, 50) + '...'
+    // 3. Escolher canal de envio (preferência do contato → padrão da empresa → WhatsApp → interno)
+    // Instância preferida: a que a conversa usou (ou a última usada para o contato)
+    const preferredInstanceName = getConversationInstanceName(context.conversation, context.recentMessages) ||
+      await findLastInstanceForRecipient(supabase, followUp.company_id, contactPhone);
+    const channel = await resolveChannel(supabase, config, {
+      companyId: followUp.company_id,
+      contact: { ...context.contact, phone: contactPhone },
+      preferredInstanceName
     });
+    const recipient = {
+      phone: contactPhone,
+      email: context.contact.email,
+      name: context.contact.first_name
+    };
+    const recipientAddress = getChannelAdapter(channel.type).recipientAddress(recipient);
     
-    const finalMessage = await generatePersonalizedMessage(
-      followUp.message_template,
-      context,
-      agent,
-      followUp.company_id
-    );
-    
-    logFollowUp('success', 'Mensagem gerada para follow-up', {
+    logFollowUp('debug', 'Canal para follow-up definido', {
       followUpId: followUp.id,
       ruleName: followUp.rule_name,
-      contactName: context.contact?.first_name,
-      originalLength: followUp.message_template.length,
-      finalLength: finalMessage.length,
-      wasPersonalized: finalMessage !== followUp.message_template
+      channel: channel.type,
+      channelSource: channel.source,
+      instanceName: channel.instanceName,
+      instanceRouting: channel.routing,
+      preferredInstanceName,
+      companyId: followUp.company_id
     });
     
-    executionLog.message_sent = finalMessage;
+    // ✅ Janela de 24h (WhatsApp Cloud API): fora dela só template aprovado do canal
+    const sessionPolicy = getSessionPolicy(channel, getChannelAdapter(channel.type));
+    const useTemplate = sessionPolicy.enforce && !context.sessionWindow?.open;
     
-    // 4. Buscar instância WhatsApp (opcional - sistema interno como fallback)
-    const { data: instance, error: instanceError } = await supabase
-      .from('whatsapp_instances')
-      .select('name')
-      .eq('company_id', followUp.company_id)
-      .eq('status', 'connected')
-      .single();
+    if (useTemplate && !context.sessionWindow) {
+      throw classifiedError('Não foi possível verificar a janela de 24h da conversa', {
+        code: FAILURE_CODES.DATABASE_UNAVAILABLE,
+        permanent: false
+      });
+    }
+    if (useTemplate && !sessionPolicy.template) {
+      throw classifiedError('Conversa fora da janela de 24h e canal sem template aprovado configurado', {
+        code: FAILURE_CODES.SESSION_WINDOW_CLOSED,
+        permanent: true
+      });
+    }
+    if (useTemplate) {
+      logFollowUp('info', 'Conversa fora da janela de 24h - follow-up será enviado por template', {
+        followUpId: followUp.id,
+        ruleName: followUp.rule_name,
+        template: sessionPolicy.template.name,
+        lastInboundAt: context.sessionWindow.lastInboundAt
+      });
+    }
+    
+    // ✅ Circuito do provedor ou do remetente aberto: adia o item antes de gastar com IA
+    assertBreakersClosed([getChannelAdapter(channel.type).upstream, channelSenderKey(channel, config)]);
+    
+    // ✅ Limite de envio por instância/empresa: adia o item antes de gastar com IA
+    const rateLimitKey = {
+      channel,
+      senderKey: channelSenderKey(channel, config),
+      companyId: followUp.company_id
+    };
+    const reservation = await reserveSendCapacity(supabase, config, rateLimitKey);
+    if (!reservation.allowed) {
+      throw rateLimitError(reservation);
+    }
+    // Token devolvido se o item sair antes de chegar ao provedor (IA, adiamento, deduplicação)
+    reservedSendKey = rateLimitKey;
     
-    const instanceName = instance?.name || 'internal_system';
+    // 4. Gerar mensagem personalizada (ou reaproveitar a gerada antes de um replay)
+    let finalMessage;
     
-    if (instanceError || !instance?.name) {
-      logFollowUp('debug', 'WhatsApp instance não encontrada, usando sistema interno', {
+    if (currentStatus.metadata?.reuse_generated_message && currentStatus.ai_generated_message) {
+      finalMessage = currentStatus.ai_generated_message;
+      
+      logFollowUp('info', 'Replay sem regeneração - reaproveitando mensagem gerada anteriormente', {
         followUpId: followUp.id,
         ruleName: followUp.rule_name,
-        companyId: followUp.company_id,
-        error: instanceError?.message
+        contactName: context.contact?.first_name,
+        messageLength: finalMessage.length
+      });
+    } else if (useTemplate && !templateNeedsMessage(sessionPolicy.template)) {
+      // Template sem o parâmetro "message": a IA não é necessária
+      finalMessage = null;
+    } else {
+      logFollowUp('info', 'Gerando mensagem personalizada para follow-up', {
+        followUpId: followUp.id,
+        ruleName: followUp.rule_name,
+        contactName: context.contact?.first_name,
+        agentName: agent.name,
+        templatePreview: followUp.message_template.substring(0, 50) + '...'
+      });
+      
+      finalMessage = await generatePersonalizedMessage(
+        followUp.message_template,
+        context,
+        agent,
+        followUp.company_id
+      );
+      
+      logFollowUp('success', 'Mensagem gerada para follow-up', {
+        followUpId: followUp.id,
+        ruleName: followUp.rule_name,
+        contactName: context.contact?.first_name,
+        originalLength: followUp.message_template.length,
+        finalLength: finalMessage.length,
+        wasPersonalized: finalMessage !== followUp.message_template
       });
     }
     
-    logFollowUp('debug', 'Instância para follow-up definida', {
-      followUpId: followUp.id,
-      ruleName: followUp.rule_name,
-      instanceName: instanceName,
-      companyId: followUp.company_id,
-      type: instance?.name ? 'whatsapp' : 'internal'
-    });
+    const template = useTemplate
+      ? buildTemplateMessage(sessionPolicy.template, {
+        contact_name: context.contact?.first_name,
+        agent_name: agent.name,
+        rule_name: followUp.rule_name,
+        message: finalMessage
+      })
+      : null;
+    // Texto da IA guardado à parte: um replay reaproveita a mensagem, não o resumo do template
+    const generatedMessage = finalMessage;
+    if (template) {
+      finalMessage = describeTemplateMessage(template);
+    }
+    
+    executionLog.message_sent = finalMessage;
     
-    // 5. Enviar mensagem via WhatsApp
-    logFollowUp('info', 'Enviando follow-up via WhatsApp', {
+    // Template: mensagem única (sem anexos) aceita fora da janela
+    const payload = {
+      text: finalMessage,
+      template,
+      media: template ? [] : normalizeMediaAttachments(currentStatus.media_attachments, { followUpId: followUp.id })
+    };
+    
+    // 5. Enviar mensagem pelo canal
+    logFollowUp('info', `Enviando follow-up via ${channel.type}`, {
       followUpId: followUp.id,
       ruleName: followUp.rule_name,
       contactName: context.contact?.first_name,
-      contactPhone: context.contact?.phone?.substring(0, 8) + '...',
-      instanceName: instanceName,
-      messageLength: finalMessage.length
+      recipient: recipientAddress?.substring(0, 8) + '...',
+      channel: channel.type,
+      instanceName: channel.instanceName,
+      messageLength: finalMessage.length,
+      mediaCount: payload.media.length
     });
     
-    const sendResult = await sendWhatsAppMessage(
-      instanceName,
-      context.contact.phone,
-      finalMessage
+    // ✅ Outbox: no máximo um envio por item (chave de idempotência = fila + id + tentativa)
+    const sendResult = await sendWithOutbox(
+      supabase,
+      {
+        queueTable: 'follow_up_queue',
+        queueItemId: followUp.id,
+        attempt: currentStatus.attempts + 1,
+        metadata: currentStatus.metadata,
+        companyId: followUp.company_id,
+        instanceName: channel.instanceName || null,
+        recipient: recipientAddress,
+        payload: { channel: channel.type, ...describePayload(payload) },
+        workerId: config.workerId,
+        leaseConfig: config
+      },
+      (idempotencyKey, partProgress) => {
+        // Envio chegou ao provedor: o token reservado foi usado
+        reservedSendKey = null;
+        return send(channel, recipient, payload, {
+          idempotencyKey,
+          companyId: followUp.company_id,
+          source: { queueTable: 'follow_up_queue', queueItemId: followUp.id },
+          humanized: shouldHumanizeSend(config, channel, currentStatus.metadata),
+          ...partProgress
+        });
+      }
     );
     
+    if (reservedSendKey) {
+      await refundSendCapacity(supabase, config, reservedSendKey);
+      reservedSendKey = null;
+    }
+    
     if (!sendResult.success) {
-      throw new Error(sendResult.error);
+      throw classifiedError(sendResult.error, sendResult.classification);
+    }
+    
+    // Uma mensagem por token: partes além da primeira são cobradas depois do envio
+    await chargeSendParts(supabase, config, rateLimitKey, sendResult.partsSent);
+    
+    if (sendResult.deduplicated) {
+      logFollowUp('warning', 'Mensagem já havia sido enviada - apenas finalizando o item', {
+        followUpId: followUp.id,
+        ruleName: followUp.rule_name,
+        contactName: context.contact?.first_name,
+        messageId: sendResult.messageId
+      });
     }
     
-    // 6. Marcar como enviado
-    logFollowUp('debug', 'Marcando follow-up como enviado', { 
+    // 6. Marcar como enviado (fila interna: aguardando confirmação do dispatcher)
+    const finalQueueStatus = sendResult.pendingDelivery ? 'awaiting_delivery' : 'sent';
+    
+    logFollowUp('debug', `Marcando follow-up como ${finalQueueStatus}`, { 
       followUpId: followUp.id,
       ruleName: followUp.rule_name,
       contactName: context.contact?.first_name,
@@ -566,103 +1251,120 @@ async function processFollowUp(supabase, config, followUp, generatePersonalizedM
     const { data: updateResult, error: updateError } = await supabase
       .from('follow_up_queue')
       .update({ 
-        status: 'sent',
+        status: finalQueueStatus,
+        ...leaseReleaseFields(),
         attempts: followUp.attempts + 1,
-        executed_at: new Date().toISOString(),
-        ai_generated_message: finalMessage
+        executed_at: sendResult.pendingDelivery ? null : new Date().toISOString(),
+        ai_generated_message: generatedMessage,
+        // Envio concluído encerra a sequência de adiamentos por circuito aberto
+        metadata: clearCircuitDeferral(currentStatus.metadata)
       })
       .eq('id', followUp.id)
       .select('status, attempts');
     
     if (updateError) {
-      logFollowUp('error', 'ERRO CRÍTICO: Falha ao marcar follow-up como sent', { 
+      logFollowUp('error', `ERRO CRÍTICO: Falha ao marcar follow-up como ${finalQueueStatus}`, { 
         followUpId: followUp.id,
         ruleName: followUp.rule_name,
         contactName: context.contact?.first_name,
         error: updateError.message
       });
-      throw new Error(`Erro ao marcar como sent: ${updateError.message}`);
+      throw classifiedError(`Erro ao marcar como ${finalQueueStatus}: ${updateError.message}`, classifySupabaseError(updateError));
     }
     
-    // 7. Registrar mensagem no sistema
-    const messageData = {
-      conversation_id: followUp.conversation_id,
-      direction: 'outbound',
-      message_type: 'text',
+    // 7. Registrar mensagem no sistema e agendar o próximo passo da cadência
+    // (canal interno: id na fila interna, confirmado pelo dispatcher)
+    const externalMessageId = await finalizeFollowUpSend(supabase, followUp, {
+      outboxId: sendResult.outboxId,
+      messageId: sendResult.messageId,
+      messageIds: sendResult.messageIds,
+      pendingDelivery: sendResult.pendingDelivery,
+      deduplicated: sendResult.deduplicated,
       content: finalMessage,
-      from_number: context.contact.phone,
-      from_name: agent.name,
-      sent_at: new Date().toISOString(),
-      status: 'sent',
-      sent_by_ai: true,
-      external_id: null,
+      messageType: primaryMessageType(payload),
+      fromNumber: context.contact.phone,
+      fromName: agent.name,
       metadata: {
-        follow_up_id: followUp.id,
-        rule_name: followUp.rule_name,
-        is_follow_up: true,
-        sent_via: 'follow_up_server',
-        instance_name: instanceName,
-        ai_agent_id: followUp.agent_id,
+        channel: channel.type,
+        instance_name: channel.instanceName || null,
+        instance_routing: channel.routing || null,
+        session_window_open: context.sessionWindow?.open ?? null,
+        template_name: template?.name || null,
+        attachments: describePayload(payload).media,
         agent_name: agent.name
       }
-    };
-
-    const { data: newMessage, error: messageError } = await supabase
-      .from('messages')
-      .insert(messageData)
-      .select('id')
-      .single();
-
-    if (messageError) {
-      logFollowUp('error', 'Erro ao registrar mensagem do follow-up no banco', { 
-        followUpId: followUp.id,
-        ruleName: followUp.rule_name,
-        contactName: context.contact?.first_name,
-        error: messageError.message
-      });
-    } else {
-      logFollowUp('success', 'Mensagem de follow-up registrada no banco', { 
-        followUpId: followUp.id,
-        ruleName: followUp.rule_name,
-        contactName: context.contact?.first_name,
-        messageId: newMessage.id
-      });
-    }
+    });
     
     executionLog.success = true;
+    executionLog.external_message_id = externalMessageId;
+    executionLog.delivery_status = sendResult.pendingDelivery ? 'pending' : 'sent';
     executionLog.response_time_ms = Date.now() - startTime;
     
-    logFollowUp('success', `✅ FOLLOW-UP ENVIADO COM SUCESSO`, {
+    // Log antes de finalizar o outbox: queda daqui em diante é refeita pela reconciliação
+    await recordFollowUpLog(supabase, executionLog);
+    logRecorded = true;
+    
+    // Envio refletido na fila: reconciliação não precisa mais olhar este registro
+    await markOutboxFinalized(supabase, sendResult.outboxId);
+    
+    logFollowUp('success', sendResult.pendingDelivery
+      ? `✅ FOLLOW-UP ENFILEIRADO NO SISTEMA INTERNO (aguardando entrega)`
+      : `✅ FOLLOW-UP ENVIADO COM SUCESSO`, {
       followUpId: followUp.id,
       ruleName: followUp.rule_name,
       contactName: context.contact?.first_name,
       contactPhone: context.contact?.phone?.substring(0, 8) + '...',
       agentName: agent.name,
-      instanceUsed: instanceName,
+      channelUsed: channel.type,
+      instanceUsed: channel.instanceName,
       responseTimeMs: executionLog.response_time_ms,
       messageLength: finalMessage.length,
-      whatsappMessageId: sendResult.messageId
+      providerMessageId: sendResult.messageId
     });
     
-    return { success: true, messageId: sendResult.messageId };
+    return { success: true, messageId: sendResult.messageId, awaitingDelivery: !!sendResult.pendingDelivery };
     
   } catch (error) {
     executionLog.error_message = error.message;
     executionLog.response_time_ms = Date.now() - startTime;
     
-    // Atualizar tentativas
-    const newAttempts = followUp.attempts + 1;
-    const status = newAttempts >= followUp.max_attempts ? 'failed' : 'pending';
+    if (reservedSendKey) {
+      await refundSendCapacity(supabase, config, reservedSendKey);
+    }
+    
+    // Lease perdido no meio do envio: o item já é de outro worker, que continua das partes gravadas
+    if (error.failureCode === FAILURE_CODES.LEASE_LOST) {
+      executionLog.failure_code = FAILURE_CODES.LEASE_LOST;
+      logFollowUp('warning', 'Lease perdido durante o envio - follow-up fica com o outro worker', {
+        followUpId: followUp.id,
+        ruleName: followUp.rule_name,
+        error: error.message
+      });
+      return { success: false, skipped: true, reason: 'lease_lost' };
+    }
+    
+    // Atualizar tentativas e reagendar com backoff exponencial
+    const retry = buildRetryUpdate(followUp, error, config);
+    const newAttempts = retry.attempts;
+    const status = retry.finalStatus;
+    executionLog.failure_code = retry.classification.code;
     
     await supabase
       .from('follow_up_queue')
-      .update({ 
-        attempts: newAttempts,
-        status: status,
-        execution_error: error.message
-      })
+      .update(retry.update)
       .eq('id', followUp.id);
     
+    // Passo de cadência que não será mais enviado: a sequência segue para o próximo passo
+    if (status === 'failed') {
+      await advanceCadence(supabase, followUp, { sent: false }).catch(cadenceError => {
+        logFollowUp('warning', 'Erro ao agendar próximo passo da cadência após falha', {
+          followUpId: followUp.id,
+          enrollmentId: followUp.cadence_enrollment_id,
+          error: cadenceError.message
+        });
+      });
+    }
+    
          logFollowUp('error', `❌ ERRO NO FOLLOW-UP`, {
        followUpId: followUp.id,
        ruleName: followUp.rule_name,
@@ -673,23 +1375,184 @@ async function processFollowUp(supabase, config, followUp, generatePersonalizedM
        attempts: newAttempts,
        maxAttempts: followUp.max_attempts,
        finalStatus: status,
+       nextAttemptAt: retry.nextAttemptAt,
+       failureCode: retry.classification.code,
+       permanentFailure: retry.classification.permanent,
        responseTimeMs: executionLog.response_time_ms
      });
     
     return { success: false, error: error.message };
     
   } finally {
-    // Registrar log de execução
-    try {
-      await supabase.from('follow_up_logs').insert(executionLog);
-    } catch (logError) {
-      logFollowUp('warning', 'Erro ao registrar log de follow-up', { 
-        error: logError.message,
-        followUpId: followUp.id,
-        ruleName: followUp.rule_name
-      });
+    if (!logRecorded) {
+      await recordFollowUpLog(supabase, executionLog);
+    }
+  }
+}
+
+// ===============================================
+// RESPOSTA DO CONTATO
+// ===============================================
+
+/**
+ * Primeira mensagem do contato (não enviada pela IA) depois de `since`, ou null
+ */
+async function findContactReplySince(supabase, conversationId, since) {
+  if (!since) {
+    return null;
+  }
+
+  const { data: replies, error } = await supabase
+    .from('messages')
+    .select('id, sent_at')
+    .eq('conversation_id', conversationId)
+    .eq('direction', 'inbound')
+    .eq('sent_by_ai', false)
+    .gt('sent_at', since)
+    .order('sent_at', { ascending: true })
+    .limit(1);
+
+  if (error) {
+    throw classifiedError(`Erro ao verificar resposta do contato: ${error.message}`, classifySupabaseError(error));
+  }
+
+  return replies?.[0] || null;
+}
+
+// Motivos de cancelamento por mensagem do contato → texto em execution_error
+const CONTACT_CANCELLATION_ERRORS = {
+  contact_replied: 'Contato respondeu após o agendamento do follow-up',
+  opted_out: 'Contato pediu para não receber mais mensagens (opt-out)'
+};
+
+/**
+ * Cancela os follow-ups pendentes de uma conversa agendados antes da mensagem do contato
+ * e encerra as cadências da conversa.
+ * Itens já em processamento são cancelados pelo próprio processFollowUp (verificações 5 e de supressão).
+ * reply: { repliedAt, messageId }; reason: 'contact_replied' | 'opted_out'
+ */
+async function cancelFollowUpsForConversation(supabase, conversationId, reply = {}, reason = 'contact_replied') {
+  const repliedAt = reply.repliedAt || new Date().toISOString();
+
+  const { data: pending, error } = await supabase
+    .from('follow_up_queue')
+    .select('id, metadata')
+    .eq('conversation_id', conversationId)
+    .eq('status', 'pending')
+    .lt('created_at', repliedAt);
+
+  if (error) {
+    throw new Error(`Erro ao buscar follow-ups pendentes da conversa: ${error.message}`);
+  }
+
+  const cancelledIds = [];
+
+  for (const item of pending || []) {
+    // UPDATE condicional: item reservado por um worker nesse meio tempo fica com o worker
+    const { data: cancelled, error: cancelError } = await supabase
+      .from('follow_up_queue')
+      .update({
+        status: 'cancelled',
+        execution_error: CONTACT_CANCELLATION_ERRORS[reason],
+        metadata: {
+          ...item.metadata,
+          cancelled_reason: reason,
+          cancelled_at: new Date().toISOString(),
+          replied_at: repliedAt,
+          reply_message_id: reply.messageId || null
+        }
+      })
+      .eq('id', item.id)
+      .eq('status', 'pending')
+      .select('id');
+
+    if (cancelError) {
+      logFollowUp('warning', 'Erro ao cancelar follow-up após resposta', { followUpId: item.id, error: cancelError.message });
+      continue;
+    }
+
+    if (cancelled?.length) {
+      cancelledIds.push(item.id);
     }
   }
+
+  try {
+    await stopConversationCadences(
+      supabase,
+      conversationId,
+      reason === 'opted_out' ? CADENCE_STOP_REASONS.OPTED_OUT : CADENCE_STOP_REASONS.CONTACT_REPLIED
+    );
+  } catch (cadenceError) {
+    logFollowUp('warning', 'Erro ao encerrar cadências após resposta', { conversationId, error: cadenceError.message });
+  }
+
+  if (cancelledIds.length > 0) {
+    logFollowUp('info', 'Follow-ups pendentes cancelados por mensagem do contato', {
+      conversationId,
+      reason,
+      cancelled: cancelledIds.length,
+      repliedAt
+    });
+  }
+
+  return { conversationId, cancelled: cancelledIds.length, ids: cancelledIds };
+}
+
+/**
+ * Cancela os follow-ups pendentes das conversas do contato (telefone comparado em E.164)
+ * na empresa do remetente.
+ * companyId: empresa do remetente (undefined = resolvida a partir do evento).
+ * Sem empresa identificada nada é cancelado: o mesmo telefone pode ser contato de outras empresas.
+ */
+async function cancelContactFollowUps(supabase, event, reason, companyId) {
+  if (!event.from) {
+    return null;
+  }
+
+  const senderCompanyId = companyId === undefined ? await resolveSenderCompanyId(supabase, event) : companyId;
+
+  if (!senderCompanyId) {
+    logFollowUp('warning', 'Empresa do remetente não identificada - follow-ups do contato não cancelados', {
+      provider: event.provider,
+      sender: event.sender,
+      reason
+    });
+    return null;
+  }
+
+  // Pré-filtro pelos últimos 8 dígitos (estáveis entre formatos); a comparação final é normalizada
+  const { data: pending, error } = await supabase
+    .from('follow_up_queue')
+    .select('conversation_id, contacts!inner(phone)')
+    .eq('status', 'pending')
+    .eq('company_id', senderCompanyId)
+    .ilike('contacts.phone', `%${event.from.slice(-8)}%`);
+
+  if (error) {
+    throw new Error(`Erro ao buscar follow-ups do contato: ${error.message}`);
+  }
+
+  const conversationIds = [...new Set((pending || [])
+    .filter(item => normalizePhoneNumber(item.contacts?.phone).digits === event.from)
+    .map(item => item.conversation_id))];
+
+  const results = [];
+  for (const conversationId of conversationIds) {
+    results.push(await cancelFollowUpsForConversation(supabase, conversationId, {
+      repliedAt: event.timestamp,
+      messageId: event.externalId
+    }, reason));
+  }
+
+  return results.length > 0 ? results : null;
+}
+
+/**
+ * Handler de webhook: mensagem recebida cancela na hora os follow-ups pendentes
+ * das conversas do contato
+ */
+async function handleFollowUpReply(supabase, event) {
+  return cancelContactFollowUps(supabase, event, 'contact_replied');
 }
 
 // ===============================================
@@ -769,7 +1632,12 @@ async function validateAgentConditions(supabase, conversation, agentId) {
 
 module.exports = {
   getPendingFollowUps,
+  holdFollowUpsOnHolidays,
   processFollowUp,
+  finalizeOutboxFollowUp,
+  cancelFollowUpsForConversation,
+  cancelContactFollowUps,
+  handleFollowUpReply,
   logFollowUp,
   validateAgentConditions
 }; 
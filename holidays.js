@@ -0,0 +1,273 @@
+/**
+ * ===============================================
+ * ZIONIC HOLIDAY CALENDAR
+ * ===============================================
+ * Feriados nacionais, estaduais e municipais (arquivo local, ex.: holidays/br.json)
+ * e dias fechados da empresa (tabela holidays) que bloqueiam follow-ups automáticos.
+ * Por regra, o item bloqueado é deslocado para o próximo dia útil ('shift') ou
+ * descartado ('skip').
+ *
+ * Entradas (arquivo e tabela):
+ * - { "date": "MM-DD" } recorrente, { "date": "AAAA-MM-DD" } data única ou
+ *   { "easter_offset": -2 } relativa à Páscoa (Carnaval, Sexta-feira Santa, Corpus Christi)
+ * - scope: national | state (state) | municipal (state + city) | company
+ * - optional: ponto facultativo (ignorado se a empresa não observa)
+ *
+ * @author Zionic Team
+ * @version 1.7.0
+ */
+
+const fs = require('fs');
+const { getLocalParts, zonedTimeToUtc, checkSendWindow, isValidTimezone } = require('./business-hours');
+
+// ===============================================
+// UTILITÁRIOS DE LOG
+// ===============================================
+
+/**
+ * Log estruturado específico para feriados
+ */
+function logHolidays(level, message, data = {}) {
+  const timestamp = new Date().toISOString();
+  const emoji = {
+    info: 'ℹ️',
+    success: '✅',
+    warning: '⚠️',
+    error: '❌',
+    debug: '🔍'
+  };
+
+  console.log(`${emoji[level] || '📝'} [HOLIDAYS] [${timestamp}] ${message}`,
+    Object.keys(data).length > 0 ? JSON.stringify(data, null, 2) : '');
+}
+
+const HOLIDAY_ACTIONS = ['shift', 'skip'];
+
+// Procura o próximo dia útil em até duas semanas à frente
+const MAX_SHIFT_DAYS = 14;
+
+// Arquivo carregado uma vez por processo (por caminho)
+const fileCache = new Map();
+
+// ===============================================
+// FONTES
+// ===============================================
+
+/**
+ * Feriados do arquivo local (JSON com lista de entradas)
+ */
+function loadHolidayFile(file) {
+  if (!file) {
+    return [];
+  }
+
+  if (!fileCache.has(file)) {
+    try {
+      const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+      fileCache.set(file, Array.isArray(entries) ? entries : []);
+      logHolidays('info', 'Calendário de feriados carregado', { file, entries: fileCache.get(file).length });
+    } catch (error) {
+      logHolidays('error', 'Erro ao carregar arquivo de feriados - usando apenas a tabela', { file, error: error.message });
+      fileCache.set(file, []);
+    }
+  }
+
+  return fileCache.get(file);
+}
+
+/**
+ * Feriados da tabela: globais (company_id NULL) e das empresas informadas
+ */
+async function loadHolidayRows(supabase, companyIds) {
+  const { data: rows, error } = await supabase
+    .from('holidays')
+    .select('company_id, date, recurring, name, scope, state, city, optional')
+    .or(`company_id.is.null,company_id.in.(${companyIds.join(',')})`);
+
+  if (error) {
+    logHolidays('warning', 'Erro ao buscar feriados da tabela - usando apenas o arquivo', { error: error.message });
+    return [];
+  }
+
+  // Linha recorrente casa só mês e dia
+  return (rows || []).map(row => ({
+    ...row,
+    date: row.recurring ? String(row.date).substring(5, 10) : String(row.date).substring(0, 10),
+    scope: row.company_id ? 'company' : row.scope
+  }));
+}
+
+// ===============================================
+// CALENDÁRIOS POR EMPRESA
+// ===============================================
+
+/**
+ * Texto comparável (sem acento, minúsculo)
+ */
+function normalizePlace(value) {
+  return String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+/**
+ * A entrada vale para a empresa (escopo e localização)?
+ */
+function appliesToCompany(entry, companyId, settings) {
+  if (entry.optional && settings?.observe_optional_holidays === false) {
+    return false;
+  }
+
+  switch (entry.scope) {
+    case 'company':
+      return entry.company_id === companyId;
+    case 'state':
+      return !!settings?.state && normalizePlace(entry.state) === normalizePlace(settings.state);
+    case 'municipal':
+      return !!settings?.city &&
+        normalizePlace(entry.state) === normalizePlace(settings.state) &&
+        normalizePlace(entry.city) === normalizePlace(settings.city);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Calendário de cada empresa: Map companyId → { timezone, action, ruleActions, entries }
+ * (empresas com feriados desligados ficam fora do Map)
+ */
+async function loadHolidayCalendars(supabase, config, companyIds) {
+  const calendars = new Map();
+
+  if (!config.holidayCalendarEnabled || companyIds.length === 0) {
+    return calendars;
+  }
+
+  const { data: settingsRows, error } = await supabase
+    .from('company_business_hours')
+    .select('company_id, timezone, state, city, holidays_enabled, holiday_action, observe_optional_holidays, rule_overrides')
+    .in('company_id', companyIds);
+
+  if (error) {
+    logHolidays('warning', 'Erro ao buscar configuração de feriados das empresas - usando padrão', { error: error.message });
+  }
+
+  const settingsByCompany = new Map((settingsRows || []).map(row => [row.company_id, row]));
+  const entries = [...loadHolidayFile(config.holidaysFile), ...await loadHolidayRows(supabase, companyIds)];
+
+  for (const companyId of companyIds) {
+    const settings = settingsByCompany.get(companyId);
+    if (settings?.holidays_enabled === false) {
+      continue;
+    }
+
+    const ruleActions = {};
+    for (const [ruleName, override] of Object.entries(settings?.rule_overrides || {})) {
+      if (HOLIDAY_ACTIONS.includes(override?.holiday_action)) {
+        ruleActions[ruleName] = override.holiday_action;
+      }
+    }
+
+    calendars.set(companyId, {
+      timezone: settings?.timezone && isValidTimezone(settings.timezone) ? settings.timezone : config.defaultTimezone,
+      action: HOLIDAY_ACTIONS.includes(settings?.holiday_action) ? settings.holiday_action : config.holidayDefaultAction,
+      ruleActions,
+      entries: entries.filter(entry => appliesToCompany(entry, companyId, settings))
+    });
+  }
+
+  return calendars;
+}
+
+// ===============================================
+// CONSULTA
+// ===============================================
+
+/**
+ * Domingo de Páscoa (algoritmo de Meeus/Jones/Butcher), em UTC
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+  return Date.UTC(year, month - 1, day);
+}
+
+/**
+ * Feriado na data local (year, month, day), ou null
+ */
+function holidayOnDate(calendar, { year, month, day }) {
+  const monthDay = `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  const fullDate = `${year}-${monthDay}`;
+  const easter = easterSunday(year);
+  const dayUtc = Date.UTC(year, month - 1, day);
+
+  return calendar.entries.find(entry => {
+    if (typeof entry.easter_offset === 'number') {
+      return easter + entry.easter_offset * 24 * 60 * 60 * 1000 === dayUtc;
+    }
+    return entry.date === monthDay || entry.date === fullDate;
+  }) || null;
+}
+
+/**
+ * Feriado no dia local do instante (fuso da empresa), ou null
+ */
+function findHoliday(calendar, instant = Date.now()) {
+  return holidayOnDate(calendar, getLocalParts(instant, calendar.timezone));
+}
+
+/**
+ * Ação para o item bloqueado: override da regra → empresa → padrão do servidor
+ */
+function holidayActionFor(calendar, ruleName) {
+  return calendar.ruleActions[ruleName] || calendar.action;
+}
+
+/**
+ * Próximo horário de envio fora de feriado, a partir do dia seguinte.
+ * Com horário comercial (policy.schedule) usa o início da janela do dia;
+ * sem ele, config.holidayShiftTime ("09:00") no fuso da empresa.
+ */
+function nextBusinessSlot(calendar, policy, config, from = Date.now()) {
+  const [shiftHour, shiftMinute] = String(config.holidayShiftTime || '09:00').split(':').map(Number);
+  const startMinutes = policy.schedule ? 0 : shiftHour * 60 + (shiftMinute || 0);
+  const local = getLocalParts(from, calendar.timezone);
+
+  for (let offset = 1; offset <= MAX_SHIFT_DAYS; offset++) {
+    const date = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+    const dayStart = zonedTimeToUtc(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), startMinutes, calendar.timezone);
+
+    const window = checkSendWindow(policy, dayStart);
+    const slot = window.allowed ? dayStart : new Date(window.nextSlotAt).getTime();
+
+    if (!findHoliday(calendar, slot)) {
+      return new Date(slot).toISOString();
+    }
+  }
+
+  return null;
+}
+
+// ===============================================
+// EXPORTAÇÕES
+// ===============================================
+
+module.exports = {
+  HOLIDAY_ACTIONS,
+  loadHolidayCalendars,
+  findHoliday,
+  holidayActionFor,
+  nextBusinessSlot,
+  logHolidays
+};
@@ -0,0 +1,287 @@
+/**
+ * ===============================================
+ * ZIONIC INBOUND MESSAGES
+ * ===============================================
+ * Webhooks de entrada (Evolution API e WhatsApp Cloud API): normaliza os
+ * eventos recebidos (mensagens e status de entrega) e os repassa aos handlers registrados
+ *
+ * @author Zionic Team
+ * @version 1.7.0
+ */
+
+const { normalizePhoneNumber } = require('./phone-number');
+
+// ===============================================
+// UTILITÁRIOS DE LOG
+// ===============================================
+
+/**
+ * Log estruturado específico para mensagens recebidas
+ */
+function logInbound(level, message, data = {}) {
+  const timestamp = new Date().toISOString();
+  const emoji = {
+    info: 'ℹ️',
+    success: '✅',
+    warning: '⚠️',
+    error: '❌',
+    debug: '🔍'
+  };
+
+  console.log(`${emoji[level] || '📝'} [INBOUND] [${timestamp}] ${message}`,
+    Object.keys(data).length > 0 ? JSON.stringify(data, null, 2) : '');
+}
+
+/**
+ * Dígitos do número em E.164 (remove sufixo @s.whatsapp.net, +, espaços e
+ * aplica o nono dígito), para casar com os telefones normalizados no envio
+ */
+function phoneDigits(value) {
+  return normalizePhoneNumber(value).digits || String(value || '').split('@')[0].replace(/\D/g, '');
+}
+
+// ===============================================
+// PARSERS POR PROVEDOR
+// ===============================================
+// Eventos normalizados:
+// { kind: 'message', provider, sender, from, text, buttonId, externalId, timestamp }
+// { kind: 'status', provider, sender, externalId, status, error, timestamp }
+//   status: 'sent' | 'delivered' | 'read' | 'failed'
+
+// Status da Evolution API (v1 numérico, v2 texto) → status normalizado
+const EVOLUTION_STATUS = {
+  1: 'sent',
+  2: 'sent',
+  3: 'delivered',
+  4: 'read',
+  5: 'read',
+  PENDING: 'sent',
+  SERVER_ACK: 'sent',
+  DELIVERY_ACK: 'delivered',
+  READ: 'read',
+  PLAYED: 'read',
+  ERROR: 'failed'
+};
+
+/**
+ * Webhook da Evolution API (eventos messages.upsert e messages.update)
+ */
+function parseEvolutionWebhook(body) {
+  const event = String(body?.event || '').toLowerCase().replace('_', '.');
+  const items = Array.isArray(body?.data) ? body.data : [body?.data];
+
+  if (event === 'messages.update') {
+    return parseEvolutionStatusUpdates(body, items);
+  }
+
+  if (event !== 'messages.upsert') {
+    return [];
+  }
+
+  return items
+    .filter(data => data?.key && !data.key.fromMe && !String(data.key.remoteJid || '').endsWith('@g.us'))
+    .map(data => {
+      const message = data.message || {};
+      return {
+        kind: 'message',
+        provider: 'evolution',
+        sender: body.instance,
+        from: phoneDigits(data.key.remoteJid),
+        text: message.conversation ||
+          message.extendedTextMessage?.text ||
+          message.buttonsResponseMessage?.selectedDisplayText ||
+          message.listResponseMessage?.title ||
+          message.imageMessage?.caption ||
+          null,
+        buttonId: message.buttonsResponseMessage?.selectedButtonId ||
+          message.listResponseMessage?.singleSelectReply?.selectedRowId ||
+          message.templateButtonReplyMessage?.selectedId ||
+          null,
+        externalId: data.key.id,
+        timestamp: data.messageTimestamp
+          ? new Date(Number(data.messageTimestamp) * 1000).toISOString()
+          : new Date().toISOString()
+      };
+    });
+}
+
+/**
+ * Status de mensagens enviadas (messages.update): v2 { keyId, status }, v1 { key, update: { status } }
+ */
+function parseEvolutionStatusUpdates(body, items) {
+  return items
+    .map(data => {
+      const rawStatus = data?.status ?? data?.update?.status;
+      const status = EVOLUTION_STATUS[rawStatus];
+      const externalId = data?.keyId || data?.key?.id;
+
+      // Só interessam confirmações de mensagens enviadas por nós
+      if (!status || !externalId || (data.fromMe ?? data.key?.fromMe) === false) {
+        return null;
+      }
+
+      return {
+        kind: 'status',
+        provider: 'evolution',
+        sender: body.instance,
+        externalId,
+        status,
+        error: status === 'failed' ? 'Evolution API reportou erro na entrega' : null,
+        timestamp: data.dateTime ? new Date(data.dateTime).toISOString() : new Date().toISOString()
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Webhook da WhatsApp Cloud API (entry[].changes[].value.messages / value.statuses)
+ */
+function parseWhatsAppCloudWebhook(body) {
+  const events = [];
+
+  for (const entry of body?.entry || []) {
+    for (const change of entry.changes || []) {
+      const value = change.value || {};
+
+      for (const message of value.messages || []) {
+        events.push({
+          kind: 'message',
+          provider: 'whatsapp_cloud',
+          sender: value.metadata?.phone_number_id,
+          from: phoneDigits(message.from),
+          text: message.text?.body ||
+            message.button?.text ||
+            message.interactive?.button_reply?.title ||
+            message.interactive?.list_reply?.title ||
+            null,
+          buttonId: message.interactive?.button_reply?.id ||
+            message.interactive?.list_reply?.id ||
+            message.button?.payload ||
+            null,
+          externalId: message.id,
+          timestamp: message.timestamp
+            ? new Date(Number(message.timestamp) * 1000).toISOString()
+            : new Date().toISOString()
+        });
+      }
+
+      for (const status of value.statuses || []) {
+        events.push({
+          kind: 'status',
+          provider: 'whatsapp_cloud',
+          sender: value.metadata?.phone_number_id,
+          externalId: status.id,
+          status: status.status,
+          error: status.errors?.[0]
+            ? `${status.errors[0].code}: ${status.errors[0].title || status.errors[0].message}`
+            : null,
+          timestamp: status.timestamp
+            ? new Date(Number(status.timestamp) * 1000).toISOString()
+            : new Date().toISOString()
+        });
+      }
+    }
+  }
+
+  return events;
+}
+
+const WEBHOOK_PARSERS = {
+  'evolution': parseEvolutionWebhook,
+  'whatsapp-cloud': parseWhatsAppCloudWebhook
+};
+
+// ===============================================
+// CORE: DESPACHO PARA HANDLERS
+// ===============================================
+
+/**
+ * Processa o corpo de um webhook: cada evento passa pelos handlers do seu tipo
+ * (um handler com erro não impede os demais).
+ * handlers: [{ name, kinds: ['message' | 'status'], handle(event) => resultado | null }]
+ */
+async function handleInboundWebhook(provider, body, handlers) {
+  const parser = WEBHOOK_PARSERS[provider];
+  if (!parser) {
+    throw new Error(`Provedor de webhook desconhecido: ${provider} (use ${Object.keys(WEBHOOK_PARSERS).join(', ')})`);
+  }
+
+  const events = parser(body);
+  const results = [];
+
+  for (const event of events) {
+    const eventResult = { externalId: event.externalId, kind: event.kind, handled: {} };
+
+    for (const handler of handlers.filter(h => !h.kinds || h.kinds.includes(event.kind))) {
+      try {
+        const result = await handler.handle(event);
+        if (result) {
+          eventResult.handled[handler.name] = result;
+        }
+      } catch (error) {
+        eventResult.handled[handler.name] = { error: error.message };
+        logInbound('error', `Erro no handler ${handler.name}`, {
+          provider,
+          externalId: event.externalId,
+          error: error.message
+        });
+      }
+    }
+
+    results.push(eventResult);
+  }
+
+  if (events.length > 0) {
+    logInbound('debug', `${events.length} eventos recebidos via webhook`, { provider, results });
+  }
+
+  return { provider, received: events.length, results };
+}
+
+// ===============================================
+// EMPRESA DO REMETENTE
+// ===============================================
+
+/**
+ * Empresa dona do remetente que recebeu a mensagem (instância Evolution ou
+ * phone_number_id da Cloud API), para não afetar filas de outra empresa
+ * com o mesmo contato. null = remetente desconhecido (quem chama não deve
+ * aplicar nada sem empresa). Erro na consulta é lançado.
+ */
+async function resolveSenderCompanyId(supabase, event) {
+  if (!event.sender) {
+    return null;
+  }
+
+  const { data: rows, error } = event.provider === 'evolution'
+    ? await supabase
+      .from('whatsapp_instances')
+      .select('company_id')
+      .eq('name', event.sender)
+      .limit(1)
+    : await supabase
+      .from('company_channels')
+      .select('company_id')
+      .eq('type', 'whatsapp_cloud')
+      .eq('config->>phone_number_id', event.sender)
+      .limit(1);
+
+  if (error) {
+    throw new Error(`Erro ao identificar empresa do remetente: ${error.message}`);
+  }
+
+  return rows?.[0]?.company_id || null;
+}
+
+// ===============================================
+// EXPORTAÇÕES
+// ===============================================
+
+module.exports = {
+  phoneDigits,
+  resolveSenderCompanyId,
+  parseEvolutionWebhook,
+  parseWhatsAppCloudWebhook,
+  handleInboundWebhook,
+  logInbound
+};
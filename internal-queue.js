@@ -0,0 +1,503 @@
+/**
+ * ===============================================
+ * ZIONIC INTERNAL MESSAGE QUEUE
+ * ===============================================
+ * Fila de saída do sistema interno (canal 'internal'): mensagens ficam
+ * 'queued' até um consumidor confirmar a entrega. O item de follow-up/lembrete
+ * fica 'awaiting_delivery' e só vira 'sent' quando o dispatcher confirma
+ * (confirmação que chega antes do 'awaiting_delivery' é reaplicada por varredura).
+ *
+ * Estados: queued → dispatched → delivered | failed (falha transitória volta para queued)
+ *
+ * @author Zionic Team
+ * @version 1.7.0
+ */
+
+const path = require('path');
+const { leaseReleaseFields } = require('./queue-lease');
+const { computeBackoffDelayMs } = require('./retry-policy');
+const { FAILURE_CODES, classifyError } = require('./error-classifier');
+const { applyDeliveryStatus } = require('./delivery-receipts');
+const { getReplayGeneration } = require('./outbox');
+
+// ===============================================
+// UTILITÁRIOS DE LOG
+// ===============================================
+
+/**
+ * Log estruturado específico para a fila interna
+ */
+function logInternalQueue(level, message, data = {}) {
+  const timestamp = new Date().toISOString();
+  const emoji = {
+    info: 'ℹ️',
+    success: '✅',
+    warning: '⚠️',
+    error: '❌',
+    debug: '🔍'
+  };
+
+  console.log(`${emoji[level] || '📝'} [INTERNAL-QUEUE] [${timestamp}] ${message}`,
+    Object.keys(data).length > 0 ? JSON.stringify(data, null, 2) : '');
+}
+
+// ===============================================
+// CONSUMIDOR PLUGÁVEL
+// ===============================================
+
+/**
+ * Carrega o consumidor da fila interna (config.internalConsumerModule).
+ * O módulo exporta async (message) => ({ externalId }) e lança erro em caso de falha
+ * (error.permanent = true para não tentar novamente).
+ * Sem módulo configurado, consumidores externos usam os endpoints HTTP de claim/ack.
+ */
+function loadInternalConsumer(config) {
+  if (!config.internalConsumerModule) {
+    return null;
+  }
+
+  const consumer = require(path.resolve(config.internalConsumerModule));
+  if (typeof consumer !== 'function') {
+    throw new Error(`Consumidor da fila interna inválido: ${config.internalConsumerModule} deve exportar uma função`);
+  }
+
+  logInternalQueue('info', 'Consumidor da fila interna carregado', { module: config.internalConsumerModule });
+  return consumer;
+}
+
+// ===============================================
+// CORE: ENFILEIRAR
+// ===============================================
+
+/**
+ * Registra uma mensagem na fila interna (idempotente pela chave do outbox).
+ * source: { queueTable, queueItemId } - item de fila a finalizar na entrega
+ */
+async function enqueueInternalMessage(supabase, entry) {
+  const { data: inserted, error } = await supabase
+    .from('internal_message_queue')
+    .insert({
+      idempotency_key: entry.idempotencyKey,
+      company_id: entry.companyId,
+      queue_table: entry.source?.queueTable || null,
+      queue_item_id: entry.source?.queueItemId || null,
+      recipient: entry.recipient,
+      payload: entry.payload,
+      status: 'queued'
+    })
+    .select('id, status')
+    .single();
+
+  if (!error) {
+    return inserted;
+  }
+
+  // 23505 = mesma chave já enfileirada (retentativa do mesmo envio)
+  if (error.code === '23505' && entry.idempotencyKey) {
+    const { data: existing, error: existingError } = await supabase
+      .from('internal_message_queue')
+      .select('id, status')
+      .eq('idempotency_key', entry.idempotencyKey)
+      .single();
+
+    if (!existingError && existing) {
+      return existing;
+    }
+  }
+
+  throw new Error(`Erro ao enfileirar mensagem interna: ${error.message}`);
+}
+
+// ===============================================
+// CORE: CLAIM / ACK
+// ===============================================
+
+/**
+ * Atualiza uma mensagem da fila interna (erro do banco é propagado)
+ */
+async function updateInternalMessage(supabase, messageId, fields) {
+  const { error } = await supabase
+    .from('internal_message_queue')
+    .update(fields)
+    .eq('id', messageId);
+
+  if (error) {
+    throw new Error(`Erro ao atualizar mensagem interna: ${error.message}`);
+  }
+}
+
+/**
+ * Devolve para 'queued' mensagens despachadas cujo consumidor não confirmou a tempo
+ */
+async function reclaimExpiredDispatches(supabase) {
+  const { data: reclaimed, error } = await supabase
+    .from('internal_message_queue')
+    .update({
+      status: 'queued',
+      ...leaseReleaseFields()
+    })
+    .eq('status', 'dispatched')
+    .lt('lease_expires_at', new Date().toISOString())
+    .select('id, locked_by');
+
+  if (error) {
+    logInternalQueue('error', 'Erro ao recuperar mensagens despachadas sem confirmação', { error: error.message });
+    return 0;
+  }
+
+  if (reclaimed?.length > 0) {
+    logInternalQueue('warning', `${reclaimed.length} mensagens sem confirmação devolvidas para a fila`, {
+      items: reclaimed.map(row => ({ id: row.id, previousConsumer: row.locked_by }))
+    });
+  }
+
+  return reclaimed?.length || 0;
+}
+
+/**
+ * Reserva até `limit` mensagens 'queued' para o consumidor informado
+ * (UPDATE condicional: cada mensagem é despachada para um único consumidor)
+ */
+async function claimInternalMessages(supabase, config, consumerId, limit) {
+  await reclaimExpiredDispatches(supabase);
+
+  const now = new Date();
+  const { data: candidates, error } = await supabase
+    .from('internal_message_queue')
+    .select('id')
+    .eq('status', 'queued')
+    .lte('available_at', now.toISOString())
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Erro ao buscar mensagens internas: ${error.message}`);
+  }
+
+  if (!candidates?.length) {
+    return [];
+  }
+
+  const { data: claimed, error: claimError } = await supabase
+    .from('internal_message_queue')
+    .update({
+      status: 'dispatched',
+      dispatched_at: now.toISOString(),
+      locked_by: consumerId,
+      locked_at: now.toISOString(),
+      lease_expires_at: new Date(now.getTime() + config.leaseSeconds * 1000).toISOString()
+    })
+    .in('id', candidates.map(row => row.id))
+    .eq('status', 'queued')
+    .select('id, company_id, queue_table, queue_item_id, recipient, payload, attempts, created_at');
+
+  if (claimError) {
+    throw new Error(`Erro ao despachar mensagens internas: ${claimError.message}`);
+  }
+
+  return claimed || [];
+}
+
+/**
+ * Geração de replay do envio que gerou a mensagem (chave do outbox: <fila>:<id>:r<geração>:a<tentativa>)
+ */
+function messageGeneration(message) {
+  const match = String(message.idempotency_key || '').match(/:r(\d+):a\d+/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Finaliza o item de follow-up/lembrete que originou a mensagem, pelo id e só se
+ * o item ainda é da mesma geração de replay (um replay posterior não é finalizado
+ * pela entrega de uma mensagem antiga).
+ * - 'awaiting_delivery' → UPDATE condicional
+ * - 'processing'/'pending' na mesma geração → ack chegou antes do UPDATE pós-envio:
+ *   retorna false e a varredura (reconcileAwaitingDeliveries) tenta de novo
+ * - qualquer outro caso → nada a finalizar
+ * Retorna true quando a mensagem não precisa mais ser olhada (source_finalized_at).
+ */
+async function finalizeSourceItem(supabase, message, update) {
+  if (!message.queue_table || !message.queue_item_id) {
+    return true;
+  }
+
+  const { data: items, error: itemError } = await supabase
+    .from(message.queue_table)
+    .select('status, metadata')
+    .eq('id', message.queue_item_id)
+    .limit(1);
+
+  if (itemError) {
+    logInternalQueue('error', 'Erro ao buscar item de origem da mensagem interna', {
+      messageId: message.id,
+      queueTable: message.queue_table,
+      queueItemId: message.queue_item_id,
+      error: itemError.message
+    });
+    return false;
+  }
+
+  const item = items?.[0];
+  const generation = messageGeneration(message);
+  const sameGeneration = !!item && (generation === null || generation === getReplayGeneration(item.metadata));
+
+  if (sameGeneration && item.status === 'awaiting_delivery') {
+    const { data: finalized, error } = await supabase
+      .from(message.queue_table)
+      .update({ ...update, ...leaseReleaseFields() })
+      .eq('id', message.queue_item_id)
+      .eq('status', 'awaiting_delivery')
+      .select('id');
+
+    if (error) {
+      logInternalQueue('error', 'Erro ao finalizar item de origem da mensagem interna', {
+        messageId: message.id,
+        queueTable: message.queue_table,
+        queueItemId: message.queue_item_id,
+        error: error.message
+      });
+      return false;
+    }
+    if (!finalized?.length) {
+      return false;
+    }
+  } else if (sameGeneration && ['processing', 'pending'].includes(item.status)) {
+    return false;
+  }
+
+  await updateInternalMessage(supabase, message.id, { source_finalized_at: new Date().toISOString() });
+  return true;
+}
+
+/**
+ * Atualização do item de origem para o resultado final da mensagem interna
+ */
+function sourceItemUpdate(message) {
+  if (message.status === 'delivered') {
+    return { status: 'sent', executed_at: message.delivered_at };
+  }
+
+  return {
+    status: 'failed',
+    failure_code: message.failure_code || FAILURE_CODES.MAX_ATTEMPTS_EXCEEDED,
+    execution_error: `Entrega interna falhou: ${message.error || 'erro desconhecido'}`
+  };
+}
+
+/**
+ * Varredura: mensagens entregues/falhas cujo item de origem ainda não foi finalizado
+ * (ack anterior ao 'awaiting_delivery' ou erro do banco na finalização)
+ */
+async function reconcileAwaitingDeliveries(supabase, limit) {
+  const { data: messages, error } = await supabase
+    .from('internal_message_queue')
+    .select('id, idempotency_key, queue_table, queue_item_id, status, delivered_at, failure_code, error')
+    .in('status', ['delivered', 'failed'])
+    .is('source_finalized_at', null)
+    .not('queue_item_id', 'is', null)
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    logInternalQueue('error', 'Erro ao buscar mensagens internas sem item finalizado', { error: error.message });
+    return 0;
+  }
+
+  let reconciled = 0;
+  for (const message of messages || []) {
+    try {
+      if (await finalizeSourceItem(supabase, message, sourceItemUpdate(message))) {
+        reconciled++;
+      }
+    } catch (finalizeError) {
+      logInternalQueue('warning', 'Erro ao reconciliar item de origem da mensagem interna', {
+        messageId: message.id,
+        error: finalizeError.message
+      });
+    }
+  }
+
+  if (reconciled > 0) {
+    logInternalQueue('info', `${reconciled} itens de origem reconciliados com a fila interna`);
+  }
+
+  return reconciled;
+}
+
+/**
+ * Reflete a entrega interna na mensagem do follow-up (messages.external_id = id na fila interna)
+ */
+async function recordInternalReceipt(supabase, message, status, errorMessage) {
+  if (message.queue_table !== 'follow_up_queue') {
+    return;
+  }
+
+  try {
+    await applyDeliveryStatus(supabase, {
+      kind: 'status',
+      provider: 'internal',
+      externalId: message.id,
+      status,
+      error: errorMessage || null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logInternalQueue('warning', 'Erro ao registrar status de entrega da mensagem interna', {
+      messageId: message.id,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Confirma o resultado de uma mensagem despachada.
+ * outcome: { delivered: true, externalId } ou { delivered: false, error, permanent, failureCode }
+ * - entregue → 'delivered' e item de origem 'sent'
+ * - falha permanente ou tentativas esgotadas → 'failed' e item de origem 'failed'
+ * - falha transitória → volta para 'queued' com backoff
+ */
+async function acknowledgeInternalMessage(supabase, config, messageId, consumerId, outcome) {
+  const { data: rows, error } = await supabase
+    .from('internal_message_queue')
+    .select('id, idempotency_key, queue_table, queue_item_id, attempts')
+    .eq('id', messageId)
+    .eq('status', 'dispatched')
+    .eq('locked_by', consumerId);
+
+  if (error) {
+    throw new Error(`Erro ao buscar mensagem interna: ${error.message}`);
+  }
+
+  const message = rows?.[0];
+  if (!message) {
+    return { acknowledged: false, reason: 'not_dispatched_to_consumer' };
+  }
+
+  const now = new Date().toISOString();
+  const attempts = (message.attempts || 0) + 1;
+
+  if (outcome.delivered) {
+    const delivered = {
+      status: 'delivered',
+      attempts,
+      delivered_at: now,
+      external_id: outcome.externalId || null,
+      error: null
+    };
+    await updateInternalMessage(supabase, message.id, { ...delivered, ...leaseReleaseFields() });
+
+    await finalizeSourceItem(supabase, message, sourceItemUpdate({ ...message, ...delivered }));
+    await recordInternalReceipt(supabase, message, 'delivered');
+    return { acknowledged: true, status: 'delivered', queueTable: message.queue_table };
+  }
+
+  if (outcome.permanent || attempts >= config.internalQueueMaxAttempts) {
+    const failed = {
+      status: 'failed',
+      attempts,
+      error: outcome.error || null,
+      failure_code: outcome.permanent
+        ? outcome.failureCode || FAILURE_CODES.CHANNEL_REJECTED
+        : FAILURE_CODES.MAX_ATTEMPTS_EXCEEDED
+    };
+    await updateInternalMessage(supabase, message.id, { ...failed, ...leaseReleaseFields() });
+
+    await finalizeSourceItem(supabase, message, sourceItemUpdate({ ...message, ...failed }));
+    await recordInternalReceipt(supabase, message, 'failed', outcome.error);
+    return { acknowledged: true, status: 'failed', queueTable: message.queue_table };
+  }
+
+  const availableAt = new Date(Date.now() + computeBackoffDelayMs(attempts, config)).toISOString();
+  await updateInternalMessage(supabase, message.id, {
+    status: 'queued',
+    attempts,
+    available_at: availableAt,
+    error: outcome.error || null,
+    ...leaseReleaseFields()
+  });
+
+  return { acknowledged: true, status: 'queued', availableAt, queueTable: message.queue_table };
+}
+
+// ===============================================
+// CORE: DISPATCHER
+// ===============================================
+
+/**
+ * Despacha mensagens 'queued' para o consumidor em processo e confirma cada resultado
+ */
+async function dispatchInternalMessages(supabase, config, consumer, shouldStop = () => false) {
+  const summary = { dispatched: 0, delivered: 0, failed: 0, requeued: 0, deliveredByQueue: {}, sourcesReconciled: 0 };
+
+  // Vale também para consumidores externos (claim/ack via HTTP)
+  summary.sourcesReconciled = await reconcileAwaitingDeliveries(supabase, config.internalDispatchBatchSize);
+
+  if (!consumer) {
+    return summary;
+  }
+
+  const messages = await claimInternalMessages(supabase, config, config.workerId, config.internalDispatchBatchSize);
+
+  for (const message of messages) {
+    if (shouldStop()) {
+      // Não iniciada por causa do shutdown: volta para a fila sem consumir tentativa
+      await updateInternalMessage(supabase, message.id, { status: 'queued', ...leaseReleaseFields() });
+      continue;
+    }
+
+    summary.dispatched++;
+    let outcome;
+
+    try {
+      const result = await consumer(message);
+      outcome = { delivered: true, externalId: result?.externalId };
+    } catch (error) {
+      const classification = classifyError(error);
+      outcome = {
+        delivered: false,
+        error: error.message,
+        permanent: classification.permanent,
+        failureCode: classification.code
+      };
+
+      logInternalQueue('warning', 'Consumidor falhou ao entregar mensagem interna', {
+        messageId: message.id,
+        queueTable: message.queue_table,
+        error: error.message,
+        failureCode: classification.code,
+        permanent: classification.permanent
+      });
+    }
+
+    const ack = await acknowledgeInternalMessage(supabase, config, message.id, config.workerId, outcome);
+
+    if (ack.status === 'delivered') {
+      summary.delivered++;
+      summary.deliveredByQueue[ack.queueTable] = (summary.deliveredByQueue[ack.queueTable] || 0) + 1;
+    } else if (ack.status === 'failed') {
+      summary.failed++;
+    } else if (ack.status === 'queued') {
+      summary.requeued++;
+    }
+  }
+
+  if (summary.dispatched > 0) {
+    logInternalQueue(summary.failed > 0 ? 'warning' : 'success', 'Despacho da fila interna concluído', summary);
+  }
+
+  return summary;
+}
+
+// ===============================================
+// EXPORTAÇÕES
+// ===============================================
+
+module.exports = {
+  loadInternalConsumer,
+  enqueueInternalMessage,
+  claimInternalMessages,
+  acknowledgeInternalMessage,
+  dispatchInternalMessages,
+  reconcileAwaitingDeliveries,
+  logInternalQueue
+};
@@ -0,0 +1,329 @@
+/**
+ * ===============================================
+ * ZIONIC MESSAGE PAYLOAD
+ * ===============================================
+ * Montagem do payload de saída (texto, mídias, pin de localização e botões)
+ * a partir das colunas da fila, comum a follow-ups e lembretes, e regras do
+ * envio humanizado (divisão do texto e tempo de digitação)
+ *
+ * @author Zionic Team
+ * @version 1.7.0
+ */
+
+const axios = require('axios');
+
+// ===============================================
+// UTILITÁRIOS DE LOG
+// ===============================================
+
+/**
+ * Log estruturado específico para montagem de payload
+ */
+function logPayload(level, message, data = {}) {
+  const timestamp = new Date().toISOString();
+  const emoji = {
+    info: 'ℹ️',
+    success: '✅',
+    warning: '⚠️',
+    error: '❌',
+    debug: '🔍'
+  };
+
+  console.log(`${emoji[level] || '📝'} [PAYLOAD] [${timestamp}] ${message}`,
+    Object.keys(data).length > 0 ? JSON.stringify(data, null, 2) : '');
+}
+
+// Tipos de mídia aceitos em media_attachments
+const MEDIA_TYPES = new Set(['image', 'document', 'audio', 'video']);
+
+// Cache de geocodificação por endereço (evita uma chamada por lembrete do mesmo local)
+const geocodeCache = new Map();
+
+// ===============================================
+// MÍDIAS
+// ===============================================
+
+/**
+ * Normaliza media_attachments da fila: [{ type, url, file_name, mime_type, caption }]
+ * Itens inválidos são descartados com log (não impedem o envio do texto)
+ */
+function normalizeMediaAttachments(attachments, context = {}) {
+  if (!Array.isArray(attachments)) {
+    return [];
+  }
+
+  return attachments.reduce((valid, attachment) => {
+    if (!attachment?.url || !MEDIA_TYPES.has(attachment.type)) {
+      logPayload('warning', 'Anexo inválido ignorado', { ...context, attachment });
+      return valid;
+    }
+
+    valid.push({
+      type: attachment.type,
+      url: attachment.url,
+      fileName: attachment.file_name || attachment.url.split('/').pop().split('?')[0],
+      mimeType: attachment.mime_type || null,
+      caption: attachment.caption || null
+    });
+    return valid;
+  }, []);
+}
+
+// ===============================================
+// LOCALIZAÇÃO
+// ===============================================
+
+/**
+ * Link do Google Maps para canais sem suporte a pin (SMS, e-mail)
+ */
+function mapsLink(location) {
+  return `https://www.google.com/maps/search/?api=1&query=${location.latitude},${location.longitude}`;
+}
+
+/**
+ * Extrai coordenadas escritas no próprio texto do local
+ * ("-23.56,-46.65", links do Google Maps com @lat,lng ou q=lat,lng)
+ */
+function parseCoordinates(text) {
+  const match = String(text).match(/(?:@|q=|query=|^|\s)(-?\d{1,2}\.\d+)\s*,\s*(-?\d{1,3}\.\d+)/);
+  if (!match) {
+    return null;
+  }
+
+  const latitude = parseFloat(match[1]);
+  const longitude = parseFloat(match[2]);
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+
+  return { latitude, longitude };
+}
+
+/**
+ * Geocodifica um endereço (Google Geocoding API, se configurada)
+ */
+async function geocodeAddress(address, config) {
+  if (!config.geocodingApiKey) {
+    return null;
+  }
+
+  if (geocodeCache.has(address)) {
+    return geocodeCache.get(address);
+  }
+
+  const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
+    params: {
+      address,
+      key: config.geocodingApiKey,
+      region: 'br'
+    },
+    timeout: 10000
+  });
+
+  const result = response.data?.results?.[0];
+  const coordinates = result
+    ? { latitude: result.geometry.location.lat, longitude: result.geometry.location.lng, address: result.formatted_address }
+    : null;
+
+  geocodeCache.set(address, coordinates);
+  return coordinates;
+}
+
+/**
+ * Pin de localização a partir de appointment_location:
+ * coordenadas no texto → geocodificação → null (lembrete segue só com texto)
+ */
+async function buildLocationPin(locationText, config, name) {
+  if (!locationText) {
+    return null;
+  }
+
+  try {
+    const coordinates = parseCoordinates(locationText) || await geocodeAddress(locationText, config);
+    if (!coordinates) {
+      return null;
+    }
+
+    return {
+      latitude: coordinates.latitude,
+      longitude: coordinates.longitude,
+      name: name || null,
+      address: coordinates.address || locationText
+    };
+  } catch (error) {
+    logPayload('warning', 'Erro ao geocodificar local - lembrete segue sem pin', {
+      location: locationText,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+// ===============================================
+// MENSAGENS INTERATIVAS
+// ===============================================
+
+/**
+ * Fallback para canais sem botões: opções numeradas no fim do texto
+ * (a resposta "1", "2"... é interpretada pelo handler de respostas)
+ */
+function withNumberedOptions(payload) {
+  const options = payload.interactive.buttons
+    .map((button, index) => `${index + 1} - ${button.title}`)
+    .join('\n');
+
+  return {
+    ...payload,
+    text: `${payload.text || ''}\n\n${payload.interactive.prompt || 'Responda com o número da opção:'}\n${options}`.trim(),
+    interactive: null
+  };
+}
+
+// ===============================================
+// ENVIO HUMANIZADO
+// ===============================================
+
+/**
+ * Envio humanizado ligado? metadata.humanized do item → config.humanized do canal → global
+ */
+function shouldHumanizeSend(config, channel, metadata) {
+  return metadata?.humanized ?? channel.config?.humanized ?? config.humanizedSendEnabled;
+}
+
+/**
+ * Divide o texto em blocos naturais de até maxChars:
+ * parágrafos → frases → palavras (blocos pequenos vizinhos são reagrupados)
+ */
+function splitMessageChunks(text, maxChars) {
+  if (!text || text.length <= maxChars) {
+    return text ? [text] : [];
+  }
+
+  // Peças com o separador original (parágrafo novo ou continuação da frase anterior)
+  const pieces = [];
+  const push = (piece, separator) => pieces.push({ text: piece, separator });
+
+  for (const paragraph of text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean)) {
+    let separator = '\n\n';
+
+    for (const sentence of paragraph.length <= maxChars ? [paragraph] : paragraph.split(/(?<=[.!?…])\s+/)) {
+      if (sentence.length <= maxChars) {
+        push(sentence, separator);
+        separator = ' ';
+        continue;
+      }
+
+      // Frase sem pontuação maior que o limite: quebra por palavras
+      let current = '';
+      for (const word of sentence.split(/\s+/)) {
+        if (current && `${current} ${word}`.length > maxChars) {
+          push(current, separator);
+          separator = ' ';
+          current = word;
+        } else {
+          current = current ? `${current} ${word}` : word;
+        }
+      }
+      if (current) {
+        push(current, separator);
+        separator = ' ';
+      }
+    }
+  }
+
+  return pieces.reduce((chunks, piece) => {
+    const last = chunks[chunks.length - 1];
+    if (last && `${last}${piece.separator}${piece.text}`.length <= maxChars) {
+      chunks[chunks.length - 1] = `${last}${piece.separator}${piece.text}`;
+    } else {
+      chunks.push(piece.text);
+    }
+    return chunks;
+  }, []);
+}
+
+/**
+ * Tempo de "digitando..." antes de um bloco: proporcional ao tamanho, com jitter
+ */
+function humanizedDelayMs(text, config) {
+  const base = Math.min(
+    config.humanizedMaxDelayMs,
+    Math.max(config.humanizedMinDelayMs, (text || '').length * config.humanizedMsPerChar)
+  );
+  const jitter = 1 + (Math.random() * 2 - 1) * config.humanizedJitterRatio;
+  return Math.round(base * jitter);
+}
+
+/**
+ * Orçamento de pausas de um envio humanizado: a soma das pausas de todas as partes
+ * fica em até metade do lease do item (o lease é renovado entre as partes, mas uma
+ * sequência de pausas longas não pode deixá-lo expirar e o item ser reenviado).
+ * Retorna take(ms) → pausa concedida (0 quando o orçamento acaba)
+ */
+function createDelayBudget(config) {
+  let remainingMs = Math.max(0, (config.leaseSeconds * 1000) / 2);
+
+  return ms => {
+    const granted = Math.min(ms, remainingMs);
+    remainingMs -= granted;
+    return granted;
+  };
+}
+
+// ===============================================
+// RESUMO (REGISTRO EM messages / outbox)
+// ===============================================
+
+/**
+ * Tipo principal da mensagem registrada em messages.message_type
+ */
+function primaryMessageType(payload) {
+  if (payload.template) {
+    return 'template';
+  }
+  if (payload.media?.length > 0) {
+    return payload.media[0].type;
+  }
+  if (payload.location && !payload.text) {
+    return 'location';
+  }
+  return 'text';
+}
+
+/**
+ * Versão serializável do payload para metadata/outbox
+ */
+function describePayload(payload) {
+  return {
+    text: payload.text,
+    subject: payload.subject || null,
+    media: (payload.media || []).map(media => ({
+      type: media.type,
+      url: media.url,
+      file_name: media.fileName,
+      caption: media.caption
+    })),
+    location: payload.location || null,
+    interactive: payload.interactive || null,
+    template: payload.template || null
+  };
+}
+
+// ===============================================
+// EXPORTAÇÕES
+// ===============================================
+
+module.exports = {
+  MEDIA_TYPES,
+  normalizeMediaAttachments,
+  mapsLink,
+  buildLocationPin,
+  withNumberedOptions,
+  shouldHumanizeSend,
+  splitMessageChunks,
+  humanizedDelayMs,
+  createDelayBudget,
+  primaryMessageType,
+  describePayload,
+  logPayload
+};
@@ -0,0 +1,213 @@
+/**
+ * ===============================================
+ * ZIONIC OPT-OUT
+ * ===============================================
+ * Mensagem recebida com palavra-chave de opt-out (por idioma) inclui o contato
+ * na lista de supressão, cancela follow-ups e lembretes pendentes e envia uma
+ * única confirmação no idioma da palavra-chave.
+ *
+ * @author Zionic Team
+ * @version 1.7.0
+ */
+
+const { suppressContact } = require('./suppression-list');
+const { resolveSenderCompanyId } = require('./inbound-messages');
+const { cancelContactFollowUps } = require('./followup-processor');
+const { cancelContactReminders } = require('./appointment-reminders-processor');
+const { resolveChannel } = require('./channel-adapters');
+
+// ===============================================
+// UTILITÁRIOS DE LOG
+// ===============================================
+
+/**
+ * Log estruturado específico para opt-out
+ */
+function logOptOut(level, message, data = {}) {
+  const timestamp = new Date().toISOString();
+  const emoji = {
+    info: 'ℹ️',
+    success: '✅',
+    warning: '⚠️',
+    error: '❌',
+    debug: '🔍'
+  };
+
+  console.log(`${emoji[level] || '📝'} [OPT-OUT] [${timestamp}] ${message}`,
+    Object.keys(data).length > 0 ? JSON.stringify(data, null, 2) : '');
+}
+
+// Palavras-chave padrão por idioma ("cancelar" fica de fora: é resposta válida aos lembretes)
+const DEFAULT_OPT_OUT_KEYWORDS = {
+  pt: ['pare', 'parar', 'sair', 'descadastrar', 'descadastre', 'nao quero mais', 'nao quero receber', 'remover meu numero'],
+  en: ['stop', 'unsubscribe', 'opt out', 'optout'],
+  es: ['baja', 'darme de baja', 'no quiero mas', 'no enviar mas']
+};
+
+// Confirmação enviada uma vez, no idioma da palavra-chave
+const DEFAULT_OPT_OUT_CONFIRMATIONS = {
+  pt: 'Pronto! Você não receberá mais mensagens automáticas nossas. Se mudar de ideia, é só falar com a gente.',
+  en: "Done! You won't receive any more automated messages from us. If you change your mind, just let us know.",
+  es: '¡Listo! No recibirás más mensajes automáticos nuestros. Si cambias de opinión, escríbenos.'
+};
+
+// Palavras depois da palavra-chave ainda aceitas ("pare por favor", "stop please")
+const MAX_EXTRA_WORDS = 2;
+
+// ===============================================
+// DETECÇÃO
+// ===============================================
+
+/**
+ * Texto comparável: minúsculo, sem acento e sem pontuação
+ */
+function normalizeText(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Palavra-chave de opt-out na mensagem: { keyword, language } ou null.
+ * Vale a mensagem inteira ou a palavra-chave no início de uma mensagem curta, para
+ * conversa comum ("vou sair agora", "não pare") não virar opt-out.
+ */
+function detectOptOutKeyword(text, keywordsByLanguage) {
+  const normalized = normalizeText(text);
+  if (!normalized) {
+    return null;
+  }
+
+  const words = normalized.split(' ');
+
+  for (const [language, keywords] of Object.entries(keywordsByLanguage || {})) {
+    for (const keyword of keywords || []) {
+      const phrase = normalizeText(keyword);
+      if (!phrase) {
+        continue;
+      }
+
+      if (normalized === phrase) {
+        return { keyword: phrase, language };
+      }
+
+      const phraseWords = phrase.split(' ');
+      if (words.length <= phraseWords.length + MAX_EXTRA_WORDS && normalized.startsWith(`${phrase} `)) {
+        return { keyword: phrase, language };
+      }
+    }
+  }
+
+  return null;
+}
+
+// ===============================================
+// CORE: HANDLER DE WEBHOOK
+// ===============================================
+
+/**
+ * Handler de webhook: mensagem com palavra-chave de opt-out suprime o contato na
+ * empresa do remetente, cancela as filas pendentes e confirma ao contato uma única vez.
+ * Remetente sem empresa identificada é ignorado (nunca suprime para todas as empresas).
+ */
+async function handleOptOutMessage(supabase, config, event, send) {
+  const match = detectOptOutKeyword(event.text, config.optOutKeywords);
+  if (!match || !event.from) {
+    return null;
+  }
+
+  const companyId = await resolveSenderCompanyId(supabase, event);
+  if (!companyId) {
+    logOptOut('warning', 'Opt-out ignorado - empresa do remetente não identificada', {
+      provider: event.provider,
+      sender: event.sender,
+      keyword: match.keyword
+    });
+    return null;
+  }
+
+  const { suppression, created } = await suppressContact(supabase, {
+    companyId,
+    phoneDigits: event.from,
+    reason: 'opt_out_keyword',
+    keyword: match.keyword,
+    language: match.language,
+    sourceMessageId: event.externalId
+  });
+
+  logOptOut('info', 'Opt-out recebido do contato', {
+    provider: event.provider,
+    companyId,
+    phone: event.from.substring(0, 6) + '...',
+    keyword: match.keyword,
+    language: match.language,
+    newSuppression: created
+  });
+
+  // Filas: falha em uma não impede a outra (itens restantes caem na verificação de supressão)
+  let followUps = null;
+  let reminders = null;
+
+  try {
+    followUps = await cancelContactFollowUps(supabase, event, 'opted_out', companyId);
+  } catch (error) {
+    logOptOut('warning', 'Erro ao cancelar follow-ups do contato', { companyId, error: error.message });
+  }
+
+  try {
+    reminders = await cancelContactReminders(supabase, { companyId, phoneDigits: event.from }, 'opted_out');
+  } catch (error) {
+    logOptOut('warning', 'Erro ao cancelar lembretes do contato', { companyId, error: error.message });
+  }
+
+  // Confirmação só na primeira vez (palavra repetida ou webhook duplicado não reenvia)
+  let confirmationSent = false;
+  if (created) {
+    const text = config.optOutConfirmations[match.language] || config.optOutConfirmations.pt;
+    let ack;
+    try {
+      const channel = await resolveChannel(supabase, config, {
+        companyId,
+        contact: { phone: event.from },
+        preferredInstanceName: event.provider === 'evolution' ? event.sender : null
+      });
+      ack = await send(channel, { phone: event.from }, { text });
+    } catch (error) {
+      ack = { success: false, error: error.message };
+    }
+
+    confirmationSent = !!ack.success;
+    if (!ack.success) {
+      logOptOut('warning', 'Erro ao enviar confirmação de opt-out', {
+        suppressionId: suppression.id,
+        error: ack.error
+      });
+    }
+  }
+
+  return {
+    suppressionId: suppression.id,
+    created,
+    keyword: match.keyword,
+    language: match.language,
+    followUpsCancelled: (followUps || []).reduce((total, result) => total + result.cancelled, 0),
+    remindersCancelled: reminders?.cancelled || 0,
+    confirmationSent
+  };
+}
+
+// ===============================================
+// EXPORTAÇÕES
+// ===============================================
+
+module.exports = {
+  DEFAULT_OPT_OUT_KEYWORDS,
+  DEFAULT_OPT_OUT_CONFIRMATIONS,
+  detectOptOutKeyword,
+  handleOptOutMessage,
+  logOptOut
+};
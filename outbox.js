@@ -0,0 +1,475 @@
+/**
+ * ===============================================
+ * ZIONIC MESSAGE OUTBOX
+ * ===============================================
+ * Outbox com chave de idempotência por item de fila/tentativa:
+ * um item de fila nunca gera duas mensagens de saída, mesmo se o update
+ * de status falhar ou o processo cair entre o envio e o update
+ *
+ * @author Zionic Team
+ * @version 1.7.0
+ */
+
+const { leaseReleaseFields, renewLease } = require('./queue-lease');
+const { FAILURE_CODES, classifyError, classifiedError } = require('./error-classifier');
+
+// ===============================================
+// UTILITÁRIOS DE LOG
+// ===============================================
+
+/**
+ * Log estruturado específico para o outbox
+ */
+function logOutbox(level, message, data = {}) {
+  const timestamp = new Date().toISOString();
+  const emoji = {
+    info: 'ℹ️',
+    success: '✅',
+    warning: '⚠️',
+    error: '❌',
+    debug: '🔍'
+  };
+
+  console.log(`${emoji[level] || '📝'} [OUTBOX] [${timestamp}] ${message}`,
+    Object.keys(data).length > 0 ? JSON.stringify(data, null, 2) : '');
+}
+
+// ===============================================
+// CHAVE DE IDEMPOTÊNCIA
+// ===============================================
+
+/**
+ * Geração de replay do item (cada requeue via dead letters abre uma nova geração,
+ * permitindo reenvio consciente de algo que já falhou/ficou incerto)
+ */
+function getReplayGeneration(metadata) {
+  return metadata?.replays?.length || 0;
+}
+
+/**
+ * Chave derivada da fila, id do item, geração de replay e tentativa
+ */
+function buildIdempotencyKey(queueTable, itemId, generation, attempt) {
+  return `${queueTable}:${itemId}:r${generation}:a${attempt}`;
+}
+
+// ===============================================
+// ENVIO EM PARTES
+// ===============================================
+
+/**
+ * Partes já entregues em tentativas anteriores do item (mesma geração de replay):
+ * { índice: id no provedor }. Cada registro novo herda o progresso do anterior.
+ */
+async function loadSentParts(supabase, entry, generation) {
+  const { data: rows, error } = await supabase
+    .from('message_outbox')
+    .select('parts_sent')
+    .eq('queue_table', entry.queueTable)
+    .eq('queue_item_id', entry.queueItemId)
+    .eq('replay_generation', generation)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Erro ao consultar partes já enviadas: ${error.message}`);
+  }
+
+  return rows?.[0]?.parts_sent || {};
+}
+
+/**
+ * Callback de cada parte entregue: grava o progresso no outbox e renova o lease do
+ * item (envio longo não pode expirar no meio e ser reenviado por outro worker)
+ */
+function buildPartRecorder(supabase, entry, outboxId, sentParts) {
+  return async (index, messageId) => {
+    sentParts[index] = messageId;
+
+    const { error } = await supabase
+      .from('message_outbox')
+      .update({ parts_sent: sentParts })
+      .eq('id', outboxId);
+
+    if (error) {
+      logOutbox('error', 'Erro ao registrar parte enviada no outbox', {
+        outboxId,
+        part: index,
+        error: error.message
+      });
+    }
+
+    if (entry.leaseConfig && !await renewLease(supabase, entry.queueTable, entry.queueItemId, entry.leaseConfig)) {
+      throw classifiedError(`Lease perdido após enviar a parte ${index} - envio interrompido`, {
+        code: FAILURE_CODES.LEASE_LOST,
+        permanent: false
+      });
+    }
+  };
+}
+
+/**
+ * Registra o envio como 'sending'. Um registro 'failed' com a mesma chave (tentativa
+ * adiada ou interrompida sem consumir attempts) é reaberto em vez de inserir outro:
+ * a chave é única na tabela. Retorna { id } ou { error, classification }.
+ */
+async function openOutboxRow(supabase, entry, generation, idempotencyKey, sentParts) {
+  const attemptFields = {
+    company_id: entry.companyId,
+    instance_name: entry.instanceName,
+    recipient: entry.recipient,
+    payload: entry.payload,
+    worker_id: entry.workerId,
+    parts_sent: sentParts,
+    status: 'sending',
+    started_at: new Date().toISOString()
+  };
+
+  const { data: failedRows, error: lookupError } = await supabase
+    .from('message_outbox')
+    .select('id')
+    .eq('idempotency_key', idempotencyKey)
+    .eq('status', 'failed')
+    .limit(1);
+
+  if (lookupError) {
+    return {
+      error: `Erro ao consultar outbox: ${lookupError.message}`,
+      classification: { code: FAILURE_CODES.DATABASE_UNAVAILABLE, permanent: false }
+    };
+  }
+
+  if (failedRows?.length > 0) {
+    // Update condicional: só um processo reabre o registro
+    const { data: reopened, error: reopenError } = await supabase
+      .from('message_outbox')
+      .update({ ...attemptFields, error: null, failure_code: null })
+      .eq('id', failedRows[0].id)
+      .eq('status', 'failed')
+      .select('id');
+
+    if (reopenError) {
+      return {
+        error: `Erro ao reabrir envio no outbox: ${reopenError.message}`,
+        classification: { code: FAILURE_CODES.DATABASE_UNAVAILABLE, permanent: false }
+      };
+    }
+    if (!reopened?.length) {
+      return {
+        error: 'Envio com a mesma chave reaberto por outro processo',
+        classification: { code: FAILURE_CODES.DELIVERY_UNKNOWN, permanent: true }
+      };
+    }
+
+    logOutbox('info', 'Reaproveitando registro do outbox de tentativa anterior sem envio confirmado', {
+      queueTable: entry.queueTable,
+      queueItemId: entry.queueItemId,
+      idempotencyKey
+    });
+
+    return { id: reopened[0].id };
+  }
+
+  const { data: inserted, error: insertError } = await supabase
+    .from('message_outbox')
+    .insert({
+      idempotency_key: idempotencyKey,
+      queue_table: entry.queueTable,
+      queue_item_id: entry.queueItemId,
+      replay_generation: generation,
+      attempt: entry.attempt,
+      ...attemptFields
+    })
+    .select('id')
+    .single();
+
+  if (insertError) {
+    // 23505 = chave duplicada: a mesma tentativa já está sendo enviada por outro processo
+    return {
+      error: `Erro ao registrar envio no outbox: ${insertError.message}`,
+      classification: insertError.code === '23505'
+        ? { code: FAILURE_CODES.DELIVERY_UNKNOWN, permanent: true }
+        : { code: FAILURE_CODES.DATABASE_UNAVAILABLE, permanent: false }
+    };
+  }
+
+  return { id: inserted.id };
+}
+
+// ===============================================
+// CORE: ENVIO VIA OUTBOX
+// ===============================================
+
+/**
+ * Envia uma mensagem no máximo uma vez por item de fila (e geração de replay).
+ *
+ * Fluxo:
+ * 1. Se já existe envio 'sent' para o item → não reenvia (deduplicated)
+ * 2. Se existe envio 'sending' (tentativa anterior caiu no meio) → resultado incerto,
+ *    falha permanente 'delivery_unknown' em vez de arriscar mensagem duplicada
+ * 3. Registra 'sending' com a chave (reabrindo o registro 'failed' da mesma chave,
+ *    se a tentativa anterior foi adiada sem consumir attempts), envia, e grava 'sent'
+ *
+ * Envio com várias partes (texto, mídias, localização): cada parte entregue é gravada
+ * em parts_sent e a tentativa seguinte continua da primeira parte não enviada.
+ * entry.leaseConfig ({ workerId, leaseSeconds }) renova o lease do item entre as partes.
+ *
+ * sendFn(idempotencyKey, { sentParts, onPartSent }) deve retornar { success, messageId, error, classification }.
+ */
+async function sendWithOutbox(supabase, entry, sendFn) {
+  const generation = getReplayGeneration(entry.metadata);
+  const idempotencyKey = buildIdempotencyKey(entry.queueTable, entry.queueItemId, generation, entry.attempt);
+
+  const { data: previous, error: previousError } = await supabase
+    .from('message_outbox')
+    .select('id, idempotency_key, status, provider_message_id, payload, started_at')
+    .eq('queue_table', entry.queueTable)
+    .eq('queue_item_id', entry.queueItemId)
+    .eq('replay_generation', generation)
+    .in('status', ['sent', 'sending'])
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (previousError) {
+    return {
+      success: false,
+      error: `Erro ao consultar outbox: ${previousError.message}`,
+      classification: { code: FAILURE_CODES.DATABASE_UNAVAILABLE, permanent: false }
+    };
+  }
+
+  const existing = previous?.[0];
+
+  if (existing?.status === 'sent') {
+    logOutbox('warning', 'Item já enviado anteriormente - envio deduplicado', {
+      queueTable: entry.queueTable,
+      queueItemId: entry.queueItemId,
+      idempotencyKey: existing.idempotency_key,
+      providerMessageId: existing.provider_message_id
+    });
+
+    return {
+      success: true,
+      deduplicated: true,
+      outboxId: existing.id,
+      idempotencyKey: existing.idempotency_key,
+      messageId: existing.provider_message_id,
+      pendingDelivery: existing.payload?.channel === 'internal'
+    };
+  }
+
+  if (existing?.status === 'sending') {
+    logOutbox('error', 'Envio anterior ficou incompleto - não é seguro reenviar', {
+      queueTable: entry.queueTable,
+      queueItemId: entry.queueItemId,
+      idempotencyKey: existing.idempotency_key,
+      startedAt: existing.started_at
+    });
+
+    return {
+      success: false,
+      error: 'Envio anterior sem confirmação - resultado desconhecido (use replay para reenviar)',
+      classification: { code: FAILURE_CODES.DELIVERY_UNKNOWN, permanent: true }
+    };
+  }
+
+  let sentParts;
+  try {
+    sentParts = await loadSentParts(supabase, entry, generation);
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      classification: { code: FAILURE_CODES.DATABASE_UNAVAILABLE, permanent: false }
+    };
+  }
+
+  if (Object.keys(sentParts).length > 0) {
+    logOutbox('info', 'Retomando envio a partir da primeira parte não enviada', {
+      queueTable: entry.queueTable,
+      queueItemId: entry.queueItemId,
+      partsAlreadySent: Object.keys(sentParts).length
+    });
+  }
+
+  const outboxRow = await openOutboxRow(supabase, entry, generation, idempotencyKey, sentParts);
+  if (!outboxRow.id) {
+    return { success: false, error: outboxRow.error, classification: outboxRow.classification };
+  }
+
+  // sendFn lançando erro também fecha o registro (nunca fica 'sending' com o processo vivo)
+  let sendResult;
+  try {
+    sendResult = await sendFn(idempotencyKey, {
+      sentParts: { ...sentParts },
+      onPartSent: buildPartRecorder(supabase, entry, outboxRow.id, sentParts)
+    });
+  } catch (error) {
+    sendResult = { success: false, error: error.message, classification: classifyError(error) };
+  }
+
+  const { error: updateError } = await supabase
+    .from('message_outbox')
+    .update(sendResult.success
+      ? {
+        status: 'sent',
+        provider_message_id: sendResult.messageId,
+        sent_at: new Date().toISOString()
+      }
+      : {
+        status: 'failed',
+        error: sendResult.error,
+        failure_code: sendResult.classification?.code || null
+      })
+    .eq('id', outboxRow.id);
+
+  if (updateError) {
+    logOutbox('error', 'Erro ao atualizar outbox após envio', {
+      outboxId: outboxRow.id,
+      idempotencyKey,
+      sendSuccess: sendResult.success,
+      error: updateError.message
+    });
+  }
+
+  return {
+    ...sendResult,
+    outboxId: outboxRow.id,
+    idempotencyKey
+  };
+}
+
+/**
+ * Marca o envio como refletido na fila (status 'sent' gravado no item)
+ */
+async function markOutboxFinalized(supabase, outboxId) {
+  if (!outboxId) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from('message_outbox')
+    .update({ finalized_at: new Date().toISOString() })
+    .eq('id', outboxId);
+
+  if (error) {
+    logOutbox('warning', 'Erro ao finalizar registro do outbox', { outboxId, error: error.message });
+  }
+}
+
+// ===============================================
+// CORE: RECONCILIAÇÃO NA INICIALIZAÇÃO
+// ===============================================
+
+/**
+ * Reconcilia envios já feitos com a fila:
+ * - outbox 'sent' sem finalized_at mais antigo que o lease → item da fila marcado
+ *   como 'sent' (ou 'awaiting_delivery' se o envio foi para a fila interna) e
+ *   finalização da fila aplicada (finalizers: { tabela: (supabase, row) => ... })
+ * - outbox 'sending' mais antigo que o lease → resultado desconhecido,
+ *   item marcado 'failed' (delivery_unknown) para não duplicar a mensagem
+ */
+async function reconcileOutbox(supabase, config, finalizers = {}) {
+  const summary = { sentReconciled: 0, unknownMarked: 0, errors: 0 };
+  // Registros mais novos que o lease podem estar sendo finalizados por outro worker
+  const staleBefore = new Date(Date.now() - config.leaseSeconds * 1000).toISOString();
+
+  try {
+    const { data: unfinalized, error: sentError } = await supabase
+      .from('message_outbox')
+      .select('id, queue_table, queue_item_id, instance_name, recipient, provider_message_id, payload, sent_at')
+      .eq('status', 'sent')
+      .is('finalized_at', null)
+      .lt('sent_at', staleBefore)
+      .limit(500);
+
+    if (sentError) {
+      throw new Error(`Erro ao buscar envios não finalizados: ${sentError.message}`);
+    }
+
+    for (const row of unfinalized || []) {
+      // Canal interno: envio = enfileirado; o item só vira 'sent' quando o dispatcher confirmar
+      const { error } = await supabase
+        .from(row.queue_table)
+        .update(row.payload?.channel === 'internal'
+          ? { status: 'awaiting_delivery', ...leaseReleaseFields() }
+          : { status: 'sent', executed_at: row.sent_at, ...leaseReleaseFields() })
+        .eq('id', row.queue_item_id)
+        .not('status', 'in', '(sent,awaiting_delivery)');
+
+      if (error) {
+        summary.errors++;
+        logOutbox('error', 'Erro ao reconciliar item enviado', { outboxId: row.id, error: error.message });
+        continue;
+      }
+
+      // Mensagem na conversa, logs, cadência... (falha: registro fica para a próxima reconciliação)
+      const finalize = finalizers[row.queue_table];
+      if (finalize) {
+        try {
+          await finalize(supabase, row);
+        } catch (finalizeError) {
+          summary.errors++;
+          logOutbox('error', 'Erro ao finalizar item enviado', { outboxId: row.id, error: finalizeError.message });
+          continue;
+        }
+      }
+
+      await markOutboxFinalized(supabase, row.id);
+      summary.sentReconciled++;
+    }
+
+    const { data: stale, error: staleError } = await supabase
+      .from('message_outbox')
+      .update({ status: 'unknown' })
+      .eq('status', 'sending')
+      .lt('started_at', staleBefore)
+      .select('id, queue_table, queue_item_id, idempotency_key');
+
+    if (staleError) {
+      throw new Error(`Erro ao marcar envios incertos: ${staleError.message}`);
+    }
+
+    for (const row of stale || []) {
+      const { error } = await supabase
+        .from(row.queue_table)
+        .update({
+          status: 'failed',
+          failure_code: FAILURE_CODES.DELIVERY_UNKNOWN,
+          execution_error: `Envio sem confirmação (${row.idempotency_key}) - resultado desconhecido`,
+          ...leaseReleaseFields()
+        })
+        .eq('id', row.queue_item_id)
+        .neq('status', 'sent');
+
+      if (error) {
+        summary.errors++;
+        logOutbox('error', 'Erro ao marcar item com envio incerto', { outboxId: row.id, error: error.message });
+        continue;
+      }
+
+      summary.unknownMarked++;
+    }
+
+    logOutbox(summary.unknownMarked > 0 || summary.errors > 0 ? 'warning' : 'success', 'Reconciliação do outbox concluída', summary);
+
+  } catch (error) {
+    summary.errors++;
+    logOutbox('error', 'Erro na reconciliação do outbox', { error: error.message });
+  }
+
+  return summary;
+}
+
+// ===============================================
+// EXPORTAÇÕES
+// ===============================================
+
+module.exports = {
+  getReplayGeneration,
+  buildIdempotencyKey,
+  sendWithOutbox,
+  markOutboxFinalized,
+  reconcileOutbox,
+  logOutbox
+};
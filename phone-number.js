@@ -0,0 +1,140 @@
+/**
+ * ===============================================
+ * ZIONIC PHONE NUMBER
+ * ===============================================
+ * Normalização e validação de telefones para E.164 com regras brasileiras
+ * (DDI 55 ausente, prefixo de operadora, nono dígito de celulares, pontuação)
+ *
+ * @author Zionic Team
+ * @version 1.7.0
+ */
+
+// ===============================================
+// REGRAS BRASILEIRAS
+// ===============================================
+
+const BRAZIL_COUNTRY_CODE = '55';
+
+// DDDs válidos (Anatel)
+const BRAZIL_AREA_CODES = new Set([
+  11, 12, 13, 14, 15, 16, 17, 18, 19,
+  21, 22, 24, 27, 28,
+  31, 32, 33, 34, 35, 37, 38,
+  41, 42, 43, 44, 45, 46, 47, 48, 49,
+  51, 53, 54, 55,
+  61, 62, 63, 64, 65, 66, 67, 68, 69,
+  71, 73, 74, 75, 77, 79,
+  81, 82, 83, 84, 85, 86, 87, 88, 89,
+  91, 92, 93, 94, 95, 96, 97, 98, 99
+].map(String));
+
+// Motivos de número inválido (registrados em execution_error)
+const PHONE_INVALID_REASONS = {
+  MISSING: 'telefone ausente',
+  TOO_SHORT: 'telefone curto demais (falta DDD?)',
+  TOO_LONG: 'telefone longo demais',
+  INVALID_AREA_CODE: 'DDD inexistente',
+  INVALID_SUBSCRIBER: 'número de assinante inválido',
+  INVALID_INTERNATIONAL: 'número internacional inválido'
+};
+
+function invalid(reason, raw) {
+  return { valid: false, e164: null, digits: null, reason, raw };
+}
+
+/**
+ * Número nacional brasileiro (DDD + assinante) → E.164
+ * Celulares com 8 dígitos (6-9 inicial) ganham o nono dígito.
+ */
+function normalizeBrazilianNational(national, raw) {
+  const areaCode = national.substring(0, 2);
+  let subscriber = national.substring(2);
+
+  if (!BRAZIL_AREA_CODES.has(areaCode)) {
+    return invalid(PHONE_INVALID_REASONS.INVALID_AREA_CODE, raw);
+  }
+
+  if (subscriber.length === 8 && /^[6-9]/.test(subscriber)) {
+    subscriber = `9${subscriber}`;
+  }
+
+  // Celular: 9 dígitos começando com 9 / fixo: 8 dígitos começando com 2-5
+  const isMobile = subscriber.length === 9 && subscriber.startsWith('9');
+  const isLandline = subscriber.length === 8 && /^[2-5]/.test(subscriber);
+
+  if (!isMobile && !isLandline) {
+    return invalid(PHONE_INVALID_REASONS.INVALID_SUBSCRIBER, raw);
+  }
+
+  const digits = `${BRAZIL_COUNTRY_CODE}${areaCode}${subscriber}`;
+  return { valid: true, e164: `+${digits}`, digits, reason: null, raw, mobile: isMobile };
+}
+
+// ===============================================
+// CORE: NORMALIZAÇÃO
+// ===============================================
+
+/**
+ * Normaliza um telefone para E.164.
+ * Sem DDI, o número é tratado como brasileiro; "+" ou "00" com outro DDI
+ * é aceito como internacional (8 a 15 dígitos, sem regras locais).
+ * Retorna { valid, e164, digits, reason, raw }
+ */
+function normalizePhoneNumber(value) {
+  const raw = value == null ? '' : String(value);
+  // JID do WhatsApp (5511...@s.whatsapp.net) ou número com pontuação
+  const cleaned = raw.split('@')[0].trim();
+  let digits = cleaned.replace(/\D/g, '');
+
+  if (!digits) {
+    return invalid(PHONE_INVALID_REASONS.MISSING, raw);
+  }
+
+  let international = cleaned.startsWith('+');
+  if (!international && digits.startsWith('00')) {
+    digits = digits.substring(2);
+    international = true;
+  }
+
+  if (international && !digits.startsWith(BRAZIL_COUNTRY_CODE)) {
+    if (digits.length < 8 || digits.length > 15) {
+      return invalid(PHONE_INVALID_REASONS.INVALID_INTERNATIONAL, raw);
+    }
+    return { valid: true, e164: `+${digits}`, digits, reason: null, raw, mobile: null };
+  }
+
+  if (international) {
+    return normalizeBrazilianNational(digits.substring(2), raw);
+  }
+
+  // Prefixo de longa distância: 0 + DDD (0 11 ...) ou 0 + operadora + DDD (0 15 11 ...)
+  if (digits.startsWith('0')) {
+    digits = digits.substring(1);
+    if (digits.length === 12 || digits.length === 13) {
+      digits = digits.substring(2);
+    }
+  }
+
+  // 12/13 dígitos começando com 55: DDI presente sem "+"
+  if ((digits.length === 12 || digits.length === 13) && digits.startsWith(BRAZIL_COUNTRY_CODE)) {
+    return normalizeBrazilianNational(digits.substring(2), raw);
+  }
+
+  if (digits.length < 10) {
+    return invalid(PHONE_INVALID_REASONS.TOO_SHORT, raw);
+  }
+  if (digits.length > 11) {
+    return invalid(PHONE_INVALID_REASONS.TOO_LONG, raw);
+  }
+
+  return normalizeBrazilianNational(digits, raw);
+}
+
+// ===============================================
+// EXPORTAÇÕES
+// ===============================================
+
+module.exports = {
+  PHONE_INVALID_REASONS,
+  normalizePhoneNumber
+};
@@ -0,0 +1,208 @@
+/**
+ * ===============================================
+ * ZIONIC PROCESSING POOL
+ * ===============================================
+ * Pool de processamento concorrente com limites globais e por chave
+ * (empresa, conversa, instância WhatsApp)
+ *
+ * @author Zionic Team
+ * @version 1.7.0
+ */
+
+// ===============================================
+// LIMITADOR POR CHAVE
+// ===============================================
+
+/**
+ * Cria um semáforo por chave: no máximo `limit` execuções simultâneas para a mesma chave.
+ * Usado para não disparar várias mensagens ao mesmo tempo pelo mesmo número.
+ */
+function createKeyedLimiter(limit) {
+  const maxConcurrent = Math.max(1, limit || 1);
+  const activeByKey = new Map();
+  const waitersByKey = new Map();
+
+  function release(key) {
+    const waiters = waitersByKey.get(key);
+    if (waiters && waiters.length > 0) {
+      // Repassa a vaga diretamente para o próximo da fila (contador não muda)
+      const next = waiters.shift();
+      if (waiters.length === 0) {
+        waitersByKey.delete(key);
+      }
+      next();
+      return;
+    }
+
+    const active = (activeByKey.get(key) || 1) - 1;
+    if (active <= 0) {
+      activeByKey.delete(key);
+    } else {
+      activeByKey.set(key, active);
+    }
+  }
+
+  function acquire(key) {
+    const active = activeByKey.get(key) || 0;
+    if (active < maxConcurrent) {
+      activeByKey.set(key, active + 1);
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      if (!waitersByKey.has(key)) {
+        waitersByKey.set(key, []);
+      }
+      waitersByKey.get(key).push(resolve);
+    });
+  }
+
+  async function run(key, fn) {
+    await acquire(key);
+    try {
+      return await fn();
+    } finally {
+      release(key);
+    }
+  }
+
+  return {
+    run,
+    active: key => activeByKey.get(key) || 0,
+    snapshot: () => Object.fromEntries(activeByKey)
+  };
+}
+
+// ===============================================
+// POOL DE PROCESSAMENTO
+// ===============================================
+
+/**
+ * Processa itens em paralelo respeitando:
+ * - options.concurrency: máximo de itens simultâneos no total
+ * - options.limits: [{ name, key: item => string, max }] limites por chave
+ *   (ex.: por company_id, por conversation_id)
+ * - options.shouldStop: () => boolean, interrompe o início de novos itens (drain)
+ *
+ * Itens cujo limite por chave está cheio são pulados temporariamente, sem bloquear
+ * itens de outras empresas. Retorna { results: [{ item, result }], notStarted: [] }.
+ */
+function runProcessingPool(items, handler, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || 1);
+  const limits = options.limits || [];
+  const shouldStop = options.shouldStop || (() => false);
+
+  const pending = [...items];
+  const activeCounts = limits.map(() => new Map());
+  const results = [];
+  let active = 0;
+  let stopped = false;
+
+  const fitsLimits = item => limits.every((limit, index) => {
+    const key = limit.key(item);
+    if (key === undefined || key === null) {
+      return true;
+    }
+    return (activeCounts[index].get(key) || 0) < limit.max;
+  });
+
+  const adjustCounts = (item, delta) => {
+    limits.forEach((limit, index) => {
+      const key = limit.key(item);
+      if (key === undefined || key === null) {
+        return;
+      }
+      const next = (activeCounts[index].get(key) || 0) + delta;
+      if (next <= 0) {
+        activeCounts[index].delete(key);
+      } else {
+        activeCounts[index].set(key, next);
+      }
+    });
+  };
+
+  return new Promise(resolve => {
+    const startNext = () => {
+      if (!stopped && shouldStop()) {
+        stopped = true;
+      }
+
+      while (!stopped && active < concurrency && pending.length > 0) {
+        const index = pending.findIndex(fitsLimits);
+        if (index === -1) {
+          break;
+        }
+
+        const [item] = pending.splice(index, 1);
+        active++;
+        adjustCounts(item, 1);
+
+        Promise.resolve()
+          .then(() => handler(item))
+          .then(
+            result => results.push({ item, result }),
+            error => results.push({ item, result: { success: false, error: error.message } })
+          )
+          .finally(() => {
+            active--;
+            adjustCounts(item, -1);
+            startNext();
+          });
+      }
+
+      if (active === 0 && (stopped || pending.length === 0)) {
+        resolve({
+          results,
+          notStarted: stopped ? pending : []
+        });
+      }
+    };
+
+    startNext();
+  });
+}
+
+// ===============================================
+// EXECUÇÃO ÚNICA (SINGLE-FLIGHT)
+// ===============================================
+
+/**
+ * Garante uma execução de `fn` por vez: chamada com execução em andamento não
+ * inicia outra, chama onSkip e recebe a promise da execução atual.
+ * current() retorna a execução em andamento (ou null), usada no drain do shutdown.
+ */
+function createSingleFlight(fn, { onSkip } = {}) {
+  let current = null;
+
+  function run() {
+    if (current) {
+      if (onSkip) {
+        onSkip();
+      }
+      return current;
+    }
+
+    current = Promise.resolve()
+      .then(fn)
+      .finally(() => {
+        current = null;
+      });
+
+    return current;
+  }
+
+  return {
+    run,
+    current: () => current
+  };
+}
+
+// ===============================================
+// EXPORTAÇÕES
+// ===============================================
+
+module.exports = {
+  createKeyedLimiter,
+  runProcessingPool,
+  createSingleFlight
+};
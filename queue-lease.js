@@ -0,0 +1,230 @@
+/**
+ * ===============================================
+ * ZIONIC QUEUE LEASES
+ * ===============================================
+ * Claim atômico de itens de fila (follow_up_queue / appointment_reminder_queue)
+ * para permitir várias réplicas do servidor sem envios duplicados
+ *
+ * @author Zionic Team
+ * @version 1.7.0
+ */
+
+const os = require('os');
+
+// ===============================================
+// UTILITÁRIOS DE LOG
+// ===============================================
+
+/**
+ * Log estruturado específico para leases de fila
+ */
+function logLease(level, message, data = {}) {
+  const timestamp = new Date().toISOString();
+  const emoji = {
+    info: 'ℹ️',
+    success: '✅',
+    warning: '⚠️',
+    error: '❌',
+    debug: '🔍'
+  };
+
+  console.log(`${emoji[level] || '📝'} [QUEUE-LEASE] [${timestamp}] ${message}`,
+    Object.keys(data).length > 0 ? JSON.stringify(data, null, 2) : '');
+}
+
+// ===============================================
+// IDENTIFICAÇÃO DO WORKER
+// ===============================================
+
+/**
+ * Identificador único desta réplica (WORKER_ID ou hostname + pid)
+ */
+function getWorkerId() {
+  return process.env.WORKER_ID || `${os.hostname()}-${process.pid}`;
+}
+
+/**
+ * Campos que liberam o lease ao finalizar um item (sent/failed/cancelled/pending)
+ */
+function leaseReleaseFields() {
+  return {
+    locked_by: null,
+    locked_at: null,
+    lease_expires_at: null
+  };
+}
+
+// ===============================================
+// CORE: CLAIM / RENOVAÇÃO / RECUPERAÇÃO
+// ===============================================
+
+/**
+ * Devolve para 'pending' itens cujo lease expirou (worker caiu no meio do processamento)
+ */
+async function reclaimExpiredLeases(supabase, table) {
+  try {
+    const { data: reclaimed, error } = await supabase
+      .from(table)
+      .update({
+        status: 'pending',
+        ...leaseReleaseFields()
+      })
+      .eq('status', 'processing')
+      .lt('lease_expires_at', new Date().toISOString())
+      .select('id, locked_by');
+
+    if (error) {
+      logLease('error', 'Erro ao recuperar leases expirados', { table, error: error.message });
+      return 0;
+    }
+
+    if (reclaimed?.length > 0) {
+      logLease('warning', `${reclaimed.length} itens com lease expirado devolvidos para a fila`, {
+        table,
+        items: reclaimed.map(r => ({ id: r.id, previousWorker: r.locked_by }))
+      });
+    }
+
+    return reclaimed?.length || 0;
+
+  } catch (error) {
+    logLease('error', 'Erro ao recuperar leases expirados', { table, error: error.message });
+    return 0;
+  }
+}
+
+/**
+ * Faz o claim atômico de um lote de itens pendentes.
+ * O UPDATE condicional (status = 'pending') garante que cada linha seja
+ * reservada por apenas um worker, mesmo com réplicas concorrentes.
+ * Retorna somente os itens efetivamente reservados por este worker.
+ */
+async function claimQueueItems(supabase, table, items, config) {
+  if (!items || items.length === 0) {
+    return [];
+  }
+
+  try {
+    const now = new Date();
+    const leaseExpiresAt = new Date(now.getTime() + config.leaseSeconds * 1000).toISOString();
+
+    const { data: claimed, error } = await supabase
+      .from(table)
+      .update({
+        status: 'processing',
+        locked_by: config.workerId,
+        locked_at: now.toISOString(),
+        lease_expires_at: leaseExpiresAt
+      })
+      .in('id', items.map(item => item.id))
+      .eq('status', 'pending')
+      .select('id');
+
+    if (error) {
+      logLease('error', 'Erro ao fazer claim de itens da fila', { table, error: error.message });
+      return [];
+    }
+
+    const claimedIds = new Set((claimed || []).map(row => row.id));
+    const claimedItems = items
+      .filter(item => claimedIds.has(item.id))
+      .map(item => ({
+        ...item,
+        status: 'processing',
+        locked_by: config.workerId,
+        lease_expires_at: leaseExpiresAt
+      }));
+
+    logLease('debug', 'Claim de itens concluído', {
+      table,
+      workerId: config.workerId,
+      requested: items.length,
+      claimed: claimedItems.length,
+      claimedByOthers: items.length - claimedItems.length,
+      leaseExpiresAt
+    });
+
+    return claimedItems;
+
+  } catch (error) {
+    logLease('error', 'Erro ao fazer claim de itens da fila', { table, error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Renova o lease de um item antes de processá-lo.
+ * Retorna a linha atual (status, attempts, metadata, ai_generated_message, media_attachments) se o item ainda pertence a este worker,
+ * ou null se o lease foi perdido (expirou e outro worker assumiu, ou status mudou).
+ */
+async function renewLease(supabase, table, itemId, config) {
+  const leaseExpiresAt = new Date(Date.now() + config.leaseSeconds * 1000).toISOString();
+
+  const { data: renewed, error } = await supabase
+    .from(table)
+    .update({ lease_expires_at: leaseExpiresAt })
+    .eq('id', itemId)
+    .eq('status', 'processing')
+    .eq('locked_by', config.workerId)
+    .select('status, attempts, metadata, ai_generated_message, media_attachments');
+
+  if (error) {
+    throw new Error(`Erro ao renovar lease: ${error.message}`);
+  }
+
+  return renewed?.[0] || null;
+}
+
+/**
+ * Devolve para 'pending' itens reservados por este worker que não chegaram a ser
+ * processados (ex.: drain durante o shutdown)
+ */
+async function releaseQueueItems(supabase, table, itemIds, config) {
+  if (!itemIds || itemIds.length === 0) {
+    return 0;
+  }
+
+  try {
+    const { data: released, error } = await supabase
+      .from(table)
+      .update({
+        status: 'pending',
+        ...leaseReleaseFields()
+      })
+      .in('id', itemIds)
+      .eq('status', 'processing')
+      .eq('locked_by', config.workerId)
+      .select('id');
+
+    if (error) {
+      logLease('error', 'Erro ao liberar itens reservados', { table, error: error.message });
+      return 0;
+    }
+
+    logLease('info', `${released?.length || 0} itens não processados devolvidos para a fila`, {
+      table,
+      workerId: config.workerId,
+      requested: itemIds.length
+    });
+
+    return released?.length || 0;
+
+  } catch (error) {
+    logLease('error', 'Erro ao liberar itens reservados', { table, error: error.message });
+    return 0;
+  }
+}
+
+// ===============================================
+// EXPORTAÇÕES
+// ===============================================
+
+module.exports = {
+  getWorkerId,
+  leaseReleaseFields,
+  reclaimExpiredLeases,
+  claimQueueItems,
+  renewLease,
+  releaseQueueItems,
+  logLease
+};
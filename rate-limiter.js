@@ -0,0 +1,281 @@
+/**
+ * ===============================================
+ * ZIONIC SEND RATE LIMITER
+ * ===============================================
+ * Token buckets de envio por instância WhatsApp e por empresa (janelas de
+ * minuto e hora), com curva de aquecimento para números recém-conectados.
+ * Item acima do limite é adiado para quando houver token, sem consumir tentativa.
+ *
+ * Os buckets ficam no banco (send_rate_buckets, RPC reserve_send_tokens) e valem
+ * para todas as réplicas. Cada parte enviada (blocos de texto, mídias, pin) custa
+ * um token: o primeiro é reservado antes do envio (e devolvido se o envio não
+ * acontecer), os demais cobrados depois.
+ *
+ * @author Zionic Team
+ * @version 1.7.0
+ */
+
+const { FAILURE_CODES, classifySupabaseError, classifiedError } = require('./error-classifier');
+
+// ===============================================
+// UTILITÁRIOS DE LOG
+// ===============================================
+
+/**
+ * Log estruturado específico para limites de envio
+ */
+function logRateLimit(level, message, data = {}) {
+  const timestamp = new Date().toISOString();
+  const emoji = {
+    info: 'ℹ️',
+    success: '✅',
+    warning: '⚠️',
+    error: '❌',
+    debug: '🔍'
+  };
+
+  console.log(`${emoji[level] || '📝'} [RATE-LIMIT] [${timestamp}] ${message}`,
+    Object.keys(data).length > 0 ? JSON.stringify(data, null, 2) : '');
+}
+
+const WINDOWS_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000
+};
+
+// Canais cujo remetente é um número WhatsApp (limite por instância + aquecimento)
+const WHATSAPP_CHANNEL_TYPES = new Set(['evolution', 'whatsapp_cloud']);
+
+// ===============================================
+// AQUECIMENTO
+// ===============================================
+
+/**
+ * Fração do limite liberada para um número conectado há `warmupStartedAt`.
+ * config.instanceWarmupSchedule: [{ day, factor }] em ordem crescente de dia.
+ * Sem data de aquecimento (instância anterior à migração) o número é tratado como maduro (fator 1).
+ */
+function getWarmupFactor(warmupStartedAt, config) {
+  if (!warmupStartedAt) {
+    return 1;
+  }
+
+  const ageDays = (Date.now() - new Date(warmupStartedAt).getTime()) / (24 * 60 * 60 * 1000);
+  const step = (config.instanceWarmupSchedule || [])
+    .filter(entry => ageDays >= entry.day)
+    .pop();
+
+  return step ? step.factor : 1;
+}
+
+// ===============================================
+// CORE: TOKEN BUCKET
+// ===============================================
+
+/**
+ * Buckets que limitam um envio pelo canal informado
+ */
+function bucketSpecs(config, channel, senderKey, companyId) {
+  const specs = [];
+
+  if (WHATSAPP_CHANNEL_TYPES.has(channel.type)) {
+    const factor = getWarmupFactor(channel.warmupStartedAt, config);
+    const limits = { minute: config.instanceRateLimitPerMinute, hour: config.instanceRateLimitPerHour };
+
+    for (const [window, limit] of Object.entries(limits)) {
+      if (limit > 0) {
+        specs.push({
+          name: `instance:${senderKey}:${window}`,
+          capacity: Math.max(1, Math.floor(limit * factor)),
+          windowMs: WINDOWS_MS[window],
+          warmupFactor: factor
+        });
+      }
+    }
+  }
+
+  if (companyId) {
+    const limits = { minute: config.companyRateLimitPerMinute, hour: config.companyRateLimitPerHour };
+
+    for (const [window, limit] of Object.entries(limits)) {
+      if (limit > 0) {
+        specs.push({ name: `company:${companyId}:${window}`, capacity: limit, windowMs: WINDOWS_MS[window] });
+      }
+    }
+  }
+
+  return specs;
+}
+
+/**
+ * Reserva um envio: consome um token de cada bucket aplicável (instância e empresa)
+ * ou, se algum estiver vazio, não consome nada e informa quando tentar de novo.
+ * Canal interno não tem limite. Erro do banco interrompe o envio (retry).
+ * Retorna { allowed: true } ou { allowed: false, bucket, retryAt, warmupFactor }
+ */
+async function reserveSendCapacity(supabase, config, { channel, senderKey, companyId }) {
+  if (!channel.type || channel.type === 'internal') {
+    return { allowed: true };
+  }
+
+  const specs = bucketSpecs(config, channel, senderKey, companyId);
+  if (specs.length === 0) {
+    return { allowed: true };
+  }
+
+  const { data: reservation, error } = await supabase.rpc('reserve_send_tokens', {
+    p_buckets: specs.map(toBucketParam),
+    p_cost: 1,
+    p_force: false
+  });
+
+  if (error) {
+    throw classifiedError(`Erro ao reservar limite de envio: ${error.message}`, classifySupabaseError(error));
+  }
+
+  if (reservation?.allowed) {
+    return { allowed: true };
+  }
+
+  const spec = specs.find(entry => entry.name === reservation.bucket) || {};
+  const waitMs = Number(reservation.wait_ms) || 1000;
+
+  logRateLimit('warning', 'Limite de envio atingido - item será adiado', {
+    bucket: reservation.bucket,
+    capacity: spec.capacity,
+    warmupFactor: spec.warmupFactor,
+    waitSeconds: Math.ceil(waitMs / 1000)
+  });
+
+  return {
+    allowed: false,
+    bucket: reservation.bucket,
+    capacity: spec.capacity,
+    warmupFactor: spec.warmupFactor,
+    retryAt: new Date(Date.now() + waitMs).toISOString()
+  };
+}
+
+/**
+ * Cobra as partes além da primeira de um envio já feito (o token da primeira foi
+ * reservado antes). Saldo pode ficar negativo: os próximos envios esperam mais.
+ * Falha aqui não desfaz o envio, só é registrada.
+ */
+async function chargeSendParts(supabase, config, { channel, senderKey, companyId }, partsSent) {
+  const extraParts = (partsSent || 1) - 1;
+  if (extraParts <= 0 || !channel.type || channel.type === 'internal') {
+    return;
+  }
+
+  const specs = bucketSpecs(config, channel, senderKey, companyId);
+  if (specs.length === 0) {
+    return;
+  }
+
+  const { error } = await supabase.rpc('reserve_send_tokens', {
+    p_buckets: specs.map(toBucketParam),
+    p_cost: extraParts,
+    p_force: true
+  });
+
+  if (error) {
+    logRateLimit('warning', 'Erro ao cobrar partes extras do envio', {
+      sender: senderKey,
+      companyId,
+      extraParts,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Devolve o token reservado para um envio que não aconteceu (falha na geração,
+ * adiamento, envio deduplicado). O excesso sobre a capacidade é cortado pela
+ * RPC na próxima reserva. Falha aqui só é registrada.
+ */
+async function refundSendCapacity(supabase, config, { channel, senderKey, companyId }) {
+  if (!channel.type || channel.type === 'internal') {
+    return;
+  }
+
+  const specs = bucketSpecs(config, channel, senderKey, companyId);
+  if (specs.length === 0) {
+    return;
+  }
+
+  const { error } = await supabase.rpc('reserve_send_tokens', {
+    p_buckets: specs.map(toBucketParam),
+    p_cost: -1,
+    p_force: true
+  });
+
+  if (error) {
+    logRateLimit('warning', 'Erro ao devolver token de envio não realizado', {
+      sender: senderKey,
+      companyId,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Bucket no formato da RPC reserve_send_tokens
+ */
+function toBucketParam(spec) {
+  return { name: spec.name, capacity: spec.capacity, window_seconds: spec.windowMs / 1000 };
+}
+
+/**
+ * Erro de limite de envio: o item é adiado até o bucket ter token
+ */
+function rateLimitError(reservation) {
+  return classifiedError(`Limite de envio atingido (${reservation.bucket}: ${reservation.capacity})`, {
+    code: FAILURE_CODES.SEND_RATE_LIMITED,
+    permanent: false,
+    deferUntil: reservation.retryAt,
+    deferReason: `rate_limit:${reservation.bucket}`
+  });
+}
+
+/**
+ * Estado atual dos buckets (para /rate-limits), com a reposição até agora
+ */
+async function getRateLimitStates(supabase) {
+  const { data: rows, error } = await supabase
+    .from('send_rate_buckets')
+    .select('name, capacity, window_seconds, tokens, updated_at')
+    .order('name', { ascending: true })
+    .limit(500);
+
+  if (error) {
+    throw new Error(`Erro ao buscar limites de envio: ${error.message}`);
+  }
+
+  const now = Date.now();
+
+  return (rows || []).map(row => {
+    const capacity = Number(row.capacity);
+    const elapsedSeconds = (now - new Date(row.updated_at).getTime()) / 1000;
+    const tokens = Math.min(capacity, Number(row.tokens) + elapsedSeconds * (capacity / row.window_seconds));
+    return {
+      name: row.name,
+      capacity,
+      available: Math.floor(tokens),
+      windowSeconds: row.window_seconds
+    };
+  });
+}
+
+// ===============================================
+// EXPORTAÇÕES
+// ===============================================
+
+module.exports = {
+  getWarmupFactor,
+  reserveSendCapacity,
+  chargeSendParts,
+  refundSendCapacity,
+  rateLimitError,
+  getRateLimitStates,
+  logRateLimit
+};
@@ -0,0 +1,171 @@
+/**
+ * ===============================================
+ * ZIONIC RETRY POLICY
+ * ===============================================
+ * Reagendamento de itens com falha usando backoff exponencial + jitter
+ *
+ * @author Zionic Team
+ * @version 1.7.0
+ */
+
+const { leaseReleaseFields } = require('./queue-lease');
+const { FAILURE_CODES, classifyError } = require('./error-classifier');
+
+// ===============================================
+// BACKOFF
+// ===============================================
+
+/**
+ * Calcula o atraso até a próxima tentativa (ms).
+ * attempt = número de tentativas já consumidas (1 = primeira falha).
+ * Jitter de ±config.retryJitterRatio evita que itens que falharam juntos
+ * (ex.: queda da Evolution API) voltem todos no mesmo minuto.
+ */
+function computeBackoffDelayMs(attempt, config) {
+  const baseMs = config.retryBaseDelaySeconds * 1000;
+  const maxMs = config.retryMaxDelaySeconds * 1000;
+  const exponential = Math.min(maxMs, baseMs * Math.pow(config.retryBackoffFactor, Math.max(0, attempt - 1)));
+
+  const jitterRatio = config.retryJitterRatio || 0;
+  const jitter = exponential * jitterRatio * (Math.random() * 2 - 1);
+
+  return Math.round(Math.min(maxMs, Math.max(baseMs, exponential + jitter)));
+}
+
+// ===============================================
+// CORE: ATUALIZAÇÃO APÓS FALHA
+// ===============================================
+
+/**
+ * Metadata sem o início da sequência de adiamentos por circuito aberto: envio
+ * concluído, retry comum ou adiamento por outro motivo encerram a sequência
+ */
+function clearCircuitDeferral(metadata) {
+  const cleared = { ...metadata };
+  delete cleared.circuit_deferred_since;
+  return cleared;
+}
+
+/**
+ * Monta o update de adiamento: item volta para 'pending' em error.deferUntil
+ * sem consumir tentativa (circuito aberto, limite de envio, etc.)
+ */
+function buildDeferUpdate(item, error) {
+  const classification = classifyError(error);
+  const circuitOpen = classification.code === FAILURE_CODES.CIRCUIT_OPEN;
+
+  return {
+    update: {
+      status: 'pending',
+      scheduled_at: error.deferUntil,
+      ...leaseReleaseFields(),
+      metadata: {
+        ...(circuitOpen ? item.metadata : clearCircuitDeferral(item.metadata)),
+        original_scheduled_at: item.metadata?.original_scheduled_at || item.scheduled_at || null,
+        next_attempt_at: error.deferUntil,
+        last_deferred_at: new Date().toISOString(),
+        deferred_reason: error.deferReason || classification.code,
+        deferred_count: (item.metadata?.deferred_count || 0) + 1,
+        ...(circuitOpen
+          ? { circuit_deferred_since: item.metadata?.circuit_deferred_since || new Date().toISOString() }
+          : {})
+      }
+    },
+    finalStatus: 'pending',
+    attempts: item.attempts,
+    nextAttemptAt: error.deferUntil,
+    classification,
+    deferred: true
+  };
+}
+
+/**
+ * Circuito aberto há mais de config.circuitMaxDeferMinutes para este item:
+ * o adiamento deixa de ser gratuito e passa a consumir tentativas
+ */
+function circuitDeferralExpired(item, error, config) {
+  const since = item.metadata?.circuit_deferred_since;
+  if (error.failureCode !== FAILURE_CODES.CIRCUIT_OPEN || !since || !config.circuitMaxDeferMinutes) {
+    return false;
+  }
+
+  return Date.now() - new Date(since).getTime() >= config.circuitMaxDeferMinutes * 60 * 1000;
+}
+
+/**
+ * Monta o update da fila após uma falha de processamento.
+ * - Adiamento (error.deferUntil antes do deadline): ver buildDeferUpdate
+ *   (circuito aberto além de config.circuitMaxDeferMinutes volta a consumir tentativas)
+ * - Erro permanente (ver error-classifier): 'failed' imediatamente
+ * - Ainda com tentativas: volta para 'pending' com scheduled_at no futuro (backoff)
+ * - Sem tentativas (ou próxima tentativa depois de options.deadline): 'failed'
+ * Retorna { update, finalStatus, attempts, nextAttemptAt, classification }
+ */
+function buildRetryUpdate(item, error, config, options = {}) {
+  const deferBeforeDeadline = !options.deadline ||
+    new Date(error.deferUntil).getTime() < new Date(options.deadline).getTime();
+  if (error.deferUntil && deferBeforeDeadline && !circuitDeferralExpired(item, error, config)) {
+    return buildDeferUpdate(item, error);
+  }
+
+  const classification = classifyError(error);
+  const attempts = item.attempts + 1;
+  const now = new Date();
+  const delayMs = computeBackoffDelayMs(attempts, config);
+  const deadlineExceeded = !!options.deadline &&
+    now.getTime() + delayMs >= new Date(options.deadline).getTime();
+  const exhausted = classification.permanent || attempts >= item.max_attempts || deadlineExceeded;
+
+  const metadata = {
+    ...clearCircuitDeferral(item.metadata),
+    original_scheduled_at: item.metadata?.original_scheduled_at || item.scheduled_at || null,
+    last_failed_at: now.toISOString(),
+    last_error: error.message,
+    failure_class: classification.permanent ? 'permanent' : 'transient'
+  };
+
+  const update = {
+    attempts,
+    status: exhausted ? 'failed' : 'pending',
+    execution_error: error.message,
+    failure_code: classification.code,
+    ...leaseReleaseFields()
+  };
+
+  let nextAttemptAt = null;
+
+  if (!exhausted) {
+    nextAttemptAt = new Date(now.getTime() + delayMs).toISOString();
+
+    update.scheduled_at = nextAttemptAt;
+    metadata.next_attempt_at = nextAttemptAt;
+    metadata.last_backoff_ms = delayMs;
+  } else {
+    metadata.next_attempt_at = null;
+    if (deadlineExceeded) {
+      metadata.retry_deadline_exceeded = true;
+    }
+  }
+
+  update.metadata = metadata;
+
+  return {
+    update,
+    finalStatus: update.status,
+    attempts,
+    nextAttemptAt,
+    classification,
+    deferred: false
+  };
+}
+
+// ===============================================
+// EXPORTAÇÕES
+// ===============================================
+
+module.exports = {
+  computeBackoffDelayMs,
+  clearCircuitDeferral,
+  buildDeferUpdate,
+  buildRetryUpdate
+};
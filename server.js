@@ -13,25 +13,194 @@
 require('dotenv').config();
 const { createClient } = require('@supabase/supabase-js');
 const axios = require('axios');
+const path = require('path');
 
 // ✅ IMPORTAR PROCESSADORES ESPECIALIZADOS
 const followUpProcessor = require('./followup-processor');
 const appointmentReminderProcessor = require('./appointment-reminders-processor');
+const { getWorkerId, releaseQueueItems } = require('./queue-lease');
+const { createKeyedLimiter, runProcessingPool, createSingleFlight } = require('./processing-pool');
+const { getQueueMetrics } = require('./fair-scheduler');
+const {
+  FAILURE_CODES,
+  classifyError,
+  classifyOpenAIResponse,
+  classifiedError,
+  isAiFallbackEligible
+} = require('./error-classifier');
+const { listDeadLetters, requeueDeadLetters } = require('./dead-letter');
+const { reconcileOutbox } = require('./outbox');
+const { getCircuitBreaker, runWithBreakers, getBreakerStates } = require('./circuit-breaker');
+const { CHANNEL_ADAPTERS, getChannelAdapter, channelSenderKey } = require('./channel-adapters');
+const { withNumberedOptions } = require('./message-payload');
+const { handleInboundWebhook } = require('./inbound-messages');
+const { applyDeliveryStatus, purgePendingReceipts, getFollowUpDeliveryRates } = require('./delivery-receipts');
+const { getRateLimitStates } = require('./rate-limiter');
+const { isValidTimezone } = require('./business-hours');
+const { normalizePhoneNumber } = require('./phone-number');
+const {
+  CADENCE_STOP_REASONS,
+  enrollConversation,
+  stopConversationCadences,
+  getConversationCadences,
+  getCadenceStepStats
+} = require('./follow-up-cadences');
+const { DEFAULT_OPT_OUT_KEYWORDS, DEFAULT_OPT_OUT_CONFIRMATIONS, handleOptOutMessage } = require('./opt-out');
+const { suppressContact, removeSuppression, listSuppressions } = require('./suppression-list');
+const {
+  loadInternalConsumer,
+  claimInternalMessages,
+  acknowledgeInternalMessage,
+  dispatchInternalMessages
+} = require('./internal-queue');
 
 // ===============================================
 // CONFIGURAÇÕES
 // ===============================================
 
+// Curva padrão de aquecimento: fração do limite por dia desde warmup_started_at
+const DEFAULT_INSTANCE_WARMUP_SCHEDULE = [
+  { day: 0, factor: 0.1 },
+  { day: 3, factor: 0.25 },
+  { day: 7, factor: 0.5 },
+  { day: 14, factor: 0.75 },
+  { day: 21, factor: 1 }
+];
+
+/**
+ * JSON de uma variável de ambiente. Valor inválido (ou de tipo diferente do padrão)
+ * registra aviso e usa o padrão, em vez de derrubar o processo na inicialização.
+ * Padrão null = objeto opcional (aceita objeto ou null).
+ */
+function parseJsonEnv(name, fallback) {
+  const raw = process.env[name];
+  if (!raw) {
+    return fallback;
+  }
+
+  try {
+    const parsed = JSON.parse(raw);
+    const expectsArray = Array.isArray(fallback);
+    const isObject = parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed);
+    const validObject = isObject || (parsed === null && fallback === null);
+
+    if (expectsArray ? !Array.isArray(parsed) : !validObject) {
+      throw new Error(`esperado ${expectsArray ? 'array' : 'objeto'} JSON`);
+    }
+
+    return parsed;
+  } catch (error) {
+    log('warning', `Variável ${name} inválida - usando valor padrão`, { error: error.message });
+    return fallback;
+  }
+}
+
 const CONFIG = {
   supabaseUrl: process.env.SUPABASE_URL,
   supabaseKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
   evolutionApiUrl: process.env.EVOLUTION_API_URL,
   evolutionApiKey: process.env.EVOLUTION_API_KEY,
+  // ✅ Canais alternativos (credenciais padrão; company_channels.config pode sobrescrever por empresa)
+  whatsappCloudApiVersion: process.env.WHATSAPP_CLOUD_API_VERSION || 'v20.0',
+  whatsappCloudAccessToken: process.env.WHATSAPP_CLOUD_ACCESS_TOKEN,
+  twilioAccountSid: process.env.TWILIO_ACCOUNT_SID,
+  twilioAuthToken: process.env.TWILIO_AUTH_TOKEN,
+  twilioFromNumber: process.env.TWILIO_FROM_NUMBER,
+  sendgridApiKey: process.env.SENDGRID_API_KEY,
+  emailFromAddress: process.env.EMAIL_FROM_ADDRESS,
+  emailAttachmentMaxBytes: parseInt(process.env.EMAIL_ATTACHMENT_MAX_BYTES || String(10 * 1024 * 1024), 10),
+  // ✅ Geocodificação do local dos appointments (pin de localização nos lembretes)
+  geocodingApiKey: process.env.GOOGLE_GEOCODING_API_KEY,
   // ✅ CORRIGIDO: Usar master key conforme memória do usuário
   masterOpenAIKey: process.env.OPENAI_MASTER_API_KEY,
   fallbackOpenAIKey: process.env.OPENAI_API_KEY,
   intervalMinutes: 1,
   maxFollowUpsPerExecution: 50,
+  // ✅ Leases de fila: permite várias réplicas processando sem duplicar envios
+  workerId: getWorkerId(),
+  leaseSeconds: parseInt(process.env.QUEUE_LEASE_SECONDS || '300', 10),
+  // ✅ Pool de processamento: limites de concorrência global, por empresa e por instância
+  processingConcurrency: parseInt(process.env.PROCESSING_CONCURRENCY || '10', 10),
+  perCompanyConcurrency: parseInt(process.env.PER_COMPANY_CONCURRENCY || '3', 10),
+  perInstanceConcurrency: parseInt(process.env.PER_INSTANCE_CONCURRENCY || '1', 10),
+  // ✅ Fair share entre empresas: peso por plano (ex.: {"enterprise":3,"pro":2}) e janela de candidatos
+  planWeights: parseJsonEnv('FAIR_SHARE_PLAN_WEIGHTS', {}),
+  fairCandidateMultiplier: parseInt(process.env.FAIR_CANDIDATE_MULTIPLIER || '4', 10),
+  // ✅ Backoff exponencial com jitter para itens com falha
+  retryBaseDelaySeconds: parseInt(process.env.RETRY_BASE_DELAY_SECONDS || '60', 10),
+  retryMaxDelaySeconds: parseInt(process.env.RETRY_MAX_DELAY_SECONDS || '3600', 10),
+  retryBackoffFactor: parseFloat(process.env.RETRY_BACKOFF_FACTOR || '2'),
+  retryJitterRatio: parseFloat(process.env.RETRY_JITTER_RATIO || '0.2'),
+  // ✅ Circuit breakers: falhas consecutivas até abrir e tempo aberto antes do teste (half-open)
+  circuitFailureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+  instanceCircuitFailureThreshold: parseInt(process.env.INSTANCE_CIRCUIT_FAILURE_THRESHOLD || '3', 10),
+  circuitOpenSeconds: parseInt(process.env.CIRCUIT_OPEN_SECONDS || '60', 10),
+  // Adiamento por circuito aberto só não consome tentativa até N minutos por item
+  circuitMaxDeferMinutes: parseInt(process.env.CIRCUIT_MAX_DEFER_MINUTES || '120', 10),
+  // ✅ Limites de envio (token bucket) por instância WhatsApp e por empresa; 0 = sem limite
+  instanceRateLimitPerMinute: parseInt(process.env.INSTANCE_RATE_LIMIT_PER_MINUTE || '20', 10),
+  instanceRateLimitPerHour: parseInt(process.env.INSTANCE_RATE_LIMIT_PER_HOUR || '300', 10),
+  companyRateLimitPerMinute: parseInt(process.env.COMPANY_RATE_LIMIT_PER_MINUTE || '60', 10),
+  companyRateLimitPerHour: parseInt(process.env.COMPANY_RATE_LIMIT_PER_HOUR || '1000', 10),
+  // ✅ Aquecimento de números novos (whatsapp_instances.warmup_started_at): fração do limite por dia de uso
+  instanceWarmupSchedule: parseJsonEnv('INSTANCE_WARMUP_SCHEDULE', DEFAULT_INSTANCE_WARMUP_SCHEDULE),
+  // ✅ Horário de envio (empresas sem company_business_hours): fuso e janelas padrão; null = sem restrição
+  defaultTimezone: process.env.DEFAULT_TIMEZONE || 'America/Sao_Paulo',
+  defaultBusinessHours: parseJsonEnv('DEFAULT_BUSINESS_HOURS', null),
+  defaultReminderHours: parseJsonEnv('DEFAULT_REMINDER_HOURS', null),
+  // ✅ Feriados (holidays/br.json + tabela holidays): follow-ups do dia são deslocados ('shift') ou descartados ('skip')
+  holidayCalendarEnabled: process.env.HOLIDAY_CALENDAR_ENABLED !== 'false',
+  holidaysFile: process.env.HOLIDAYS_FILE || path.join(__dirname, 'holidays', 'br.json'),
+  holidayDefaultAction: process.env.HOLIDAY_DEFAULT_ACTION === 'skip' ? 'skip' : 'shift',
+  holidayShiftTime: process.env.HOLIDAY_SHIFT_TIME || '09:00',
+  // ✅ Opt-out (LGPD): palavras-chave por idioma incluem o contato na lista de supressão
+  // (OPT_OUT_KEYWORDS substitui a lista do idioma, ex.: {"pt":["pare","sair"]})
+  optOutEnabled: process.env.OPT_OUT_ENABLED !== 'false',
+  optOutKeywords: {
+    ...DEFAULT_OPT_OUT_KEYWORDS,
+    ...parseJsonEnv('OPT_OUT_KEYWORDS', {})
+  },
+  optOutConfirmations: {
+    ...DEFAULT_OPT_OUT_CONFIRMATIONS,
+    ...parseJsonEnv('OPT_OUT_CONFIRMATIONS', {})
+  },
+  // ✅ Fila interna: consumidor em processo (módulo JS), lote por ciclo e tentativas de entrega
+  internalConsumerModule: process.env.INTERNAL_CONSUMER_MODULE,
+  internalDispatchBatchSize: parseInt(process.env.INTERNAL_DISPATCH_BATCH_SIZE || '50', 10),
+  internalQueueMaxAttempts: parseInt(process.env.INTERNAL_QUEUE_MAX_ATTEMPTS || '5', 10),
+  // ✅ Confirmações de entrega recebidas antes do log do follow-up: horas até descartar
+  pendingReceiptTtlHours: parseInt(process.env.PENDING_RECEIPT_TTL_HOURS || '24', 10),
+  // ✅ Convite de calendário (.ics) no primeiro lembrete de cada appointment (arquivo no Supabase Storage)
+  calendarInviteEnabled: process.env.CALENDAR_INVITE_ENABLED !== 'false',
+  calendarInviteBucket: process.env.CALENDAR_INVITE_BUCKET || 'calendar-invites',
+  calendarInviteDefaultMinutes: parseInt(process.env.CALENDAR_INVITE_DEFAULT_MINUTES || '60', 10),
+  // ORGANIZER do .ics quando a empresa não tem canal de e-mail com from_email
+  calendarInviteOrganizerEmail: process.env.CALENDAR_INVITE_ORGANIZER_EMAIL,
+  // ✅ Lembretes interativos: botões Confirmar/Remarcar/Cancelar (opções numeradas em canais sem botões)
+  reminderInteractiveEnabled: process.env.REMINDER_INTERACTIVE_ENABLED !== 'false',
+  evolutionButtonsEnabled: process.env.EVOLUTION_BUTTONS_ENABLED === 'true',
+  appointmentReplyStatuses: {
+    confirm: 'confirmed',
+    reschedule: 'reschedule_requested',
+    cancel: 'cancelled',
+    ...parseJsonEnv('APPOINTMENT_REPLY_STATUSES', {})
+  },
+  // Resposta em texto ("1", "confirmar") só vale até N horas após o envio do lembrete
+  appointmentReplyWindowHours: parseInt(process.env.APPOINTMENT_REPLY_WINDOW_HOURS || '48', 10),
+  // ✅ Envio humanizado: "digitando...", texto dividido em blocos e pausa proporcional ao tamanho
+  // (ligável por item em metadata.humanized ou por canal em company_channels.config.humanized)
+  humanizedSendEnabled: process.env.HUMANIZED_SEND_ENABLED === 'true',
+  humanizedChunkMaxChars: parseInt(process.env.HUMANIZED_CHUNK_MAX_CHARS || '280', 10),
+  humanizedMsPerChar: parseInt(process.env.HUMANIZED_MS_PER_CHAR || '45', 10),
+  humanizedMinDelayMs: parseInt(process.env.HUMANIZED_MIN_DELAY_MS || '1200', 10),
+  humanizedMaxDelayMs: parseInt(process.env.HUMANIZED_MAX_DELAY_MS || '15000', 10),
+  humanizedJitterRatio: parseFloat(process.env.HUMANIZED_JITTER_RATIO || '0.3'),
+  // ✅ Token dos webhooks de entrada (Evolution / WhatsApp Cloud). Sem token = webhooks desabilitados
+  inboundWebhookToken: process.env.INBOUND_WEBHOOK_TOKEN,
+  // ✅ Chave para endpoints administrativos (dead letters, replay). Sem chave = endpoints desabilitados
+  adminApiKey: process.env.ADMIN_API_KEY,
+  // ✅ Tempo máximo para drenar itens em andamento no SIGTERM/SIGINT
+  shutdownTimeoutMs: parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '25000', 10),
   port: process.env.PORT || 3000
 };
 
@@ -41,6 +210,12 @@ if (!CONFIG.supabaseUrl || !CONFIG.supabaseKey) {
   process.exit(1);
 }
 
+// Fuso padrão inválido faria todas as empresas sem configuração falharem no horário de envio
+if (!isValidTimezone(CONFIG.defaultTimezone)) {
+  console.error(`❌ ERRO FATAL: DEFAULT_TIMEZONE inválido (${CONFIG.defaultTimezone})`);
+  process.exit(1);
+}
+
 // ✅ Evolution API é opcional - sistema usa conversations internas
 if (!CONFIG.evolutionApiUrl || !CONFIG.evolutionApiKey) {
   console.log('⚠️ Evolution API não configurada - usando sistema interno de mensagens');
@@ -49,6 +224,9 @@ if (!CONFIG.evolutionApiUrl || !CONFIG.evolutionApiKey) {
 // Configurar cliente Supabase
 const supabase = createClient(CONFIG.supabaseUrl, CONFIG.supabaseKey);
 
+// Consumidor da fila interna (opcional - sem ele, consumidores externos usam /internal-queue)
+const internalConsumer = loadInternalConsumer(CONFIG);
+
 // ===============================================
 // ESTATÍSTICAS GLOBAIS
 // ===============================================
@@ -59,10 +237,31 @@ const stats = {
   totalRemindersSent: 0,
   totalOrphansCreated: 0,
   totalRemindersCreated: 0,
+  totalInternalDelivered: 0,
   lastExecution: null,
+  skippedTicks: 0,
   errors: []
 };
 
+// ===============================================
+// ESTADO DO AGENDADOR
+// ===============================================
+
+const scheduler = {
+  timer: null,
+  // Ciclo single-flight: tick com o ciclo anterior em andamento é ignorado
+  cycle: createSingleFlight(() => executeProcessing(), {
+    onSkip: () => {
+      stats.skippedTicks++;
+      log('warning', 'Ciclo anterior ainda em execução - tick ignorado', {
+        skippedTicks: stats.skippedTicks,
+        intervalMinutes: CONFIG.intervalMinutes
+      });
+    }
+  }),
+  shuttingDown: false
+};
+
 // ===============================================
 // LOGGING CENTRALIZADO
 // ===============================================
@@ -81,6 +280,36 @@ function log(level, message, data = {}) {
     Object.keys(data).length > 0 ? JSON.stringify(data, null, 2) : '');
 }
 
+// ===============================================
+// CIRCUIT BREAKERS
+// ===============================================
+
+// Falhas que indicam problema só do remetente (não derrubam o provedor inteiro)
+const SENDER_FAILURE_CODES = new Set(['instance_disconnected', 'channel_rate_limited']);
+
+function openaiBreaker() {
+  return getCircuitBreaker('openai', {
+    failureThreshold: CONFIG.circuitFailureThreshold,
+    openSeconds: CONFIG.circuitOpenSeconds
+  });
+}
+
+/**
+ * Breakers do provedor (ex.: 'evolution') e do remetente (ex.: 'evolution:<instância>')
+ */
+function channelBreakers(channel, adapter) {
+  const upstream = getCircuitBreaker(adapter.upstream, {
+    failureThreshold: CONFIG.circuitFailureThreshold,
+    openSeconds: CONFIG.circuitOpenSeconds
+  });
+  const sender = getCircuitBreaker(channelSenderKey(channel, CONFIG), {
+    failureThreshold: CONFIG.instanceCircuitFailureThreshold,
+    openSeconds: CONFIG.circuitOpenSeconds
+  });
+  
+  return { upstream, sender };
+}
+
 // ===============================================
 // FERRAMENTAS DE IA
 // ===============================================
@@ -158,21 +387,29 @@ async function generatePersonalizedMessage(messageTemplate, context, agent, comp
       try {
         log('debug', 'Verificando se thread existe no OpenAI', { threadId });
         
-        const threadCheckResponse = await axios.get(`https://api.openai.com/v1/threads/${threadId}`, {
-          headers: {
-            'Authorization': `Bearer ${openaiApiKey}`,
-            'OpenAI-Beta': 'assistants=v2'
-          }
-        });
+        const threadCheckResponse = await runWithBreakers([openaiBreaker()], () => 
+          axios.get(`https://api.openai.com/v1/threads/${threadId}`, {
+            headers: {
+              'Authorization': `Bearer ${openaiApiKey}`,
+              'OpenAI-Beta': 'assistants=v2'
+            }
+          })
+        );
 
         log('success', 'Thread verificada e existe no OpenAI', { 
           threadId,
           status: threadCheckResponse.status 
         });
       } catch (threadCheckError) {
+        // Circuito aberto ou erro transitório: retry do item em vez de enviar template genérico
+        if (!isAiFallbackEligible(threadCheckError)) {
+          throw threadCheckError;
+        }
+        
         log('error', 'Thread não existe ou é inválida no OpenAI', {
           threadId,
           error: threadCheckError.message,
+          failureCode: classifyError(threadCheckError).code,
           status: threadCheckError.response?.status,
           data: threadCheckError.response?.data
         });
@@ -181,16 +418,21 @@ async function generatePersonalizedMessage(messageTemplate, context, agent, comp
 
       // ✅ 4. Tentar gerar resposta personalizada usando thread existente
       try {
-        return await generateWithExistingThread(
+        return await runWithBreakers([openaiBreaker()], () => generateWithExistingThread(
           messageTemplate, 
           context, 
           agent, 
           threadId,
           openaiApiKey
-        );
+        ));
       } catch (threadError) {
+        if (!isAiFallbackEligible(threadError)) {
+          throw threadError;
+        }
+        
         log('warning', 'Falha ao usar thread existente, usando template simples', { 
           error: threadError.message,
+          failureCode: classifyError(threadError).code,
           agentId: agent.id 
         });
         return messageTemplate;
@@ -199,23 +441,48 @@ async function generatePersonalizedMessage(messageTemplate, context, agent, comp
     
          // ✅ 5. Para appointments ou outros casos, usar geração simples
     try {
-      return await generateWithDirectAPI(
+      return await runWithBreakers([openaiBreaker()], () => generateWithDirectAPI(
         messageTemplate,
         context,
         agent,
         openaiApiKey
-      );
+      ));
     } catch (directError) {
+      if (!isAiFallbackEligible(directError)) {
+        throw directError;
+      }
+      
       log('warning', 'Falha na geração direta, usando template simples', { 
         error: directError.message,
+        failureCode: classifyError(directError).code,
         agentId: agent.id 
       });
       return messageTemplate;
     }
 
   } catch (error) {
+    // ✅ Circuito OpenAI aberto: propagar para o item ser adiado sem consumir tentativa
+    if (error.deferUntil) {
+      log('warning', 'Circuito OpenAI aberto - geração adiada', { 
+        agentId: agent?.id,
+        deferUntil: error.deferUntil
+      });
+      throw error;
+    }
+    
+    // ✅ Erro transitório da OpenAI: propagar para retry com backoff
+    if (!isAiFallbackEligible(error)) {
+      log('warning', 'Erro transitório na geração de mensagem personalizada - item volta para a fila', { 
+        error: error.message,
+        failureCode: classifyError(error).code,
+        agentId: agent?.id 
+      });
+      throw error;
+    }
+    
     log('error', 'Erro na geração de mensagem personalizada', { 
       error: error.message,
+      failureCode: classifyError(error).code,
       agentId: agent?.id 
     });
     return messageTemplate;
@@ -554,7 +821,10 @@ async function getOrCreateOpenAIThread(
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => null);
-      throw new Error(`Failed to create thread: ${response.status} - ${errorData?.error?.message || 'Unknown error'}`);
+      throw classifiedError(
+        `Failed to create thread: ${response.status} - ${errorData?.error?.message || 'Unknown error'}`,
+        classifyOpenAIResponse(response.status, errorData)
+      );
     }
 
     const threadData = await response.json();
@@ -601,7 +871,10 @@ async function addMessageToOpenAIThread(
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => null);
-      throw new Error(`Failed to add message: ${response.status} - ${errorData?.error?.message || 'Unknown error'}`);
+      throw classifiedError(
+        `Failed to add message: ${response.status} - ${errorData?.error?.message || 'Unknown error'}`,
+        classifyOpenAIResponse(response.status, errorData)
+      );
     }
 
     log('debug', `📨 ${role} message added to thread`);
@@ -612,75 +885,141 @@ async function addMessageToOpenAIThread(
 }
 
 // ===============================================
-// ENVIO WHATSAPP
+// ENVIO (CANAIS)
 // ===============================================
 
 /**
- * Envia mensagem via sistema interno do Zionic (registra no banco)
+ * Ponto único de envio para os processadores.
+ * channel: resultado de resolveChannel (evolution, whatsapp_cloud, sms, email, internal)
+ * recipient: { phone, email, name }
+ * payload: { text, subject, media, location, interactive }
+ * options.idempotencyKey é repassada ao provedor
+ * options.companyId / options.source ({ queueTable, queueItemId }) identificam a origem na fila interna
  */
-async function sendWhatsAppMessage(instanceName, phone, message) {
-  try {
-    // ✅ Usar sistema interno - registrar mensagem diretamente no banco
-    if (CONFIG.evolutionApiUrl && CONFIG.evolutionApiKey) {
-      // Se Evolution API está configurada, usar
-      const response = await axios.post(
-        `${CONFIG.evolutionApiUrl}/message/sendText/${instanceName}`,
-        {
-          number: phone,
-          textMessage: {
-            text: message
-          }
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'apikey': CONFIG.evolutionApiKey
-          }
-        }
-      );
+async function sendMessage(channel, recipient, payload, options = {}) {
+  const adapter = getChannelAdapter(channel.type);
+  const address = adapter.recipientAddress(recipient);
 
-      return {
-        success: true,
-        messageId: response.data?.key?.id || 'unknown'
-      };
-    } else {
-      // ✅ Sistema interno - registra mensagem no banco para processamento
-      const messageId = `internal_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
-      log('info', 'Mensagem registrada no sistema interno', {
-        messageId,
-        phone: phone?.substring(0, 8) + '...',
-        messageLength: message.length,
-        type: 'internal_queue'
+  try {
+    if (!address) {
+      throw classifiedError(`Contato sem endereço para o canal ${channel.type}`, {
+        code: FAILURE_CODES.INVALID_RECIPIENT,
+        permanent: true
       });
+    }
 
-      // TODO: Aqui o sistema interno do Zionic processará a mensagem
-      // A mensagem já é registrada posteriormente nos processadores
-      
-      return {
-        success: true,
-        messageId: messageId
-      };
+    // Canal sem botões nativos: opções numeradas no texto
+    if (payload.interactive && !adapter.supportsInteractive?.(channel, CONFIG)) {
+      payload = withNumberedOptions(payload);
     }
+
+    if (!adapter.upstream) {
+      const result = await adapter.send(channel, recipient, payload, options, CONFIG, supabase);
+      return { success: true, messageId: result.messageId, pendingDelivery: !!result.pendingDelivery };
+    }
+
+    // Provedor externo: protegido por breakers do provedor e do remetente
+    const breakers = channelBreakers(channel, adapter);
+    const result = await runWithBreakers(
+      [breakers.upstream, breakers.sender],
+      () => adapter.send(channel, recipient, payload, options, CONFIG),
+      // Lease perdido entre partes não diz nada sobre o provedor
+      classification => classification.code === FAILURE_CODES.LEASE_LOST
+        ? []
+        : SENDER_FAILURE_CODES.has(classification.code)
+          ? [breakers.sender]
+          : [breakers.upstream, breakers.sender]
+    );
+
+    return { success: true, messageId: result.messageId, messageIds: result.messageIds, partsSent: result.partsSent };
   } catch (error) {
+    const classification = classifyError(error);
+    
     log('error', 'Erro ao enviar mensagem', {
-      instanceName,
-      phone: phone?.substring(0, 8) + '...',
+      channel: channel.type,
+      sender: channelSenderKey(channel, CONFIG),
+      recipient: address?.substring(0, 8) + '...',
       error: error.message,
-      usingInternal: !CONFIG.evolutionApiUrl
+      status: error.response?.status,
+      data: error.response?.data,
+      failureCode: classification.code,
+      permanent: classification.permanent
     });
     
     return {
       success: false,
-      error: error.message
+      error: error.message,
+      classification
     };
   }
 }
 
+// Limita envios simultâneos pelo mesmo remetente (instância, número ou conta)
+const senderLimiter = createKeyedLimiter(CONFIG.perInstanceConcurrency);
+
+/**
+ * Envio com limite de concorrência por remetente (usado pelos processadores)
+ */
+function send(channel, recipient, payload, options = {}) {
+  return senderLimiter.run(channelSenderKey(channel, CONFIG), () => sendMessage(channel, recipient, payload, options));
+}
+
 // ===============================================
 // EXECUÇÃO PRINCIPAL
 // ===============================================
 
+/**
+ * Limites do pool: por empresa e uma execução por conversa
+ * (evita dois runs simultâneos na mesma thread OpenAI)
+ */
+function buildPoolLimits() {
+  return [
+    { name: 'company', key: item => item.company_id, max: CONFIG.perCompanyConcurrency },
+    { name: 'conversation', key: item => item.conversation_id, max: 1 }
+  ];
+}
+
+/**
+ * Consolida resultados do pool em contadores do ciclo
+ */
+function summarizePoolResults(poolResults, onSent) {
+  const summary = {
+    processed: 0,
+    success: 0,
+    failed: 0,
+    skipped: 0,
+    awaitingDelivery: 0
+  };
+  
+  for (const { result } of poolResults) {
+    summary.processed++;
+    if (result.success) {
+      if (result.skipped) {
+        summary.skipped++;
+      } else if (result.awaitingDelivery) {
+        // Contabilizado como enviado só quando o dispatcher confirmar a entrega
+        summary.awaitingDelivery++;
+      } else {
+        summary.success++;
+        onSent();
+      }
+    } else {
+      summary.failed++;
+    }
+  }
+  
+  return summary;
+}
+
+/**
+ * Contabiliza entregas confirmadas da fila interna nas estatísticas globais
+ */
+function recordInternalDeliveries(summary) {
+  stats.totalInternalDelivered += summary.delivered;
+  stats.totalFollowUpsSent += summary.deliveredByQueue.follow_up_queue || 0;
+  stats.totalRemindersSent += summary.deliveredByQueue.appointment_reminder_queue || 0;
+}
+
 /**
  * Executa processamento completo de follow-ups e lembretes
  */
@@ -698,36 +1037,37 @@ async function executeProcessing() {
     
     const pendingFollowUps = await followUpProcessor.getPendingFollowUps(supabase, CONFIG);
     
-    let followUpResults = {
-      processed: 0,
-      success: 0,
-      failed: 0,
-      skipped: 0
-    };
-    
-    for (const followUp of pendingFollowUps.slice(0, CONFIG.maxFollowUpsPerExecution)) {
-      const result = await followUpProcessor.processFollowUp(
+    const followUpPool = await runProcessingPool(
+      pendingFollowUps.slice(0, CONFIG.maxFollowUpsPerExecution),
+      followUp => followUpProcessor.processFollowUp(
         supabase, 
         CONFIG, 
         followUp, 
         generatePersonalizedMessage, 
-        sendWhatsAppMessage
-      );
-      
-      followUpResults.processed++;
-      if (result.success) {
-        if (result.skipped) {
-          followUpResults.skipped++;
-        } else {
-          followUpResults.success++;
-          stats.totalFollowUpsSent++;
-        }
-      } else {
-        followUpResults.failed++;
+        send
+      ),
+      {
+        concurrency: CONFIG.processingConcurrency,
+        limits: buildPoolLimits(),
+        shouldStop: () => scheduler.shuttingDown
       }
-    }
+    );
+    
+    // Itens reservados que não começaram por causa do shutdown voltam para a fila
+    await releaseQueueItems(supabase, 'follow_up_queue', followUpPool.notStarted.map(item => item.id), CONFIG);
+    
+    const followUpResults = summarizePoolResults(followUpPool.results, () => {
+      stats.totalFollowUpsSent++;
+    });
     
     // ✅ 2. PROCESSAR LEMBRETES DE APPOINTMENTS
+    if (scheduler.shuttingDown) {
+      log('warning', 'Shutdown em andamento - lembretes ficam para a próxima réplica/execução', {
+        followUps: followUpResults
+      });
+      return;
+    }
+    
     log('info', '📅 PROCESSANDO LEMBRETES DE APPOINTMENTS...');
     
     // Criar novos lembretes baseados nas regras dos agentes
@@ -737,36 +1077,47 @@ async function executeProcessing() {
     // Buscar lembretes pendentes
     const pendingReminders = await appointmentReminderProcessor.getPendingAppointmentReminders(supabase, CONFIG);
     
-    let reminderResults = {
-      processed: 0,
-      success: 0,
-      failed: 0,
-      skipped: 0
-    };
-    
-    for (const reminder of pendingReminders.slice(0, CONFIG.maxFollowUpsPerExecution)) {
-      const result = await appointmentReminderProcessor.processAppointmentReminder(
+    const reminderPool = await runProcessingPool(
+      pendingReminders.slice(0, CONFIG.maxFollowUpsPerExecution),
+      reminder => appointmentReminderProcessor.processAppointmentReminder(
         supabase, 
         CONFIG, 
         reminder, 
         generatePersonalizedMessage, 
-        sendWhatsAppMessage
-      );
-      
-      reminderResults.processed++;
-      if (result.success) {
-        if (result.skipped) {
-          reminderResults.skipped++;
-        } else {
-          reminderResults.success++;
-          stats.totalRemindersSent++;
-        }
-      } else {
-        reminderResults.failed++;
+        send
+      ),
+      {
+        concurrency: CONFIG.processingConcurrency,
+        limits: buildPoolLimits(),
+        shouldStop: () => scheduler.shuttingDown
       }
+    );
+    
+    // Itens reservados que não começaram por causa do shutdown voltam para a fila
+    await releaseQueueItems(supabase, 'appointment_reminder_queue', reminderPool.notStarted.map(item => item.id), CONFIG);
+    
+    const reminderResults = summarizePoolResults(reminderPool.results, () => {
+      stats.totalRemindersSent++;
+    });
+    
+    // ✅ 3. DESPACHAR FILA INTERNA (consumidor em processo)
+    const internalDispatch = await dispatchInternalMessages(
+      supabase,
+      CONFIG,
+      internalConsumer,
+      () => scheduler.shuttingDown
+    );
+    recordInternalDeliveries(internalDispatch);
+    
+    // ✅ 4. DESCARTAR CONFIRMAÇÕES DE ENTREGA QUE NUNCA ENCONTRARAM LOG
+    let pendingReceiptsPurged = 0;
+    try {
+      pendingReceiptsPurged = await purgePendingReceipts(supabase, CONFIG.pendingReceiptTtlHours);
+    } catch (purgeError) {
+      log('warning', 'Erro ao descartar confirmações de entrega pendentes', { error: purgeError.message });
     }
     
-    // ✅ 3. ESTATÍSTICAS FINAIS
+    // ✅ 5. ESTATÍSTICAS FINAIS
     const executionTime = Date.now() - executionStart;
     stats.lastExecution = new Date().toISOString();
     
@@ -775,6 +1126,8 @@ async function executeProcessing() {
       followUps: followUpResults,
       reminders: reminderResults,
       remindersCreated,
+      internalDispatch,
+      pendingReceiptsPurged,
       totalStats: {
         totalFollowUpsSent: stats.totalFollowUpsSent,
         totalRemindersSent: stats.totalRemindersSent,
@@ -794,6 +1147,18 @@ async function executeProcessing() {
   }
 }
 
+/**
+ * Dispara um ciclo de processamento garantindo que apenas um rode por vez (single-flight).
+ * Se o ciclo anterior ainda estiver em andamento o tick é ignorado.
+ */
+function runProcessingCycle() {
+  if (scheduler.shuttingDown) {
+    return Promise.resolve();
+  }
+  
+  return scheduler.cycle.run();
+}
+
 // ===============================================
 // SERVIDOR HTTP
 // ===============================================
@@ -825,6 +1190,42 @@ app.get('/', (req, res) => {
       persistentThreads: true,
       creditsControl: true,
       separateProcessors: true,
+      queueLeases: true,
+      fairScheduling: true,
+      deadLetters: !!CONFIG.adminApiKey,
+      idempotentOutbox: true,
+      circuitBreakers: true,
+      followUpCadences: true,
+      optOut: CONFIG.optOutEnabled && {
+        languages: Object.keys(CONFIG.optOutKeywords)
+      },
+      holidayCalendar: CONFIG.holidayCalendarEnabled && {
+        defaultAction: CONFIG.holidayDefaultAction
+      },
+      businessHours: {
+        defaultTimezone: CONFIG.defaultTimezone,
+        serverDefaults: !!(CONFIG.defaultBusinessHours || CONFIG.defaultReminderHours)
+      },
+      sendRateLimits: {
+        instancePerMinute: CONFIG.instanceRateLimitPerMinute,
+        companyPerMinute: CONFIG.companyRateLimitPerMinute
+      },
+      internalQueue: {
+        inProcessConsumer: !!internalConsumer,
+        externalConsumers: !!CONFIG.adminApiKey
+      },
+      channels: Object.keys(CHANNEL_ADAPTERS),
+      inboundWebhooks: !!CONFIG.inboundWebhookToken,
+      deliveryReceipts: !!CONFIG.inboundWebhookToken,
+      interactiveReminders: CONFIG.reminderInteractiveEnabled,
+      calendarInvites: CONFIG.calendarInviteEnabled,
+      humanizedSend: CONFIG.humanizedSendEnabled,
+      concurrentProcessing: {
+        global: CONFIG.processingConcurrency,
+        perCompany: CONFIG.perCompanyConcurrency,
+        perInstance: CONFIG.perInstanceConcurrency
+      },
+      workerId: CONFIG.workerId,
       intervalMinutes: CONFIG.intervalMinutes
     }
   });
@@ -832,33 +1233,432 @@ app.get('/', (req, res) => {
 
 // Health check
 app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
+  res.status(scheduler.shuttingDown ? 503 : 200).json({
+    status: scheduler.shuttingDown ? 'draining' : 'healthy',
     lastExecution: stats.lastExecution,
+    cycleRunning: !!scheduler.cycle.current(),
+    skippedTicks: stats.skippedTicks,
     uptime: process.uptime()
   });
 });
 
+/**
+ * Protege endpoints administrativos com o header x-admin-key
+ */
+function requireAdminKey(req, res, next) {
+  if (!CONFIG.adminApiKey) {
+    return res.status(503).json({ error: 'Endpoints administrativos desabilitados (ADMIN_API_KEY não configurada)' });
+  }
+  
+  if (req.get('x-admin-key') !== CONFIG.adminApiKey) {
+    return res.status(401).json({ error: 'Chave administrativa inválida' });
+  }
+  
+  next();
+}
+
+// Métricas de fila por empresa (profundidade e tempo de espera)
+app.get('/metrics/companies', requireAdminKey, (req, res) => {
+  res.json({
+    workerId: CONFIG.workerId,
+    planWeights: CONFIG.planWeights,
+    queues: getQueueMetrics()
+  });
+});
+
+// Taxas de entrega e leitura por regra de follow-up
+app.get('/metrics/follow-up-delivery', requireAdminKey, async (req, res) => {
+  try {
+    const result = await getFollowUpDeliveryRates(supabase, {
+      companyId: req.query.company_id,
+      since: req.query.since
+    });
+    
+    res.json(result);
+  } catch (error) {
+    log('error', 'Erro ao calcular taxas de entrega', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Estado dos circuit breakers (OpenAI, provedores de canal e remetentes)
+app.get('/circuit-breakers', requireAdminKey, (req, res) => {
+  res.json({
+    config: {
+      failureThreshold: CONFIG.circuitFailureThreshold,
+      instanceFailureThreshold: CONFIG.instanceCircuitFailureThreshold,
+      openSeconds: CONFIG.circuitOpenSeconds
+    },
+    breakers: getBreakerStates()
+  });
+});
+
+// Limites de envio: tokens disponíveis por instância e empresa (compartilhados entre réplicas)
+app.get('/rate-limits', requireAdminKey, async (req, res) => {
+  try {
+    res.json({
+      workerId: CONFIG.workerId,
+      config: {
+        instancePerMinute: CONFIG.instanceRateLimitPerMinute,
+        instancePerHour: CONFIG.instanceRateLimitPerHour,
+        companyPerMinute: CONFIG.companyRateLimitPerMinute,
+        companyPerHour: CONFIG.companyRateLimitPerHour,
+        warmupSchedule: CONFIG.instanceWarmupSchedule
+      },
+      buckets: await getRateLimitStates(supabase)
+    });
+  } catch (error) {
+    log('error', 'Erro ao buscar limites de envio', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Dead letters: itens failed agrupados por erro e classe de falha
+app.get('/dead-letters/:queue', requireAdminKey, async (req, res) => {
+  try {
+    const result = await listDeadLetters(supabase, req.params.queue, {
+      companyId: req.query.company_id,
+      failureCode: req.query.failure_code,
+      limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined
+    });
+    
+    res.json(result);
+  } catch (error) {
+    log('error', 'Erro ao listar dead letters', { queue: req.params.queue, error: error.message });
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Requeue/replay em lote de itens failed
+app.post('/dead-letters/:queue/requeue', requireAdminKey, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const result = await requeueDeadLetters(
+      supabase,
+      req.params.queue,
+      {
+        ids: body.ids,
+        companyId: body.company_id,
+        failureCode: body.failure_code,
+        executionError: body.execution_error
+      },
+      {
+        scheduledAt: body.scheduled_at,
+        regenerateMessage: body.regenerate_message === true,
+        requestedBy: body.requested_by,
+        reason: body.reason
+      }
+    );
+    
+    res.json(result);
+  } catch (error) {
+    log('error', 'Erro no requeue de dead letters', { queue: req.params.queue, error: error.message });
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Fila interna: claim de mensagens por um consumidor externo
+app.post('/internal-queue/claim', requireAdminKey, async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!body.consumer_id) {
+      return res.status(400).json({ error: 'consumer_id é obrigatório' });
+    }
+    
+    const messages = await claimInternalMessages(
+      supabase,
+      CONFIG,
+      body.consumer_id,
+      Math.min(parseInt(body.limit || CONFIG.internalDispatchBatchSize, 10), 500)
+    );
+    
+    res.json({ consumerId: body.consumer_id, messages });
+  } catch (error) {
+    log('error', 'Erro no claim da fila interna', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Fila interna: confirmação de entrega (ou falha) por um consumidor externo
+app.post('/internal-queue/:id/ack', requireAdminKey, async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!body.consumer_id || typeof body.delivered !== 'boolean') {
+      return res.status(400).json({ error: 'consumer_id e delivered (boolean) são obrigatórios' });
+    }
+    
+    const result = await acknowledgeInternalMessage(supabase, CONFIG, req.params.id, body.consumer_id, {
+      delivered: body.delivered,
+      externalId: body.external_id,
+      error: body.error,
+      permanent: body.permanent === true,
+      failureCode: body.failure_code
+    });
+    
+    if (!result.acknowledged) {
+      return res.status(409).json(result);
+    }
+    
+    recordInternalDeliveries({
+      delivered: result.status === 'delivered' ? 1 : 0,
+      deliveredByQueue: result.status === 'delivered' && result.queueTable ? { [result.queueTable]: 1 } : {}
+    });
+    
+    res.json(result);
+  } catch (error) {
+    log('error', 'Erro no ack da fila interna', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Protege os webhooks de entrada com o token (query ?token= ou header x-webhook-token)
+ */
+function requireWebhookToken(req, res, next) {
+  if (!CONFIG.inboundWebhookToken) {
+    return res.status(503).json({ error: 'Webhooks desabilitados (INBOUND_WEBHOOK_TOKEN não configurado)' });
+  }
+  
+  if ((req.query.token || req.get('x-webhook-token')) !== CONFIG.inboundWebhookToken) {
+    return res.status(401).json({ error: 'Token de webhook inválido' });
+  }
+  
+  next();
+}
+
+// Handlers aplicados a cada mensagem recebida
+// (opt-out primeiro: as filas do contato já saem canceladas como opted_out)
+const inboundHandlers = [
+  ...(CONFIG.optOutEnabled ? [{
+    name: 'opt_out',
+    kinds: ['message'],
+    handle: event => handleOptOutMessage(supabase, CONFIG, event, send)
+  }] : []),
+  {
+    name: 'appointment_reply',
+    kinds: ['message'],
+    handle: event => appointmentReminderProcessor.handleReminderReply(supabase, CONFIG, event, send)
+  },
+  {
+    name: 'follow_up_reply',
+    kinds: ['message'],
+    handle: event => followUpProcessor.handleFollowUpReply(supabase, event)
+  },
+  {
+    name: 'delivery_status',
+    kinds: ['status'],
+    handle: event => applyDeliveryStatus(supabase, event)
+  }
+];
+
+// Cadências: inscrição de uma conversa (enfileira o primeiro passo)
+app.post('/cadences/:id/enroll', requireAdminKey, async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!body.conversation_id || !body.contact_id || !body.agent_id) {
+      return res.status(400).json({ error: 'conversation_id, contact_id e agent_id são obrigatórios' });
+    }
+    
+    const result = await enrollConversation(supabase, {
+      cadenceId: req.params.id,
+      conversationId: body.conversation_id,
+      contactId: body.contact_id,
+      agentId: body.agent_id,
+      companyId: body.company_id
+    });
+    
+    res.json(result);
+  } catch (error) {
+    log('error', 'Erro ao inscrever conversa na cadência', { cadenceId: req.params.id, error: error.message });
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Cadências da conversa e passo atual de cada uma
+app.get('/conversations/:id/cadences', requireAdminKey, async (req, res) => {
+  try {
+    res.json({
+      conversationId: req.params.id,
+      cadences: await getConversationCadences(supabase, req.params.id)
+    });
+  } catch (error) {
+    log('error', 'Erro ao buscar cadências da conversa', { conversationId: req.params.id, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Encerramento manual das cadências da conversa
+app.post('/conversations/:id/cadences/stop', requireAdminKey, async (req, res) => {
+  try {
+    const reason = req.body?.reason || CADENCE_STOP_REASONS.MANUAL;
+    if (!Object.values(CADENCE_STOP_REASONS).includes(reason)) {
+      return res.status(400).json({ error: `reason inválido: ${reason}` });
+    }
+    
+    res.json(await stopConversationCadences(supabase, req.params.id, reason));
+  } catch (error) {
+    log('error', 'Erro ao encerrar cadências da conversa', { conversationId: req.params.id, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Conversão por passo da cadência
+app.get('/metrics/cadences/:id', requireAdminKey, async (req, res) => {
+  try {
+    res.json(await getCadenceStepStats(supabase, req.params.id));
+  } catch (error) {
+    log('error', 'Erro ao calcular estatísticas da cadência', { cadenceId: req.params.id, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Lista de supressão: entradas mais recentes (filtro opcional por empresa)
+app.get('/suppressions', requireAdminKey, async (req, res) => {
+  try {
+    res.json({
+      suppressions: await listSuppressions(supabase, {
+        companyId: req.query.company_id,
+        limit: parseInt(req.query.limit || '100', 10)
+      })
+    });
+  } catch (error) {
+    log('error', 'Erro ao listar lista de supressão', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Inclusão manual (ex.: pedido por e-mail ou telefone); sem company_id vale para todas as empresas
+app.post('/suppressions', requireAdminKey, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const phoneCheck = body.phone ? normalizePhoneNumber(body.phone) : null;
+    if (phoneCheck && !phoneCheck.valid) {
+      return res.status(400).json({ error: `Telefone inválido: ${phoneCheck.reason}` });
+    }
+    if (!phoneCheck && !body.email) {
+      return res.status(400).json({ error: 'phone ou email é obrigatório' });
+    }
+    
+    const result = await suppressContact(supabase, {
+      companyId: body.company_id,
+      phoneDigits: phoneCheck?.digits,
+      email: body.email,
+      reason: body.reason || 'manual',
+      createdBy: body.created_by
+    });
+    
+    // Filas pendentes do telefone na empresa saem canceladas na hora; entrada global
+    // (sem company_id) é aplicada pela verificação da lista antes de cada envio
+    let followUpsCancelled = 0;
+    let remindersCancelled = 0;
+    if (phoneCheck && body.company_id) {
+      const companyId = body.company_id;
+      const followUps = await followUpProcessor.cancelContactFollowUps(supabase, { from: phoneCheck.digits }, 'opted_out', companyId);
+      const reminders = await appointmentReminderProcessor.cancelContactReminders(supabase, {
+        companyId,
+        phoneDigits: phoneCheck.digits
+      }, 'opted_out');
+      
+      followUpsCancelled = (followUps || []).reduce((total, item) => total + item.cancelled, 0);
+      remindersCancelled = reminders.cancelled;
+    }
+    
+    res.status(result.created ? 201 : 200).json({ ...result, followUpsCancelled, remindersCancelled });
+  } catch (error) {
+    log('error', 'Erro ao incluir contato na lista de supressão', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remoção (contato voltou a aceitar mensagens automáticas)
+app.delete('/suppressions/:id', requireAdminKey, async (req, res) => {
+  try {
+    const result = await removeSuppression(supabase, req.params.id);
+    res.status(result.removed ? 200 : 404).json(result);
+  } catch (error) {
+    log('error', 'Erro ao remover contato da lista de supressão', { suppressionId: req.params.id, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Hook para quem já recebe as mensagens (ex.: whatsapp-webhook): cancela os
+// follow-ups pendentes da conversa assim que o contato responde
+app.post('/follow-ups/cancel-on-reply', requireAdminKey, async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!body.conversation_id) {
+      return res.status(400).json({ error: 'conversation_id é obrigatório' });
+    }
+    
+    const result = await followUpProcessor.cancelFollowUpsForConversation(supabase, body.conversation_id, {
+      repliedAt: body.replied_at,
+      messageId: body.message_id
+    });
+    
+    res.json(result);
+  } catch (error) {
+    log('error', 'Erro ao cancelar follow-ups após resposta', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Verificação do webhook da WhatsApp Cloud API (hub.challenge)
+app.get('/webhooks/whatsapp-cloud', (req, res) => {
+  if (!CONFIG.inboundWebhookToken ||
+      req.query['hub.mode'] !== 'subscribe' ||
+      req.query['hub.verify_token'] !== CONFIG.inboundWebhookToken) {
+    return res.sendStatus(403);
+  }
+  
+  res.send(req.query['hub.challenge']);
+});
+
+// Webhooks de entrada: respostas dos contatos (botões ou texto) e status de entrega/leitura
+app.post('/webhooks/:provider', requireWebhookToken, async (req, res) => {
+  try {
+    const result = await handleInboundWebhook(req.params.provider, req.body, inboundHandlers);
+    res.json(result);
+  } catch (error) {
+    log('error', 'Erro ao processar webhook', { provider: req.params.provider, error: error.message });
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // ===============================================
 // INICIALIZAÇÃO
 // ===============================================
 
+let httpServer = null;
+
 async function startServer() {
   try {
     // Iniciar servidor HTTP
-    app.listen(CONFIG.port, () => {
+    httpServer = app.listen(CONFIG.port, () => {
       log('success', `🚀 Servidor iniciado na porta ${CONFIG.port}`);
     });
     
+    // Reconciliar envios feitos antes de um restart/crash com a fila
+    await reconcileOutbox(supabase, CONFIG, {
+      follow_up_queue: followUpProcessor.finalizeOutboxFollowUp,
+      appointment_reminder_queue: appointmentReminderProcessor.finalizeOutboxReminder
+    });
+    
     // Primeira execução imediata
-    await executeProcessing();
+    await runProcessingCycle();
+    
+    // Shutdown pode ter chegado durante a primeira execução
+    if (scheduler.shuttingDown) {
+      return;
+    }
     
-    // Agendar execuções periódicas
-    setInterval(executeProcessing, CONFIG.intervalMinutes * 60 * 1000);
+    // Agendar execuções periódicas (single-flight: ticks sobrepostos são ignorados)
+    scheduler.timer = setInterval(runProcessingCycle, CONFIG.intervalMinutes * 60 * 1000);
     
     log('success', '✅ Sistema de follow-up e lembretes ativo', {
       intervalMinutes: CONFIG.intervalMinutes,
       maxPerExecution: CONFIG.maxFollowUpsPerExecution,
+      workerId: CONFIG.workerId,
+      leaseSeconds: CONFIG.leaseSeconds,
       features: ['follow-ups', 'appointment-reminders', 'persistent-threads']
     });
     
@@ -868,5 +1668,62 @@ async function startServer() {
   }
 }
 
+// ===============================================
+// SHUTDOWN GRACIOSO
+// ===============================================
+
+/**
+ * Para o agendador, drena itens em andamento até o prazo configurado
+ * e encerra o listener HTTP
+ */
+async function shutdown(signal) {
+  if (scheduler.shuttingDown) {
+    log('warning', `${signal} recebido novamente - shutdown já em andamento`);
+    return;
+  }
+  
+  scheduler.shuttingDown = true;
+  clearInterval(scheduler.timer);
+  
+  log('warning', `🛑 ${signal} recebido - drenando processamento em andamento`, {
+    cycleRunning: !!scheduler.cycle.current(),
+    shutdownTimeoutMs: CONFIG.shutdownTimeoutMs
+  });
+  
+  let drainTimer = null;
+  const deadline = new Promise(resolve => {
+    drainTimer = setTimeout(() => resolve('timeout'), CONFIG.shutdownTimeoutMs);
+  });
+  
+  const currentCycle = scheduler.cycle.current();
+  const outcome = currentCycle
+    ? await Promise.race([currentCycle.then(() => 'drained'), deadline])
+    : 'idle';
+  clearTimeout(drainTimer);
+  
+  if (outcome === 'timeout') {
+    log('error', 'Prazo de drain esgotado - itens em andamento serão recuperados quando o lease expirar', {
+      shutdownTimeoutMs: CONFIG.shutdownTimeoutMs,
+      leaseSeconds: CONFIG.leaseSeconds
+    });
+  } else {
+    log('success', 'Processamento drenado', { outcome });
+  }
+  
+  if (httpServer) {
+    await new Promise(resolve => {
+      httpServer.close(() => resolve());
+      // Conexões keep-alive ociosas não devem segurar o encerramento
+      httpServer.closeIdleConnections?.();
+    });
+    log('success', 'Servidor HTTP encerrado');
+  }
+  
+  process.exit(outcome === 'timeout' ? 1 : 0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // Iniciar sistema
-startServer(); 
+startServer();
\ No newline at end of file
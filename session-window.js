@@ -0,0 +1,112 @@
+/**
+ * ===============================================
+ * ZIONIC SESSION WINDOW
+ * ===============================================
+ * Janela de atendimento de 24h da WhatsApp Cloud API: fora dela texto livre é
+ * rejeitado e o envio precisa usar um template aprovado (com parâmetros)
+ *
+ * Configuração por canal (company_channels.config.session_window):
+ * {
+ *   "enforce": true,
+ *   "template": {
+ *     "name": "retomada_atendimento",
+ *     "language": "pt_BR",
+ *     "parameters": ["contact_name", "message", { "text": "valor fixo" }]
+ *   }
+ * }
+ *
+ * @author Zionic Team
+ * @version 1.7.0
+ */
+
+// ===============================================
+// JANELA
+// ===============================================
+
+const SESSION_WINDOW_HOURS = 24;
+
+// Parâmetros de template aceitos pela Cloud API: sem quebras de linha e até 1024 caracteres
+const TEMPLATE_PARAMETER_MAX_LENGTH = 1024;
+
+/**
+ * Janela a partir da última mensagem recebida do contato
+ * Retorna { lastInboundAt, expiresAt, open }
+ */
+function computeSessionWindow(lastInboundAt, now = Date.now()) {
+  if (!lastInboundAt) {
+    return { lastInboundAt: null, expiresAt: null, open: false };
+  }
+
+  const expiresAt = new Date(new Date(lastInboundAt).getTime() + SESSION_WINDOW_HOURS * 60 * 60 * 1000);
+
+  return {
+    lastInboundAt,
+    expiresAt: expiresAt.toISOString(),
+    open: expiresAt.getTime() > now
+  };
+}
+
+// ===============================================
+// POLÍTICA POR CANAL
+// ===============================================
+
+/**
+ * Política de janela do canal: só vale para adaptadores com templates
+ * (WhatsApp Cloud API); enforce pode ser desligado por canal
+ */
+function getSessionPolicy(channel, adapter) {
+  const settings = channel.config?.session_window || {};
+
+  return {
+    enforce: !!adapter.supportsTemplates && settings.enforce !== false,
+    template: settings.template?.name ? settings.template : null
+  };
+}
+
+/**
+ * O template usa a mensagem gerada pela IA? (sem ela, a geração é dispensada)
+ */
+function templateNeedsMessage(template) {
+  return (template.parameters || []).includes('message');
+}
+
+/**
+ * Monta o template com os parâmetros mapeados.
+ * values: { contact_name, agent_name, rule_name, message, ... }
+ */
+function buildTemplateMessage(template, values) {
+  const parameters = (template.parameters || []).map(parameter => {
+    const raw = typeof parameter === 'string' ? values[parameter] : parameter?.text;
+
+    return String(raw ?? '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .substring(0, TEMPLATE_PARAMETER_MAX_LENGTH) || '-';
+  });
+
+  return {
+    name: template.name,
+    language: template.language || 'pt_BR',
+    parameters
+  };
+}
+
+/**
+ * Texto registrado em messages.content para um envio por template
+ */
+function describeTemplateMessage(template) {
+  return `[template ${template.name}] ${template.parameters.join(' | ')}`.trim();
+}
+
+// ===============================================
+// EXPORTAÇÕES
+// ===============================================
+
+module.exports = {
+  SESSION_WINDOW_HOURS,
+  computeSessionWindow,
+  getSessionPolicy,
+  templateNeedsMessage,
+  buildTemplateMessage,
+  describeTemplateMessage
+};
@@ -0,0 +1,23 @@
+-- ===============================================
+-- Leases de fila para múltiplas réplicas do servidor
+-- ===============================================
+-- Cada worker reserva itens com status 'processing' + locked_by + lease_expires_at.
+-- Leases expirados (worker caiu) são devolvidos para 'pending' pelo próprio servidor.
+
+ALTER TABLE follow_up_queue
+  ADD COLUMN IF NOT EXISTS locked_by TEXT,
+  ADD COLUMN IF NOT EXISTS locked_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ;
+
+ALTER TABLE appointment_reminder_queue
+  ADD COLUMN IF NOT EXISTS locked_by TEXT,
+  ADD COLUMN IF NOT EXISTS locked_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_follow_up_queue_lease
+  ON follow_up_queue (lease_expires_at)
+  WHERE status = 'processing';
+
+CREATE INDEX IF NOT EXISTS idx_appointment_reminder_queue_lease
+  ON appointment_reminder_queue (lease_expires_at)
+  WHERE status = 'processing';
@@ -0,0 +1,43 @@
+-- ===============================================
+-- Profundidade da fila pendente por empresa (fair share)
+-- ===============================================
+-- Usada pelo agendador justo para dividir as vagas de cada ciclo entre empresas
+-- e para as métricas por empresa (GET /metrics/companies).
+
+CREATE OR REPLACE FUNCTION get_pending_queue_depth_by_company(p_queue TEXT)
+RETURNS TABLE (
+  company_id UUID,
+  pending_count INTEGER,
+  oldest_scheduled_at TIMESTAMPTZ
+)
+LANGUAGE plpgsql
+STABLE
+AS $$
+BEGIN
+  IF p_queue = 'follow_up_queue' THEN
+    RETURN QUERY
+      SELECT q.company_id, COUNT(*)::INTEGER, MIN(q.scheduled_at)
+      FROM follow_up_queue q
+      WHERE q.status = 'pending'
+        AND q.scheduled_at <= NOW()
+      GROUP BY q.company_id;
+  ELSIF p_queue = 'appointment_reminder_queue' THEN
+    RETURN QUERY
+      SELECT q.company_id, COUNT(*)::INTEGER, MIN(q.scheduled_at)
+      FROM appointment_reminder_queue q
+      WHERE q.status = 'pending'
+        AND q.scheduled_at <= NOW()
+      GROUP BY q.company_id;
+  ELSE
+    RAISE EXCEPTION 'Fila desconhecida: %', p_queue;
+  END IF;
+END;
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_follow_up_queue_pending_company
+  ON follow_up_queue (company_id, scheduled_at)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_appointment_reminder_queue_pending_company
+  ON appointment_reminder_queue (company_id, scheduled_at)
+  WHERE status = 'pending';
@@ -0,0 +1,9 @@
+-- ===============================================
+-- Retry com backoff: metadata nos lembretes de appointment
+-- ===============================================
+-- O reagendamento após falha grava em metadata o histórico de tentativas
+-- (original_scheduled_at, last_failed_at, last_error, next_attempt_at,
+-- last_backoff_ms, failure_class), como já acontece em follow_up_queue.
+
+ALTER TABLE appointment_reminder_queue
+  ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}'::jsonb;
@@ -0,0 +1,23 @@
+-- ===============================================
+-- Código de falha legível por máquina (taxonomia transitório/permanente)
+-- ===============================================
+
+ALTER TABLE follow_up_queue
+  ADD COLUMN IF NOT EXISTS failure_code TEXT;
+
+ALTER TABLE appointment_reminder_queue
+  ADD COLUMN IF NOT EXISTS failure_code TEXT;
+
+ALTER TABLE follow_up_logs
+  ADD COLUMN IF NOT EXISTS failure_code TEXT;
+
+ALTER TABLE appointment_reminder_logs
+  ADD COLUMN IF NOT EXISTS failure_code TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_follow_up_queue_failure_code
+  ON follow_up_queue (failure_code)
+  WHERE status = 'failed';
+
+CREATE INDEX IF NOT EXISTS idx_appointment_reminder_queue_failure_code
+  ON appointment_reminder_queue (failure_code)
+  WHERE status = 'failed';
@@ -0,0 +1,13 @@
+-- ===============================================
+-- Dead letters: replays registrados nos logs das filas
+-- ===============================================
+-- event_type distingue execuções normais ('execution') de replays ('replay');
+-- details guarda quem pediu, motivo, erro anterior e novo scheduled_at.
+
+ALTER TABLE follow_up_logs
+  ADD COLUMN IF NOT EXISTS event_type TEXT NOT NULL DEFAULT 'execution',
+  ADD COLUMN IF NOT EXISTS details JSONB;
+
+ALTER TABLE appointment_reminder_logs
+  ADD COLUMN IF NOT EXISTS event_type TEXT NOT NULL DEFAULT 'execution',
+  ADD COLUMN IF NOT EXISTS details JSONB;
@@ -0,0 +1,42 @@
+-- ===============================================
+-- Outbox de mensagens com chave de idempotência
+-- ===============================================
+-- Cada envio de um item de fila é registrado antes de chamar o provedor.
+-- status: sending -> sent | failed; 'unknown' = worker caiu durante o envio.
+-- finalized_at: preenchido quando o item da fila já foi marcado como 'sent'.
+-- Tentativa adiada ou interrompida sem consumir attempts reutiliza a mesma chave:
+-- o registro 'failed' volta para 'sending' (started_at marca o envio em curso).
+
+CREATE TABLE IF NOT EXISTS message_outbox (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  idempotency_key TEXT NOT NULL UNIQUE,
+  queue_table TEXT NOT NULL,
+  queue_item_id UUID NOT NULL,
+  replay_generation INTEGER NOT NULL DEFAULT 0,
+  attempt INTEGER NOT NULL,
+  company_id UUID,
+  instance_name TEXT,
+  recipient TEXT,
+  payload JSONB,
+  worker_id TEXT,
+  status TEXT NOT NULL DEFAULT 'sending'
+    CHECK (status IN ('sending', 'sent', 'failed', 'unknown')),
+  provider_message_id TEXT,
+  error TEXT,
+  failure_code TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  sent_at TIMESTAMPTZ,
+  finalized_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_outbox_queue_item
+  ON message_outbox (queue_table, queue_item_id, replay_generation);
+
+CREATE INDEX IF NOT EXISTS idx_message_outbox_unfinalized
+  ON message_outbox (created_at)
+  WHERE status = 'sent' AND finalized_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_message_outbox_sending
+  ON message_outbox (started_at)
+  WHERE status = 'sending';
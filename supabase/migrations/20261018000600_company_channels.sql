@@ -0,0 +1,39 @@
+-- ===============================================
+-- Canais de envio por empresa e preferência do contato
+-- ===============================================
+-- type: evolution | whatsapp_cloud | sms | email | internal
+-- config: credenciais/identificadores do canal, por tipo:
+--   evolution:      { instance_name, api_url?, api_key? }
+--   whatsapp_cloud: { phone_number_id, access_token? }
+--   sms:            { account_sid?, auth_token?, from_number? }
+--   email:          { from_email?, from_name?, api_key?, default_subject? }
+-- Campos omitidos usam as credenciais padrão do servidor (variáveis de ambiente).
+-- Sem canal ativo, o servidor usa a instância WhatsApp conectada (Evolution).
+
+CREATE TABLE IF NOT EXISTS company_channels (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL,
+  type TEXT NOT NULL
+    CHECK (type IN ('evolution', 'whatsapp_cloud', 'sms', 'email', 'internal')),
+  name TEXT,
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  status TEXT NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'inactive')),
+  config JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_company_channels_company
+  ON company_channels (company_id)
+  WHERE status = 'active';
+
+-- No máximo um canal padrão ativo por empresa
+CREATE UNIQUE INDEX IF NOT EXISTS idx_company_channels_single_default
+  ON company_channels (company_id)
+  WHERE is_default AND status = 'active';
+
+-- Canal preferido do contato: whatsapp | sms | email (NULL = padrão da empresa)
+ALTER TABLE contacts
+  ADD COLUMN IF NOT EXISTS preferred_channel TEXT
+    CHECK (preferred_channel IN ('whatsapp', 'sms', 'email'));
@@ -0,0 +1,46 @@
+-- ===============================================
+-- Fila de saída do sistema interno
+-- ===============================================
+-- Mensagens do canal 'internal' ficam aqui até um consumidor confirmar a entrega.
+-- status: queued -> dispatched -> delivered | failed
+--   (falha transitória volta para queued com available_at no futuro)
+-- O item de origem (queue_table/queue_item_id) fica 'awaiting_delivery'
+-- e só vira 'sent' quando a entrega é confirmada. source_finalized_at marca o item
+-- de origem já finalizado; entregue/falha sem ele é reaplicado a cada ciclo (o ack
+-- pode chegar antes de o processador gravar 'awaiting_delivery').
+
+CREATE TABLE IF NOT EXISTS internal_message_queue (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  idempotency_key TEXT UNIQUE,
+  company_id UUID,
+  queue_table TEXT,
+  queue_item_id UUID,
+  recipient JSONB NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'dispatched', 'delivered', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  available_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_by TEXT,
+  locked_at TIMESTAMPTZ,
+  lease_expires_at TIMESTAMPTZ,
+  dispatched_at TIMESTAMPTZ,
+  delivered_at TIMESTAMPTZ,
+  external_id TEXT,
+  error TEXT,
+  failure_code TEXT,
+  source_finalized_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_internal_message_queue_queued
+  ON internal_message_queue (available_at, created_at)
+  WHERE status = 'queued';
+
+CREATE INDEX IF NOT EXISTS idx_internal_message_queue_dispatched
+  ON internal_message_queue (lease_expires_at)
+  WHERE status = 'dispatched';
+
+CREATE INDEX IF NOT EXISTS idx_internal_message_queue_unfinalized_source
+  ON internal_message_queue (created_at)
+  WHERE status IN ('delivered', 'failed') AND source_finalized_at IS NULL AND queue_item_id IS NOT NULL;
@@ -0,0 +1,23 @@
+-- ===============================================
+-- Roteamento de instâncias WhatsApp
+-- ===============================================
+-- Com várias instâncias conectadas, o envio usa a instância da conversa
+-- (ou a última usada para o contato); se indisponível, a instância padrão
+-- da empresa e, sem padrão, round-robin entre as conectadas.
+
+ALTER TABLE whatsapp_instances
+  ADD COLUMN IF NOT EXISTS is_default BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- No máximo uma instância padrão por empresa
+CREATE UNIQUE INDEX IF NOT EXISTS idx_whatsapp_instances_single_default
+  ON whatsapp_instances (company_id)
+  WHERE is_default;
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_instances_company_connected
+  ON whatsapp_instances (company_id)
+  WHERE status = 'connected';
+
+-- Última instância usada por destinatário
+CREATE INDEX IF NOT EXISTS idx_message_outbox_recipient_sent
+  ON message_outbox (company_id, recipient, created_at DESC)
+  WHERE status = 'sent';
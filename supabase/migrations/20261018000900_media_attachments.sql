@@ -0,0 +1,19 @@
+-- ===============================================
+-- Mídias e localização em follow-ups e lembretes
+-- ===============================================
+-- media_attachments: [{ "type": "image|document|audio|video", "url": "...",
+--                      "file_name": "...", "mime_type": "...", "caption": "..." }]
+-- Enviadas após o texto, uma mensagem por anexo (SMS: MMS; e-mail: anexos).
+-- Lembretes também enviam um pin de localização a partir de appointment_location
+-- (coordenadas no texto ou geocodificação); metadata.location_pin = false desliga.
+-- message_outbox.parts_sent: { "<índice da parte>": "<id no provedor>" } das partes já
+-- entregues; a próxima tentativa do item continua da primeira parte não enviada.
+
+ALTER TABLE follow_up_queue
+  ADD COLUMN IF NOT EXISTS media_attachments JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE appointment_reminder_queue
+  ADD COLUMN IF NOT EXISTS media_attachments JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE message_outbox
+  ADD COLUMN IF NOT EXISTS parts_sent JSONB NOT NULL DEFAULT '{}'::jsonb;
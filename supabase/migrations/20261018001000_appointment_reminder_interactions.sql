@@ -0,0 +1,40 @@
+-- ===============================================
+-- Respostas interativas aos lembretes de appointment
+-- ===============================================
+-- Lembretes enviados com botões Confirmar / Remarcar / Cancelar (ou opções
+-- numeradas "1", "2", "3" em canais sem botões) ficam 'awaiting_reply' até o
+-- início do appointment. A resposta recebida via webhook atualiza appointments.status
+-- (confirmed / reschedule_requested / cancelled por padrão).
+-- A interação é buscada na empresa da instância que recebeu a resposta; resposta
+-- em texto só vale até APPOINTMENT_REPLY_WINDOW_HOURS após o envio do lembrete.
+-- status: awaiting_reply -> answered | superseded
+
+CREATE TABLE IF NOT EXISTS appointment_reminder_interactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  reminder_queue_id UUID NOT NULL UNIQUE,
+  appointment_id UUID NOT NULL,
+  company_id UUID,
+  recipient_digits TEXT,
+  channel_type TEXT,
+  instance_name TEXT,
+  status TEXT NOT NULL DEFAULT 'awaiting_reply'
+    CHECK (status IN ('awaiting_reply', 'answered', 'superseded')),
+  answer TEXT CHECK (answer IN ('confirm', 'reschedule', 'cancel')),
+  answered_at TIMESTAMPTZ,
+  reply_external_id TEXT,
+  expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Resposta em texto: última interação pendente do número na empresa
+CREATE INDEX IF NOT EXISTS idx_appointment_reminder_interactions_awaiting
+  ON appointment_reminder_interactions (company_id, recipient_digits, created_at DESC)
+  WHERE status = 'awaiting_reply';
+
+CREATE INDEX IF NOT EXISTS idx_appointment_reminder_interactions_appointment
+  ON appointment_reminder_interactions (appointment_id);
+
+-- Logs: resposta do contato registrada com event_type = 'reply' (coluna criada em
+-- 20261018000400, padrão 'execution' para envios) e detalhes da escolha
+ALTER TABLE appointment_reminder_logs
+  ADD COLUMN IF NOT EXISTS details JSONB;
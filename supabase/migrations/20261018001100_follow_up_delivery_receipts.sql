@@ -0,0 +1,77 @@
+-- ===============================================
+-- Confirmações de entrega e leitura dos follow-ups
+-- ===============================================
+-- messages.external_id recebe o id do provedor (ou o id na fila interna) e o
+-- webhook de status avança messages.status: pending -> sent -> delivered -> read
+-- (ou failed). follow_up_logs acompanha o mesmo ciclo para as taxas por regra;
+-- confirmação sem mensagem/log aguarda em pending_delivery_receipts.
+
+ALTER TABLE follow_up_logs
+  ADD COLUMN IF NOT EXISTS external_message_id TEXT,
+  ADD COLUMN IF NOT EXISTS delivery_status TEXT
+    CHECK (delivery_status IN ('pending', 'sent', 'delivered', 'read', 'failed')),
+  ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS read_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS failed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS delivery_error TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_follow_up_logs_external_message_id
+  ON follow_up_logs (external_message_id)
+  WHERE external_message_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_follow_up_logs_delivery_by_rule
+  ON follow_up_logs (company_id, rule_name, created_at)
+  WHERE delivery_status IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_messages_external_id
+  ON messages (external_id)
+  WHERE external_id IS NOT NULL;
+
+-- Confirmação que chega antes da mensagem/log existir (webhook mais rápido que o
+-- INSERT pós-envio) fica aqui até o log do follow-up ser gravado; sem log em
+-- PENDING_RECEIPT_TTL_HOURS (ex.: mensagem de outro sistema) é descartada.
+CREATE TABLE IF NOT EXISTS pending_delivery_receipts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  external_id TEXT NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('sent', 'delivered', 'read', 'failed')),
+  provider TEXT,
+  error TEXT,
+  status_at TIMESTAMPTZ,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (external_id, status)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pending_delivery_receipts_received_at
+  ON pending_delivery_receipts (received_at);
+
+-- Taxas por regra agregadas no banco (GET /metrics/follow-up-delivery)
+CREATE OR REPLACE FUNCTION get_follow_up_delivery_rates(
+  p_company_id UUID DEFAULT NULL,
+  p_since TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS TABLE (
+  rule_name TEXT,
+  sent INTEGER,
+  pending INTEGER,
+  delivered INTEGER,
+  read INTEGER,
+  failed INTEGER
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    COALESCE(l.rule_name, 'sem_regra') AS rule_name,
+    COUNT(*)::INTEGER AS sent,
+    COUNT(*) FILTER (WHERE l.delivery_status = 'pending')::INTEGER AS pending,
+    -- Lida também conta como entregue
+    COUNT(*) FILTER (WHERE l.delivery_status IN ('delivered', 'read'))::INTEGER AS delivered,
+    COUNT(*) FILTER (WHERE l.delivery_status = 'read')::INTEGER AS read,
+    COUNT(*) FILTER (WHERE l.delivery_status = 'failed')::INTEGER AS failed
+  FROM follow_up_logs l
+  WHERE l.success = TRUE
+    AND l.delivery_status IS NOT NULL
+    AND (p_company_id IS NULL OR l.company_id = p_company_id)
+    AND (p_since IS NULL OR l.created_at >= p_since)
+  GROUP BY COALESCE(l.rule_name, 'sem_regra');
+$$;
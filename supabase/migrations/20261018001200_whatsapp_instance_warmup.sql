@@ -0,0 +1,92 @@
+-- ===============================================
+-- Aquecimento de números WhatsApp recém-conectados
+-- ===============================================
+-- Limites de envio por instância são reduzidos nos primeiros dias a partir de
+-- warmup_started_at (curva em INSTANCE_WARMUP_SCHEDULE). Instância nova recebe
+-- NOW() por padrão; instâncias já existentes ficam NULL = número maduro, sem
+-- redução. Canais com instância fixa usam company_channels.config.warmup_started_at.
+
+ALTER TABLE whatsapp_instances
+  ADD COLUMN IF NOT EXISTS warmup_started_at TIMESTAMPTZ;
+
+-- Padrão só depois do ADD COLUMN: as linhas existentes não ganham a data da migração
+ALTER TABLE whatsapp_instances
+  ALTER COLUMN warmup_started_at SET DEFAULT NOW();
+
+-- ===============================================
+-- Token buckets de envio compartilhados entre réplicas
+-- ===============================================
+-- Um bucket por nome ('instance:evolution:<instância>:minute', 'company:<id>:hour'...),
+-- com reposição contínua de capacity tokens por window_seconds.
+
+CREATE TABLE IF NOT EXISTS send_rate_buckets (
+  name TEXT PRIMARY KEY,
+  capacity NUMERIC NOT NULL,
+  window_seconds INTEGER NOT NULL,
+  tokens NUMERIC NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Reserva p_cost tokens em todos os buckets informados ou em nenhum.
+-- p_buckets: [{ name, capacity, window_seconds }]
+-- p_force = TRUE consome mesmo sem saldo (partes extras de um envio já feito:
+-- o saldo negativo atrasa os próximos envios).
+-- Retorna { allowed: true } ou { allowed: false, bucket, capacity, wait_ms }.
+CREATE OR REPLACE FUNCTION reserve_send_tokens(
+  p_buckets JSONB,
+  p_cost NUMERIC DEFAULT 1,
+  p_force BOOLEAN DEFAULT FALSE
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_now TIMESTAMPTZ := clock_timestamp();
+  v_spec JSONB;
+  v_capacity NUMERIC;
+  v_window INTEGER;
+  v_tokens NUMERIC;
+  v_wait_ms NUMERIC;
+  v_denied JSONB := NULL;
+BEGIN
+  INSERT INTO send_rate_buckets (name, capacity, window_seconds, tokens, updated_at)
+  SELECT s->>'name', (s->>'capacity')::NUMERIC, (s->>'window_seconds')::INTEGER, (s->>'capacity')::NUMERIC, v_now
+  FROM jsonb_array_elements(p_buckets) s
+  ON CONFLICT (name) DO NOTHING;
+
+  -- Buckets travados em ordem de nome: réplicas concorrentes não entram em deadlock
+  FOR v_spec IN
+    SELECT s FROM jsonb_array_elements(p_buckets) s ORDER BY s->>'name'
+  LOOP
+    v_capacity := (v_spec->>'capacity')::NUMERIC;
+    v_window := (v_spec->>'window_seconds')::INTEGER;
+
+    SELECT LEAST(v_capacity, b.tokens + EXTRACT(EPOCH FROM (v_now - b.updated_at)) * v_capacity / v_window)
+      INTO v_tokens
+      FROM send_rate_buckets b
+      WHERE b.name = v_spec->>'name'
+      FOR UPDATE;
+
+    UPDATE send_rate_buckets
+      SET tokens = v_tokens, capacity = v_capacity, window_seconds = v_window, updated_at = v_now
+      WHERE name = v_spec->>'name';
+
+    IF NOT p_force AND v_tokens < p_cost THEN
+      v_wait_ms := CEIL((p_cost - v_tokens) * v_window * 1000 / v_capacity);
+      IF v_denied IS NULL OR v_wait_ms > (v_denied->>'wait_ms')::NUMERIC THEN
+        v_denied := jsonb_build_object('bucket', v_spec->>'name', 'capacity', v_capacity, 'wait_ms', v_wait_ms);
+      END IF;
+    END IF;
+  END LOOP;
+
+  IF v_denied IS NOT NULL THEN
+    RETURN jsonb_build_object('allowed', FALSE) || v_denied;
+  END IF;
+
+  UPDATE send_rate_buckets
+    SET tokens = tokens - p_cost
+    WHERE name IN (SELECT s->>'name' FROM jsonb_array_elements(p_buckets) s);
+
+  RETURN jsonb_build_object('allowed', TRUE);
+END;
+$$;
@@ -0,0 +1,14 @@
+-- ===============================================
+-- Janela de atendimento de 24h (WhatsApp Cloud API)
+-- ===============================================
+-- A janela é calculada a partir da última mensagem recebida do contato.
+-- Fora dela o follow-up usa o template aprovado do canal:
+--   company_channels.config.session_window = {
+--     "enforce": true,
+--     "template": { "name": "...", "language": "pt_BR",
+--                   "parameters": ["contact_name", "agent_name", "rule_name", "message", { "text": "..." }] }
+--   }
+
+CREATE INDEX IF NOT EXISTS idx_messages_last_inbound
+  ON messages (conversation_id, sent_at DESC)
+  WHERE direction = 'inbound';
@@ -0,0 +1,25 @@
+-- ===============================================
+-- Convite de calendário (.ics) nos lembretes de appointment
+-- ===============================================
+-- O primeiro lembrete de cada horário leva um .ics (RFC 5545) publicado em
+-- calendar-invites/<company_id>/<appointment_id>.ics e enviado por link assinado.
+-- O UID é fixo por appointment (appointment-<id>@zionic): após uma remarcação o
+-- próximo lembrete envia nova versão (SEQUENCE maior) que atualiza o mesmo evento.
+-- appointment_reminder_queue.metadata.calendar_invite = { uid, sequence, start }
+-- registra o convite enviado; metadata.calendar_invite = false desliga por lembrete.
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('calendar-invites', 'calendar-invites', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- Claim do convite por horário: lembretes do mesmo appointment processados ao mesmo
+-- tempo (ex.: 24h e 1h vencidos no mesmo ciclo) não anexam o .ics duas vezes.
+-- Lembrete dono do claim que falhou ou foi cancelado libera o convite para o próximo.
+CREATE TABLE IF NOT EXISTS appointment_calendar_invites (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  appointment_id UUID NOT NULL,
+  start_time TIMESTAMPTZ NOT NULL,
+  reminder_id UUID NOT NULL,
+  claimed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (appointment_id, start_time)
+);
@@ -0,0 +1,10 @@
+-- ===============================================
+-- Cancelamento de follow-ups quando o contato responde
+-- ===============================================
+-- Follow-ups pendentes agendados antes de uma mensagem do contato são cancelados
+-- com metadata.cancelled_reason = 'contact_replied' (webhook de entrada,
+-- POST /follow-ups/cancel-on-reply ou verificação antes da geração).
+
+CREATE INDEX IF NOT EXISTS idx_follow_up_queue_pending_conversation
+  ON follow_up_queue (conversation_id, created_at)
+  WHERE status = 'pending';
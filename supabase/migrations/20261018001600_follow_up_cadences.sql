@@ -0,0 +1,127 @@
+-- ===============================================
+-- Cadências de follow-up em vários passos
+-- ===============================================
+-- Uma cadência tem passos ordenados (step_number) com atraso e template próprios.
+-- Ao enviar o passo N, o servidor enfileira o passo N+1 em follow_up_queue
+-- (scheduled_at = envio + delay_minutes). A inscrição da conversa guarda o passo
+-- atual e para com resposta do contato, handoff ou opt-out.
+-- status da inscrição: active -> completed | stopped
+-- stopped_reason: contact_replied | handoff | opted_out | manual
+-- (resposta depois do último passo marca stopped_reason numa inscrição completed)
+
+CREATE TABLE IF NOT EXISTS follow_up_cadences (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL,
+  name TEXT NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS follow_up_cadence_steps (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  cadence_id UUID NOT NULL REFERENCES follow_up_cadences(id) ON DELETE CASCADE,
+  step_number INTEGER NOT NULL CHECK (step_number > 0),
+  delay_minutes INTEGER NOT NULL CHECK (delay_minutes >= 0),
+  message_template TEXT NOT NULL,
+  rule_name TEXT,
+  max_attempts INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (cadence_id, step_number)
+);
+
+CREATE TABLE IF NOT EXISTS follow_up_cadence_enrollments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  cadence_id UUID NOT NULL REFERENCES follow_up_cadences(id) ON DELETE CASCADE,
+  conversation_id UUID NOT NULL,
+  contact_id UUID,
+  agent_id UUID,
+  company_id UUID NOT NULL,
+  status TEXT NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'completed', 'stopped')),
+  current_step INTEGER NOT NULL DEFAULT 0,
+  last_step_sent_at TIMESTAMPTZ,
+  stopped_reason TEXT,
+  stopped_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Uma inscrição ativa por conversa e cadência
+CREATE UNIQUE INDEX IF NOT EXISTS idx_follow_up_cadence_enrollments_active
+  ON follow_up_cadence_enrollments (cadence_id, conversation_id)
+  WHERE status = 'active';
+
+CREATE INDEX IF NOT EXISTS idx_follow_up_cadence_enrollments_conversation
+  ON follow_up_cadence_enrollments (conversation_id, status);
+
+-- Passo de cadência na fila (NULL = follow-up avulso)
+ALTER TABLE follow_up_queue
+  ADD COLUMN IF NOT EXISTS cadence_id UUID REFERENCES follow_up_cadences(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS cadence_step INTEGER,
+  ADD COLUMN IF NOT EXISTS cadence_enrollment_id UUID REFERENCES follow_up_cadence_enrollments(id) ON DELETE SET NULL;
+
+-- Cada passo é enfileirado uma única vez por inscrição (replay não duplica)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_follow_up_queue_cadence_step
+  ON follow_up_queue (cadence_enrollment_id, cadence_step)
+  WHERE cadence_enrollment_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_follow_up_queue_cadence
+  ON follow_up_queue (cadence_id, cadence_step)
+  WHERE cadence_id IS NOT NULL;
+
+-- Passo com falha permanente (ou tentativas esgotadas) não trava a inscrição:
+-- o servidor avança para o passo seguinte sem registrar envio.
+
+-- Estatísticas por passo agregadas no banco (GET /metrics/cadences/:id)
+CREATE OR REPLACE FUNCTION get_cadence_step_stats(p_cadence_id UUID)
+RETURNS TABLE (
+  step_number INTEGER,
+  delay_minutes INTEGER,
+  rule_name TEXT,
+  sent INTEGER,
+  failed INTEGER,
+  replied INTEGER,
+  opted_out INTEGER
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    s.step_number,
+    s.delay_minutes,
+    s.rule_name,
+    (SELECT COUNT(*)::INTEGER FROM follow_up_queue q
+      WHERE q.cadence_id = s.cadence_id AND q.cadence_step = s.step_number
+        AND q.status IN ('sent', 'awaiting_delivery')),
+    (SELECT COUNT(*)::INTEGER FROM follow_up_queue q
+      WHERE q.cadence_id = s.cadence_id AND q.cadence_step = s.step_number
+        AND q.status = 'failed'),
+    (SELECT COUNT(*)::INTEGER FROM follow_up_cadence_enrollments e
+      WHERE e.cadence_id = s.cadence_id AND e.current_step = s.step_number
+        AND e.stopped_reason = 'contact_replied'),
+    (SELECT COUNT(*)::INTEGER FROM follow_up_cadence_enrollments e
+      WHERE e.cadence_id = s.cadence_id AND e.current_step = s.step_number
+        AND e.stopped_reason = 'opted_out')
+  FROM follow_up_cadence_steps s
+  WHERE s.cadence_id = p_cadence_id
+  ORDER BY s.step_number;
+$$;
+
+CREATE OR REPLACE FUNCTION get_cadence_enrollment_counts(p_cadence_id UUID)
+RETURNS TABLE (
+  status TEXT,
+  total INTEGER
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT e.status, COUNT(*)::INTEGER
+  FROM follow_up_cadence_enrollments e
+  WHERE e.cadence_id = p_cadence_id
+  GROUP BY e.status;
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_follow_up_cadence_enrollments_step
+  ON follow_up_cadence_enrollments (cadence_id, current_step);
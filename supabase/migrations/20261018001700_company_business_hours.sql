@@ -0,0 +1,21 @@
+-- ===============================================
+-- Horário de envio por empresa (fuso horário e janelas semanais)
+-- ===============================================
+-- Follow-ups e lembretes fora da janela são adiados para o próximo horário
+-- permitido (sem consumir tentativa). Lembretes têm política própria e saem
+-- antes da janela quando o próximo horário permitido já é depois do appointment.
+-- Janelas: { "mon": [["08:00", "12:00"], ["13:30", "18:00"]], ..., "sun": [] }
+-- (dia ausente ou vazio = sem envio; coluna NULL = sem restrição)
+-- rule_overrides: { "<rule_name>": { "hours": { ... } | null } }
+-- Empresas sem linha (ou enabled = false) usam DEFAULT_BUSINESS_HOURS / DEFAULT_REMINDER_HOURS.
+
+CREATE TABLE IF NOT EXISTS company_business_hours (
+  company_id UUID PRIMARY KEY,
+  timezone TEXT NOT NULL DEFAULT 'America/Sao_Paulo',
+  follow_up_hours JSONB,
+  reminder_hours JSONB,
+  rule_overrides JSONB NOT NULL DEFAULT '{}'::jsonb,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,33 @@
+-- ===============================================
+-- Calendário de feriados para follow-ups
+-- ===============================================
+-- Feriados nacionais/estaduais/municipais vêm de holidays/br.json (HOLIDAYS_FILE)
+-- e desta tabela (linhas globais com company_id NULL ou dias fechados da empresa).
+-- Follow-up reservado num feriado da empresa (fuso e localização em
+-- company_business_hours) é deslocado para o próximo dia útil ('shift') ou
+-- cancelado com metadata.cancelled_reason = 'holiday' ('skip').
+-- Ação por regra: company_business_hours.rule_overrides = { "<rule_name>": { "holiday_action": "skip" } }
+
+CREATE TABLE IF NOT EXISTS holidays (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID,
+  date DATE NOT NULL,
+  recurring BOOLEAN NOT NULL DEFAULT FALSE,
+  name TEXT NOT NULL,
+  scope TEXT NOT NULL DEFAULT 'company'
+    CHECK (scope IN ('national', 'state', 'municipal', 'company')),
+  state TEXT,
+  city TEXT,
+  optional BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_holidays_company ON holidays (company_id);
+
+ALTER TABLE company_business_hours
+  ADD COLUMN IF NOT EXISTS state TEXT,
+  ADD COLUMN IF NOT EXISTS city TEXT,
+  ADD COLUMN IF NOT EXISTS holidays_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS holiday_action TEXT
+    CHECK (holiday_action IN ('shift', 'skip')),
+  ADD COLUMN IF NOT EXISTS observe_optional_holidays BOOLEAN NOT NULL DEFAULT TRUE;
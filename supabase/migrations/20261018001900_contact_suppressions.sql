@@ -0,0 +1,40 @@
+-- ===============================================
+-- Lista de supressão de contatos (opt-out / LGPD)
+-- ===============================================
+-- Contato com mensagem de opt-out (OPT_OUT_KEYWORDS, por idioma) entra na lista
+-- para a empresa do remetente; company_id NULL vale para todas as empresas.
+-- Antes de cada envio os processadores consultam a lista (telefone em dígitos
+-- E.164 ou e-mail) e cancelam o item com metadata.cancelled_reason = 'opted_out'.
+-- Inclusão/remoção manual: POST /suppressions e DELETE /suppressions/:id.
+
+CREATE TABLE IF NOT EXISTS contact_suppressions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID,
+  phone_digits TEXT,
+  email TEXT,
+  reason TEXT NOT NULL,
+  keyword TEXT,
+  language TEXT,
+  source_message_id TEXT,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (phone_digits IS NOT NULL OR email IS NOT NULL)
+);
+
+-- Uma entrada por telefone/e-mail e empresa (webhook duplicado não cria outra)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contact_suppressions_phone
+  ON contact_suppressions (COALESCE(company_id, '00000000-0000-0000-0000-000000000000'::uuid), phone_digits)
+  WHERE phone_digits IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contact_suppressions_email
+  ON contact_suppressions (COALESCE(company_id, '00000000-0000-0000-0000-000000000000'::uuid), email)
+  WHERE email IS NOT NULL;
+
+-- Consulta antes do envio (todas as empresas de uma vez)
+CREATE INDEX IF NOT EXISTS idx_contact_suppressions_phone_lookup
+  ON contact_suppressions (phone_digits)
+  WHERE phone_digits IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_contact_suppressions_email_lookup
+  ON contact_suppressions (email)
+  WHERE email IS NOT NULL;
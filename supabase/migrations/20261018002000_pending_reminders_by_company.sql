@@ -0,0 +1,74 @@
+-- ===============================================
+-- Lembretes pendentes por empresa (fair share)
+-- ===============================================
+-- O agendador justo divide as vagas do ciclo entre empresas e busca a cota de
+-- cada uma separadamente; assim uma empresa com milhares de lembretes atrasados
+-- não ocupa a página inteira de get_pending_appointment_reminders.
+-- Mesmas colunas de get_pending_appointment_reminders, filtradas por empresa,
+-- mais e-mail e canal preferido do contato (roteamento por canal dos lembretes)
+-- e contact_id (janela de 24h da WhatsApp Cloud API).
+
+CREATE OR REPLACE FUNCTION get_pending_appointment_reminders_for_company(
+  p_company_id UUID,
+  p_limit INTEGER
+)
+RETURNS TABLE (
+  id UUID,
+  appointment_id UUID,
+  company_id UUID,
+  agent_id UUID,
+  rule_name TEXT,
+  message_template TEXT,
+  minutes_before INTEGER,
+  reminder_type TEXT,
+  attempts INTEGER,
+  max_attempts INTEGER,
+  scheduled_at TIMESTAMPTZ,
+  contact_id UUID,
+  contact_name TEXT,
+  contact_phone TEXT,
+  contact_email TEXT,
+  contact_preferred_channel TEXT,
+  appointment_title TEXT,
+  appointment_start_time TIMESTAMPTZ,
+  appointment_end_time TIMESTAMPTZ,
+  appointment_location TEXT,
+  company_name TEXT,
+  minutes_overdue INTEGER
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    q.id,
+    q.appointment_id,
+    q.company_id,
+    q.agent_id,
+    q.rule_name,
+    q.message_template,
+    q.minutes_before,
+    q.reminder_type,
+    q.attempts,
+    q.max_attempts,
+    q.scheduled_at,
+    a.contact_id,
+    c.name,
+    c.phone,
+    c.email,
+    c.preferred_channel,
+    a.title,
+    a.start_time,
+    a.end_time,
+    a.location,
+    co.name,
+    GREATEST(0, FLOOR(EXTRACT(EPOCH FROM (NOW() - q.scheduled_at)) / 60))::INTEGER
+  FROM appointment_reminder_queue q
+  JOIN appointments a ON a.id = q.appointment_id
+  LEFT JOIN contacts c ON c.id = a.contact_id
+  LEFT JOIN companies co ON co.id = q.company_id
+  WHERE q.company_id = p_company_id
+    AND q.status = 'pending'
+    AND q.scheduled_at <= NOW()
+  ORDER BY q.scheduled_at
+  LIMIT p_limit;
+$$;
@@ -0,0 +1,169 @@
+/**
+ * ===============================================
+ * ZIONIC SUPPRESSION LIST
+ * ===============================================
+ * Lista de supressão de contatos (LGPD / opt-out): nenhum follow-up ou lembrete
+ * automático é enviado para telefone ou e-mail suprimido. Entrada com
+ * company_id NULL vale para todas as empresas.
+ *
+ * @author Zionic Team
+ * @version 1.7.0
+ */
+
+const { classifySupabaseError, classifiedError } = require('./error-classifier');
+
+// ===============================================
+// UTILITÁRIOS DE LOG
+// ===============================================
+
+/**
+ * Log estruturado específico para a lista de supressão
+ */
+function logSuppression(level, message, data = {}) {
+  const timestamp = new Date().toISOString();
+  const emoji = {
+    info: 'ℹ️',
+    success: '✅',
+    warning: '⚠️',
+    error: '❌',
+    debug: '🔍'
+  };
+
+  console.log(`${emoji[level] || '📝'} [SUPPRESSION] [${timestamp}] ${message}`,
+    Object.keys(data).length > 0 ? JSON.stringify(data, null, 2) : '');
+}
+
+// ===============================================
+// CONSULTA
+// ===============================================
+
+/**
+ * Entrada da lista que bloqueia o contato para a empresa (telefone em dígitos
+ * E.164 ou e-mail), ou null. Erro na consulta interrompe o envio (retry).
+ */
+async function findSuppression(supabase, { companyId, phoneDigits, email }) {
+  const conditions = [
+    ...(phoneDigits ? [`phone_digits.eq.${phoneDigits}`] : []),
+    ...(email ? [`email.eq."${String(email).trim().toLowerCase()}"`] : [])
+  ];
+
+  if (conditions.length === 0) {
+    return null;
+  }
+
+  const { data: rows, error } = await supabase
+    .from('contact_suppressions')
+    .select('id, company_id, phone_digits, email, reason, keyword, created_at')
+    .or(conditions.join(','));
+
+  if (error) {
+    throw classifiedError(`Erro ao consultar lista de supressão: ${error.message}`, classifySupabaseError(error));
+  }
+
+  return (rows || []).find(row => !row.company_id || row.company_id === companyId) || null;
+}
+
+// ===============================================
+// INCLUSÃO / REMOÇÃO
+// ===============================================
+
+/**
+ * Inclui o contato na lista (idempotente).
+ * entry: { companyId, phoneDigits, email, reason, keyword, language, sourceMessageId, createdBy }
+ * Retorna { suppression, created } - created = false se já estava suprimido
+ */
+async function suppressContact(supabase, entry) {
+  const existing = await findSuppression(supabase, entry);
+  if (existing) {
+    return { suppression: existing, created: false };
+  }
+
+  const { data: suppression, error } = await supabase
+    .from('contact_suppressions')
+    .insert({
+      company_id: entry.companyId || null,
+      phone_digits: entry.phoneDigits || null,
+      email: entry.email ? String(entry.email).trim().toLowerCase() : null,
+      reason: entry.reason,
+      keyword: entry.keyword || null,
+      language: entry.language || null,
+      source_message_id: entry.sourceMessageId || null,
+      created_by: entry.createdBy || null
+    })
+    .select('id, company_id, phone_digits, email, reason, keyword, created_at')
+    .single();
+
+  // Mesma mensagem entregue duas vezes pelo webhook: a outra inserção venceu
+  if (error?.code === '23505') {
+    return { suppression: await findSuppression(supabase, entry), created: false };
+  }
+  if (error) {
+    throw new Error(`Erro ao incluir contato na lista de supressão: ${error.message}`);
+  }
+
+  logSuppression('info', 'Contato incluído na lista de supressão', {
+    suppressionId: suppression.id,
+    companyId: suppression.company_id,
+    phone: suppression.phone_digits ? suppression.phone_digits.substring(0, 6) + '...' : null,
+    reason: suppression.reason,
+    keyword: suppression.keyword
+  });
+
+  return { suppression, created: true };
+}
+
+/**
+ * Remove uma entrada (contato voltou a aceitar mensagens)
+ */
+async function removeSuppression(supabase, suppressionId) {
+  const { data: removed, error } = await supabase
+    .from('contact_suppressions')
+    .delete()
+    .eq('id', suppressionId)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Erro ao remover contato da lista de supressão: ${error.message}`);
+  }
+
+  if (removed?.length) {
+    logSuppression('info', 'Contato removido da lista de supressão', { suppressionId });
+  }
+
+  return { suppressionId, removed: !!removed?.length };
+}
+
+/**
+ * Entradas da lista (mais recentes primeiro), com filtro opcional por empresa
+ */
+async function listSuppressions(supabase, { companyId, limit = 100 } = {}) {
+  let query = supabase
+    .from('contact_suppressions')
+    .select('id, company_id, phone_digits, email, reason, keyword, language, source_message_id, created_by, created_at')
+    .order('created_at', { ascending: false })
+    .limit(Math.min(limit, 500));
+
+  if (companyId) {
+    query = query.eq('company_id', companyId);
+  }
+
+  const { data: rows, error } = await query;
+
+  if (error) {
+    throw new Error(`Erro ao listar lista de supressão: ${error.message}`);
+  }
+
+  return rows || [];
+}
+
+// ===============================================
+// EXPORTAÇÕES
+// ===============================================
+
+module.exports = {
+  findSuppression,
+  suppressContact,
+  removeSuppression,
+  listSuppressions,
+  logSuppression
+};
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkSendWindow, zonedTimeToUtc } = require('../business-hours');
+
+const weekdays = [['09:00', '18:00']];
+const policy = {
+  timezone: 'America/Sao_Paulo',
+  source: 'company',
+  schedule: { mon: weekdays, tue: weekdays, wed: weekdays, thu: weekdays, fri: weekdays }
+};
+
+test('sem horário comercial o envio é liberado', () => {
+  assert.deepEqual(checkSendWindow({ timezone: 'America/Sao_Paulo', schedule: null }), { allowed: true, nextSlotAt: null });
+});
+
+test('dentro da janela no fuso da empresa', () => {
+  // Sexta 10:00 em São Paulo (UTC-3)
+  assert.equal(checkSendWindow(policy, Date.parse('2026-10-16T13:00:00Z')).allowed, true);
+});
+
+test('antes da abertura o próximo horário é no mesmo dia', () => {
+  const check = checkSendWindow(policy, Date.parse('2026-10-16T10:00:00Z'));
+
+  assert.equal(check.allowed, false);
+  assert.equal(check.nextSlotAt, '2026-10-16T12:00:00.000Z');
+  assert.equal(check.localWeekday, 'fri');
+  assert.equal(check.localMinutes, 7 * 60);
+});
+
+test('depois do fechamento de sexta o próximo horário é segunda', () => {
+  // Sexta 19:00 local; sábado e domingo sem janela
+  const check = checkSendWindow(policy, Date.parse('2026-10-16T22:00:00Z'));
+
+  assert.equal(check.nextSlotAt, '2026-10-19T12:00:00.000Z');
+});
+
+test('intervalo de almoço: próximo horário é a janela da tarde', () => {
+  const split = { ...policy, schedule: { fri: [['14:00', '18:00'], ['09:00', '12:00']] } };
+  const check = checkSendWindow(split, Date.parse('2026-10-16T15:30:00Z'));
+
+  assert.equal(check.allowed, false);
+  assert.equal(check.nextSlotAt, '2026-10-16T17:00:00.000Z');
+});
+
+test('política sem nenhuma janela válida não bloqueia o envio', () => {
+  const broken = { ...policy, schedule: { mon: [['18:00', '09:00']], tue: [['25:00', '26:00']] } };
+
+  assert.equal(checkSendWindow(broken, Date.parse('2026-10-16T22:00:00Z')).allowed, true);
+});
+
+test('horário local vira UTC respeitando o horário de verão', () => {
+  // Nova York: EST (UTC-5) até 08/03/2026, EDT (UTC-4) depois
+  assert.equal(new Date(zonedTimeToUtc(2026, 3, 6, 9 * 60, 'America/New_York')).toISOString(), '2026-03-06T14:00:00.000Z');
+  assert.equal(new Date(zonedTimeToUtc(2026, 3, 9, 9 * 60, 'America/New_York')).toISOString(), '2026-03-09T13:00:00.000Z');
+  assert.equal(new Date(zonedTimeToUtc(2026, 10, 19, 9 * 60, 'America/Sao_Paulo')).toISOString(), '2026-10-19T12:00:00.000Z');
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+const { buildIcsEvent, buildCalendarInviteAttachment } = require('../calendar-invite');
+
+const config = {
+  calendarInviteBucket: 'calendar-invites',
+  calendarInviteDefaultMinutes: 60,
+  calendarInviteOrganizerEmail: 'agenda@zionic.app'
+};
+
+const reminder = {
+  id: 'r2',
+  appointment_id: 'a1',
+  company_id: 'company-a',
+  company_name: 'Clínica Exemplo',
+  appointment_title: 'Consulta',
+  appointment_start_time: '2026-10-20T13:00:00.000Z'
+};
+
+const event = {
+  uid: 'appointment-a1@zionic',
+  sequence: 1,
+  title: 'Consulta',
+  start: '2026-10-20T13:00:00.000Z',
+  end: '2026-10-20T14:00:00.000Z'
+};
+
+// Fila de lembretes + claims; claimOwner = lembrete que já reservou o convite (ou null)
+function inviteStore({ claimOwner = null, ownerStatus = 'processing', emailChannel = null } = {}) {
+  const supabase = createFakeSupabase(query => {
+    if (query.table === 'appointment_calendar_invites' && query.op === 'insert') {
+      return claimOwner ? { data: null, error: { code: '23505', message: 'duplicate key' } } : { data: null, error: null };
+    }
+    if (query.table === 'appointment_calendar_invites' && query.op === 'select') {
+      return { data: { reminder_id: claimOwner }, error: null };
+    }
+    if (query.table === 'appointment_calendar_invites' && query.op === 'update') {
+      return { data: [{ id: 'claim-1' }], error: null };
+    }
+    if (query.table === 'appointment_reminder_queue' && query.single) {
+      return { data: { status: ownerStatus }, error: null };
+    }
+    if (query.table === 'company_channels') {
+      return { data: emailChannel ? [{ config: emailChannel }] : [], error: null };
+    }
+    return { data: [], error: null };
+  });
+
+  supabase.uploads = [];
+  supabase.storage = {
+    from: () => ({
+      upload: async (path, body) => {
+        supabase.uploads.push(body.toString('utf8'));
+        return { error: null };
+      },
+      createSignedUrl: async path => ({ data: { signedUrl: `https://storage.test/${path}` }, error: null })
+    })
+  };
+
+  return supabase;
+}
+
+test('ORGANIZER usa o e-mail informado e some sem e-mail', () => {
+  const withOrganizer = buildIcsEvent({ ...event, organizerName: 'Clínica "Exemplo"', organizerEmail: 'agenda@clinica.com' });
+  assert.match(withOrganizer, /ORGANIZER;CN="Clínica Exemplo":mailto:agenda@clinica.com\r\n/);
+
+  const withoutOrganizer = buildIcsEvent({ ...event, organizerName: 'Clínica Exemplo' });
+  assert.doesNotMatch(withoutOrganizer, /ORGANIZER/);
+});
+
+test('organizador vem do canal de e-mail da empresa antes do padrão do servidor', async () => {
+  const fromChannel = inviteStore({ emailChannel: { from_email: 'contato@clinica.com' } });
+  assert.ok(await buildCalendarInviteAttachment(fromChannel, config, reminder));
+  assert.match(fromChannel.uploads[0], /mailto:contato@clinica.com/);
+
+  const fromConfig = inviteStore();
+  assert.ok(await buildCalendarInviteAttachment(fromConfig, config, reminder));
+  assert.match(fromConfig.uploads[0], /mailto:agenda@zionic.app/);
+});
+
+test('convite reservado por outro lembrete em andamento não é anexado de novo', async () => {
+  const supabase = inviteStore({ claimOwner: 'r1', ownerStatus: 'processing' });
+
+  assert.equal(await buildCalendarInviteAttachment(supabase, config, reminder), null);
+  assert.equal(supabase.uploads.length, 0);
+});
+
+test('retentativa do mesmo lembrete mantém o convite', async () => {
+  const supabase = inviteStore({ claimOwner: 'r2' });
+
+  assert.ok(await buildCalendarInviteAttachment(supabase, config, reminder));
+});
+
+test('convite de lembrete que falhou é assumido pelo próximo', async () => {
+  const supabase = inviteStore({ claimOwner: 'r1', ownerStatus: 'failed' });
+
+  const generated = await buildCalendarInviteAttachment(supabase, config, reminder);
+  assert.ok(generated);
+
+  const takeover = supabase.queries.find(query => query.table === 'appointment_calendar_invites' && query.op === 'update');
+  assert.equal(takeover.payload.reminder_id, 'r2');
+  assert.ok(takeover.filters.some(([method, column, value]) => method === 'eq' && column === 'reminder_id' && value === 'r1'));
+});
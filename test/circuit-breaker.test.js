@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getCircuitBreaker, recordFailure, assertBreakersClosed } = require('../circuit-breaker');
+
+test('breaker aberto adia o item antes da geração com IA', () => {
+  const breaker = getCircuitBreaker('evolution:instancia-teste', { failureThreshold: 1, openSeconds: 60 });
+  recordFailure(breaker, 'instance_disconnected: teste');
+
+  assert.throws(
+    () => assertBreakersClosed(['evolution-teste', 'evolution:instancia-teste']),
+    error => error.failureCode === 'circuit_open' &&
+      error.deferReason === 'circuit_open:evolution:instancia-teste' &&
+      new Date(error.deferUntil).getTime() > Date.now()
+  );
+});
+
+test('breakers fechados ou inexistentes liberam o item', () => {
+  getCircuitBreaker('sms-teste', { failureThreshold: 3, openSeconds: 60 });
+
+  assert.doesNotThrow(() => assertBreakersClosed([undefined, 'sms-teste', 'nunca-criado']));
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase, eqFilter } = require('./helpers/fake-supabase');
+const { listDeadLetters, requeueDeadLetters } = require('../dead-letter');
+const { getReplayGeneration, buildIdempotencyKey } = require('../outbox');
+
+const failedItems = [
+  {
+    id: 'f1',
+    company_id: 'company-a',
+    agent_id: 'agent-1',
+    rule_name: 'Sem resposta 24h',
+    attempts: 3,
+    execution_error: 'Request failed with status code 503',
+    failure_code: 'openai_unavailable',
+    scheduled_at: '2026-10-17T10:00:00.000Z',
+    metadata: { failure_class: 'transient' },
+    ai_generated_message: null
+  },
+  {
+    id: 'f2',
+    company_id: 'company-b',
+    agent_id: 'agent-2',
+    rule_name: 'Sem resposta 48h',
+    attempts: 3,
+    execution_error: 'Request failed with status code 503',
+    failure_code: 'openai_unavailable',
+    scheduled_at: '2026-10-17T11:00:00.000Z',
+    metadata: { failure_class: 'transient' },
+    ai_generated_message: null
+  },
+  {
+    id: 'f3',
+    company_id: 'company-a',
+    agent_id: 'agent-1',
+    rule_name: 'Sem resposta 24h',
+    attempts: 1,
+    execution_error: 'Envio sem confirmação - resultado desconhecido',
+    failure_code: 'delivery_unknown',
+    scheduled_at: '2026-10-17T12:00:00.000Z',
+    metadata: { failure_class: 'permanent', replays: [{ replayed_at: '2026-10-16T12:00:00.000Z' }] },
+    ai_generated_message: 'Olá! Podemos continuar?'
+  }
+];
+
+// Itens failed; stillFailed = ids que continuam failed no UPDATE condicional
+function deadLetterStore({ stillFailed = failedItems.map(item => item.id) } = {}) {
+  return createFakeSupabase(query => {
+    if (query.table === 'follow_up_queue' && query.op === 'select') {
+      const ids = query.filters.find(([method]) => method === 'in')?.[2];
+      const failureCode = eqFilter(query, 'failure_code');
+      return {
+        data: failedItems.filter(item => (!ids || ids.includes(item.id)) && (!failureCode || item.failure_code === failureCode)),
+        error: null
+      };
+    }
+    if (query.table === 'follow_up_queue' && query.op === 'update') {
+      const id = eqFilter(query, 'id');
+      return { data: stillFailed.includes(id) ? [{ id }] : [], error: null };
+    }
+    return { data: [], error: null };
+  });
+}
+
+test('dead letters são agrupadas por classe, código e erro', async () => {
+  const supabase = deadLetterStore();
+
+  const listing = await listDeadLetters(supabase, 'follow-ups');
+
+  assert.equal(listing.totalFailed, 3);
+  assert.deepEqual(listing.groups.map(group => [group.failureCode, group.count]), [
+    ['openai_unavailable', 2],
+    ['delivery_unknown', 1]
+  ]);
+  assert.deepEqual(listing.groups[0].companies, ['company-a', 'company-b']);
+  assert.deepEqual(listing.groups[0].sampleIds, ['f1', 'f2']);
+});
+
+test('requeue devolve para pending, zera tentativas e registra o replay', async () => {
+  const supabase = deadLetterStore();
+  const scheduledAt = '2026-10-19T12:00:00.000Z';
+
+  const result = await requeueDeadLetters(supabase, 'follow-ups', { failureCode: 'openai_unavailable' }, {
+    scheduledAt,
+    reason: 'OpenAI normalizada',
+    requestedBy: 'ops@zionic.app',
+    regenerateMessage: true
+  });
+
+  assert.deepEqual(result.requeued, ['f1', 'f2']);
+
+  const update = supabase.queries.find(query => query.op === 'update' && eqFilter(query, 'id') === 'f1');
+  assert.equal(update.payload.status, 'pending');
+  assert.equal(update.payload.attempts, 0);
+  assert.equal(update.payload.scheduled_at, scheduledAt);
+  assert.equal(update.payload.failure_code, null);
+  assert.equal(update.payload.locked_by, null);
+  assert.equal(update.payload.metadata.failure_class, 'transient');
+  assert.deepEqual(update.payload.metadata.replays.map(replay => [replay.reason, replay.previous_failure_code]), [
+    ['OpenAI normalizada', 'openai_unavailable']
+  ]);
+  assert.ok(update.filters.some(([method, column, value]) => method === 'eq' && column === 'status' && value === 'failed'));
+
+  const log = supabase.queries.find(query => query.table === 'follow_up_logs' && query.payload.follow_up_queue_id === 'f1');
+  assert.equal(log.payload.event_type, 'replay');
+  assert.equal(log.payload.details.requested_by, 'ops@zionic.app');
+});
+
+test('replay sem regeneração reaproveita a mensagem e abre nova chave de idempotência', async () => {
+  const supabase = deadLetterStore();
+
+  await requeueDeadLetters(supabase, 'follow-ups', { ids: ['f3'] });
+
+  const update = supabase.queries.find(query => query.op === 'update' && eqFilter(query, 'id') === 'f3');
+  assert.equal(update.payload.metadata.reuse_generated_message, true);
+  assert.equal(update.payload.metadata.replays.length, 2);
+
+  // Nova geração: o envio do replay não colide com o registro incerto do outbox
+  const before = buildIdempotencyKey('follow_up_queue', 'f3', getReplayGeneration(failedItems[2].metadata), 1);
+  const after = buildIdempotencyKey('follow_up_queue', 'f3', getReplayGeneration(update.payload.metadata), 1);
+  assert.notEqual(before, after);
+});
+
+test('item que saiu de failed durante o requeue não é reenfileirado', async () => {
+  const supabase = deadLetterStore({ stillFailed: ['f1'] });
+
+  const result = await requeueDeadLetters(supabase, 'follow-ups', { ids: ['f1', 'f2'] });
+
+  assert.deepEqual(result.requeued, ['f1']);
+  assert.deepEqual(result.failed, [{ id: 'f2', error: 'Item não está mais failed' }]);
+  assert.equal(supabase.queries.filter(query => query.table === 'follow_up_logs').length, 1);
+});
+
+test('requeue exige filtro e fila conhecida', async () => {
+  const supabase = deadLetterStore();
+
+  await assert.rejects(requeueDeadLetters(supabase, 'follow-ups', {}), /Informe ids/);
+  await assert.rejects(requeueDeadLetters(supabase, 'mensagens', { ids: ['f1'] }), /Fila desconhecida/);
+  await assert.rejects(
+    requeueDeadLetters(supabase, 'follow-ups', { ids: ['f1'] }, { scheduledAt: 'amanhã' }),
+    /scheduled_at inválido/
+  );
+});
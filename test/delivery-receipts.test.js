@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+const { applyDeliveryStatus, reconcilePendingReceipts, getFollowUpDeliveryRates } = require('../delivery-receipts');
+
+const receipt = status => ({ kind: 'status', provider: 'evolution', externalId: 'wamid-1', status, timestamp: '2026-10-18T12:00:05.000Z' });
+
+test('confirmação antes da mensagem e do log fica guardada', async () => {
+  const supabase = createFakeSupabase(() => ({ data: [], error: null }));
+
+  assert.equal(await applyDeliveryStatus(supabase, receipt('delivered')), null);
+
+  const stored = supabase.queries.find(query => query.table === 'pending_delivery_receipts');
+  assert.equal(stored.op, 'upsert');
+  assert.equal(stored.payload.external_id, 'wamid-1');
+  assert.equal(stored.payload.status, 'delivered');
+});
+
+test('log gravado recebe as confirmações guardadas em ordem e elas são removidas', async () => {
+  const applied = [];
+  const supabase = createFakeSupabase(query => {
+    if (query.table === 'pending_delivery_receipts' && query.op === 'select') {
+      return {
+        data: [
+          { id: 'p2', status: 'read', provider: 'evolution', status_at: '2026-10-18T12:00:09.000Z' },
+          { id: 'p1', status: 'delivered', provider: 'evolution', status_at: '2026-10-18T12:00:05.000Z' }
+        ],
+        error: null
+      };
+    }
+    if (query.table === 'follow_up_logs' && query.op === 'update' && query.payload.delivery_status) {
+      applied.push(query.payload.delivery_status);
+      return { data: [{ id: 'log-1', rule_name: 'boas-vindas' }], error: null };
+    }
+    return { data: [], error: null };
+  });
+
+  const result = await reconcilePendingReceipts(supabase, 'wamid-1');
+  const removed = supabase.queries.find(query => query.table === 'pending_delivery_receipts' && query.op === 'delete');
+
+  assert.deepEqual(applied, ['delivered', 'read']);
+  assert.equal(result.applied, 2);
+  assert.deepEqual(removed.filters.find(([method]) => method === 'in')[2], ['p2', 'p1']);
+  assert.ok(!supabase.queries.some(query => query.table === 'pending_delivery_receipts' && query.op === 'upsert'));
+});
+
+test('status já aplicado na mensagem antes do log é copiado para o log', async () => {
+  const applied = [];
+  const supabase = createFakeSupabase(query => {
+    if (query.table === 'messages' && query.op === 'select') {
+      return { data: [{ status: 'delivered' }], error: null };
+    }
+    if (query.table === 'follow_up_logs' && query.op === 'update' && query.payload.delivery_status) {
+      applied.push(query.payload.delivery_status);
+      return { data: [{ id: 'log-1', rule_name: 'boas-vindas' }], error: null };
+    }
+    return { data: [], error: null };
+  });
+
+  await reconcilePendingReceipts(supabase, 'wamid-1');
+
+  assert.deepEqual(applied, ['delivered']);
+});
+
+test('taxas por regra vêm agregadas da RPC', async () => {
+  const supabase = createFakeSupabase(query => ({
+    data: query.rpc === 'get_follow_up_delivery_rates'
+      ? [
+        { rule_name: 'lembrete', sent: 10, pending: 1, delivered: 8, read: 4, failed: 1 },
+        { rule_name: 'boas-vindas', sent: 20, pending: 0, delivered: 20, read: 10, failed: 0 }
+      ]
+      : [],
+    error: null
+  }));
+
+  const result = await getFollowUpDeliveryRates(supabase, { companyId: 'company-a' });
+
+  assert.deepEqual(supabase.queries[0].params, { p_company_id: 'company-a', p_since: null });
+  assert.equal(result.totalSent, 30);
+  assert.equal(result.rules[0].ruleName, 'boas-vindas');
+  assert.equal(result.rules[1].deliveryRate, 80);
+  assert.equal(result.rules[1].readRate, 40);
+});
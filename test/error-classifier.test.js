@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FAILURE_CODES, classifyError, classifiedError, isAiFallbackEligible } = require('../error-classifier');
+
+// Erro do axios vindo da OpenAI
+function openAIError(status, data = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.config = { url: 'https://api.openai.com/v1/chat/completions' };
+  error.response = { status, data };
+  return error;
+}
+
+test('erros da OpenAI são classificados pelo status', () => {
+  assert.deepEqual(classifyError(openAIError(401)), { code: FAILURE_CODES.OPENAI_AUTH_FAILED, permanent: true });
+  assert.deepEqual(classifyError(openAIError(429)), { code: FAILURE_CODES.OPENAI_RATE_LIMITED, permanent: false });
+  assert.deepEqual(
+    classifyError(openAIError(429, { error: { code: 'insufficient_quota' } })),
+    { code: FAILURE_CODES.OPENAI_QUOTA_EXCEEDED, permanent: true }
+  );
+  assert.deepEqual(classifyError(openAIError(503)), { code: FAILURE_CODES.OPENAI_UNAVAILABLE, permanent: false });
+});
+
+test('só erros permanentes da IA caem no template', () => {
+  assert.equal(isAiFallbackEligible(openAIError(404)), true);
+  assert.equal(isAiFallbackEligible(openAIError(400)), true);
+  assert.equal(isAiFallbackEligible(openAIError(429, { error: { code: 'insufficient_quota' } })), true);
+
+  assert.equal(isAiFallbackEligible(openAIError(429)), false);
+  assert.equal(isAiFallbackEligible(openAIError(500)), false);
+  assert.equal(isAiFallbackEligible(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), false);
+  assert.equal(isAiFallbackEligible(new Error('OpenAI run timeout')), false);
+});
+
+test('circuito aberto nunca cai no template', () => {
+  const error = classifiedError('Circuito aberto', {
+    code: FAILURE_CODES.CIRCUIT_OPEN,
+    permanent: true,
+    deferUntil: new Date(Date.now() + 60000).toISOString(),
+    deferReason: 'circuit_open:openai'
+  });
+
+  assert.equal(isAiFallbackEligible(error), false);
+});
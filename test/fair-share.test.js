@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase, eqFilter } = require('./helpers/fake-supabase');
+const { getPendingFollowUps } = require('../followup-processor');
+const { getPendingAppointmentReminders } = require('../appointment-reminders-processor');
+
+const config = {
+  workerId: 'worker-1',
+  leaseSeconds: 300,
+  maxFollowUpsPerExecution: 4,
+  fairCandidateMultiplier: 3,
+  planWeights: {},
+  holidayCalendarEnabled: false
+};
+
+const past = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+const depths = [
+  { company_id: 'company-a', pending_count: 500, oldest_scheduled_at: new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString() },
+  { company_id: 'company-b', pending_count: 2, oldest_scheduled_at: past }
+];
+
+function item(companyId, index, conversation = {}) {
+  return {
+    id: `${companyId}-${index}`,
+    company_id: companyId,
+    scheduled_at: past,
+    conversation_id: `conv-${companyId}-${index}`,
+    conversations: { ai_enabled: true, metadata: {}, ...conversation }
+  };
+}
+
+// Responde depth, busca por empresa e claim (todos os itens pedidos são reservados)
+function fairQueue(table, byCompany) {
+  return createFakeSupabase(query => {
+    if (query.rpc === 'get_pending_queue_depth_by_company') {
+      return { data: depths, error: null };
+    }
+    if (query.rpc === 'get_pending_appointment_reminders_for_company') {
+      return { data: byCompany[query.params.p_company_id].slice(0, query.params.p_limit), error: null };
+    }
+    if (query.table === table && query.op === 'select') {
+      const limit = query.filters.find(([method]) => method === 'limit')[1];
+      return { data: byCompany[eqFilter(query, 'company_id')].slice(0, limit), error: null };
+    }
+    if (query.table === table && query.op === 'update' && query.payload.status === 'processing') {
+      const ids = query.filters.find(([method]) => method === 'in')[2];
+      return { data: ids.map(id => ({ id })), error: null };
+    }
+    return { data: [], error: null };
+  });
+}
+
+test('cota do follow-up vale depois dos filtros de pausa/atribuição', async () => {
+  const paused = { metadata: { follow_up_paused: true } };
+  const supabase = fairQueue('follow_up_queue', {
+    'company-a': [item('company-a', 1, paused), item('company-a', 2, paused), item('company-a', 3), item('company-a', 4), item('company-a', 5)],
+    'company-b': [item('company-b', 1), item('company-b', 2)]
+  });
+
+  const followUps = await getPendingFollowUps(supabase, config);
+
+  // Itens pausados da empresa A não consomem as 2 vagas dela
+  assert.deepEqual(
+    followUps.map(f => f.id).sort(),
+    ['company-a-3', 'company-a-4', 'company-b-1', 'company-b-2']
+  );
+
+  const fetches = supabase.queries.filter(query => query.table === 'follow_up_queue' && query.op === 'select');
+  assert.deepEqual(fetches.map(query => query.filters.find(([method]) => method === 'limit')[1]), [6, 6]);
+});
+
+test('lembretes são buscados por empresa com a cota de cada uma', async () => {
+  const supabase = fairQueue('appointment_reminder_queue', {
+    'company-a': Array.from({ length: 10 }, (_, index) => item('company-a', index)),
+    'company-b': [item('company-b', 1), item('company-b', 2)]
+  });
+
+  const reminders = await getPendingAppointmentReminders(supabase, config);
+
+  assert.equal(reminders.filter(r => r.company_id === 'company-a').length, 2);
+  assert.equal(reminders.filter(r => r.company_id === 'company-b').length, 2);
+
+  const calls = supabase.queries.filter(query => query.rpc === 'get_pending_appointment_reminders_for_company');
+  assert.deepEqual(
+    calls.map(query => [query.params.p_company_id, query.params.p_limit]),
+    [['company-a', 2], ['company-b', 2]]
+  );
+});
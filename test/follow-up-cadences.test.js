@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase, eqFilter } = require('./helpers/fake-supabase');
+const { advanceCadence, getCadenceStepStats } = require('../follow-up-cadences');
+
+const followUp = { id: 'f1', cadence_enrollment_id: 'e1', cadence_step: 1, max_attempts: 3 };
+const enrollment = {
+  id: 'e1',
+  cadence_id: 'c1',
+  conversation_id: 'conv-1',
+  contact_id: 'contact-1',
+  agent_id: 'agent-1',
+  company_id: 'company-a',
+  cadence: { name: 'Reativação', is_active: true }
+};
+
+function cadenceWith(nextSteps, enrollments = [enrollment]) {
+  return createFakeSupabase(query => {
+    if (query.table === 'follow_up_cadence_enrollments' && query.op === 'update') {
+      return { data: enrollments, error: null };
+    }
+    if (query.table === 'follow_up_cadence_steps') {
+      return { data: nextSteps, error: null };
+    }
+    if (query.table === 'follow_up_queue' && query.op === 'insert') {
+      return { data: { id: 'f2' }, error: null };
+    }
+    return { data: [], error: null };
+  });
+}
+
+test('passo enviado agenda o próximo com o atraso dele', async () => {
+  const supabase = cadenceWith([{ step_number: 2, delay_minutes: 2880, message_template: 'Oferta', rule_name: null, max_attempts: null }]);
+
+  const result = await advanceCadence(supabase, followUp);
+  const advance = supabase.queries[0];
+  const queued = supabase.queries.find(query => query.table === 'follow_up_queue');
+
+  assert.equal(result.completed, false);
+  assert.equal(advance.payload.current_step, 1);
+  assert.ok(advance.payload.last_step_sent_at);
+  assert.equal(eqFilter(advance, 'status'), 'active');
+  assert.equal(queued.payload.cadence_step, 2);
+  assert.equal(queued.payload.rule_name, 'Reativação - passo 2');
+  assert.equal(queued.payload.max_attempts, 3);
+  assert.ok(new Date(queued.payload.scheduled_at).getTime() - Date.now() > 2879 * 60 * 1000);
+});
+
+test('último passo conclui a inscrição', async () => {
+  const supabase = cadenceWith([]);
+
+  const result = await advanceCadence(supabase, followUp);
+  const completion = supabase.queries.filter(query => query.table === 'follow_up_cadence_enrollments')[1];
+
+  assert.deepEqual(result, { advanced: true, completed: true });
+  assert.equal(completion.payload.status, 'completed');
+});
+
+test('passo com falha segue a sequência sem registrar envio', async () => {
+  const supabase = cadenceWith([{ step_number: 2, delay_minutes: 60, message_template: 'Oferta' }]);
+
+  await advanceCadence(supabase, followUp, { sent: false });
+
+  assert.equal(supabase.queries[0].payload.last_step_sent_at, undefined);
+  assert.ok(supabase.queries.some(query => query.table === 'follow_up_queue' && query.op === 'insert'));
+});
+
+test('inscrição parada não avança', async () => {
+  const supabase = cadenceWith([], []);
+
+  assert.deepEqual(await advanceCadence(supabase, followUp), { advanced: false, reason: 'enrollment_not_active' });
+  assert.ok(!supabase.queries.some(query => query.table === 'follow_up_queue'));
+});
+
+test('follow-up avulso é ignorado', async () => {
+  const supabase = createFakeSupabase();
+
+  assert.equal(await advanceCadence(supabase, { id: 'f9' }), null);
+  assert.equal(supabase.queries.length, 0);
+});
+
+test('estatísticas por passo vêm agregadas do banco', async () => {
+  const supabase = createFakeSupabase(query => ({
+    data: query.rpc === 'get_cadence_step_stats'
+      ? [{ step_number: 1, delay_minutes: 1440, rule_name: 'D+1', sent: 40, failed: 2, replied: 10, opted_out: 1 }]
+      : [{ status: 'active', total: 5 }, { status: 'stopped', total: 11 }],
+    error: null
+  }));
+
+  const stats = await getCadenceStepStats(supabase, 'c1');
+
+  assert.deepEqual(stats.enrollments, { total: 16, active: 5, completed: 0, stopped: 11 });
+  assert.equal(stats.steps[0].conversionRate, 25);
+  assert.equal(stats.steps[0].failed, 2);
+});
@@ -0,0 +1,71 @@
+/**
+ * Cliente Supabase falso para testes: cada consulta encadeada termina em
+ * respond(query) → { data, error }; todas as consultas ficam em client.queries.
+ * options.unique = { tabela: ['coluna'] } rejeita insert com valor repetido (23505),
+ * como a constraint UNIQUE do banco, sem chamar respond.
+ */
+function createFakeSupabase(respond = () => ({ data: [], error: null }), options = {}) {
+  const queries = [];
+  const uniqueValues = new Map();
+
+  // Constraint UNIQUE: erro se algum valor das colunas únicas já foi inserido
+  const violatesUnique = query => {
+    const columns = query.op === 'insert' ? options.unique?.[query.table] || [] : [];
+    const rows = Array.isArray(query.payload) ? query.payload : [query.payload];
+
+    for (const column of columns) {
+      const key = `${query.table}.${column}`;
+      const seen = uniqueValues.get(key) || new Set();
+      if (rows.some(row => row?.[column] != null && seen.has(row[column]))) {
+        return true;
+      }
+    }
+    for (const column of columns) {
+      const key = `${query.table}.${column}`;
+      const seen = uniqueValues.get(key) || new Set();
+      rows.forEach(row => row?.[column] != null && seen.add(row[column]));
+      uniqueValues.set(key, seen);
+    }
+    return false;
+  };
+
+  const builder = (table, rpc = null, params = null) => {
+    const query = { table, rpc, params, op: 'select', filters: [], payload: null, columns: null, single: false };
+    const chain = {
+      select(columns) { query.columns = columns; return chain; },
+      insert(payload) { query.op = 'insert'; query.payload = payload; return chain; },
+      update(payload) { query.op = 'update'; query.payload = payload; return chain; },
+      upsert(payload) { query.op = 'upsert'; query.payload = payload; return chain; },
+      delete() { query.op = 'delete'; return chain; },
+      single() { query.single = true; return chain; },
+      maybeSingle() { query.single = true; return chain; },
+      then(resolve, reject) {
+        queries.push(query);
+        return Promise.resolve()
+          .then(() => violatesUnique(query)
+            ? { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } }
+            : respond(query) || { data: null, error: null })
+          .then(resolve, reject);
+      }
+    };
+    for (const method of ['eq', 'neq', 'lt', 'lte', 'gt', 'gte', 'in', 'is', 'not', 'or', 'order', 'limit', 'ilike', 'contains', 'range']) {
+      chain[method] = (...args) => { query.filters.push([method, ...args]); return chain; };
+    }
+    return chain;
+  };
+
+  return {
+    queries,
+    from: table => builder(table),
+    rpc: (name, params) => builder(null, name, params)
+  };
+}
+
+/**
+ * Valor do filtro eq de uma coluna (ou undefined)
+ */
+function eqFilter(query, column) {
+  return query.filters.find(([method, col]) => method === 'eq' && col === column)?.[2];
+}
+
+module.exports = { createFakeSupabase, eqFilter };
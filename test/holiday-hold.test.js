@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+const { holdFollowUpsOnHolidays } = require('../followup-processor');
+const { getLocalParts } = require('../business-hours');
+
+const config = {
+  workerId: 'worker-1',
+  holidayCalendarEnabled: true,
+  holidaysFile: null,
+  holidayDefaultAction: 'shift',
+  holidayShiftTime: '09:00',
+  defaultTimezone: 'America/Sao_Paulo',
+  defaultBusinessHours: null,
+  retryBaseDelaySeconds: 60
+};
+
+const followUp = { id: 'f1', company_id: 'company-a', rule_name: 'Reativação', scheduled_at: new Date().toISOString(), metadata: {} };
+
+// Dias fechados da empresa a partir de hoje (fuso da empresa)
+function closedDays(count) {
+  return Array.from({ length: count }, (_, offset) => {
+    const local = getLocalParts(Date.now() + offset * 24 * 60 * 60 * 1000, config.defaultTimezone);
+    const date = `${local.year}-${String(local.month).padStart(2, '0')}-${String(local.day).padStart(2, '0')}`;
+    return { company_id: 'company-a', date, recurring: false, name: 'Recesso', scope: null };
+  });
+}
+
+function holidayQueue(days, queueResponse = { data: [{ id: 'f1' }], error: null }) {
+  return createFakeSupabase(query => {
+    if (query.table === 'holidays') {
+      return { data: closedDays(days), error: null };
+    }
+    if (query.table === 'follow_up_queue') {
+      return queueResponse;
+    }
+    return { data: [], error: null };
+  });
+}
+
+const queueUpdate = supabase => supabase.queries.find(query => query.table === 'follow_up_queue' && query.op === 'update');
+
+test('sem feriado o item segue para envio', async () => {
+  const supabase = holidayQueue(0);
+
+  assert.deepEqual(await holdFollowUpsOnHolidays(supabase, config, [followUp]), [followUp]);
+});
+
+test('feriado desloca o item para o próximo dia útil', async () => {
+  const supabase = holidayQueue(1);
+
+  assert.deepEqual(await holdFollowUpsOnHolidays(supabase, config, [followUp]), []);
+
+  const update = queueUpdate(supabase);
+  assert.equal(update.payload.status, 'pending');
+  assert.ok(new Date(update.payload.scheduled_at).getTime() > Date.now());
+  assert.match(update.payload.metadata.deferred_reason, /^holiday:/);
+});
+
+test('sem dia útil dentro do limite o item é adiado, não cancelado', async () => {
+  const supabase = holidayQueue(20);
+
+  assert.deepEqual(await holdFollowUpsOnHolidays(supabase, config, [followUp]), []);
+
+  const update = queueUpdate(supabase);
+  assert.equal(update.payload.status, 'pending');
+  assert.match(update.payload.metadata.deferred_reason, /^holiday_no_business_slot:/);
+});
+
+test('erro ao gravar o feriado não libera o item para envio', async () => {
+  const supabase = holidayQueue(1, { data: null, error: { message: 'timeout' } });
+
+  assert.deepEqual(await holdFollowUpsOnHolidays(supabase, config, [followUp]), []);
+
+  const updates = supabase.queries.filter(query => query.table === 'follow_up_queue' && query.op === 'update');
+  assert.equal(updates.length, 2);
+  assert.equal(updates[1].payload.metadata.deferred_reason, 'holiday_check_failed');
+});
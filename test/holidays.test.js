@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findHoliday, holidayActionFor, nextBusinessSlot } = require('../holidays');
+
+const calendar = {
+  timezone: 'America/Sao_Paulo',
+  action: 'shift',
+  ruleActions: { 'Promoção': 'skip' },
+  entries: [
+    { easter_offset: -2, name: 'Sexta-feira Santa', scope: 'national' },
+    { date: '04-21', name: 'Tiradentes', scope: 'national' },
+    { date: '2026-11-13', name: 'Recesso', scope: 'company' }
+  ]
+};
+
+const weekdays = [['09:00', '18:00']];
+const businessHours = {
+  timezone: 'America/Sao_Paulo',
+  schedule: { mon: weekdays, tue: weekdays, wed: weekdays, thu: weekdays, fri: weekdays }
+};
+
+test('feriados recorrentes, de data única e relativos à Páscoa', () => {
+  // Páscoa de 2026: 05/04 → Sexta-feira Santa em 03/04
+  assert.equal(findHoliday(calendar, Date.parse('2026-04-03T15:00:00Z'))?.name, 'Sexta-feira Santa');
+  assert.equal(findHoliday(calendar, Date.parse('2027-04-21T15:00:00Z'))?.name, 'Tiradentes');
+  assert.equal(findHoliday(calendar, Date.parse('2026-11-13T15:00:00Z'))?.name, 'Recesso');
+  assert.equal(findHoliday(calendar, Date.parse('2027-11-13T15:00:00Z')), null);
+});
+
+test('o dia do feriado é o do fuso da empresa', () => {
+  // 04/04 02:00 UTC ainda é 03/04 23:00 em São Paulo
+  assert.equal(findHoliday(calendar, Date.parse('2026-04-04T02:00:00Z'))?.name, 'Sexta-feira Santa');
+  assert.equal(findHoliday(calendar, Date.parse('2026-04-03T02:00:00Z')), null);
+});
+
+test('ação por regra sobrepõe a da empresa', () => {
+  assert.equal(holidayActionFor(calendar, 'Promoção'), 'skip');
+  assert.equal(holidayActionFor(calendar, 'Reativação'), 'shift');
+});
+
+test('próximo dia útil respeita o horário comercial e o fim de semana', () => {
+  // Sexta-feira Santa → sábado sem janela → segunda 09:00 local
+  const slot = nextBusinessSlot(calendar, businessHours, { holidayShiftTime: '09:00' }, Date.parse('2026-04-03T13:00:00Z'));
+
+  assert.equal(slot, '2026-04-06T12:00:00.000Z');
+});
+
+test('sem horário comercial usa o horário de deslocamento e pula feriados seguidos', () => {
+  // Segunda 20/04 → 21/04 é Tiradentes → quarta 22/04 08:30 local
+  const slot = nextBusinessSlot(calendar, { timezone: 'America/Sao_Paulo', schedule: null }, { holidayShiftTime: '08:30' }, Date.parse('2026-04-20T15:00:00Z'));
+
+  assert.equal(slot, '2026-04-22T11:30:00.000Z');
+});
+
+test('sem dia útil nas próximas duas semanas retorna null', () => {
+  const closed = {
+    ...calendar,
+    entries: Array.from({ length: 16 }, (_, offset) => ({
+      date: `2026-11-${String(offset + 1).padStart(2, '0')}`,
+      name: 'Recesso',
+      scope: 'company'
+    }))
+  };
+
+  assert.equal(nextBusinessSlot(closed, { timezone: 'America/Sao_Paulo', schedule: null }, { holidayShiftTime: '09:00' }, Date.parse('2026-11-01T15:00:00Z')), null);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDelayBudget, splitMessageChunks } = require('../message-payload');
+const { CHANNEL_ADAPTERS } = require('../channel-adapters');
+
+const humanizeConfig = {
+  leaseSeconds: 20,
+  humanizedChunkMaxChars: 40,
+  humanizedMsPerChar: 1000,
+  humanizedMinDelayMs: 1000,
+  humanizedMaxDelayMs: 8000,
+  humanizedJitterRatio: 0
+};
+
+test('orçamento de pausas não passa de metade do lease', () => {
+  const take = createDelayBudget({ leaseSeconds: 20 });
+  assert.equal(take(6000), 6000);
+  assert.equal(take(6000), 4000);
+  assert.equal(take(6000), 0);
+});
+
+test('pausas da Evolution somadas ficam dentro do lease', () => {
+  const text = 'Primeira frase do texto longo. Segunda frase do texto longo. Terceira frase do texto longo. Quarta frase.';
+  const parts = CHANNEL_ADAPTERS.evolution.buildParts({ phone: '5511999999999' }, { text }, humanizeConfig);
+  const total = parts.reduce((sum, part) => sum + part.body.options.delay, 0);
+
+  assert.ok(parts.length >= 3);
+  assert.equal(total, humanizeConfig.leaseSeconds * 1000 / 2);
+});
+
+test('texto dividido em blocos de até maxChars', () => {
+  const chunks = splitMessageChunks('Oi, tudo bem? Aqui é da clínica.\n\nSeu horário está confirmado para amanhã às 10h.', 40);
+  assert.ok(chunks.every(chunk => chunk.length <= 40));
+  assert.equal(chunks[0], 'Oi, tudo bem? Aqui é da clínica.');
+});
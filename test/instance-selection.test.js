@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase, eqFilter } = require('./helpers/fake-supabase');
+const { getCircuitBreaker, recordFailure } = require('../circuit-breaker');
+const { selectWhatsAppInstance, resolveChannel } = require('../channel-adapters');
+
+const config = { evolutionApiUrl: 'https://evolution.test', evolutionApiKey: 'key' };
+
+// Instâncias conectadas por empresa; queryError simula falha na consulta
+function instanceStore(byCompany, { queryError = null } = {}) {
+  return createFakeSupabase(query => {
+    if (query.table === 'whatsapp_instances') {
+      return queryError
+        ? { data: null, error: queryError }
+        : { data: byCompany[eqFilter(query, 'company_id')] || [], error: null };
+    }
+    return { data: [], error: null };
+  });
+}
+
+test('instância da conversa tem prioridade sobre a padrão da empresa', async () => {
+  const supabase = instanceStore({
+    'company-a': [{ name: 'comercial', is_default: true }, { name: 'suporte', is_default: false }]
+  });
+
+  const preferred = await selectWhatsAppInstance(supabase, 'company-a', 'suporte');
+  assert.deepEqual([preferred.name, preferred.routing], ['suporte', 'conversation']);
+
+  const fallback = await selectWhatsAppInstance(supabase, 'company-a', 'desconectada');
+  assert.deepEqual([fallback.name, fallback.routing], ['comercial', 'company_default']);
+});
+
+test('sem instância padrão as conectadas são usadas em round-robin', async () => {
+  const supabase = instanceStore({
+    'company-rr': [{ name: 'a', is_default: false }, { name: 'b', is_default: false }]
+  });
+
+  const picks = [];
+  for (let i = 0; i < 4; i++) {
+    const instance = await selectWhatsAppInstance(supabase, 'company-rr', null);
+    assert.equal(instance.routing, 'round_robin');
+    picks.push(instance.name);
+  }
+  assert.deepEqual(picks, ['a', 'b', 'a', 'b']);
+});
+
+test('instância com circuito aberto só é usada sem alternativa', async () => {
+  const breaker = getCircuitBreaker('evolution:instabilidade', { failureThreshold: 1, openSeconds: 60 });
+  recordFailure(breaker, 'instance_disconnected: instabilidade');
+
+  const withAlternative = instanceStore({
+    'company-b': [{ name: 'instabilidade', is_default: true }, { name: 'reserva', is_default: false }]
+  });
+  const healthy = await selectWhatsAppInstance(withAlternative, 'company-b', 'instabilidade');
+  assert.equal(healthy.name, 'reserva');
+
+  const onlyOpen = instanceStore({ 'company-c': [{ name: 'instabilidade', is_default: true }] });
+  assert.equal((await selectWhatsAppInstance(onlyOpen, 'company-c', null)).name, 'instabilidade');
+});
+
+test('empresa sem instância conectada cai no sistema interno', async () => {
+  const supabase = instanceStore({});
+
+  assert.equal(await selectWhatsAppInstance(supabase, 'company-d', null), null);
+
+  const channel = await resolveChannel(supabase, config, { companyId: 'company-d', contact: { phone: '5511999999999' } });
+  assert.equal(channel.type, 'internal');
+});
+
+test('erro na consulta de instâncias é transitório e não cai no sistema interno', async () => {
+  const supabase = instanceStore({}, { queryError: { message: 'connection refused' } });
+
+  await assert.rejects(
+    selectWhatsAppInstance(supabase, 'company-e', null),
+    error => error.failureCode === 'database_unavailable' && error.permanent === false
+  );
+  await assert.rejects(
+    resolveChannel(supabase, config, { companyId: 'company-e', contact: { phone: '5511999999999' } }),
+    error => error.failureCode === 'database_unavailable'
+  );
+});
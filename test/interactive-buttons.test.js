@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { CHANNEL_ADAPTERS } = require('../channel-adapters');
+
+const config = { evolutionApiUrl: 'http://evolution', evolutionApiKey: 'k' };
+const channel = { type: 'evolution', instanceName: 'comercial', config: { buttons_enabled: true } };
+const payload = {
+  text: 'Sua consulta é amanhã às 10h.',
+  interactive: {
+    prompt: 'Responda com o número da opção:',
+    buttons: [
+      { id: 'appt:r1:confirm', title: 'Confirmar' },
+      { id: 'appt:r1:cancel', title: 'Cancelar' }
+    ]
+  }
+};
+
+test('botões da Evolution usam o prompt do payload interativo como título', async t => {
+  const posted = [];
+  t.mock.method(axios, 'post', async (url, body) => {
+    posted.push({ url, body });
+    return { data: { key: { id: 'm1' } } };
+  });
+
+  await CHANNEL_ADAPTERS.evolution.send(channel, { phone: '5511999999999' }, payload, {}, config);
+
+  assert.equal(posted.length, 1);
+  assert.equal(posted[0].url, 'http://evolution/message/sendButtons/comercial');
+  assert.deepEqual(posted[0].body.buttonMessage, {
+    title: 'Responda com o número da opção:',
+    description: 'Sua consulta é amanhã às 10h.',
+    footerText: '',
+    buttons: [
+      { buttonId: 'appt:r1:confirm', buttonText: { displayText: 'Confirmar' } },
+      { buttonId: 'appt:r1:cancel', buttonText: { displayText: 'Cancelar' } }
+    ]
+  });
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase, eqFilter } = require('./helpers/fake-supabase');
+const { acknowledgeInternalMessage, reconcileAwaitingDeliveries } = require('../internal-queue');
+
+const config = { internalQueueMaxAttempts: 5, retryBaseDelaySeconds: 60, retryMaxDelaySeconds: 3600, retryBackoffFactor: 2, retryJitterRatio: 0 };
+
+const dispatched = {
+  id: 'm1',
+  idempotency_key: 'follow_up_queue:f1:r0:a1',
+  queue_table: 'follow_up_queue',
+  queue_item_id: 'f1',
+  attempts: 0
+};
+
+function queueWith(item) {
+  return createFakeSupabase(query => {
+    if (query.table === 'internal_message_queue' && query.op === 'select') {
+      return { data: [dispatched], error: null };
+    }
+    if (query.table === 'follow_up_queue' && query.op === 'select') {
+      return { data: [item], error: null };
+    }
+    if (query.table === 'follow_up_queue' && query.op === 'update') {
+      return { data: [{ id: 'f1' }], error: null };
+    }
+    return { data: [], error: null };
+  });
+}
+
+const sourceFinalized = supabase => supabase.queries.some(query =>
+  query.table === 'internal_message_queue' && query.op === 'update' && query.payload.source_finalized_at);
+
+test('ack antes do awaiting_delivery não finaliza e fica para a varredura', async () => {
+  const supabase = queueWith({ status: 'processing', metadata: {} });
+
+  const ack = await acknowledgeInternalMessage(supabase, config, 'm1', 'worker-1', { delivered: true, externalId: 'x1' });
+
+  assert.equal(ack.status, 'delivered');
+  assert.ok(!supabase.queries.some(query => query.table === 'follow_up_queue' && query.op === 'update'));
+  assert.equal(sourceFinalized(supabase), false);
+});
+
+test('item aguardando entrega é finalizado pelo id', async () => {
+  const supabase = queueWith({ status: 'awaiting_delivery', metadata: {} });
+
+  await acknowledgeInternalMessage(supabase, config, 'm1', 'worker-1', { delivered: true });
+  const finalize = supabase.queries.find(query => query.table === 'follow_up_queue' && query.op === 'update');
+
+  assert.equal(finalize.payload.status, 'sent');
+  assert.equal(eqFilter(finalize, 'id'), 'f1');
+  assert.equal(sourceFinalized(supabase), true);
+});
+
+test('entrega de geração anterior não finaliza o replay', async () => {
+  const supabase = queueWith({ status: 'awaiting_delivery', metadata: { replays: [{ at: '2026-10-18T10:00:00.000Z' }] } });
+
+  await acknowledgeInternalMessage(supabase, config, 'm1', 'worker-1', { delivered: true });
+
+  assert.ok(!supabase.queries.some(query => query.table === 'follow_up_queue' && query.op === 'update'));
+  assert.equal(sourceFinalized(supabase), true);
+});
+
+test('varredura finaliza falha com o código gravado na mensagem', async () => {
+  const supabase = createFakeSupabase(query => {
+    if (query.table === 'internal_message_queue' && query.op === 'select') {
+      return { data: [{ ...dispatched, status: 'failed', failure_code: 'channel_rejected', error: 'recusada' }], error: null };
+    }
+    if (query.table === 'follow_up_queue' && query.op === 'select') {
+      return { data: [{ status: 'awaiting_delivery', metadata: null }], error: null };
+    }
+    if (query.table === 'follow_up_queue' && query.op === 'update') {
+      return { data: [{ id: 'f1' }], error: null };
+    }
+    return { data: [], error: null };
+  });
+
+  assert.equal(await reconcileAwaitingDeliveries(supabase, 50), 1);
+
+  const finalize = supabase.queries.find(query => query.table === 'follow_up_queue' && query.op === 'update');
+  assert.equal(finalize.payload.status, 'failed');
+  assert.equal(finalize.payload.failure_code, 'channel_rejected');
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_OPT_OUT_KEYWORDS, detectOptOutKeyword } = require('../opt-out');
+
+const detect = text => detectOptOutKeyword(text, DEFAULT_OPT_OUT_KEYWORDS);
+
+test('mensagem só com a palavra-chave é opt-out (sem acento, caixa ou pontuação)', () => {
+  assert.deepEqual(detect('PARE'), { keyword: 'pare', language: 'pt' });
+  assert.deepEqual(detect('Não quero mais!'), { keyword: 'nao quero mais', language: 'pt' });
+  assert.deepEqual(detect('stop'), { keyword: 'stop', language: 'en' });
+  assert.deepEqual(detect('darme de baja'), { keyword: 'darme de baja', language: 'es' });
+});
+
+test('palavra-chave no início de mensagem curta é opt-out', () => {
+  assert.deepEqual(detect('Pare por favor'), { keyword: 'pare', language: 'pt' });
+  assert.deepEqual(detect('STOP please'), { keyword: 'stop', language: 'en' });
+});
+
+test('palavra-chave no meio da conversa não é opt-out', () => {
+  assert.equal(detect('nao pare'), null);
+  assert.equal(detect('vou sair agora'), null);
+  assert.equal(detect('quero sair'), null);
+  assert.equal(detect('Não quero mais o horário das 10h'), null);
+});
+
+test('mensagem longa começando com a palavra-chave não é opt-out', () => {
+  assert.equal(detect('sair do trabalho às 18h hoje'), null);
+});
+
+test('"cancelar" fica para as respostas dos lembretes', () => {
+  assert.equal(detect('Cancelar'), null);
+});
+
+test('mensagem vazia ou sem texto', () => {
+  assert.equal(detect(''), null);
+  assert.equal(detect(null), null);
+  assert.equal(detect('👍'), null);
+});
+
+test('palavras-chave configuradas por idioma', () => {
+  assert.deepEqual(detectOptOutKeyword('Arrête', { fr: ['arrete'] }), { keyword: 'arrete', language: 'fr' });
+  assert.equal(detectOptOutKeyword('stop', { fr: ['arrete'] }), null);
+});
+
+test('opt-out de remetente sem empresa identificada é ignorado', async () => {
+  const { createFakeSupabase } = require('./helpers/fake-supabase');
+  const { handleOptOutMessage } = require('../opt-out');
+  const supabase = createFakeSupabase(() => ({ data: [], error: null }));
+  let sent = 0;
+
+  const result = await handleOptOutMessage(
+    supabase,
+    { optOutKeywords: DEFAULT_OPT_OUT_KEYWORDS, optOutConfirmations: { pt: 'ok' } },
+    { kind: 'message', provider: 'evolution', sender: 'instancia-desconhecida', from: '5511999999999', text: 'pare' },
+    async () => { sent++; return { success: true }; }
+  );
+
+  assert.equal(result, null);
+  assert.equal(sent, 0);
+  assert.ok(supabase.queries.every(query => query.op === 'select'), 'nenhuma escrita sem empresa');
+  assert.equal(supabase.queries[0].filters[0][1], 'name');
+});
+
+test('opt-out grava a supressão na empresa da instância e confirma uma vez', async () => {
+  const { createFakeSupabase } = require('./helpers/fake-supabase');
+  const { handleOptOutMessage } = require('../opt-out');
+  const suppressions = [];
+  const supabase = createFakeSupabase(query => {
+    if (query.table === 'whatsapp_instances') return { data: [{ company_id: 'co1' }], error: null };
+    if (query.table === 'contact_suppressions' && query.op === 'select') return { data: suppressions, error: null };
+    if (query.table === 'contact_suppressions' && query.op === 'insert') {
+      suppressions.push({ id: 's1', ...query.payload });
+      return { data: suppressions[0], error: null };
+    }
+    return { data: [], error: null };
+  });
+  const sent = [];
+  const send = async (channel, recipient, payload) => { sent.push(payload.text); return { success: true }; };
+  const config = { optOutKeywords: DEFAULT_OPT_OUT_KEYWORDS, optOutConfirmations: { pt: 'ok pt', en: 'ok en' } };
+  const event = { kind: 'message', provider: 'evolution', sender: 'inst', from: '5511999999999', text: 'STOP', externalId: 'e1' };
+
+  const first = await handleOptOutMessage(supabase, config, event, send);
+  const second = await handleOptOutMessage(supabase, config, event, send);
+
+  assert.equal(suppressions[0].company_id, 'co1');
+  assert.equal(first.created, true);
+  assert.equal(second.created, false);
+  assert.deepEqual(sent, ['ok en']);
+});
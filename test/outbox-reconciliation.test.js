@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase, eqFilter } = require('./helpers/fake-supabase');
+const { reconcileOutbox } = require('../outbox');
+const { finalizeOutboxFollowUp } = require('../followup-processor');
+const { finalizeOutboxReminder } = require('../appointment-reminders-processor');
+
+const config = { leaseSeconds: 300 };
+const finalizers = {
+  follow_up_queue: finalizeOutboxFollowUp,
+  appointment_reminder_queue: finalizeOutboxReminder
+};
+const sentAt = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+const followUp = {
+  id: 'f1',
+  agent_id: 'agent-1',
+  conversation_id: 'conv-1',
+  contact_id: 'contact-1',
+  company_id: 'company-a',
+  rule_name: 'Sem resposta 24h',
+  max_attempts: 3,
+  cadence_enrollment_id: 'enr-1',
+  cadence_step: 1,
+  ai_generated_message: 'Olá! Podemos continuar?'
+};
+
+const reminder = {
+  id: 'r1',
+  appointment_id: 'a1',
+  agent_id: 'agent-1',
+  company_id: 'company-a',
+  rule_name: '1 dia antes',
+  ai_generated_message: 'Lembrete da sua consulta amanhã',
+  appointment: { start_time: '2026-10-20T13:00:00.000Z' }
+};
+
+// Outbox com envios 'sent' sem finalized_at; existingMessage = mensagem já registrada para o envio
+function reconcileStore(outboxRows, { existingMessage = null } = {}) {
+  return createFakeSupabase(query => {
+    if (query.table === 'message_outbox' && query.op === 'select') {
+      return { data: outboxRows, error: null };
+    }
+    if (query.table === 'follow_up_queue' && query.op === 'select') {
+      return { data: followUp, error: null };
+    }
+    if (query.table === 'appointment_reminder_queue' && query.op === 'select') {
+      return { data: reminder, error: null };
+    }
+    if (query.table === 'messages' && query.op === 'select') {
+      return { data: existingMessage ? [existingMessage] : [], error: null };
+    }
+    if (query.table === 'messages' && query.op === 'insert') {
+      return { data: { id: 'msg-1' }, error: null };
+    }
+    return { data: [], error: null };
+  });
+}
+
+const followUpRow = {
+  id: 'o1',
+  queue_table: 'follow_up_queue',
+  queue_item_id: 'f1',
+  instance_name: 'comercial',
+  recipient: '5511999999999',
+  provider_message_id: 'wamid-1',
+  payload: { channel: 'evolution', text: 'Olá! Podemos continuar?', media: [] },
+  sent_at: sentAt
+};
+
+test('follow-up enviado antes da queda ganha mensagem, log e próximo passo da cadência', async () => {
+  const supabase = reconcileStore([followUpRow]);
+
+  const summary = await reconcileOutbox(supabase, config, finalizers);
+  assert.deepEqual(summary, { sentReconciled: 1, unknownMarked: 0, errors: 0 });
+
+  const outboxFetch = supabase.queries.find(query => query.table === 'message_outbox' && query.op === 'select');
+  assert.ok(outboxFetch.filters.some(([method, column]) => method === 'lt' && column === 'sent_at'));
+
+  const queueUpdate = supabase.queries.find(query => query.table === 'follow_up_queue' && query.op === 'update');
+  assert.equal(queueUpdate.payload.status, 'sent');
+
+  const message = supabase.queries.find(query => query.table === 'messages' && query.op === 'insert');
+  assert.equal(message.payload.external_id, 'wamid-1');
+  assert.equal(message.payload.conversation_id, 'conv-1');
+  assert.equal(message.payload.content, 'Olá! Podemos continuar?');
+  assert.equal(message.payload.metadata.outbox_id, 'o1');
+  assert.equal(message.payload.metadata.instance_name, 'comercial');
+
+  const log = supabase.queries.find(query => query.table === 'follow_up_logs' && query.op === 'insert');
+  assert.equal(log.payload.success, true);
+  assert.equal(log.payload.external_message_id, 'wamid-1');
+  assert.equal(log.payload.delivery_status, 'sent');
+
+  const cadence = supabase.queries.find(query => query.table === 'follow_up_cadence_enrollments' && query.op === 'update');
+  assert.equal(eqFilter(cadence, 'id'), 'enr-1');
+
+  const finalized = supabase.queries.find(query => query.table === 'message_outbox' && query.op === 'update');
+  assert.equal(eqFilter(finalized, 'id'), 'o1');
+  assert.ok(finalized.payload.finalized_at);
+});
+
+test('mensagem já registrada para o envio não é inserida de novo', async () => {
+  const supabase = reconcileStore([followUpRow], { existingMessage: { id: 'msg-0' } });
+
+  await reconcileOutbox(supabase, config, finalizers);
+
+  assert.equal(supabase.queries.filter(query => query.table === 'messages' && query.op === 'insert').length, 0);
+  assert.ok(supabase.queries.some(query => query.table === 'follow_up_logs' && query.op === 'insert'));
+});
+
+test('lembrete com botões enviado antes da queda volta a aguardar a resposta', async () => {
+  const supabase = reconcileStore([{
+    id: 'o2',
+    queue_table: 'appointment_reminder_queue',
+    queue_item_id: 'r1',
+    instance_name: 'comercial',
+    recipient: '5511999999999',
+    provider_message_id: 'wamid-2',
+    payload: { channel: 'evolution', text: 'Lembrete da sua consulta amanhã', interactive: { prompt: 'Responda:', buttons: [] } },
+    sent_at: sentAt
+  }]);
+
+  const summary = await reconcileOutbox(supabase, config, finalizers);
+  assert.equal(summary.sentReconciled, 1);
+
+  const interaction = supabase.queries.find(query => query.table === 'appointment_reminder_interactions');
+  assert.equal(interaction.payload.reminder_queue_id, 'r1');
+  assert.equal(interaction.payload.instance_name, 'comercial');
+  assert.equal(interaction.payload.expires_at, '2026-10-20T13:00:00.000Z');
+
+  const log = supabase.queries.find(query => query.table === 'appointment_reminder_logs' && query.op === 'insert');
+  assert.equal(log.payload.success, true);
+  assert.equal(log.payload.reminder_sent, true);
+});
+
+test('falha na finalização mantém o registro para a próxima reconciliação', async () => {
+  const supabase = createFakeSupabase(query => {
+    if (query.table === 'message_outbox' && query.op === 'select') {
+      return { data: [followUpRow], error: null };
+    }
+    if (query.table === 'follow_up_queue' && query.op === 'select') {
+      return { data: null, error: { message: 'connection refused' } };
+    }
+    return { data: [], error: null };
+  });
+
+  const summary = await reconcileOutbox(supabase, config, finalizers);
+
+  assert.deepEqual(summary, { sentReconciled: 0, unknownMarked: 0, errors: 1 });
+  assert.equal(supabase.queries.filter(query => query.table === 'message_outbox' && query.op === 'update' && query.payload.finalized_at).length, 0);
+});
@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { createFakeSupabase, eqFilter } = require('./helpers/fake-supabase');
+const { sendWithOutbox } = require('../outbox');
+const { CHANNEL_ADAPTERS } = require('../channel-adapters');
+
+/**
+ * Tabela message_outbox (idempotency_key única) e item de fila em memória
+ */
+function createOutboxStore({ leaseHeld = () => true } = {}) {
+  const rows = [];
+  const matches = (row, query) => query.filters.every(([method, column, value]) =>
+    method === 'eq' ? row[column] === value : method === 'in' ? value.includes(row[column]) : true
+  );
+  const supabase = createFakeSupabase(query => {
+    if (query.table === 'message_outbox' && query.op === 'select') {
+      return { data: rows.filter(row => matches(row, query)).reverse().slice(0, 1), error: null };
+    }
+    if (query.table === 'message_outbox' && query.op === 'insert') {
+      const row = { id: `o${rows.length}`, ...query.payload, parts_sent: { ...query.payload.parts_sent } };
+      rows.push(row);
+      return { data: { id: row.id }, error: null };
+    }
+    if (query.table === 'message_outbox' && query.op === 'update') {
+      const updated = rows.filter(row => matches(row, query));
+      updated.forEach(row => Object.assign(row, query.payload));
+      return { data: updated.map(row => ({ id: row.id })), error: null };
+    }
+    if (query.table === 'follow_up_queue' && query.op === 'update') {
+      return { data: leaseHeld() ? [{ status: 'processing', attempts: 0 }] : [], error: null };
+    }
+    return { data: [], error: null };
+  }, { unique: { message_outbox: ['idempotency_key'] } });
+  return { rows, supabase };
+}
+
+const config = { evolutionApiUrl: 'http://evolution', evolutionApiKey: 'k', workerId: 'w1', leaseSeconds: 300 };
+const channel = { type: 'evolution', instanceName: 'inst', config: {} };
+const payload = {
+  text: 'Olá!',
+  media: [
+    { type: 'image', url: 'https://x/1.png' },
+    { type: 'document', url: 'https://x/2.pdf', fileName: '2.pdf' }
+  ]
+};
+
+function sendAttempt(supabase, attempt) {
+  return sendWithOutbox(
+    supabase,
+    { queueTable: 'follow_up_queue', queueItemId: 'f1', attempt, metadata: {}, workerId: 'w1', leaseConfig: config },
+    async (idempotencyKey, partProgress) => {
+      try {
+        const result = await CHANNEL_ADAPTERS.evolution.send(channel, { phone: '5511999999999' }, payload,
+          { idempotencyKey, ...partProgress }, config);
+        return { success: true, messageId: result.messageId, messageIds: result.messageIds };
+      } catch (error) {
+        return { success: false, error: error.message, classification: { code: error.failureCode || 'network_error', permanent: false } };
+      }
+    }
+  );
+}
+
+test('envio em partes que falha no meio continua da primeira parte não enviada', async t => {
+  const posted = [];
+  let failOn = 'sendMedia';
+  t.mock.method(axios, 'post', async url => {
+    if (failOn && url.includes(failOn) && posted.filter(u => u.includes(failOn)).length === 1) {
+      posted.push(`${url} (falhou)`);
+      throw new Error('socket hang up');
+    }
+    posted.push(url);
+    return { data: { key: { id: `m${posted.length}` } } };
+  });
+
+  const { rows, supabase } = createOutboxStore();
+
+  const first = await sendAttempt(supabase, 1);
+  assert.equal(first.success, false);
+  assert.deepEqual(Object.keys(rows[0].parts_sent), ['0', '1']);
+
+  failOn = null;
+  const second = await sendAttempt(supabase, 2);
+  assert.equal(second.success, true);
+  assert.deepEqual(second.messageIds, ['m1', 'm2', 'm4']);
+
+  // Texto e primeira mídia foram enviados uma única vez
+  assert.equal(posted.filter(url => url.includes('sendText')).length, 1);
+  assert.equal(posted.filter(url => url.endsWith('sendMedia/inst')).length, 2);
+  assert.equal(rows[1].status, 'sent');
+  assert.deepEqual(Object.keys(rows[1].parts_sent), ['0', '1', '2']);
+});
+
+test('lease perdido entre partes interrompe o envio', async t => {
+  const posted = [];
+  t.mock.method(axios, 'post', async url => {
+    posted.push(url);
+    return { data: { key: { id: `m${posted.length}` } } };
+  });
+
+  const { rows, supabase } = createOutboxStore({ leaseHeld: () => false });
+  const result = await sendAttempt(supabase, 1);
+
+  assert.equal(result.success, false);
+  assert.equal(result.classification.code, 'lease_lost');
+  assert.equal(posted.length, 1);
+  assert.deepEqual(rows[0].parts_sent, { 0: 'm1' });
+});
+
+test('item já enviado não é reenviado', async t => {
+  const post = t.mock.method(axios, 'post', async () => ({ data: { key: { id: 'm1' } } }));
+  const { supabase } = createOutboxStore();
+
+  await sendAttempt(supabase, 1);
+  const again = await sendAttempt(supabase, 2);
+
+  assert.equal(again.deduplicated, true);
+  assert.equal(post.mock.callCount(), 3);
+});
+
+test('nova tentativa com o mesmo attempt (adiamento) reabre o registro e continua das partes enviadas', async t => {
+  const posted = [];
+  let failOn = 'sendMedia';
+  t.mock.method(axios, 'post', async url => {
+    if (failOn && url.includes(failOn)) {
+      posted.push(`${url} (falhou)`);
+      throw new Error('socket hang up');
+    }
+    posted.push(url);
+    return { data: { key: { id: `m${posted.length}` } } };
+  });
+
+  const { rows, supabase } = createOutboxStore();
+
+  // Falha transitória/circuito aberto: o item é adiado sem consumir attempts
+  const first = await sendAttempt(supabase, 1);
+  assert.equal(first.success, false);
+  assert.equal(rows[0].status, 'failed');
+
+  failOn = null;
+  const second = await sendAttempt(supabase, 1);
+  assert.equal(second.success, true);
+  assert.equal(second.idempotencyKey, first.idempotencyKey);
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].status, 'sent');
+  assert.equal(posted.filter(url => url.includes('sendText')).length, 1);
+});
+
+test('sendFn que lança erro não deixa o registro em sending', async () => {
+  const { rows, supabase } = createOutboxStore();
+
+  const result = await sendWithOutbox(
+    supabase,
+    { queueTable: 'follow_up_queue', queueItemId: 'f1', attempt: 1, metadata: {}, workerId: 'w1' },
+    async () => { throw new Error('falha inesperada'); }
+  );
+
+  assert.equal(result.success, false);
+  assert.equal(rows[0].status, 'failed');
+});
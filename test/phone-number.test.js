@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePhoneNumber, PHONE_INVALID_REASONS } = require('../phone-number');
+
+test('número brasileiro com pontuação vira E.164', () => {
+  const mobile = normalizePhoneNumber('(11) 98765-4321');
+  assert.equal(mobile.valid, true);
+  assert.equal(mobile.e164, '+5511987654321');
+  assert.equal(mobile.digits, '5511987654321');
+  assert.equal(mobile.mobile, true);
+
+  const landline = normalizePhoneNumber('+55 11 3456-7890');
+  assert.equal(landline.e164, '+551134567890');
+  assert.equal(landline.mobile, false);
+});
+
+test('celular com 8 dígitos ganha o nono dígito', () => {
+  assert.equal(normalizePhoneNumber('11 8765-4321').e164, '+5511987654321');
+});
+
+test('DDI sem "+", JID do WhatsApp e prefixos de longa distância', () => {
+  assert.equal(normalizePhoneNumber('5511987654321').e164, '+5511987654321');
+  assert.equal(normalizePhoneNumber('5511987654321@s.whatsapp.net').e164, '+5511987654321');
+  assert.equal(normalizePhoneNumber('011 98765-4321').e164, '+5511987654321');
+  assert.equal(normalizePhoneNumber('0 15 11 98765-4321').e164, '+5511987654321');
+});
+
+test('internacional com "+" ou "00" é aceito sem regras locais', () => {
+  const us = normalizePhoneNumber('+1 415 555 2671');
+  assert.equal(us.e164, '+14155552671');
+  assert.equal(us.mobile, null);
+
+  assert.equal(normalizePhoneNumber('00 44 20 7946 0958').e164, '+442079460958');
+});
+
+test('números inválidos informam o motivo', () => {
+  const cases = [
+    ['', PHONE_INVALID_REASONS.MISSING],
+    [null, PHONE_INVALID_REASONS.MISSING],
+    ['98765-4321', PHONE_INVALID_REASONS.TOO_SHORT],
+    ['123456789012', PHONE_INVALID_REASONS.TOO_LONG],
+    ['(20) 98765-4321', PHONE_INVALID_REASONS.INVALID_AREA_CODE],
+    ['11 1234-5678', PHONE_INVALID_REASONS.INVALID_SUBSCRIBER],
+    ['+1 23', PHONE_INVALID_REASONS.INVALID_INTERNATIONAL]
+  ];
+
+  for (const [value, reason] of cases) {
+    const result = normalizePhoneNumber(value);
+    assert.equal(result.valid, false, String(value));
+    assert.equal(result.e164, null);
+    assert.equal(result.reason, reason, String(value));
+  }
+});
@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createKeyedLimiter, runProcessingPool, createSingleFlight } = require('../processing-pool');
+
+// Handler que registra o pico de execuções simultâneas (total e por chave)
+function trackConcurrency(keyOf = () => null) {
+  const tracker = { active: 0, peak: 0, activeByKey: new Map(), peakByKey: new Map() };
+
+  tracker.handler = async item => {
+    const key = keyOf(item);
+    tracker.active++;
+    tracker.peak = Math.max(tracker.peak, tracker.active);
+    tracker.activeByKey.set(key, (tracker.activeByKey.get(key) || 0) + 1);
+    tracker.peakByKey.set(key, Math.max(tracker.peakByKey.get(key) || 0, tracker.activeByKey.get(key)));
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    tracker.active--;
+    tracker.activeByKey.set(key, tracker.activeByKey.get(key) - 1);
+    return { success: true };
+  };
+
+  return tracker;
+}
+
+const items = [
+  { id: 1, company_id: 'a', conversation_id: 'c1' },
+  { id: 2, company_id: 'a', conversation_id: 'c1' },
+  { id: 3, company_id: 'a', conversation_id: 'c2' },
+  { id: 4, company_id: 'b', conversation_id: 'c3' },
+  { id: 5, company_id: 'b', conversation_id: 'c4' },
+  { id: 6, company_id: 'c', conversation_id: 'c5' }
+];
+
+test('pool respeita a concorrência total e processa todos os itens', async () => {
+  const tracker = trackConcurrency();
+
+  const { results, notStarted } = await runProcessingPool(items, tracker.handler, { concurrency: 3 });
+
+  assert.equal(tracker.peak, 3);
+  assert.equal(results.length, items.length);
+  assert.deepEqual(notStarted, []);
+});
+
+test('limite por empresa não bloqueia itens de outras empresas', async () => {
+  const tracker = trackConcurrency(item => item.company_id);
+  const started = [];
+
+  await runProcessingPool(items, item => {
+    started.push(item.id);
+    return tracker.handler(item);
+  }, {
+    concurrency: 4,
+    limits: [{ name: 'company', key: item => item.company_id, max: 1 }]
+  });
+
+  assert.ok([...tracker.peakByKey.values()].every(peak => peak === 1));
+  // Os primeiros a começar são um de cada empresa, não os três da empresa A
+  assert.deepEqual(started.slice(0, 3), [1, 4, 6]);
+});
+
+test('mesma conversa nunca é processada em paralelo', async () => {
+  const tracker = trackConcurrency(item => item.conversation_id);
+
+  await runProcessingPool(items, tracker.handler, {
+    concurrency: 6,
+    limits: [{ name: 'conversation', key: item => item.conversation_id, max: 1 }]
+  });
+
+  assert.equal(tracker.peakByKey.get('c1'), 1);
+  assert.equal(tracker.peak, 5);
+});
+
+test('erro no handler vira resultado com falha sem parar o pool', async () => {
+  const { results } = await runProcessingPool(items.slice(0, 3), async item => {
+    if (item.id === 2) {
+      throw new Error('falha inesperada');
+    }
+    return { success: true };
+  }, { concurrency: 2 });
+
+  const failed = results.find(entry => entry.item.id === 2);
+  assert.deepEqual(failed.result, { success: false, error: 'falha inesperada' });
+  assert.equal(results.filter(entry => entry.result.success).length, 2);
+});
+
+test('limitador por chave enfileira além do limite e libera na ordem', async () => {
+  const limiter = createKeyedLimiter(1);
+  const order = [];
+  let release;
+  const first = limiter.run('evolution:comercial', () => new Promise(resolve => {
+    order.push('primeiro');
+    release = resolve;
+  }));
+  const second = limiter.run('evolution:comercial', async () => order.push('segundo'));
+  const other = limiter.run('evolution:suporte', async () => order.push('outra instância'));
+
+  await other;
+  assert.deepEqual(order, ['primeiro', 'outra instância']);
+  assert.equal(limiter.active('evolution:comercial'), 1);
+
+  release();
+  await Promise.all([first, second]);
+  assert.deepEqual(order, ['primeiro', 'outra instância', 'segundo']);
+  assert.equal(limiter.active('evolution:comercial'), 0);
+});
+
+test('tick com ciclo em andamento não inicia outro ciclo', async () => {
+  let cycles = 0;
+  let skipped = 0;
+  let finishCycle;
+  const cycle = createSingleFlight(() => {
+    cycles++;
+    return new Promise(resolve => { finishCycle = resolve; });
+  }, { onSkip: () => skipped++ });
+
+  const first = cycle.run();
+  const overlapping = cycle.run();
+  assert.equal(overlapping, first);
+  assert.ok(cycle.current());
+
+  await new Promise(setImmediate);
+  finishCycle();
+  await first;
+
+  assert.deepEqual([cycles, skipped], [1, 1]);
+  assert.equal(cycle.current(), null);
+
+  const next = cycle.run();
+  await new Promise(setImmediate);
+  finishCycle();
+  await next;
+  assert.equal(cycles, 2);
+});
+
+test('ciclo que falha libera o próximo tick', async () => {
+  const cycle = createSingleFlight(async () => { throw new Error('banco indisponível'); });
+
+  await assert.rejects(cycle.run(), /banco indisponível/);
+  assert.equal(cycle.current(), null);
+});
+
+test('drain termina os itens em andamento e devolve os que não começaram', async () => {
+  let stopping = false;
+  const finished = [];
+
+  const { results, notStarted } = await runProcessingPool(items, async item => {
+    // Shutdown chega enquanto o primeiro lote está em andamento
+    stopping = true;
+    await new Promise(resolve => setTimeout(resolve, 5));
+    finished.push(item.id);
+    return { success: true };
+  }, { concurrency: 2, shouldStop: () => stopping });
+
+  assert.deepEqual(finished.sort(), [1, 2]);
+  assert.equal(results.length, 2);
+  assert.deepEqual(notStarted.map(item => item.id), [3, 4, 5, 6]);
+});
+
+test('shutdown antes do início não processa nada', async () => {
+  let calls = 0;
+
+  const { results, notStarted } = await runProcessingPool(items, async () => { calls++; }, {
+    concurrency: 2,
+    shouldStop: () => true
+  });
+
+  assert.equal(calls, 0);
+  assert.deepEqual(results, []);
+  assert.equal(notStarted.length, items.length);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+const { claimQueueItems, renewLease, reclaimExpiredLeases, releaseQueueItems } = require('../queue-lease');
+
+const workerA = { workerId: 'worker-a', leaseSeconds: 300 };
+const workerB = { workerId: 'worker-b', leaseSeconds: 300 };
+
+/**
+ * Fila em memória com UPDATE condicional (eq / in / lt), como no banco:
+ * réplicas diferentes compartilham as mesmas linhas
+ */
+function createQueueTable(rows) {
+  const matches = (row, query) => query.filters.every(([method, column, value]) => {
+    if (method === 'eq') return row[column] === value;
+    if (method === 'in') return value.includes(row[column]);
+    if (method === 'lt') return row[column] !== null && row[column] < value;
+    return true;
+  });
+
+  const supabase = createFakeSupabase(query => {
+    if (query.op !== 'update') {
+      return { data: [], error: null };
+    }
+    const updated = rows.filter(row => matches(row, query));
+    updated.forEach(row => Object.assign(row, query.payload));
+    return { data: updated.map(row => ({ ...row })), error: null };
+  });
+
+  return { rows, supabase };
+}
+
+const pendingRows = () => [
+  { id: 'f1', status: 'pending', attempts: 0, metadata: {}, locked_by: null, lease_expires_at: null },
+  { id: 'f2', status: 'pending', attempts: 0, metadata: {}, locked_by: null, lease_expires_at: null },
+  { id: 'f3', status: 'sent', attempts: 1, metadata: {}, locked_by: null, lease_expires_at: null }
+];
+
+test('cada item é reservado por uma única réplica', async () => {
+  const { rows, supabase } = createQueueTable(pendingRows());
+  const candidates = rows.map(row => ({ id: row.id }));
+
+  const claimedByA = await claimQueueItems(supabase, 'follow_up_queue', candidates, workerA);
+  const claimedByB = await claimQueueItems(supabase, 'follow_up_queue', candidates, workerB);
+
+  assert.deepEqual(claimedByA.map(item => item.id), ['f1', 'f2']);
+  assert.deepEqual(claimedByB, []);
+  assert.ok(claimedByA.every(item => item.locked_by === 'worker-a' && item.lease_expires_at));
+  assert.equal(rows[2].status, 'sent');
+});
+
+test('lease renovado só pelo dono; perdido retorna null', async () => {
+  const { supabase } = createQueueTable(pendingRows());
+  await claimQueueItems(supabase, 'follow_up_queue', [{ id: 'f1' }], workerA);
+
+  const current = await renewLease(supabase, 'follow_up_queue', 'f1', workerA);
+  assert.equal(current.status, 'processing');
+  assert.equal(current.attempts, 0);
+
+  assert.equal(await renewLease(supabase, 'follow_up_queue', 'f1', workerB), null);
+});
+
+test('lease expirado volta para a fila e pode ser assumido por outra réplica', async () => {
+  const { rows, supabase } = createQueueTable(pendingRows());
+  await claimQueueItems(supabase, 'follow_up_queue', [{ id: 'f1' }, { id: 'f2' }], workerA);
+  rows[0].lease_expires_at = new Date(Date.now() - 1000).toISOString();
+
+  assert.equal(await reclaimExpiredLeases(supabase, 'follow_up_queue'), 1);
+  assert.deepEqual([rows[0].status, rows[0].locked_by], ['pending', null]);
+  assert.equal(rows[1].status, 'processing');
+
+  const claimedByB = await claimQueueItems(supabase, 'follow_up_queue', [{ id: 'f1' }], workerB);
+  assert.deepEqual(claimedByB.map(item => item.id), ['f1']);
+  assert.equal(await renewLease(supabase, 'follow_up_queue', 'f1', workerA), null);
+});
+
+test('itens não processados são devolvidos só pela réplica que os reservou', async () => {
+  const { rows, supabase } = createQueueTable(pendingRows());
+  await claimQueueItems(supabase, 'follow_up_queue', [{ id: 'f1' }], workerA);
+
+  assert.equal(await releaseQueueItems(supabase, 'follow_up_queue', ['f1'], workerB), 0);
+  assert.equal(rows[0].status, 'processing');
+
+  assert.equal(await releaseQueueItems(supabase, 'follow_up_queue', ['f1'], workerA), 1);
+  assert.deepEqual([rows[0].status, rows[0].locked_by, rows[0].lease_expires_at], ['pending', null, null]);
+});
+
+test('erro no claim não reserva nada', async () => {
+  const supabase = createFakeSupabase(() => ({ data: null, error: { message: 'connection refused' } }));
+
+  assert.deepEqual(await claimQueueItems(supabase, 'follow_up_queue', [{ id: 'f1' }], workerA), []);
+});
@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+const { getWarmupFactor, reserveSendCapacity, chargeSendParts, refundSendCapacity } = require('../rate-limiter');
+const { classifiedError } = require('../error-classifier');
+const { processAppointmentReminder } = require('../appointment-reminders-processor');
+
+const config = {
+  instanceRateLimitPerMinute: 20,
+  instanceRateLimitPerHour: 300,
+  companyRateLimitPerMinute: 60,
+  companyRateLimitPerHour: 0,
+  instanceWarmupSchedule: [{ day: 0, factor: 0.1 }, { day: 7, factor: 0.5 }, { day: 21, factor: 1 }]
+};
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+const key = { channel: { type: 'evolution', warmupStartedAt: daysAgo(8) }, senderKey: 'evolution:clinica-a', companyId: 'company-a' };
+
+test('aquecimento segue a curva por dia de uso', () => {
+  assert.equal(getWarmupFactor(daysAgo(1), config), 0.1);
+  assert.equal(getWarmupFactor(daysAgo(8), config), 0.5);
+  assert.equal(getWarmupFactor(daysAgo(30), config), 1);
+  assert.equal(getWarmupFactor(null, config), 1);
+});
+
+test('reserva usa os buckets compartilhados da instância (com aquecimento) e da empresa', async () => {
+  const supabase = createFakeSupabase(() => ({ data: { allowed: true }, error: null }));
+
+  assert.deepEqual(await reserveSendCapacity(supabase, config, key), { allowed: true });
+
+  const [rpc] = supabase.queries;
+  assert.equal(rpc.rpc, 'reserve_send_tokens');
+  assert.equal(rpc.params.p_cost, 1);
+  assert.deepEqual(rpc.params.p_buckets, [
+    { name: 'instance:evolution:clinica-a:minute', capacity: 10, window_seconds: 60 },
+    { name: 'instance:evolution:clinica-a:hour', capacity: 150, window_seconds: 3600 },
+    { name: 'company:company-a:minute', capacity: 60, window_seconds: 60 }
+  ]);
+});
+
+test('bucket vazio adia o item para quando houver token', async () => {
+  const supabase = createFakeSupabase(() => ({
+    data: { allowed: false, bucket: 'instance:evolution:clinica-a:minute', capacity: 10, wait_ms: 6000 },
+    error: null
+  }));
+
+  const reservation = await reserveSendCapacity(supabase, config, key);
+
+  assert.equal(reservation.allowed, false);
+  assert.equal(reservation.warmupFactor, 0.5);
+  assert.ok(new Date(reservation.retryAt).getTime() - Date.now() > 5000);
+});
+
+test('erro do banco interrompe a reserva', async () => {
+  const supabase = createFakeSupabase(() => ({ data: null, error: { message: 'timeout', code: '57014' } }));
+
+  await assert.rejects(reserveSendCapacity(supabase, config, key), /reservar limite de envio/);
+});
+
+test('canal interno não tem limite', async () => {
+  const supabase = createFakeSupabase();
+
+  assert.deepEqual(await reserveSendCapacity(supabase, config, { ...key, channel: { type: 'internal' } }), { allowed: true });
+  assert.equal(supabase.queries.length, 0);
+});
+
+test('cada parte além da primeira custa um token', async () => {
+  const supabase = createFakeSupabase(() => ({ data: { allowed: true }, error: null }));
+
+  await chargeSendParts(supabase, config, key, 1);
+  assert.equal(supabase.queries.length, 0);
+
+  await chargeSendParts(supabase, config, key, 4);
+  assert.equal(supabase.queries[0].params.p_cost, 3);
+  assert.equal(supabase.queries[0].params.p_force, true);
+});
+
+test('token de envio não realizado é devolvido', async () => {
+  const supabase = createFakeSupabase(() => ({ data: { allowed: true }, error: null }));
+
+  await refundSendCapacity(supabase, config, { ...key, channel: { type: 'internal' } });
+  assert.equal(supabase.queries.length, 0);
+
+  await refundSendCapacity(supabase, config, key);
+  assert.equal(supabase.queries[0].params.p_cost, -1);
+  assert.equal(supabase.queries[0].params.p_force, true);
+});
+
+// Lembrete até o envio por uma instância Evolution com limite de envio
+function reminderStore() {
+  return createFakeSupabase(query => {
+    if (query.rpc === 'reserve_send_tokens') {
+      return { data: { allowed: true }, error: null };
+    }
+    if (query.table === 'appointment_reminder_queue' && query.op === 'update' && query.payload.lease_expires_at) {
+      return { data: [{ status: 'processing', attempts: 0, metadata: {}, ai_generated_message: null, media_attachments: [] }], error: null };
+    }
+    if (query.table === 'ai_agents') {
+      return { data: { id: 'agent-1', name: 'Ana' }, error: null };
+    }
+    if (query.table === 'whatsapp_instances') {
+      return { data: [{ name: 'clinica-a', is_default: true }], error: null };
+    }
+    if (query.table === 'message_outbox' && query.op === 'insert') {
+      return { data: { id: 'o1' }, error: null };
+    }
+    return { data: [], error: null };
+  });
+}
+
+const reminder = {
+  id: 'r1',
+  appointment_id: 'a1',
+  agent_id: 'agent-1',
+  company_id: 'company-a',
+  rule_name: '1 dia antes',
+  message_template: 'Olá {nome}, sua consulta é em {data} às {horario}.',
+  reminder_type: 'ai',
+  attempts: 0,
+  max_attempts: 3,
+  contact_name: 'Maria',
+  contact_phone: '+5511999999999',
+  appointment_title: 'Consulta',
+  appointment_start_time: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+};
+
+const reminderConfig = {
+  ...config,
+  workerId: 'w1',
+  leaseSeconds: 300,
+  defaultTimezone: 'America/Sao_Paulo',
+  evolutionApiUrl: 'http://evolution',
+  evolutionApiKey: 'k',
+  retryBaseDelaySeconds: 60,
+  retryMaxDelaySeconds: 3600,
+  retryBackoffFactor: 2,
+  retryJitterRatio: 0
+};
+
+const tokenCosts = supabase => supabase.queries
+  .filter(query => query.rpc === 'reserve_send_tokens')
+  .map(query => query.params.p_cost);
+
+test('lembrete que falha antes do envio devolve o token reservado', async () => {
+  const supabase = reminderStore();
+  let sends = 0;
+
+  const result = await processAppointmentReminder(supabase, reminderConfig, reminder,
+    async () => { throw classifiedError('OpenAI indisponível', { code: 'openai_unavailable', permanent: false }); },
+    async () => { sends++; return { success: true, messageId: 'wamid-1' }; });
+
+  assert.equal(result.success, false);
+  assert.equal(sends, 0);
+  assert.deepEqual(tokenCosts(supabase), [1, -1]);
+});
+
+test('lembrete enviado consome o token reservado', async () => {
+  const supabase = reminderStore();
+
+  const result = await processAppointmentReminder(supabase, reminderConfig, reminder,
+    async message => message,
+    async () => ({ success: true, messageId: 'wamid-1' }));
+
+  assert.equal(result.success, true);
+  assert.deepEqual(tokenCosts(supabase), [1]);
+});
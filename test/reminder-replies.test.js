@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase, eqFilter } = require('./helpers/fake-supabase');
+const { handleReminderReply } = require('../appointment-reminders-processor');
+
+const config = {
+  appointmentReplyWindowHours: 48,
+  appointmentReplyStatuses: { confirm: 'confirmed', reschedule: 'reschedule_requested', cancel: 'cancelled' }
+};
+
+const textReply = text => ({ kind: 'message', provider: 'evolution', sender: 'clinica-a', from: '5511999999999', text, externalId: 'm1' });
+
+test('resposta de instância sem empresa identificada é ignorada', async () => {
+  const supabase = createFakeSupabase(() => ({ data: [], error: null }));
+
+  const result = await handleReminderReply(supabase, config, textReply('1'), async () => ({ success: true }));
+
+  assert.equal(result, null);
+  assert.ok(!supabase.queries.some(query => query.table === 'appointment_reminder_interactions'));
+});
+
+test('resposta em texto busca a interação na empresa da instância e dentro da janela', async () => {
+  const supabase = createFakeSupabase(query => {
+    if (query.table === 'whatsapp_instances') {
+      return { data: [{ company_id: 'company-a' }], error: null };
+    }
+    return { data: [], error: null };
+  });
+
+  const result = await handleReminderReply(supabase, config, textReply('Confirmar'), async () => ({ success: true }));
+  const lookup = supabase.queries.find(query => query.table === 'appointment_reminder_interactions');
+  const windowStart = lookup.filters.find(([method, column]) => method === 'gte' && column === 'created_at')?.[2];
+
+  assert.equal(result, null);
+  assert.equal(eqFilter(lookup, 'company_id'), 'company-a');
+  assert.equal(eqFilter(lookup, 'recipient_digits'), '5511999999999');
+  assert.ok(Date.now() - new Date(windowStart).getTime() >= 48 * 60 * 60 * 1000 - 1000);
+});
+
+test('texto que não é só a opção não é resposta', async () => {
+  const supabase = createFakeSupabase();
+
+  assert.equal(await handleReminderReply(supabase, config, textReply('sim, mas 1 hora depois'), async () => ({ success: true })), null);
+  assert.equal(supabase.queries.length, 0);
+});
+
+test('cancelamento aplica status e cancela só lembretes pendentes da empresa', async () => {
+  const supabase = createFakeSupabase(query => {
+    if (query.table === 'whatsapp_instances') {
+      return { data: [{ company_id: 'company-a' }], error: null };
+    }
+    if (query.table === 'appointment_reminder_interactions' && query.op === 'select') {
+      return { data: [{ id: 'i1', reminder_queue_id: 'r1', appointment_id: 'a1', company_id: 'company-a', instance_name: 'clinica-a' }], error: null };
+    }
+    if (query.table === 'appointment_reminder_interactions' && eqFilter(query, 'id') === 'i1') {
+      return { data: [{ id: 'i1' }], error: null };
+    }
+    if (query.table === 'appointment_reminder_queue') {
+      return { data: [{ id: 'r2' }], error: null };
+    }
+    return { data: [], error: null };
+  });
+  const sent = [];
+
+  const result = await handleReminderReply(supabase, config, textReply('3'), async (channel, recipient, payload) => {
+    sent.push(payload.text);
+    return { success: true };
+  });
+  const cancel = supabase.queries.find(query => query.table === 'appointment_reminder_queue');
+
+  assert.deepEqual(result, { action: 'cancel', appointmentId: 'a1', appointmentStatus: 'cancelled' });
+  assert.equal(eqFilter(cancel, 'company_id'), 'company-a');
+  assert.equal(eqFilter(cancel, 'status'), 'pending');
+  assert.equal(sent.length, 1);
+});
@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeBackoffDelayMs, buildRetryUpdate, buildDeferUpdate, clearCircuitDeferral } = require('../retry-policy');
+const { classifiedError } = require('../error-classifier');
+
+const config = {
+  retryBaseDelaySeconds: 60,
+  retryMaxDelaySeconds: 3600,
+  retryBackoffFactor: 2,
+  retryJitterRatio: 0
+};
+
+const item = {
+  id: 'r1',
+  attempts: 0,
+  max_attempts: 3,
+  scheduled_at: '2026-10-18T12:00:00.000Z',
+  metadata: { calendar_invite: { uid: 'appointment-a1@zionic' }, interactive: false }
+};
+
+const transientError = () => classifiedError('timeout', { code: 'network_error', permanent: false });
+
+test('backoff exponencial limitado pelo máximo', () => {
+  assert.equal(computeBackoffDelayMs(1, config), 60000);
+  assert.equal(computeBackoffDelayMs(3, config), 240000);
+  assert.equal(computeBackoffDelayMs(20, config), 3600000);
+});
+
+test('jitter fica entre a base e o máximo', () => {
+  for (let attempt = 1; attempt <= 8; attempt++) {
+    const delay = computeBackoffDelayMs(attempt, { ...config, retryJitterRatio: 0.5 });
+    assert.ok(delay >= 60000 && delay <= 3600000);
+  }
+});
+
+test('falha transitória volta para pending e preserva a metadata gravada', () => {
+  const retry = buildRetryUpdate(item, transientError(), config);
+
+  assert.equal(retry.finalStatus, 'pending');
+  assert.equal(retry.attempts, 1);
+  assert.equal(retry.update.scheduled_at, retry.nextAttemptAt);
+  assert.deepEqual(retry.update.metadata.calendar_invite, item.metadata.calendar_invite);
+  assert.equal(retry.update.metadata.interactive, false);
+  assert.equal(retry.update.metadata.original_scheduled_at, item.scheduled_at);
+});
+
+test('erro permanente falha na hora', () => {
+  const retry = buildRetryUpdate(item, classifiedError('número inválido', { code: 'invalid_recipient', permanent: true }), config);
+
+  assert.equal(retry.finalStatus, 'failed');
+  assert.equal(retry.nextAttemptAt, null);
+  assert.equal(retry.update.failure_code, 'invalid_recipient');
+});
+
+test('última tentativa falha', () => {
+  const retry = buildRetryUpdate({ ...item, attempts: 2 }, transientError(), config);
+  assert.equal(retry.finalStatus, 'failed');
+  assert.equal(retry.attempts, 3);
+});
+
+test('próxima tentativa depois do deadline falha', () => {
+  const deadline = new Date(Date.now() + 30000).toISOString();
+  const retry = buildRetryUpdate(item, transientError(), config, { deadline });
+
+  assert.equal(retry.finalStatus, 'failed');
+  assert.equal(retry.update.metadata.retry_deadline_exceeded, true);
+});
+
+test('adiamento não consome tentativa e preserva a metadata', () => {
+  const deferUntil = new Date(Date.now() + 3600000).toISOString();
+  const error = classifiedError('fora do horário', { code: 'outside_business_hours', permanent: false, deferUntil, deferReason: 'business_hours' });
+  const retry = buildRetryUpdate(item, error, config);
+
+  assert.equal(retry.deferred, true);
+  assert.equal(retry.attempts, 0);
+  assert.equal(retry.update.scheduled_at, deferUntil);
+  assert.equal(retry.update.attempts, undefined);
+  assert.equal(retry.update.metadata.deferred_count, 1);
+  assert.deepEqual(retry.update.metadata.calendar_invite, item.metadata.calendar_invite);
+});
+
+test('adiamento para depois do deadline vira falha comum', () => {
+  const error = classifiedError('circuito aberto', {
+    code: 'circuit_open',
+    permanent: false,
+    deferUntil: new Date(Date.now() + 7200000).toISOString()
+  });
+  const retry = buildRetryUpdate(item, error, config, { deadline: new Date(Date.now() + 3600000).toISOString() });
+
+  assert.equal(retry.deferred, false);
+  assert.equal(retry.attempts, 1);
+});
+
+test('adiamentos seguidos são contados', () => {
+  const first = buildDeferUpdate(item, { deferUntil: '2026-10-19T12:00:00.000Z' });
+  const second = buildDeferUpdate({ ...item, metadata: first.update.metadata }, { deferUntil: '2026-10-20T12:00:00.000Z' });
+
+  assert.equal(second.update.metadata.deferred_count, 2);
+  assert.equal(second.update.metadata.original_scheduled_at, item.scheduled_at);
+});
+
+test('circuito aberto além do limite por item passa a consumir tentativa', () => {
+  const circuitError = () => classifiedError('circuito aberto', {
+    code: 'circuit_open',
+    permanent: false,
+    deferUntil: new Date(Date.now() + 60000).toISOString()
+  });
+  const limits = { ...config, circuitMaxDeferMinutes: 120 };
+
+  const first = buildRetryUpdate(item, circuitError(), limits);
+  assert.equal(first.deferred, true);
+  assert.ok(first.update.metadata.circuit_deferred_since);
+
+  const recent = buildRetryUpdate({ ...item, metadata: first.update.metadata }, circuitError(), limits);
+  assert.equal(recent.deferred, true);
+  assert.equal(recent.update.metadata.circuit_deferred_since, first.update.metadata.circuit_deferred_since);
+
+  const since = new Date(Date.now() - 121 * 60 * 1000).toISOString();
+  const expired = buildRetryUpdate({ ...item, metadata: { ...item.metadata, circuit_deferred_since: since } }, circuitError(), limits);
+  assert.equal(expired.deferred, false);
+  assert.equal(expired.attempts, 1);
+  assert.equal(expired.update.failure_code, 'circuit_open');
+});
+
+test('nova sequência de circuito aberto começa do zero após envio, retry ou outro adiamento', () => {
+  const circuitError = () => classifiedError('circuito aberto', {
+    code: 'circuit_open',
+    permanent: false,
+    deferUntil: new Date(Date.now() + 60000).toISOString()
+  });
+  const limits = { ...config, circuitMaxDeferMinutes: 120 };
+  const oldSince = new Date(Date.now() - 90 * 60 * 1000).toISOString();
+  const deferred = { ...item, metadata: { ...item.metadata, circuit_deferred_since: oldSince } };
+
+  // Envio concluído
+  const afterSend = { ...item, metadata: clearCircuitDeferral(deferred.metadata) };
+  assert.equal(afterSend.metadata.circuit_deferred_since, undefined);
+  assert.deepEqual(afterSend.metadata.calendar_invite, item.metadata.calendar_invite);
+
+  // Retry comum
+  const retry = buildRetryUpdate(deferred, transientError(), limits);
+  assert.equal(retry.update.metadata.circuit_deferred_since, undefined);
+
+  // Adiamento por outro motivo
+  const otherDefer = buildRetryUpdate(deferred, classifiedError('fora do horário', {
+    code: 'outside_business_hours',
+    permanent: false,
+    deferUntil: new Date(Date.now() + 3600000).toISOString()
+  }), limits);
+  assert.equal(otherDefer.deferred, true);
+  assert.equal(otherDefer.update.metadata.circuit_deferred_since, undefined);
+
+  for (const metadata of [afterSend.metadata, retry.update.metadata, otherDefer.update.metadata]) {
+    const next = buildRetryUpdate({ ...item, metadata }, circuitError(), limits);
+    assert.equal(next.deferred, true);
+    assert.notEqual(next.update.metadata.circuit_deferred_since, oldSince);
+  }
+});